@@ -15,19 +15,74 @@ import {
   getOrderCount,
   getAllShoppingLists,
   getShoppingList,
-  getLastSyncTime
+  getLastSyncTime,
+  getMonthlySpend,
+  getProductSpend,
+  getLatestUnitPrices,
+  getProducts,
+  findProduct,
+  mergeProducts,
+  splitProductAlias,
+  updateProduct,
+  getMonthlyApiUsage,
+  getRecentApiCalls,
+  getListApiUsage,
+  getPurchasedProductNames,
+  getMonthlyListOutcomes,
+  getListOutcomeHistory,
+  getOrderBaskets,
+  getOrderSummaries,
+  setOrderTag,
+  setOrderSlot,
+  ORDER_TAGS
 } from './src/database.js';
 import {
   classifyItems,
   calculateDaysSinceLastPurchase,
-  generatePatternSummary
+  generatePatternSummary,
+  ANALYZER_DEFAULTS
 } from './src/analyzer.js';
-import { generateShoppingList } from './src/claude-client.js';
-import { log, formatShoppingList, formatSimpleList, displayError, promptAction } from './src/utils.js';
+import { loadTiers, describeTierRules } from './src/tiers.js';
+import { generateRecommendations, refineRecommendations, validateEngine, ENGINES } from './src/recommender.js';
+import {
+  log,
+  formatShoppingList,
+  formatSimpleList,
+  formatCurrency,
+  formatBudgetSummary,
+  displayError,
+  promptAction,
+  promptText
+} from './src/utils.js';
+import { editShoppingList } from './src/list-editor.js';
+import { runBacktest } from './src/backtest.js';
+import { mineAssociationRules, ASSOCIATION_DEFAULTS } from './src/associations.js';
+import { detectOrderAnomalies, detectQuantityOutliers } from './src/anomalies.js';
+import { parseDeliverySlot, findNextDelivery, formatDeliveryDate } from './src/delivery.js';
+import { parseSlotWindow } from './src/order-parser.js';
+import { explainItem } from './src/explain.js';
+import { buildSeasonalProfiles, getSeasonStatus, formatSeasonMonths, MIN_HISTORY_DAYS, MIN_SEASON_YEARS } from './src/seasonality.js';
+import { matchListsToOrders, summarizeFeedback, calculateAccuracy, REJECTION_LIMIT } from './src/feedback.js';
 import { populateBasket } from './src/basket-automator.js';
+import { detectNewOrders } from './src/detector.js';
+import { summarizeCategorySpend, detectPriceRises } from './src/spend.js';
+import { parseBudget, fitToBudget } from './src/budget.js';
+import { runMigrations, getMigrationStatus } from './src/migrations.js';
+import { suggestMerges } from './src/products.js';
+import { loadSpendCap, formatUsd, currentMonth } from './src/usage.js';
+import {
+  getActiveProfile,
+  assertProfileExists,
+  listProfiles,
+  createProfile,
+  deleteProfile
+} from './src/profiles.js';
 
 const program = new Command();
 
+// Purchases shown by explain (the JSON output has every one)
+const TIMELINE_LIMIT = 20;
+
 /**
  * Validate numeric input to prevent injection and memory exhaustion attacks
  */
@@ -45,10 +100,74 @@ function validateNumericInput(value, paramName, min = 0, max = 1000) {
   return parsed;
 }
 
+/**
+ * Validate a decimal input such as a threshold
+ */
+function validateDecimalInput(value, paramName, min = 0, max = 1) {
+  const parsed = parseFloat(value);
+
+  if (isNaN(parsed) || parsed < min || parsed > max) {
+    throw new Error(`${paramName} must be a number between ${min} and ${max}`);
+  }
+
+  return parsed;
+}
+
+/**
+ * Describe a hand edit made to a list
+ */
+function describeEdit(edit) {
+  switch (edit.action) {
+    case 'removed': return `Removed ${edit.product_name}`;
+    case 'added': return `Added ${edit.product_name} (${edit.new_value}x)`;
+    case 'quantity': return `${edit.product_name}: ${edit.old_value}x → ${edit.new_value}x`;
+    default: return `${edit.product_name}: ${edit.old_value} → ${edit.new_value}`;
+  }
+}
+
+/**
+ * Run an LLM request that Ctrl-C cancels (including any retry wait)
+ * @param {Function} run - Receives the AbortSignal to pass on
+ */
+async function withCtrlCCancel(run) {
+  const controller = new AbortController();
+  const cancel = () => controller.abort();
+  process.once('SIGINT', cancel);
+
+  try {
+    return await run(controller.signal);
+  } finally {
+    process.removeListener('SIGINT', cancel);
+  }
+}
+
 program
   .name('waitrose-generate')
   .description('Generate intelligent shopping lists from Waitrose order history')
-  .version('0.1.0');
+  .version('0.1.0')
+  .option('-p, --profile <name>', 'Household profile to use (default: $WAITROSE_PROFILE or "default")');
+
+// Apply --profile before any command runs, so every initializeDatabase() call
+// (including list-generator.js) picks up the same profile via WAITROSE_PROFILE
+program.hook('preAction', (thisCommand, actionCommand) => {
+  const { profile } = program.opts();
+
+  if (profile) {
+    process.env.WAITROSE_PROFILE = profile;
+  }
+
+  // Profile management commands handle missing profiles themselves
+  if (actionCommand.parent?.name() === 'profile') {
+    return;
+  }
+
+  try {
+    assertProfileExists(getActiveProfile());
+  } catch (error) {
+    displayError(error);
+    process.exit(1);
+  }
+});
 
 /**
  * Main command: Generate shopping list
@@ -59,15 +178,24 @@ program
   .option('-d, --days <number>', 'Number of days to cover (5-8)', '7')
   .option('--simple', 'Output simple text format instead of formatted')
   .option('--no-save', 'Don\'t save the generated list to database')
+  .option('-b, --budget <amount>', 'Trim the list to fit a budget in pounds, e.g. 80 or £80')
+  .option('-e, --engine <engine>', `Recommendation engine (${ENGINES.join(', ')}); auto falls back to local if Claude fails`, 'claude')
+  .option('--include-events', 'Use orders tagged event or holiday in pattern analysis')
+  .option('--delivery <slot>', 'Plan for a booked delivery, e.g. "Sat 10:00"; covers the gap until the next usual delivery')
   .action(async (options) => {
     const spinner = ora();
 
     try {
-      const daysCoverage = parseInt(options.days);
+      let daysCoverage = parseInt(options.days);
       if (daysCoverage < 5 || daysCoverage > 8) {
         throw new Error('Days must be between 5 and 8');
       }
 
+      const delivery = options.delivery ? parseDeliverySlot(options.delivery) : null;
+
+      const budget = options.budget ? parseBudget(options.budget) : null;
+      const engine = validateEngine(options.engine);
+
       // Initialize database
       spinner.start('Loading database...');
       const db = initializeDatabase();
@@ -85,12 +213,30 @@ program
 
       log(`Found ${orderCount} orders in database`, 'info');
 
+      // Catch up on list feedback from orders imported since the last list
+      const matches = matchListsToOrders(db);
+      if (matches.length > 0) {
+        log(`Matched ${matches.length} saved list(s) to their next order`, 'info');
+      }
+
+      // Forecast from the delivery and cover the gap until the next one we usually book
+      let forecastFrom = new Date();
+      if (delivery) {
+        const next = findNextDelivery(db, delivery.date, { fallbackDays: daysCoverage });
+        daysCoverage = next.days;
+        forecastFrom = new Date(delivery.date);
+
+        const basis = { weekday: 'usual gap from this weekday', usual: 'usual gap between orders', default: 'no order gaps yet' }[next.basis];
+        log(`Planning for delivery ${formatDeliveryDate(delivery.date, delivery.time)} until the next, usually ${formatDeliveryDate(next.date, next.slot?.start)} (${daysCoverage} days; ${basis})`, 'info');
+      }
+
       // Analyze patterns
       spinner.start('Analyzing shopping patterns...');
-      const frequency = getItemFrequency(db, { minOrders: 2 });
-      const classified = classifyItems(frequency);
-      const withDays = calculateDaysSinceLastPurchase(classified);
-      const patternSummary = generatePatternSummary(withDays, db, daysCoverage);
+      const includeEvents = Boolean(options.includeEvents);
+      const frequency = getItemFrequency(db, { minOrders: 2, includeEvents });
+      const classified = classifyItems(frequency, db, { includeEvents });
+      const withDays = calculateDaysSinceLastPurchase(classified, forecastFrom);
+      const patternSummary = generatePatternSummary(withDays, db, daysCoverage, { includeEvents, forecastFrom });
       spinner.succeed('Pattern analysis complete');
 
       const totalNeeded = patternSummary.regularItems.length + patternSummary.infrequentItems.length;
@@ -103,39 +249,141 @@ program
 
       log(`Found ${totalNeeded} items likely needed`, 'info');
 
-      // Generate recommendations with Claude
-      spinner.start('Generating recommendations with Claude AI...');
-      const result = await generateShoppingList(patternSummary, { daysCoverage });
-      spinner.succeed('Shopping list generated');
+      // Generate recommendations (Ctrl-C cancels the request and any retry wait)
+      const generatingText = engine === 'local' ? 'Generating recommendations locally...' : 'Generating recommendations with Claude AI...';
+      spinner.start(generatingText);
 
-      log(`Used ${result.usage.input_tokens} input tokens, ${result.usage.output_tokens} output tokens`, 'info');
+      const retryText = (text) => ({ attempt, maxRetries, delayMs, error }) => {
+        spinner.text = `${text} ${chalk.yellow(`${error.message}; retry ${attempt}/${maxRetries} in ${Math.ceil(delayMs / 1000)}s`)} ${chalk.gray('(Ctrl-C to cancel)')}`;
+      };
+
+      let result;
+      try {
+        result = await withCtrlCCancel(signal => generateRecommendations(patternSummary, {
+          daysCoverage,
+          engine,
+          db,
+          includeEvents,
+          forecastFrom,
+          signal,
+          onRetry: retryText(generatingText),
+          onFallback: (error) => spinner.warn(`Claude unavailable (${error.message}), using local engine`)
+        }));
+      } catch (error) {
+        if (error.cancelled) {
+          spinner.fail('Generation cancelled');
+          db.close();
+          process.exit(130);
+        }
+        throw error;
+      }
+      spinner.succeed('Shopping list generated');
 
-      // Display results
-      if (options.simple) {
-        console.log('\n' + formatSimpleList(result.recommendations));
+      if (result.engine === 'local') {
+        log('Generated offline by the local engine (no tokens used)', 'info');
       } else {
-        console.log(formatShoppingList(result.recommendations));
+        log(`Used ${result.usage.input_tokens} input tokens, ${result.usage.output_tokens} output tokens`, 'info');
       }
 
-      // Prompt user for action
-      const action = await promptAction([
-        'Send to Waitrose basket',
-        'Regenerate list',
-        'Save and exit'
-      ]);
+      // Problems fixed or dropped while validating the model's response
+      (result.warnings || []).forEach(warning => log(warning, 'warning'));
+
+      // Constraints applied with Refine, hand edits, and every API call behind the final list
+      const refinements = [];
+      const edits = [];
+      const apiCallIds = [...result.apiCallIds];
+
+      // Trim to budget using historical prices (not after hand edits, which are kept as made)
+      let budgetResult = null;
+      const applyBudget = () => {
+        if (!budget) return;
+        const prices = getLatestUnitPrices(db, result.recommendations.map(r => r.item));
+        budgetResult = fitToBudget(result.recommendations, prices, budget);
+        result.recommendations = budgetResult.items;
+      };
+      applyBudget();
+
+      let action;
+      while (true) {
+        // Display results
+        if (options.simple) {
+          console.log('\n' + formatSimpleList(result.recommendations));
+        } else {
+          console.log(formatShoppingList(result.recommendations));
+        }
+
+        if (budgetResult) {
+          console.log(formatBudgetSummary(budgetResult, budget));
+        }
+
+        // Prompt user for action (refining needs the LLM, so not for local lists)
+        action = await promptAction([
+          'Send to Waitrose basket',
+          'Regenerate list',
+          ...(result.engine === 'claude' ? ['Refine list'] : []),
+          'Edit list',
+          'Save and exit'
+        ]);
+
+        if (action === 'Edit list') {
+          const edited = await editShoppingList(result.recommendations, { productNames: getPurchasedProductNames(db) });
+          edits.push(...edited.edits);
+          result.recommendations = edited.recommendations;
+          budgetResult = null;
+          continue;
+        }
+
+        if (action !== 'Refine list') break;
+
+        const constraint = await promptText('\nHow should the list change? (e.g. "no dairy this week") ');
+        if (!constraint) continue;
+
+        const refiningText = 'Refining list with Claude AI...';
+        spinner.start(refiningText);
+
+        try {
+          const refined = await withCtrlCCancel(signal => refineRecommendations(patternSummary, result.recommendations, constraint, {
+            daysCoverage,
+            refinements,
+            db,
+            signal,
+            onRetry: retryText(refiningText)
+          }));
+          spinner.succeed('Shopping list refined');
+
+          apiCallIds.push(...refined.apiCallIds);
+          refinements.push({ constraint });
+          result = { ...result, ...refined };
+          applyBudget();
+
+          log(`Used ${refined.usage.input_tokens} input tokens, ${refined.usage.output_tokens} output tokens`, 'info');
+          (refined.warnings || []).forEach(warning => log(warning, 'warning'));
+        } catch (error) {
+          // Keep the current list; the user can try another constraint
+          spinner.fail(error.cancelled ? 'Refinement cancelled' : `Refinement failed: ${error.message}`);
+        }
+      }
 
       if (action === 'Regenerate list') {
-        // Recursively call generate again
+        // Recursively call generate again with the original options
+        // (not daysCoverage, which --delivery replaces with the gap to the next delivery)
         db.close();
         console.log('\n');
-        return program.parse(['node', 'cli.js', 'generate', '--days', daysCoverage.toString()]);
+        const args = ['node', 'cli.js', 'generate', '--days', options.days];
+        if (budget) args.push('--budget', budget.toString());
+        args.push('--engine', engine);
+        if (options.delivery) args.push('--delivery', options.delivery);
+        if (options.includeEvents) args.push('--include-events');
+        if (options.simple) args.push('--simple');
+        if (!options.save) args.push('--no-save');
+        return program.parse(args);
       }
 
       // Save to database before basket automation or exit
       let listId = null;
       if (options.save) {
         spinner.start('Saving shopping list...');
-        listId = saveShoppingList(db, daysCoverage, result.recommendations);
+        listId = saveShoppingList(db, daysCoverage, result.recommendations, { apiCallIds, refinements, edits });
         spinner.succeed(`Shopping list saved (ID: ${listId})`);
       }
 
@@ -206,11 +454,42 @@ program
 program
   .command('detect')
   .description('Check for new orders since last scrape (requires Claude Code)')
-  .option('--auto-import', 'Automatically import new orders (not yet implemented)')
+  .option('--auto-import', 'Fetch and import items for newly detected orders')
   .option('--max <number>', 'Maximum orders to check', '50')
   .action(async (options) => {
     try {
+      const maxOrders = validateNumericInput(options.max, '--max', 1, 500);
       const db = initializeDatabase();
+
+      // Access Chrome MCP tools (provided by Claude when running in Claude Code)
+      const chromeTools = global.claudeCodeChromeTools;
+
+      if (chromeTools) {
+        const summary = await detectNewOrders(db, chromeTools, {
+          autoImport: Boolean(options.autoImport),
+          maxOrders
+        });
+
+        console.log(chalk.bold.cyan('🔍 Detection Summary\n'));
+        console.log(`${chalk.bold('New orders:')} ${summary.newOrders}`);
+        console.log(`${chalk.bold('Already in database:')} ${summary.duplicates}`);
+
+        if (!summary.importSkipped) {
+          const counts = { imported: 0, empty: 0, failed: 0 };
+          summary.importResults.forEach(r => counts[r.status]++);
+
+          console.log(`${chalk.bold('Imported:')} ${chalk.green(counts.imported)}`);
+          if (counts.empty > 0) console.log(`${chalk.bold('Empty:')} ${chalk.yellow(counts.empty)}`);
+          if (counts.failed > 0) console.log(`${chalk.bold('Failed:')} ${chalk.red(counts.failed)}`);
+        } else if (summary.newOrders > 0) {
+          console.log(chalk.gray('\nRun with --auto-import to import their items'));
+        }
+        console.log();
+
+        db.close();
+        return;
+      }
+
       const lastSync = getLastSyncTime(db);
       const orderCount = getOrderCount(db);
 
@@ -268,6 +547,27 @@ program
           console.log(`  • ${item.product_name} (${item.quantity}x) - ${item.classification}`);
         });
         console.log();
+
+        if (list.edits.length > 0) {
+          console.log(chalk.bold('Edits:'));
+          list.edits.forEach(edit => {
+            console.log(chalk.gray(`  • ${describeEdit(edit)}`));
+          });
+          console.log();
+        }
+
+        if (list.refinements.length > 0) {
+          console.log(chalk.bold('Refinements:'));
+          list.refinements.forEach((refinement, index) => {
+            console.log(chalk.gray(`  ${index + 1}. "${refinement.constraint}"`));
+          });
+          console.log();
+        }
+
+        const usage = getListApiUsage(db, list.id);
+        if (usage) {
+          console.log(chalk.gray(`API usage: ${usage.calls} call(s), ${usage.input_tokens} input / ${usage.output_tokens} output tokens, est. ${formatUsd(usage.estimated_cost)}\n`));
+        }
       } else {
         // Show list of recent lists
         const limit = validateNumericInput(options.limit, '--limit', 1, 100);
@@ -324,11 +624,12 @@ program
       }
 
       const frequency = getItemFrequency(db, { minOrders: 1 });
-      const classified = classifyItems(frequency);
+      const tiers = loadTiers();
+      const classified = classifyItems(frequency, db, { tiers });
+      const tierOf = new Map(classified.map(item => [item.product_name, item.tier]));
 
-      const regular = classified.filter(i => i.classification === 'regular').length;
-      const infrequent = classified.filter(i => i.classification === 'infrequent').length;
       const oneOff = classified.filter(i => i.classification === 'one-off').length;
+      const untiered = classified.filter(i => i.classification !== 'one-off' && !i.tier).length;
 
       spinner.succeed('Statistics loaded');
 
@@ -337,22 +638,29 @@ program
       console.log(`${chalk.bold('Total Orders:')} ${orderCount}`);
       console.log(`${chalk.bold('Unique Products:')} ${frequency.length}`);
       console.log();
-      console.log(chalk.green(`Regular items (≥40% frequency):`), regular);
-      console.log(chalk.yellow(`Infrequent items (<40% frequency):`), infrequent);
-      console.log(chalk.gray(`One-off purchases:`), oneOff);
+      console.log(chalk.bold('Tiers:'));
+      tiers.forEach(tier => {
+        const count = [...tierOf.values()].filter(name => name === tier.name).length;
+        const color = tier.schedule === 'regular' ? chalk.green : chalk.yellow;
+        console.log(`  ${color(tier.label)} ${chalk.gray(`(${describeTierRules(tier)}; predicted as ${tier.schedule})`)}: ${count}`);
+      });
+      if (untiered > 0) {
+        console.log(`  ${chalk.yellow('No tier')} ${chalk.gray('(predicted as infrequent)')}: ${untiered}`);
+      }
+      console.log(chalk.gray(`  One-off purchases:`), oneOff);
       console.log(chalk.gray('═'.repeat(40)) + '\n');
 
       // Top 10 most frequent items
       const top10 = frequency.slice(0, 10);
       console.log(chalk.bold('Top 10 Most Frequent Items:\n'));
-      console.log('Product Name                  | Frequency | Purchases');
-      console.log('─'.repeat(60));
+      console.log('Product Name                  | Frequency | Purchases | Tier');
+      console.log('─'.repeat(72));
 
       top10.forEach((item, index) => {
         const name = item.product_name.padEnd(30);
         const freq = (item.frequency * 100).toFixed(0) + '%';
-        const purchases = item.purchase_count;
-        console.log(`${name}| ${freq.padEnd(9)} | ${purchases}`);
+        const purchases = item.purchase_count.toString().padEnd(9);
+        console.log(`${name}| ${freq.padEnd(9)} | ${purchases} | ${tierOf.get(item.product_name) ?? '-'}`);
       });
       console.log();
 
@@ -364,5 +672,922 @@ program
     }
   });
 
+/**
+ * Command: Show spend analytics
+ */
+program
+  .command('spend')
+  .description('Show spend per month, product and category, and flag price rises')
+  .option('-m, --months <number>', 'Number of months to include', '6')
+  .option('--product <text>', 'Only include products whose name contains this text (any case)')
+  .option('--top <number>', 'Number of products to list', '10')
+  .action(async (options) => {
+    try {
+      const months = validateNumericInput(options.months, '--months', 1, 120);
+      const top = validateNumericInput(options.top, '--top', 1, 100);
+      const search = options.product || null;
+
+      const start = new Date();
+      start.setUTCDate(1);
+      start.setUTCMonth(start.getUTCMonth() - (months - 1));
+      const since = start.toISOString().split('T')[0];
+
+      const db = initializeDatabase();
+      const monthly = getMonthlySpend(db, { since, search });
+      const products = getProductSpend(db, { since, search });
+
+      if (products.length === 0) {
+        log('No priced orders found for this period', 'warning');
+        console.log(chalk.gray('   Prices are captured for orders scraped after this feature was added.\n'));
+        db.close();
+        return;
+      }
+
+      const title = search ? `Spend on "${search}"` : 'Spend';
+      console.log(chalk.bold.cyan(`\n💷 ${title} (last ${months} months)\n`));
+
+      // Per month
+      console.log('Month   | Orders | Spend     | Delivery | Savings');
+      console.log('─'.repeat(55));
+      monthly.forEach(row => {
+        const spend = formatCurrency(row.total).padEnd(9);
+        const delivery = formatCurrency(row.delivery).padEnd(8);
+        console.log(`${row.month} | ${row.order_count.toString().padEnd(6)} | ${spend} | ${delivery} | ${formatCurrency(row.savings)}`);
+      });
+      // Average over every month since the first order in range, including months with no spend
+      const monthlyTotal = monthly.reduce((sum, row) => sum + (row.total || 0), 0);
+      const [firstYear, firstMonth] = monthly[monthly.length - 1].month.split('-').map(Number);
+      const now = new Date();
+      const monthsSpanned = (now.getUTCFullYear() - firstYear) * 12 + (now.getUTCMonth() + 1 - firstMonth) + 1;
+      console.log(chalk.gray(`\nAverage per month: ${formatCurrency(monthlyTotal / monthsSpanned)}\n`));
+
+      // Per product
+      console.log(chalk.bold(`Top ${Math.min(top, products.length)} Products by Spend:\n`));
+      console.log('Product Name                  | Units | Spend     | Avg Price');
+      console.log('─'.repeat(62));
+      products.slice(0, top).forEach(product => {
+        const name = product.product_name.substring(0, 29).padEnd(30);
+        const spend = formatCurrency(product.total_spend).padEnd(9);
+        console.log(`${name}| ${product.units.toString().padEnd(5)} | ${spend} | ${formatCurrency(product.avg_unit_price)}`);
+      });
+      console.log();
+
+      // Per category
+      const categories = summarizeCategorySpend(products);
+      const categoryTotal = categories.reduce((sum, c) => sum + c.total, 0);
+      console.log(chalk.bold('Spend by Category:\n'));
+      categories.forEach(category => {
+        const share = categoryTotal > 0 ? Math.round((category.total / categoryTotal) * 100) : 0;
+        console.log(`  ${category.category.padEnd(22)} ${formatCurrency(category.total).padEnd(10)} ${chalk.gray(`${share}%`)}`);
+      });
+      console.log();
+
+      // Price rises on regular items
+      // The same products the spend figures matched
+      const rises = detectPriceRises(db, { productIds: search ? products.map(product => product.product_id) : null });
+
+      if (rises.length > 0) {
+        console.log(chalk.bold.yellow('📈 Price Rises on Regular Items:\n'));
+        rises.forEach(rise => {
+          const pct = Math.round(rise.increase * 100);
+          console.log(`  • ${rise.product_name}: ${formatCurrency(rise.usual_price)} → ${formatCurrency(rise.latest_price)} ${chalk.yellow(`(+${pct}%)`)} ${chalk.gray(`since ${rise.latest_date}`)}`);
+        });
+        console.log();
+      }
+
+      db.close();
+    } catch (error) {
+      displayError(error);
+      process.exit(1);
+    }
+  });
+
+/**
+ * Command: Show LLM API usage and estimated cost
+ */
+program
+  .command('usage')
+  .description('Show LLM API calls, tokens and estimated cost per month')
+  .option('-m, --months <number>', 'Number of months to include', '6')
+  .option('--calls <number>', 'Also list the most recent calls', '0')
+  .action((options) => {
+    try {
+      const months = validateNumericInput(options.months, '--months', 1, 120);
+      const recent = validateNumericInput(options.calls, '--calls', 0, 100);
+
+      const start = new Date();
+      start.setUTCDate(1);
+      start.setUTCMonth(start.getUTCMonth() - (months - 1));
+      const since = start.toISOString().split('T')[0];
+
+      const db = initializeDatabase();
+      const monthly = getMonthlyApiUsage(db, { since });
+      const cap = loadSpendCap();
+
+      console.log(chalk.bold.cyan(`\n🧾 API Usage (last ${months} months)\n`));
+
+      if (monthly.length === 0) {
+        log('No API calls recorded yet', 'info');
+      } else {
+        console.log('Month   | Calls | Failed | Input tokens | Output tokens | Est. cost  | Avg latency');
+        console.log('─'.repeat(83));
+        monthly.forEach(row => {
+          const failed = row.failed_calls.toString().padEnd(6);
+          const latency = row.avg_latency_ms ? `${(row.avg_latency_ms / 1000).toFixed(1)}s` : '-';
+          console.log(`${row.month} | ${row.calls.toString().padEnd(5)} | ${row.failed_calls ? chalk.red(failed) : failed} | ${row.input_tokens.toString().padEnd(12)} | ${row.output_tokens.toString().padEnd(13)} | ${formatUsd(row.estimated_cost).padEnd(10)} | ${latency}`);
+        });
+      }
+
+      if (cap !== null) {
+        const thisMonth = monthly.find(row => row.month === currentMonth());
+        const spent = thisMonth?.estimated_cost ?? 0;
+        const color = spent >= cap ? chalk.red : spent >= cap * 0.8 ? chalk.yellow : chalk.green;
+        console.log(color(`\nThis month: ${formatUsd(spent)} of ${formatUsd(cap)} cap`));
+      } else {
+        console.log(chalk.gray('\nNo monthly cap set. Set WAITROSE_API_SPEND_CAP to limit spend.'));
+      }
+
+      if (recent > 0) {
+        const calls = getRecentApiCalls(db, recent);
+        console.log(chalk.bold(`\nRecent Calls:\n`));
+        calls.forEach(call => {
+          const status = call.error ? chalk.red(`failed: ${call.error}`) : `${call.input_tokens} in / ${call.output_tokens} out, ${formatUsd(call.estimated_cost)}`;
+          const list = call.list_id ? chalk.gray(` → list #${call.list_id}`) : '';
+          console.log(`  ${chalk.gray(call.called_at)} ${call.purpose} ${chalk.gray(`(${call.model ?? call.provider})`)} ${status}${list}`);
+        });
+      }
+
+      console.log(chalk.gray('\nCosts are estimates from published per-token prices, in US dollars.\n'));
+
+      db.close();
+    } catch (error) {
+      displayError(error);
+      process.exit(1);
+    }
+  });
+
+/**
+ * Command: Recommendation accuracy
+ */
+program
+  .command('accuracy')
+  .description('Compare saved lists with the orders that followed them (precision and recall)')
+  .option('-m, --months <number>', 'Number of months to include', '6')
+  .action((options) => {
+    try {
+      const months = validateNumericInput(options.months, '--months', 1, 120);
+
+      const start = new Date();
+      start.setUTCDate(1);
+      start.setUTCMonth(start.getUTCMonth() - (months - 1));
+      const since = start.toISOString().split('T')[0];
+
+      const db = initializeDatabase();
+
+      // Catch up on lists whose next order has been imported since
+      const matches = matchListsToOrders(db);
+      if (matches.length > 0) {
+        log(`Matched ${matches.length} saved list(s) to their next order`, 'info');
+      }
+
+      const monthly = getMonthlyListOutcomes(db, { since });
+
+      console.log(chalk.bold.cyan(`\n🎯 Recommendation Accuracy (last ${months} months)\n`));
+
+      if (monthly.length === 0) {
+        log('No saved lists have been matched to an order yet. Save a list, then import the order you place.', 'info');
+        db.close();
+        return;
+      }
+
+      const percent = (value) => (value === null ? '-' : `${Math.round(value * 100)}%`);
+
+      console.log('Month   | Lists | Precision | Recall | As suggested | Qty changed | Not bought | Missed');
+      console.log('─'.repeat(88));
+      monthly.forEach(row => {
+        const { precision, recall } = calculateAccuracy(row);
+        console.log(`${row.month} | ${row.lists.toString().padEnd(5)} | ${percent(precision).padEnd(9)} | ${percent(recall).padEnd(6)} | ${row.bought.toString().padEnd(12)} | ${row.quantity_changed.toString().padEnd(11)} | ${row.not_bought.toString().padEnd(10)} | ${row.unsuggested}`);
+      });
+
+      const totals = monthly.reduce((sum, row) => ({
+        bought: sum.bought + row.bought,
+        quantity_changed: sum.quantity_changed + row.quantity_changed,
+        not_bought: sum.not_bought + row.not_bought,
+        unsuggested: sum.unsuggested + row.unsuggested
+      }), { bought: 0, quantity_changed: 0, not_bought: 0, unsuggested: 0 });
+      const overall = calculateAccuracy(totals);
+
+      console.log(chalk.bold(`\nOverall: ${percent(overall.precision)} of suggestions bought, ${percent(overall.recall)} of purchases suggested`));
+      console.log(chalk.gray('Precision: suggested items that were bought. Recall: bought items that were suggested.'));
+
+      const feedback = [...summarizeFeedback(getListOutcomeHistory(db)).values()];
+
+      const rejected = feedback
+        .filter(item => item.rejected > 0)
+        .sort((a, b) => b.rejected - a.rejected)
+        .slice(0, 5);
+      if (rejected.length > 0) {
+        console.log(chalk.bold('\nOften Rejected:\n'));
+        rejected.forEach(item => {
+          const paused = item.rejectionStreak >= REJECTION_LIMIT ? chalk.yellow(' (no longer suggested)') : '';
+          console.log(`  • ${item.product_name}: not bought ${item.rejected} of ${item.suggested} times${paused}`);
+        });
+      }
+
+      const missed = feedback
+        .filter(item => item.missed > 0)
+        .sort((a, b) => b.missed - a.missed)
+        .slice(0, 5);
+      if (missed.length > 0) {
+        console.log(chalk.bold('\nOften Missed:\n'));
+        missed.forEach(item => {
+          console.log(`  • ${item.product_name}: bought without being suggested ${item.missed} time(s)`);
+        });
+      }
+
+      console.log();
+      db.close();
+    } catch (error) {
+      displayError(error);
+      process.exit(1);
+    }
+  });
+
+/**
+ * Command: Backtest the analyzer against order history
+ */
+program
+  .command('backtest')
+  .description('Replay order history to measure how well the analyzer predicts each order')
+  .option('-d, --days <number>', 'Days each prediction covers', '7')
+  .option('--warmup <number>', 'Orders of history before the first prediction', '3')
+  .option('--tiers <file>', 'Classify with the tiers in this JSON file instead of the configured ones')
+  .option('--buffer-days <number>', `Days to look beyond the window for items coming due (default ${ANALYZER_DEFAULTS.bufferDays})`)
+  .option('--cv-threshold <number>', `Interval variation above which confidence is penalised (default ${ANALYZER_DEFAULTS.cvThreshold})`)
+  .option('--cv-penalty <number>', `Confidence penalty per unit of variation (default ${ANALYZER_DEFAULTS.cvPenalty})`)
+  .option('--half-life <days>', `Age at which a purchase counts half in interval and quantity estimates (default ${ANALYZER_DEFAULTS.halfLifeDays}, 0 to weight equally)`)
+  .option('--change-ratio <number>', `How far intervals must move to count as a habit change (default ${ANALYZER_DEFAULTS.changeRatio})`)
+  .option('-v, --verbose', 'Show results for every order')
+  .action((options) => {
+    try {
+      const daysCoverage = validateNumericInput(options.days, '--days', 1, 60);
+      const warmup = validateNumericInput(options.warmup, '--warmup', 2, 1000);
+
+      const thresholds = {};
+      if (options.tiers !== undefined) thresholds.tiers = loadTiers({ WAITROSE_TIERS_FILE: options.tiers });
+      if (options.bufferDays !== undefined) thresholds.bufferDays = validateNumericInput(options.bufferDays, '--buffer-days', 0, 60);
+      if (options.cvThreshold !== undefined) thresholds.cvThreshold = validateDecimalInput(options.cvThreshold, '--cv-threshold', 0, 10);
+      if (options.cvPenalty !== undefined) thresholds.cvPenalty = validateDecimalInput(options.cvPenalty, '--cv-penalty', 0, 1);
+      if (options.halfLife !== undefined) thresholds.halfLifeDays = validateNumericInput(options.halfLife, '--half-life', 0, 3650);
+      if (options.changeRatio !== undefined) thresholds.changeRatio = validateDecimalInput(options.changeRatio, '--change-ratio', 1, 10);
+
+      const db = initializeDatabase();
+      const orderCount = getOrderCount(db);
+
+      if (orderCount <= warmup) {
+        log(`Only ${orderCount} orders found. Need more than ${warmup} to backtest.`, 'warning');
+        db.close();
+        return;
+      }
+
+      const spinner = ora(`Replaying ${orderCount - warmup} orders...`).start();
+      const result = runBacktest(db, { daysCoverage, warmup, thresholds });
+      const tuned = Object.keys(thresholds).length > 0;
+      const baseline = tuned ? runBacktest(db, { daysCoverage, warmup }) : null;
+      spinner.succeed(`Replayed ${result.orders.length} orders`);
+      db.close();
+
+      const settings = { ...ANALYZER_DEFAULTS, ...thresholds };
+      console.log(chalk.bold.cyan('\n🔁 Backtest\n'));
+      console.log(chalk.gray(`Tiers from ${options.tiers ?? 'config'}, buffer ${settings.bufferDays} days, CV threshold ${settings.cvThreshold}, CV penalty ${settings.cvPenalty}, half-life ${settings.halfLifeDays} days, change ratio ${settings.changeRatio}, ${daysCoverage}-day lists`));
+
+      const percent = (value) => (value === null ? '-' : `${(value * 100).toFixed(1)}%`);
+      const number = (value) => (value === null ? '-' : value.toFixed(2));
+
+      if (options.verbose) {
+        console.log('\nOrder date | Order      | Predicted | Bought | Precision | Recall | Qty error');
+        console.log('─'.repeat(78));
+        result.orders.forEach(order => {
+          console.log(`${order.order_date} | ${order.order_number.padEnd(10)} | ${order.predicted.toString().padEnd(9)} | ${order.purchased.toString().padEnd(6)} | ${percent(order.precision).padEnd(9)} | ${percent(order.recall).padEnd(6)} | ${order.quantityError}`);
+        });
+      }
+
+      const metrics = [
+        ['Precision', result.precision, baseline?.precision, percent],
+        ['Recall', result.recall, baseline?.recall, percent],
+        ['Quantity error (avg)', result.quantityMae, baseline?.quantityMae, number],
+        ['Exact quantity', result.exactQuantityRate, baseline?.exactQuantityRate, percent]
+      ];
+
+      console.log(chalk.bold(`\n${'Metric'.padEnd(22)}${'Result'.padEnd(10)}${tuned ? 'Defaults' : ''}`));
+      metrics.forEach(([name, value, base, format]) => {
+        console.log(`${name.padEnd(22)}${format(value).padEnd(10)}${tuned ? chalk.gray(format(base ?? null)) : ''}`);
+      });
+
+      console.log(chalk.gray('\nPrecision: predicted items that were bought. Recall: bought items that were predicted.'));
+      console.log(chalk.gray('Quantity error: average difference in quantity for items both predicted and bought.\n'));
+    } catch (error) {
+      displayError(error);
+      process.exit(1);
+    }
+  });
+
+/**
+ * Command: Items bought together
+ */
+program
+  .command('associations')
+  .description('Show items you usually buy together (association rules)')
+  .option('--product <name>', 'Only rules involving this product')
+  .option('--min-orders <number>', 'Orders the items must appear in together', String(ASSOCIATION_DEFAULTS.minOrders))
+  .option('--min-confidence <ratio>', 'Share of orders with the first items that also had the other', String(ASSOCIATION_DEFAULTS.minConfidence))
+  .option('--min-lift <number>', 'How much likelier the other item is with the first items', String(ASSOCIATION_DEFAULTS.minLift))
+  .option('-l, --limit <number>', 'Number of rules to show', '20')
+  .option('--include-events', 'Use orders tagged event or holiday')
+  .action((options) => {
+    try {
+      const minOrders = validateNumericInput(options.minOrders, '--min-orders', 2, 1000);
+      const minConfidence = validateDecimalInput(options.minConfidence, '--min-confidence', 0, 1);
+      const minLift = validateDecimalInput(options.minLift, '--min-lift', 0, 100);
+      const limit = validateNumericInput(options.limit, '--limit', 1, 500);
+
+      const db = initializeDatabase();
+      const baskets = getOrderBaskets(db, { includeEvents: Boolean(options.includeEvents) });
+      db.close();
+
+      let rules = mineAssociationRules(baskets, { minOrders, minConfidence, minLift });
+      if (options.product) {
+        const search = options.product.toLowerCase();
+        rules = rules.filter(rule => [...rule.antecedent, rule.consequent].some(name => name.toLowerCase().includes(search)));
+      }
+
+      console.log(chalk.bold.cyan(`\n🧺 Items Bought Together (${baskets.length} orders)\n`));
+
+      if (rules.length === 0) {
+        log('No strong associations found. Try lowering --min-confidence or --min-orders.', 'info');
+        return;
+      }
+
+      const percent = (value) => `${Math.round(value * 100)}%`;
+      const describe = (rule) => `${rule.antecedent.join(' + ')} → ${rule.consequent}`;
+      const width = Math.min(60, Math.max(...rules.slice(0, limit).map(rule => describe(rule).length)));
+
+      console.log(`${'Rule'.padEnd(width)} | Orders | Support | Confidence | Lift`);
+      console.log('─'.repeat(width + 40));
+      rules.slice(0, limit).forEach(rule => {
+        console.log(`${describe(rule).substring(0, width).padEnd(width)} | ${rule.orders.toString().padEnd(6)} | ${percent(rule.support).padEnd(7)} | ${percent(rule.confidence).padEnd(10)} | ${rule.lift.toFixed(2)}`);
+      });
+
+      if (rules.length > limit) {
+        console.log(chalk.gray(`\n...and ${rules.length - limit} more (use --limit to see them)`));
+      }
+
+      console.log(chalk.gray('\nSupport: share of all orders with every item. Confidence: share of orders with the first items that also had the last.'));
+      console.log(chalk.gray('Lift: how much likelier the last item is with the first items than on its own.'));
+      console.log(chalk.gray('When a list has the first items but not the last, the last is added.\n'));
+    } catch (error) {
+      displayError(error);
+      process.exit(1);
+    }
+  });
+
+/**
+ * Command: Seasonal products
+ */
+program
+  .command('seasonal')
+  .description('List products with a strong seasonal buying pattern')
+  .action(() => {
+    try {
+      const db = initializeDatabase();
+      const profiles = [...buildSeasonalProfiles(db).values()];
+      db.close();
+
+      console.log(chalk.bold.cyan('\n🍂 Seasonal Products\n'));
+
+      if (profiles.length === 0) {
+        log(`No seasonal products found. Seasons need at least ${MIN_HISTORY_DAYS} days of orders and purchases in ${MIN_SEASON_YEARS} or more years.`, 'info');
+        return;
+      }
+
+      // One character per month: in season, bought, never bought, no orders that month
+      const strip = (profile) => profile.months.map(m => {
+        if (m.index === null) return ' ';
+        if (profile.seasonMonths.includes(m.month)) return chalk.green('█');
+        return m.purchase_count > 0 ? chalk.yellow('▄') : chalk.gray('·');
+      }).join('');
+
+      const today = new Date();
+      profiles.sort((a, b) => b.concentration - a.concentration || a.product_name.localeCompare(b.product_name));
+
+      console.log(`${'Product'.padEnd(30)} | JFMAMJJASOND | ${'Season'.padEnd(16)} | In season | Years | Now`);
+      console.log('─'.repeat(90));
+      profiles.forEach(profile => {
+        const status = getSeasonStatus(profile, today);
+        const now = status?.inSeason ? chalk.green('in season') : chalk.gray('out of season');
+        console.log(`${profile.product_name.substring(0, 30).padEnd(30)} | ${strip(profile)} | ${formatSeasonMonths(profile.seasonMonths).padEnd(16)} | ${`${Math.round(profile.concentration * 100)}%`.padEnd(9)} | ${profile.years.toString().padEnd(5)} | ${now}`);
+      });
+
+      console.log(chalk.gray('\nIn season: share of purchases made in season. Years: how many years it was bought in season.'));
+      console.log(chalk.gray('Seasonal items are held back out of season and suggested when their season starts.\n'));
+    } catch (error) {
+      displayError(error);
+      process.exit(1);
+    }
+  });
+
+/**
+ * Command: Explain the prediction for one product
+ */
+program
+  .command('explain <product>')
+  .description('Show why a product would or wouldn\'t be on the next list')
+  .option('-d, --days <number>', 'Number of days the list covers', '7')
+  .option('--delivery <slot>', 'Explain for a booked delivery, e.g. "Sat 10:00", as generate --delivery does')
+  .option('--include-events', 'Use orders tagged event or holiday in pattern analysis')
+  .option('--json', 'Output the explanation as JSON')
+  .action((productRef, options) => {
+    try {
+      let targetDays = validateNumericInput(options.days, '--days', 1, 28);
+      const delivery = options.delivery ? parseDeliverySlot(options.delivery) : null;
+
+      const db = initializeDatabase();
+      let forecastFrom = new Date();
+      if (delivery) {
+        targetDays = findNextDelivery(db, delivery.date, { fallbackDays: targetDays }).days;
+        forecastFrom = new Date(delivery.date);
+      }
+
+      const explanation = explainItem(db, productRef, { targetDays, forecastFrom, includeEvents: Boolean(options.includeEvents) });
+      db.close();
+
+      if (options.json) {
+        console.log(JSON.stringify(explanation, null, 2));
+        return;
+      }
+
+      const { timeline, intervals, classification, season, confidence, feedback, due, decision } = explanation;
+      const percent = (value) => `${Math.round(value * 100)}%`;
+
+      console.log(chalk.bold.cyan(`\n🔍 ${explanation.product}\n`));
+      console.log(decision.included ? chalk.bold.green('✅ On the list') : chalk.bold.yellow('⏸️  Left out'));
+      console.log(`   ${decision.reason} ${chalk.gray(`[${decision.rule}]`)}`);
+      console.log(chalk.gray(`   Forecast from ${explanation.forecastFrom} for ${explanation.targetDays} days\n`));
+
+      console.log(chalk.bold('Classification'));
+      const tierText = classification.tier ? `${classification.tier} ${chalk.gray(`(${classification.tierRules})`)}` : chalk.gray('none matched');
+      console.log(`   Tier: ${tierText}`);
+      console.log(`   Predicted as ${classification.class} ${chalk.gray(`(in ${percent(classification.frequency)} of ${classification.orders} orders)`)}`);
+      if (season) {
+        const now = season.inSeason ? `in season since ${season.seasonStart}` : 'out of season';
+        console.log(`   Season: ${season.months} (${now})`);
+      }
+
+      // The most recent purchases; --json has them all
+      const shown = timeline.slice(-TIMELINE_LIMIT);
+      console.log(chalk.bold(`\nPurchases (${timeline.length})`));
+      if (timeline.length > shown.length) {
+        console.log(chalk.gray(`   ... ${timeline.length - shown.length} earlier`));
+      }
+      shown.forEach(purchase => {
+        const note = purchase.counted ? '' : chalk.gray(` ${purchase.tag} order, not counted`);
+        console.log(`   ${purchase.date}  #${purchase.orderNumber}  x${purchase.quantity}${note}`);
+      });
+
+      console.log(chalk.bold('\nIntervals'));
+      if (intervals.days.length === 0) {
+        console.log(chalk.gray('   Not bought twice yet'));
+      } else {
+        console.log(`   Days between purchases: ${intervals.days.join(', ')}`);
+        console.log(`   Usual interval: ${intervals.average} days ${chalk.gray(`(weighted to recent; plain average ${intervals.rawAverage})`)}`);
+        console.log(`   Std deviation ${intervals.stdDeviation} days, coefficient of variation ${intervals.coefficientOfVariation}`);
+        if (intervals.habitChange) {
+          const { since, fromDays, toDays } = intervals.habitChange;
+          console.log(`   Habit change: every ${fromDays} days until ${since}, every ${toDays} since`);
+        }
+      }
+
+      console.log(chalk.bold(`\nConfidence ${percent(confidence.score)}`));
+      console.log(`   Share of orders          ${confidence.frequency.toFixed(2)}`);
+      console.log(`   Purchase count boost   + ${confidence.countBoost.toFixed(2)} ${chalk.gray(`(${classification.purchases} purchases, full boost at 10)`)}`);
+      console.log(`   Consistency            × ${confidence.consistencyFactor.toFixed(2)} ${chalk.gray(confidence.consistencyFactor < 1 ? '(intervals vary a lot)' : '(intervals steady enough)')}`);
+      const feedbackNote = feedback ? `(${feedback.bought} of ${feedback.suggested} suggestions bought)` : '(no list feedback yet)';
+      console.log(`   List feedback          × ${confidence.feedbackFactor.toFixed(2)} ${chalk.gray(feedbackNote)}`);
+
+      console.log(chalk.bold('\nDue'));
+      console.log(`   Last bought ${due.lastPurchased} (${due.daysSinceLastPurchase} days before ${explanation.forecastFrom})`);
+      if (due.dueDate) {
+        console.log(`   Next due ${due.dueDate}${due.planningWindow !== null ? chalk.gray(` (planning window ${due.planningWindow} days)`) : ''}`);
+      }
+      console.log();
+    } catch (error) {
+      displayError(error);
+      process.exit(1);
+    }
+  });
+
+/**
+ * Command: Manage the product catalogue
+ */
+const productsCommand = program
+  .command('products')
+  .description('Manage the product catalogue (merge renamed or duplicate products)');
+
+/**
+ * Find a product by ID, name or alias, or throw a helpful error
+ */
+function requireProduct(db, ref) {
+  const product = findProduct(db, ref);
+
+  if (!product) {
+    throw new Error(`No product matches "${ref}". List products with: waitrose-generate products list`);
+  }
+
+  return product;
+}
+
+productsCommand
+  .command('list')
+  .description('List products with their aliases')
+  .option('--search <text>', 'Only include products with a name containing this text')
+  .action((options) => {
+    try {
+      const db = initializeDatabase();
+      const products = getProducts(db, { search: options.search });
+
+      if (products.length === 0) {
+        log('No products found', 'warning');
+        db.close();
+        return;
+      }
+
+      console.log(chalk.bold.cyan(`\n📦 Products (${products.length})\n`));
+
+      products.forEach(product => {
+        const details = [product.category, product.size, `${product.purchase_count} orders`].filter(Boolean).join(', ');
+        console.log(`${chalk.gray(`#${product.id}`.padEnd(6))}${chalk.bold(product.canonical_name)} ${chalk.gray(`(${details})`)}`);
+
+        product.aliases
+          .filter(alias => alias !== product.canonical_name)
+          .forEach(alias => console.log(chalk.gray(`        also: ${alias}`)));
+      });
+      console.log();
+
+      db.close();
+    } catch (error) {
+      displayError(error);
+      process.exit(1);
+    }
+  });
+
+productsCommand
+  .command('suggest')
+  .description('Suggest products that look like the same item under different names')
+  .option('--min-score <number>', 'Minimum name similarity (0-1)', '0.7')
+  .action((options) => {
+    try {
+      const minScore = parseFloat(options.minScore);
+
+      if (isNaN(minScore) || minScore <= 0 || minScore > 1) {
+        throw new Error('--min-score must be a number between 0 and 1');
+      }
+
+      const db = initializeDatabase();
+      const suggestions = suggestMerges(getProducts(db), { minScore });
+
+      if (suggestions.length === 0) {
+        log('No likely duplicates found', 'success');
+        db.close();
+        return;
+      }
+
+      console.log(chalk.bold.cyan(`\n🔗 Possible Duplicates (${suggestions.length})\n`));
+
+      suggestions.forEach(({ source, target, score }) => {
+        console.log(`  ${chalk.bold(source.canonical_name)} → ${chalk.bold(target.canonical_name)} ${chalk.gray(`(${Math.round(score * 100)}% similar)`)}`);
+        console.log(chalk.gray(`    waitrose-generate products merge ${source.id} ${target.id}`));
+      });
+      console.log();
+
+      db.close();
+    } catch (error) {
+      displayError(error);
+      process.exit(1);
+    }
+  });
+
+productsCommand
+  .command('merge <source> <target>')
+  .description('Merge the source product into the target (by ID or name)')
+  .action((sourceRef, targetRef) => {
+    try {
+      const db = initializeDatabase();
+      const source = requireProduct(db, sourceRef);
+      const target = requireProduct(db, targetRef);
+
+      mergeProducts(db, source.id, target.id);
+      log(`Merged "${source.canonical_name}" into "${target.canonical_name}"`, 'success');
+
+      db.close();
+    } catch (error) {
+      displayError(error);
+      process.exit(1);
+    }
+  });
+
+productsCommand
+  .command('split <alias>')
+  .description('Split a name back out of a merged product into its own product')
+  .action((alias) => {
+    try {
+      const db = initializeDatabase();
+      const productId = splitProductAlias(db, alias);
+
+      log(`"${alias}" is now product #${productId}`, 'success');
+
+      db.close();
+    } catch (error) {
+      displayError(error);
+      process.exit(1);
+    }
+  });
+
+productsCommand
+  .command('update <product>')
+  .description('Update a product\'s details (by ID or name)')
+  .option('--name <name>', 'Canonical name')
+  .option('--category <category>', 'Category used in spend reports')
+  .option('--size <size>', 'Pack size, e.g. "500g"')
+  .option('--url <url>', 'Waitrose product page URL')
+  .option('--waitrose-id <id>', 'Waitrose product ID')
+  .action((ref, options) => {
+    try {
+      const db = initializeDatabase();
+      const product = requireProduct(db, ref);
+
+      updateProduct(db, product.id, {
+        canonical_name: options.name,
+        category: options.category,
+        size: options.size,
+        url: options.url,
+        waitrose_product_id: options.waitroseId
+      });
+
+      log(`Updated product #${product.id}`, 'success');
+
+      db.close();
+    } catch (error) {
+      displayError(error);
+      process.exit(1);
+    }
+  });
+
+/**
+ * Command: Orders (tagging event and holiday orders)
+ */
+const ordersCommand = program
+  .command('orders')
+  .description('List orders and tag event or holiday orders to leave them out of pattern analysis');
+
+ordersCommand
+  .command('list')
+  .description('List recent orders with their tags, flagging unusual ones')
+  .option('-l, --limit <number>', 'Number of orders to show', '20')
+  .action((options) => {
+    try {
+      const limit = validateNumericInput(options.limit, '--limit', 1, 1000);
+
+      const db = initializeDatabase();
+      const orders = getOrderSummaries(db).reverse().slice(0, limit);
+      const unusual = new Set(detectOrderAnomalies(db).map(anomaly => anomaly.order_id));
+      db.close();
+
+      if (orders.length === 0) {
+        log('No orders found', 'warning');
+        return;
+      }
+
+      console.log(chalk.bold.cyan(`\n🧾 Recent Orders (${orders.length})\n`));
+      console.log('Date       | Slot        | Order      | Lines | Items | Spend    | Tag');
+      console.log('─'.repeat(80));
+      orders.forEach(order => {
+        const slot = order.slot_start ? `${order.slot_start}–${order.slot_end}` : '—';
+        const tag = order.tag === 'normal' ? chalk.gray(order.tag) : chalk.yellow(order.tag);
+        const flag = unusual.has(order.id) ? chalk.yellow(' ⚠️  unusual') : '';
+        console.log(`${order.order_date} | ${slot.padEnd(11)} | ${order.order_number.padEnd(10)} | ${order.line_count.toString().padEnd(5)} | ${order.units.toString().padEnd(5)} | ${formatCurrency(order.spend).padEnd(8)} | ${tag}${flag}`);
+      });
+
+      if (unusual.size > 0) {
+        console.log(chalk.gray('\nSee why orders look unusual with: waitrose-generate orders anomalies'));
+      }
+      console.log();
+    } catch (error) {
+      displayError(error);
+      process.exit(1);
+    }
+  });
+
+ordersCommand
+  .command('anomalies')
+  .description('Show orders unusual in size, spend or contents, and unusually large line quantities')
+  .action(() => {
+    try {
+      const db = initializeDatabase();
+      const anomalies = detectOrderAnomalies(db);
+      const quantities = detectQuantityOutliers(db);
+      db.close();
+
+      console.log(chalk.bold.cyan('\n🔎 Unusual Orders\n'));
+
+      if (anomalies.length === 0) {
+        log('No unusual orders found', 'info');
+      }
+      anomalies.forEach(anomaly => {
+        const tag = anomaly.tag === 'normal' ? chalk.yellow('untagged') : chalk.green(`tagged ${anomaly.tag}`);
+        console.log(`${chalk.bold(`${anomaly.order_date} #${anomaly.order_number}`)} (${tag})`);
+        anomaly.reasons.forEach(reason => console.log(`  • ${reason}`));
+      });
+
+      if (quantities.length > 0) {
+        console.log(chalk.bold('\nUnusually Large Quantities:\n'));
+        quantities.forEach(line => {
+          const tag = line.tag === 'normal' ? '' : chalk.gray(` (${line.tag} order)`);
+          console.log(`  • ${line.order_date} #${line.order_number}: ${line.product_name} x${line.quantity} (usually ${line.usual_quantity})${tag}`);
+        });
+      }
+
+      if (anomalies.some(anomaly => anomaly.tag === 'normal')) {
+        console.log(chalk.gray('\nTag a party or holiday shop to leave it out of pattern analysis:'));
+        console.log(chalk.gray('   waitrose-generate orders tag <order-number> event'));
+      }
+      console.log();
+    } catch (error) {
+      displayError(error);
+      process.exit(1);
+    }
+  });
+
+ordersCommand
+  .command('tag <orderNumber> <tag>')
+  .description(`Tag an order (${ORDER_TAGS.join(', ')}); event and holiday orders are left out of pattern analysis`)
+  .action((orderNumber, tag) => {
+    try {
+      const db = initializeDatabase();
+      const found = setOrderTag(db, orderNumber, tag);
+      db.close();
+
+      if (!found) {
+        throw new Error(`No order ${orderNumber}. List orders with: waitrose-generate orders list`);
+      }
+
+      const effect = tag === 'normal' ? 'now used in pattern analysis' : 'left out of pattern analysis';
+      log(`Order ${orderNumber} tagged ${tag} (${effect})`, 'success');
+    } catch (error) {
+      displayError(error);
+      process.exit(1);
+    }
+  });
+
+ordersCommand
+  .command('slot <orderNumber> <window>')
+  .description('Record the delivery slot of an order, e.g. "10:00-11:00" (scraped orders have it already)')
+  .action((orderNumber, window) => {
+    try {
+      const slot = parseSlotWindow(window);
+      if (!slot) {
+        throw new Error(`Can't read slot "${window}". Use a time window, e.g. 10:00-11:00 or 7-8pm`);
+      }
+
+      const db = initializeDatabase();
+      const found = setOrderSlot(db, orderNumber, slot);
+      db.close();
+
+      if (!found) {
+        throw new Error(`No order ${orderNumber}. List orders with: waitrose-generate orders list`);
+      }
+
+      log(`Order ${orderNumber} delivery slot set to ${slot.start}–${slot.end}`, 'success');
+    } catch (error) {
+      displayError(error);
+      process.exit(1);
+    }
+  });
+
+/**
+ * Command: Database maintenance
+ */
+const dbCommand = program
+  .command('db')
+  .description('Database maintenance commands');
+
+dbCommand
+  .command('migrate')
+  .description('Apply pending schema migrations')
+  .option('--status', 'Show applied and pending migrations without applying them')
+  .action(async (options) => {
+    try {
+      const db = initializeDatabase({ migrate: false });
+
+      if (!options.status) {
+        const applied = runMigrations(db);
+
+        if (applied.length === 0) {
+          log('Database schema is up to date', 'success');
+        } else {
+          applied.forEach(m => log(`Applied migration ${m.version}: ${m.name}`, 'success'));
+        }
+      }
+
+      const status = getMigrationStatus(db);
+      const pending = status.filter(m => !m.applied).length;
+
+      console.log(chalk.bold.cyan('\n🗄️  Schema Migrations\n'));
+      console.log('Ver | Name                          | Applied');
+      console.log('─'.repeat(60));
+
+      status.forEach(m => {
+        const version = m.version.toString().padEnd(3);
+        const name = m.name.padEnd(30);
+        const applied = m.applied ? chalk.green(m.applied_at) : chalk.yellow('pending');
+        console.log(`${version} | ${name}| ${applied}`);
+      });
+
+      console.log(chalk.gray(`\n${status.length - pending} applied, ${pending} pending\n`));
+
+      db.close();
+    } catch (error) {
+      displayError(error);
+      process.exit(1);
+    }
+  });
+
+/**
+ * Command: Manage household profiles
+ */
+const profileCommand = program
+  .command('profile')
+  .description('Manage household profiles (separate order histories)');
+
+profileCommand
+  .command('list')
+  .description('List profiles and their database locations')
+  .action(() => {
+    try {
+      const active = getActiveProfile();
+      const profiles = listProfiles();
+
+      console.log(chalk.bold.cyan('\n👥 Profiles\n'));
+
+      profiles.forEach(profile => {
+        const marker = profile.name === active ? chalk.green('*') : ' ';
+        const status = profile.exists ? '' : chalk.gray(' (no data yet)');
+        console.log(`${marker} ${chalk.bold(profile.name)}${status}`);
+        console.log(chalk.gray(`    ${profile.dbPath}`));
+      });
+
+      console.log(chalk.gray('\n* active profile. Switch with --profile <name> or WAITROSE_PROFILE\n'));
+    } catch (error) {
+      displayError(error);
+      process.exit(1);
+    }
+  });
+
+profileCommand
+  .command('create <name>')
+  .description('Create a new profile with an empty database')
+  .action((name) => {
+    try {
+      createProfile(name);
+      const db = initializeDatabase({ profile: name });
+      db.close();
+
+      log(`Profile "${name}" created`, 'success');
+      console.log(chalk.gray(`   Use it with: waitrose-generate --profile ${name} <command>\n`));
+    } catch (error) {
+      displayError(error);
+      process.exit(1);
+    }
+  });
+
+profileCommand
+  .command('delete <name>')
+  .description('Delete a profile and all of its order history')
+  .option('--force', 'Confirm deletion')
+  .action((name, options) => {
+    try {
+      if (!options.force) {
+        log(`This permanently deletes all order history and lists in "${name}".`, 'warning');
+        console.log(chalk.gray(`   Re-run with --force to confirm: waitrose-generate profile delete ${name} --force\n`));
+        return;
+      }
+
+      deleteProfile(name);
+      log(`Profile "${name}" deleted`, 'success');
+    } catch (error) {
+      displayError(error);
+      process.exit(1);
+    }
+  });
+
 // Parse arguments
 program.parse();
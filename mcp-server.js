@@ -24,7 +24,17 @@ import {
   calculateDaysSinceLastPurchase,
   generatePatternSummary,
 } from './src/analyzer.js';
-import { generateShoppingList } from './src/claude-client.js';
+import { loadTiers, describeTierRules } from './src/tiers.js';
+import { parseDeliverySlot, findNextDelivery, formatDeliveryDate } from './src/delivery.js';
+import { generateRecommendations, ENGINES } from './src/recommender.js';
+import { matchListsToOrders } from './src/feedback.js';
+import { getActiveProfile, assertProfileExists } from './src/profiles.js';
+
+// Shared by every tool so each household's history can be queried separately
+const PROFILE_PROPERTY = {
+  type: 'string',
+  description: 'Household profile to use (default: WAITROSE_PROFILE or "default")',
+};
 
 /**
  * MCP Server for Waitrose Shopping List Generator
@@ -81,16 +91,29 @@ class WaitroseShoppingServer {
                 description: 'Whether to save the generated list to database',
                 default: true,
               },
+              engine: {
+                type: 'string',
+                description: 'Recommendation engine: claude (API), local (offline, from purchase patterns) or auto (Claude, falling back to local)',
+                enum: ENGINES,
+                default: 'claude',
+              },
+              delivery: {
+                type: 'string',
+                description: 'Booked delivery slot, e.g. "Sat 10:00". The list then covers the gap from this delivery to the next one usually booked, instead of days',
+              },
+              profile: PROFILE_PROPERTY,
             },
           },
         },
         {
           name: 'get_statistics',
           description:
-            'Get shopping pattern statistics including total orders, unique products, and item classifications (regular, infrequent, one-off). Shows top 10 most frequently purchased items.',
+            'Get shopping pattern statistics including total orders, unique products, and how many items are in each classification tier (staple, weekly, monthly, occasional, seasonal by default; each predicted as regular or infrequent) or one-off. Shows top 10 most frequently purchased items.',
           inputSchema: {
             type: 'object',
-            properties: {},
+            properties: {
+              profile: PROFILE_PROPERTY,
+            },
           },
         },
         {
@@ -107,6 +130,7 @@ class WaitroseShoppingServer {
                 maximum: 100,
                 default: 10,
               },
+              profile: PROFILE_PROPERTY,
             },
           },
         },
@@ -122,6 +146,7 @@ class WaitroseShoppingServer {
                 description: 'The ID of the shopping list to retrieve',
                 minimum: 1,
               },
+              profile: PROFILE_PROPERTY,
             },
             required: ['list_id'],
           },
@@ -139,7 +164,7 @@ class WaitroseShoppingServer {
             return await this.handleGenerateShoppingList(args);
 
           case 'get_statistics':
-            return await this.handleGetStatistics();
+            return await this.handleGetStatistics(args);
 
           case 'get_shopping_history':
             return await this.handleGetShoppingHistory(args);
@@ -164,20 +189,32 @@ class WaitroseShoppingServer {
     });
   }
 
+  /**
+   * Open the database for the profile requested in the tool arguments
+   */
+  openDatabase(args = {}) {
+    const profile = args.profile ?? getActiveProfile();
+    assertProfileExists(profile);
+    return initializeDatabase({ profile });
+  }
+
   /**
    * Generate shopping list with AI recommendations
    */
   async handleGenerateShoppingList(args) {
-    const daysCoverage = args.days ?? 7;
+    let daysCoverage = args.days ?? 7;
     const shouldSave = args.save ?? true;
+    const engine = args.engine ?? 'claude';
 
     // Validate days coverage
     if (daysCoverage < 5 || daysCoverage > 8) {
       throw new Error('Days must be between 5 and 8');
     }
 
+    const delivery = args.delivery ? parseDeliverySlot(args.delivery) : null;
+
     // Initialize database
-    const db = initializeDatabase();
+    const db = this.openDatabase(args);
 
     try {
       // Check if we have enough orders
@@ -193,11 +230,23 @@ class WaitroseShoppingServer {
         };
       }
 
+      // Forecast from the delivery and cover the gap until the next one usually booked
+      let forecastFrom = new Date();
+      let nextDelivery = null;
+      if (delivery) {
+        nextDelivery = findNextDelivery(db, delivery.date, { fallbackDays: daysCoverage });
+        daysCoverage = nextDelivery.days;
+        forecastFrom = new Date(delivery.date);
+      }
+
+      // Catch up on list feedback from orders imported since the last list
+      matchListsToOrders(db);
+
       // Analyze patterns
       const frequency = getItemFrequency(db, { minOrders: 2 });
-      const classified = classifyItems(frequency);
-      const withDays = calculateDaysSinceLastPurchase(classified);
-      const patternSummary = generatePatternSummary(withDays, db, daysCoverage);
+      const classified = classifyItems(frequency, db);
+      const withDays = calculateDaysSinceLastPurchase(classified, forecastFrom);
+      const patternSummary = generatePatternSummary(withDays, db, daysCoverage, { forecastFrom });
 
       const totalNeeded =
         patternSummary.regularItems.length + patternSummary.infrequentItems.length;
@@ -213,14 +262,14 @@ class WaitroseShoppingServer {
         };
       }
 
-      // Generate recommendations with Claude
-      const result = await generateShoppingList(patternSummary, { daysCoverage });
+      // Generate recommendations
+      const result = await generateRecommendations(patternSummary, { daysCoverage, engine, db, forecastFrom });
 
       // Save to database if requested
       let listId = null;
       if (shouldSave) {
         const { saveShoppingList } = await import('./src/database.js');
-        listId = saveShoppingList(db, daysCoverage, result.recommendations);
+        listId = saveShoppingList(db, daysCoverage, result.recommendations, { apiCallIds: result.apiCallIds });
       }
 
       // Format response
@@ -230,6 +279,8 @@ class WaitroseShoppingServer {
         days_coverage: daysCoverage,
         order_count: orderCount,
         items: result.recommendations,
+        warnings: result.warnings || [],
+        engine: result.engine,
         token_usage: {
           input_tokens: result.usage.input_tokens,
           output_tokens: result.usage.output_tokens,
@@ -239,15 +290,23 @@ class WaitroseShoppingServer {
       // Format as readable text
       let text = `# Shopping List Generated\n\n`;
       text += `**Coverage:** ${daysCoverage} days\n`;
+      if (delivery) {
+        text += `**Delivery:** ${formatDeliveryDate(delivery.date, delivery.time)} (next usually ${formatDeliveryDate(nextDelivery.date, nextDelivery.slot?.start)})\n`;
+      }
       text += `**Based on:** ${orderCount} orders\n`;
       text += `**Items:** ${result.recommendations.length}\n`;
+      if (result.fallbackReason) {
+        text += `**Engine:** local (Claude unavailable: ${result.fallbackReason})\n`;
+      } else if (result.engine === 'local') {
+        text += `**Engine:** local\n`;
+      }
       if (listId) {
         text += `**Saved as:** List #${listId}\n`;
       }
       text += `\n## Items\n\n`;
 
       result.recommendations.forEach((item) => {
-        text += `- **${item.item}** (${item.quantity}x) - ${item.classification}`;
+        text += `- **${item.item}** (${item.quantity}x) - ${item.tier ?? item.classification}`;
         if (item.confidence) {
           text += ` [${Math.round(item.confidence * 100)}% confidence]`;
         }
@@ -257,6 +316,13 @@ class WaitroseShoppingServer {
         text += '\n';
       });
 
+      if (result.warnings?.length > 0) {
+        text += `\n**Fixed or dropped from the response:**\n`;
+        result.warnings.forEach((warning) => {
+          text += `- ${warning}\n`;
+        });
+      }
+
       text += `\n**Token usage:** ${result.usage.input_tokens} input, ${result.usage.output_tokens} output\n`;
 
       return {
@@ -275,8 +341,8 @@ class WaitroseShoppingServer {
   /**
    * Get shopping pattern statistics
    */
-  async handleGetStatistics() {
-    const db = initializeDatabase();
+  async handleGetStatistics(args) {
+    const db = this.openDatabase(args);
 
     try {
       const orderCount = getOrderCount(db);
@@ -293,19 +359,25 @@ class WaitroseShoppingServer {
       }
 
       const frequency = getItemFrequency(db, { minOrders: 1 });
-      const classified = classifyItems(frequency);
+      const tiers = loadTiers();
+      const classified = classifyItems(frequency, db, { tiers });
+      const tierOf = new Map(classified.map((item) => [item.product_name, item.tier]));
 
-      const regular = classified.filter((i) => i.classification === 'regular').length;
-      const infrequent = classified.filter((i) => i.classification === 'infrequent').length;
       const oneOff = classified.filter((i) => i.classification === 'one-off').length;
+      const untiered = classified.filter((i) => i.classification !== 'one-off' && !i.tier).length;
 
       // Format response
       let text = `# Shopping Pattern Statistics\n\n`;
       text += `**Total Orders:** ${orderCount}\n`;
       text += `**Unique Products:** ${frequency.length}\n\n`;
-      text += `## Classification\n\n`;
-      text += `- **Regular items** (≥40% frequency): ${regular}\n`;
-      text += `- **Infrequent items** (<40% frequency): ${infrequent}\n`;
+      text += `## Tiers\n\n`;
+      tiers.forEach((tier) => {
+        const count = [...tierOf.values()].filter((name) => name === tier.name).length;
+        text += `- **${tier.label}** (${describeTierRules(tier)}; predicted as ${tier.schedule}): ${count}\n`;
+      });
+      if (untiered > 0) {
+        text += `- **No tier** (predicted as infrequent): ${untiered}\n`;
+      }
       text += `- **One-off purchases:** ${oneOff}\n\n`;
 
       // Top 10 most frequent items
@@ -314,7 +386,8 @@ class WaitroseShoppingServer {
 
       top10.forEach((item, index) => {
         const freq = (item.frequency * 100).toFixed(0);
-        text += `${index + 1}. **${item.product_name}** - ${freq}% frequency (${item.purchase_count} purchases)\n`;
+        const tier = tierOf.get(item.product_name);
+        text += `${index + 1}. **${item.product_name}** - ${freq}% frequency (${item.purchase_count} purchases)${tier ? `, ${tier}` : ''}\n`;
       });
 
       return {
@@ -340,7 +413,7 @@ class WaitroseShoppingServer {
       throw new Error('Limit must be between 1 and 100');
     }
 
-    const db = initializeDatabase();
+    const db = this.openDatabase(args);
 
     try {
       const lists = getAllShoppingLists(db);
@@ -393,7 +466,7 @@ class WaitroseShoppingServer {
       throw new Error('list_id must be a positive number');
     }
 
-    const db = initializeDatabase();
+    const db = this.openDatabase(args);
 
     try {
       const list = getShoppingList(db, listId);
@@ -425,6 +498,13 @@ class WaitroseShoppingServer {
         text += '\n';
       });
 
+      if (list.refinements.length > 0) {
+        text += `\n## Refinements\n\n`;
+        list.refinements.forEach((refinement, index) => {
+          text += `${index + 1}. ${refinement.constraint}\n`;
+        });
+      }
+
       return {
         content: [
           {
@@ -3,36 +3,52 @@
  * Analyzes shopping patterns to classify items and predict quantities
  */
 
+import { loadFeedback, MIN_FEEDBACK_SUGGESTIONS, REJECTION_LIMIT, MISSED_LIMIT } from './feedback.js';
+import { buildSeasonalProfiles, getSeasonStatus, formatSeasonMonths } from './seasonality.js';
+import { loadTiers, matchTier } from './tiers.js';
+
+// Tunable thresholds; each can be overridden per call (see the backtest command)
+export const ANALYZER_DEFAULTS = {
+  bufferDays: 3,           // Days beyond the target window to look ahead for items coming due
+  cvThreshold: 0.5,        // Coefficient of variation above which intervals count as inconsistent
+  cvPenalty: 0.3,          // Confidence reduction per unit of CV for inconsistent items
+  halfLifeDays: 60,        // Age at which a purchase counts half as much in interval and quantity estimates
+  changeRatio: 1.5,        // How far recent intervals must move from the old average to count as a habit change
+  minChangeIntervals: 2,   // Consecutive changed intervals needed to confirm a habit change
+  safetyDays: 1            // Days of extra stock to buy beyond the next delivery
+};
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
 /**
- * Classify items based on purchase frequency
- * - Regular: appears in >= 40% of orders
- * - Infrequent: appears in < 40% of orders
- * - One-off: appears exactly once (excluded from recommendations)
+ * Classify items by tier (see tiers.js)
+ * Each item gets the first tier whose frequency, interval and seasonal rules it matches,
+ * and is predicted as regular or infrequent by that tier's schedule; items matching no
+ * tier are infrequent. Items bought exactly once are one-off (excluded from recommendations)
+ * @param {Object} options - { tiers (default: loadTiers()), before, includeEvents },
+ *   plus interval settings (see calculatePurchaseIntervals)
+ * @returns {Array} Items with classification ('regular', 'infrequent' or 'one-off') and tier (name or null)
  */
-export function classifyItems(itemFrequencyData) {
-  const REGULAR_THRESHOLD = 0.40;
+export function classifyItems(itemFrequencyData, db, options = {}) {
+  const { tiers = loadTiers(), before = null, ...settings } = options;
+  const profiles = buildSeasonalProfiles(db, { before });
 
   return itemFrequencyData.map(item => {
-    const { product_name, purchase_count, frequency, avg_quantity, last_purchase_date } = item;
+    const { product_id, product_name, purchase_count, frequency, avg_quantity, last_purchase_date } = item;
+    const classified = { product_id, product_name, purchase_count, frequency, avg_quantity, last_purchase_date };
 
-    // Classify based on frequency
-    let classification;
     if (purchase_count === 1) {
-      classification = 'one-off';
-    } else if (frequency >= REGULAR_THRESHOLD) {
-      classification = 'regular';
-    } else {
-      classification = 'infrequent';
+      return { ...classified, classification: 'one-off', tier: null };
     }
 
-    return {
-      product_name,
-      purchase_count,
+    const intervals = calculatePurchaseIntervals(db, product_name, { ...settings, before });
+    const tier = matchTier({
       frequency,
-      avg_quantity,
-      last_purchase_date,
-      classification
-    };
+      avgIntervalDays: intervals.avg_interval,
+      seasonal: profiles.has(product_name.toLowerCase())
+    }, tiers);
+
+    return { ...classified, classification: tier?.schedule ?? 'infrequent', tier: tier?.name ?? null };
   });
 }
 
@@ -53,40 +69,140 @@ export function calculateDaysSinceLastPurchase(items, currentDate = new Date())
 
 /**
  * Calculate purchase intervals for items
- * Returns average days between purchases for predicting next purchase
+ * Returns average days between purchases for predicting next purchase.
+ * avg_interval and avg_quantity weight recent purchases more (exponential decay
+ * with halfLifeDays) and only use purchases since the last habit change;
+ * raw_avg_interval and raw_avg_quantity are plain averages over all history.
+ * consumption_rate is units used per day: each purchase's quantity lasts until the next.
+ * Event and holiday orders are skipped unless includeEvents is set
+ * @param {Object} options - { before: only use orders before this date, includeEvents, halfLifeDays, changeRatio, minChangeIntervals }
  */
-export function calculatePurchaseIntervals(db, productName) {
+export function calculatePurchaseIntervals(db, productName, options = {}) {
+  const { before = null, includeEvents = false, ...settings } = options;
+  const { halfLifeDays } = { ...ANALYZER_DEFAULTS, ...settings };
+
   const query = `
-    SELECT o.order_date
+    SELECT o.id, o.order_date, SUM(oi.quantity) as quantity
     FROM order_items oi
     JOIN orders o ON oi.order_id = o.id
-    WHERE oi.product_name = ?
+    JOIN products p ON oi.product_id = p.id
+    WHERE p.canonical_name = ?
+      ${before ? 'AND o.order_date < ?' : ''}
+      ${includeEvents ? '' : "AND o.tag = 'normal'"}
+    GROUP BY o.id
     ORDER BY o.order_date ASC
   `;
 
-  const purchases = db.prepare(query).all(productName);
+  const purchases = db.prepare(query).all(productName, ...(before ? [before] : []));
+  const rawAvgQuantity = purchases.length > 0 ? average(purchases.map(p => p.quantity)) : null;
 
   if (purchases.length < 2) {
-    return { avg_interval: null, intervals: [] };
+    return {
+      avg_interval: null,
+      raw_avg_interval: null,
+      intervals: [],
+      avg_quantity: rawAvgQuantity,
+      raw_avg_quantity: rawAvgQuantity,
+      consumption_rate: null,
+      last_quantity: purchases[0]?.quantity ?? null,
+      change_point: null
+    };
   }
 
   const intervals = [];
   for (let i = 1; i < purchases.length; i++) {
     const prev = new Date(purchases[i - 1].order_date);
     const curr = new Date(purchases[i].order_date);
-    const days = Math.floor((curr - prev) / (1000 * 60 * 60 * 24));
+    const days = Math.floor((curr - prev) / MS_PER_DAY);
     intervals.push(days);
   }
 
-  const avg_interval = intervals.reduce((sum, interval) => sum + interval, 0) / intervals.length;
+  // After a habit change, estimate only from purchases since the change
+  const changeIndex = detectChangePoint(intervals, settings);
+  const current = changeIndex === null ? intervals : intervals.slice(changeIndex);
+  const currentPurchases = changeIndex === null ? purchases : purchases.slice(changeIndex);
+
+  // Age of each interval and purchase, in days before the latest purchase
+  const lastDate = new Date(purchases[purchases.length - 1].order_date);
+  const age = (purchase) => (lastDate - new Date(purchase.order_date)) / MS_PER_DAY;
+
+  const weightedInterval = weightedAverage(current, currentPurchases.slice(1).map(age), halfLifeDays);
+  // The purchase opening the first changed interval still belongs to the old habit
+  const quantityPurchases = changeIndex === null ? purchases : purchases.slice(changeIndex + 1);
+  const weightedQuantity = weightedAverage(quantityPurchases.map(p => p.quantity), quantityPurchases.map(age), halfLifeDays);
+
+  // Quantity bought at the start of each interval over its length, with the interval weights
+  const quantityPerInterval = weightedAverage(currentPurchases.slice(0, -1).map(p => p.quantity), currentPurchases.slice(1).map(age), halfLifeDays);
 
   return {
-    avg_interval: Math.round(avg_interval),
+    avg_interval: Math.round(weightedInterval),
+    raw_avg_interval: Math.round(average(intervals)),
     intervals,
-    std_deviation: calculateStandardDeviation(intervals)
+    std_deviation: calculateStandardDeviation(current),
+    avg_quantity: weightedQuantity,
+    raw_avg_quantity: rawAvgQuantity,
+    consumption_rate: weightedInterval > 0 ? quantityPerInterval / weightedInterval : null,
+    last_quantity: purchases[purchases.length - 1].quantity,
+    change_point: changeIndex === null ? null : {
+      date: purchases[changeIndex].order_date,
+      before_avg_interval: Math.round(average(intervals.slice(0, changeIndex))),
+      after_avg_interval: Math.round(average(current))
+    }
   };
 }
 
+/**
+ * Find where the purchase habit changed
+ * A change is the earliest point after which every interval (at least minChangeIntervals
+ * of them) is changeRatio times longer, or shorter, than the average before it
+ * @param {Array<number>} intervals - Days between purchases, oldest first
+ * @param {Object} options - { changeRatio, minChangeIntervals }
+ * @returns {number|null} Index of the first interval of the new habit
+ */
+export function detectChangePoint(intervals, options = {}) {
+  const { changeRatio, minChangeIntervals } = { ...ANALYZER_DEFAULTS, ...options };
+
+  // Need a settled baseline (at least 2 intervals) before the change
+  for (let k = 2; k <= intervals.length - minChangeIntervals; k++) {
+    const baseline = average(intervals.slice(0, k));
+    if (baseline <= 0) continue;
+
+    const recent = intervals.slice(k);
+    const longer = recent.every(days => days >= baseline * changeRatio);
+    const shorter = recent.every(days => days <= baseline / changeRatio);
+
+    if (longer || shorter) return k;
+  }
+
+  return null;
+}
+
+function roundTo(value, places = 2) {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+function average(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Average with weights halving every halfLifeDays of age
+ * A missing half-life weights everything equally
+ */
+function weightedAverage(values, ages, halfLifeDays) {
+  let total = 0;
+  let weights = 0;
+
+  values.forEach((value, i) => {
+    const weight = halfLifeDays ? Math.pow(0.5, ages[i] / halfLifeDays) : 1;
+    total += value * weight;
+    weights += weight;
+  });
+
+  return total / weights;
+}
+
 /**
  * Calculate standard deviation for consistency measurement
  */
@@ -100,112 +216,277 @@ function calculateStandardDeviation(values) {
 
 /**
  * Calculate confidence score for predictions
- * Based on purchase frequency and consistency
+ * Based on purchase frequency and consistency, and how often past
+ * suggestions of the item were actually bought
+ * @param {Object} feedback - From summarizeFeedback (optional)
+ * @param {Object} options - { cvThreshold, cvPenalty }
  */
-export function calculateConfidence(item, intervals) {
-  const { purchase_count, frequency } = item;
+export function calculateConfidence(item, intervals, feedback = null, options = {}) {
+  return scoreConfidence(item, intervals, feedback, options).confidence;
+}
 
-  // Base confidence from frequency
-  let confidence = frequency;
+/**
+ * Calculate confidence along with the parts that make it up
+ * confidence = (frequency + countBoost) × consistencyFactor × feedbackFactor, capped to 0–1
+ * @returns {Object} { confidence, frequency, countBoost, coefficientOfVariation,
+ *   consistencyFactor, acceptance, feedbackFactor } (coefficientOfVariation and
+ *   acceptance are null when there's nothing to measure)
+ */
+export function scoreConfidence(item, intervals, feedback = null, options = {}) {
+  const { purchase_count, frequency } = item;
+  const { cvThreshold, cvPenalty } = { ...ANALYZER_DEFAULTS, ...options };
 
   // Boost for higher purchase counts (up to 10 purchases)
   const countBoost = Math.min(purchase_count / 10, 1) * 0.2;
-  confidence += countBoost;
 
   // Reduce for inconsistent patterns (high std deviation)
-  if (intervals && intervals.std_deviation) {
-    const { avg_interval, std_deviation } = intervals;
-    if (avg_interval > 0) {
-      const coefficient_of_variation = std_deviation / avg_interval;
-      // Penalize if CV > 0.5 (inconsistent)
-      if (coefficient_of_variation > 0.5) {
-        confidence *= (1 - coefficient_of_variation * 0.3);
-      }
+  let coefficientOfVariation = null;
+  let consistencyFactor = 1;
+  if (intervals && intervals.std_deviation !== undefined && intervals.avg_interval > 0) {
+    coefficientOfVariation = intervals.std_deviation / intervals.avg_interval;
+    // Penalize if CV > 0.5 (inconsistent)
+    if (coefficientOfVariation > cvThreshold) {
+      consistencyFactor = 1 - coefficientOfVariation * cvPenalty;
     }
   }
 
-  return Math.max(0, Math.min(1, confidence));
+  // Down-weight items we keep rejecting (halved if never bought when suggested)
+  let acceptance = null;
+  let feedbackFactor = 1;
+  if (feedback && feedback.suggested >= MIN_FEEDBACK_SUGGESTIONS) {
+    acceptance = feedback.bought / feedback.suggested;
+    feedbackFactor = 0.5 + 0.5 * acceptance;
+  }
+
+  const confidence = (frequency + countBoost) * consistencyFactor * feedbackFactor;
+
+  return {
+    confidence: Math.max(0, Math.min(1, confidence)),
+    frequency,
+    countBoost,
+    coefficientOfVariation,
+    consistencyFactor,
+    acceptance,
+    feedbackFactor
+  };
 }
 
 /**
  * Predict if an item is likely needed in the next N days
+ * @param {Object} feedback - From summarizeFeedback (optional)
+ * @param {Object} options - { bufferDays, season: from getSeasonStatus for seasonal items }
+ */
+export function predictItemNeed(item, intervals, targetDays = 7, feedback = null, options = {}) {
+  return decideItemNeed(item, intervals, targetDays, feedback, options).needed;
+}
+
+/**
+ * Decide whether an item is needed, and record the rule that decided it
+ * @returns {Object} { needed, rule, reason, daysTillDue, planningWindow } (daysTillDue and
+ *   planningWindow are null when the rule didn't use them)
  */
-export function predictItemNeed(item, intervals, targetDays = 7) {
+export function decideItemNeed(item, intervals, targetDays = 7, feedback = null, options = {}) {
   const { days_since_last_purchase, classification } = item;
+  const decision = (needed, rule, reason, daysTillDue = null, planningWindow = null) =>
+    ({ needed, rule, reason, daysTillDue, planningWindow });
 
   // One-off items are never predicted
   if (classification === 'one-off') {
-    return false;
+    return decision(false, 'one-off', 'Bought only once, so there is no pattern to predict from');
+  }
+
+  // Stop suggesting items we've turned down several times in a row
+  if (feedback && feedback.rejectionStreak >= REJECTION_LIMIT) {
+    return decision(false, 'rejected', `Not bought the last ${feedback.rejectionStreak} times it was suggested (limit ${REJECTION_LIMIT})`);
+  }
+
+  // Seasonal items: hold back out of season, suggest when not yet bought this season
+  const { season = null } = options;
+  if (season && !season.inSeason) {
+    return decision(false, 'out-of-season', 'Seasonal and out of season');
+  }
+  if (season && days_since_last_purchase > season.daysIntoSeason) {
+    return decision(true, 'new-season', `Seasonal, and not bought since its season started on ${season.seasonStart}`);
   }
 
   // Add buffer window: include items due within targetDays + 3
   // This ensures we don't miss items coming due soon
-  const BUFFER_DAYS = 3;
-  const planningWindow = targetDays + BUFFER_DAYS;
+  const { bufferDays: BUFFER_DAYS = ANALYZER_DEFAULTS.bufferDays } = options;
+  let planningWindow = targetDays + BUFFER_DAYS;
+  let windowText = `${countDays(targetDays)} + ${BUFFER_DAYS} buffer`;
+
+  // Look further ahead for items we keep buying without them being suggested
+  if (feedback && feedback.missedStreak >= MISSED_LIMIT) {
+    planningWindow += BUFFER_DAYS;
+    windowText += ` + ${BUFFER_DAYS} for being bought unsuggested ${feedback.missedStreak} times in a row`;
+  }
+
+  if (!intervals.avg_interval || (classification !== 'regular' && classification !== 'infrequent')) {
+    return decision(false, 'no-interval', 'No usual interval between purchases yet');
+  }
+
+  const expectedNextPurchase = intervals.avg_interval;
+  const daysTillDue = expectedNextPurchase - days_since_last_purchase;
+  const due = daysTillDue < 0 ? `${countDays(-daysTillDue)} overdue`
+    : daysTillDue === 0 ? 'due today'
+    : `due in ${countDays(daysTillDue)}`;
+  const window = `the ${planningWindow}-day planning window (${windowText})`;
 
   // Regular items: predict if we're close to typical interval
-  if (classification === 'regular' && intervals.avg_interval) {
-    const expectedNextPurchase = intervals.avg_interval;
-    const daysTillDue = expectedNextPurchase - days_since_last_purchase;
+  if (classification === 'regular') {
+    // Allow 2 days overdue
+    if (daysTillDue < -2) {
+      return decision(false, 'regular-overdue', `Regular and ${due}; more than 2 days overdue counts as bought elsewhere`, daysTillDue, planningWindow);
+    }
 
     // Due within planning window (target + buffer)
-    return daysTillDue <= planningWindow && daysTillDue >= -2; // Allow 2 days overdue
+    return daysTillDue <= planningWindow
+      ? decision(true, 'regular-due', `Regular and ${due}, within ${window}`, daysTillDue, planningWindow)
+      : decision(false, 'not-due', `Regular and ${due}, beyond ${window}`, daysTillDue, planningWindow);
   }
 
-  // Infrequent items: predict if it's been a while
-  if (classification === 'infrequent' && intervals.avg_interval) {
-    const expectedNextPurchase = intervals.avg_interval;
-    const daysTillDue = expectedNextPurchase - days_since_last_purchase;
+  // Infrequent items: predict if it's been a while (due within planning window or overdue)
+  return daysTillDue <= planningWindow
+    ? decision(true, 'infrequent-due', `Infrequent and ${due}, within ${window}`, daysTillDue, planningWindow)
+    : decision(false, 'not-due', `Infrequent and ${due}, beyond ${window}`, daysTillDue, planningWindow);
+}
+
+function countDays(days) {
+  return `${days} day${days === 1 ? '' : 's'}`;
+}
 
-    // Due within planning window or overdue
-    return daysTillDue <= planningWindow;
+/**
+ * Estimate how much of an item is left at home
+ * Assumes the last purchase was used at the usual rate since it arrived
+ * @returns {number|null} Units left (never below 0), or null without a consumption rate
+ */
+export function estimateStockOnHand(lastQuantity, consumptionRate, daysSinceLastPurchase) {
+  if (!consumptionRate || lastQuantity === null || lastQuantity === undefined) {
+    return null;
   }
 
-  return false;
+  return Math.max(0, lastQuantity - consumptionRate * daysSinceLastPurchase);
 }
 
 /**
- * Calculate recommended quantity based on historical purchases and target days
+ * Calculate recommended quantity: enough to last until the next delivery plus
+ * safetyDays, less the stock estimated to be left
+ * Without a consumption rate, falls back to the average quantity bought
+ * @param {Object} usage - { consumptionRate: units per day, stockOnHand, avgQuantity }
+ * @param {number} daysUntilDelivery - Days the list has to last
+ * @param {Object} options - { safetyDays }
  */
-export function calculateRecommendedQuantity(avgQuantity, intervals, targetDays = 7) {
-  if (!intervals || !intervals.avg_interval || intervals.avg_interval === 0) {
-    // No interval data, return average
-    return Math.round(avgQuantity);
+export function calculateRecommendedQuantity(usage, daysUntilDelivery = 7, options = {}) {
+  const { consumptionRate, stockOnHand, avgQuantity } = usage;
+  const { safetyDays } = { ...ANALYZER_DEFAULTS, ...options };
+
+  if (!consumptionRate) {
+    return Math.max(1, Math.round(avgQuantity ?? 1));
   }
 
-  // Scale quantity based on target days vs typical interval
-  const scaleFactor = targetDays / intervals.avg_interval;
-  const scaledQuantity = avgQuantity * scaleFactor;
+  const needed = consumptionRate * (daysUntilDelivery + safetyDays) - (stockOnHand ?? 0);
+
+  // It's being recommended, so at least one
+  return Math.max(1, Math.round(needed));
+}
+
+/**
+ * Gather what's shared by every item's analysis: list feedback, seasonal profiles
+ * and the date forecasts start from
+ * Only reads recorded list outcomes; matching lists to new orders is left to the caller
+ * @param {Object} options - As for generatePatternSummary
+ * @returns {Object} { before, feedback: Map, profiles: Map, today, thresholds }
+ */
+export function createAnalysisContext(db, options = {}) {
+  const { before = null, feedback: useFeedback = true, seasonality = true, forecastFrom = null, ...thresholds } = options;
 
-  // Round to sensible values
-  if (scaledQuantity < 1) return 1;
-  if (scaledQuantity < 3) return Math.round(scaledQuantity);
-  // Round to nearest even number for larger quantities
-  return Math.round(scaledQuantity / 2) * 2;
+  return {
+    before,
+    feedback: useFeedback ? loadFeedback(db) : new Map(),
+    profiles: seasonality ? buildSeasonalProfiles(db, { before }) : new Map(),
+    today: forecastFrom ?? (before ? new Date(before) : new Date()),
+    thresholds
+  };
+}
+
+/**
+ * Analyse one classified item (with days_since_last_purchase)
+ * @param {Object} context - From createAnalysisContext
+ * @returns {Object} { intervals, feedback, profile, season, confidence: from scoreConfidence,
+ *   decision: from decideItemNeed, stockOnHand, recommendedQuantity, tier: from classifyItems }
+ */
+export function analyzeItem(item, db, targetDays, context) {
+  const { before, today, thresholds } = context;
+  const key = item.product_name.toLowerCase();
+
+  const intervals = calculatePurchaseIntervals(db, item.product_name, { ...thresholds, before });
+  const feedback = context.feedback.get(key) ?? null;
+  const profile = context.profiles.get(key) ?? null;
+  const season = profile ? getSeasonStatus(profile, today, targetDays) : null;
+  const stockOnHand = estimateStockOnHand(intervals.last_quantity, intervals.consumption_rate, item.days_since_last_purchase);
+  const usage = { consumptionRate: intervals.consumption_rate, stockOnHand, avgQuantity: intervals.avg_quantity ?? item.avg_quantity };
+
+  return {
+    intervals,
+    feedback,
+    profile,
+    season,
+    confidence: scoreConfidence(item, intervals, feedback, thresholds),
+    decision: decideItemNeed(item, intervals, targetDays, feedback, { ...thresholds, season }),
+    stockOnHand,
+    recommendedQuantity: calculateRecommendedQuantity(usage, targetDays, thresholds),
+    tier: item.tier ?? null
+  };
 }
 
 /**
  * Generate aggregated pattern data for Claude API
  * Returns a JSON structure summarizing purchase patterns
+ * Seasonal items are held back out of season and suggested at the start of their season
+ * @param {Object} options - Threshold overrides (see ANALYZER_DEFAULTS), plus
+ *   before: only use orders before this date; feedback: false to ignore list outcomes;
+ *   seasonality: false to ignore the time of year; includeEvents: use event and holiday orders;
+ *   forecastFrom: date the list starts from, e.g. a booked delivery (default: before, or today)
  */
-export function generatePatternSummary(classifiedItems, db, targetDays = 7) {
+export function generatePatternSummary(classifiedItems, db, targetDays = 7, options = {}) {
+  const context = createAnalysisContext(db, options);
   const regularItems = [];
   const infrequentItems = [];
 
   for (const item of classifiedItems) {
     if (item.classification === 'one-off') continue;
 
-    const intervals = calculatePurchaseIntervals(db, item.product_name);
-    const confidence = calculateConfidence(item, intervals);
-    const isNeeded = predictItemNeed(item, intervals, targetDays);
+    const { intervals, profile, season, confidence, decision, stockOnHand, recommendedQuantity, tier } = analyzeItem(item, db, targetDays, context);
+    const isNeeded = decision.needed;
 
+    // Weighted figures drive predictions; raw averages are shown alongside for comparison
     const itemData = {
       name: item.product_name,
+      tier,
       avgFrequencyDays: intervals.avg_interval,
-      avgQuantity: item.avg_quantity,
+      rawAvgFrequencyDays: intervals.raw_avg_interval,
+      avgQuantity: roundTo(intervals.avg_quantity ?? item.avg_quantity),
+      rawAvgQuantity: roundTo(item.avg_quantity),
+      consumptionPerDay: intervals.consumption_rate === null ? null : roundTo(intervals.consumption_rate, 3),
+      estimatedStock: stockOnHand === null ? null : roundTo(stockOnHand, 1),
+      recommendedQuantity,
+      // A seasonal item's off-season gap isn't a change of habit
+      ...(intervals.change_point && !profile ? {
+        habitChange: {
+          since: intervals.change_point.date,
+          fromDays: intervals.change_point.before_avg_interval,
+          toDays: intervals.change_point.after_avg_interval
+        }
+      } : {}),
+      ...(season?.inSeason ? {
+        season: {
+          months: formatSeasonMonths(profile.seasonMonths),
+          boughtThisSeason: item.days_since_last_purchase <= season.daysIntoSeason
+        }
+      } : {}),
       lastPurchased: item.last_purchase_date,
       daysSinceLastPurchase: item.days_since_last_purchase,
-      confidence,
+      confidence: confidence.confidence,
       isNeeded
     };
 
@@ -234,7 +515,7 @@ export function analyzeShoppingPatterns(db, options = {}) {
   // Import database functions
   import('./database.js').then(({ getItemFrequency }) => {
     const frequency = getItemFrequency(db, { minOrders });
-    const classified = classifyItems(frequency);
+    const classified = classifyItems(frequency, db);
     const withDays = calculateDaysSinceLastPurchase(classified);
     const summary = generatePatternSummary(withDays, db, targetDays);
 
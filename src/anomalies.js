@@ -0,0 +1,144 @@
+/**
+ * Anomaly detection
+ * Spots orders that don't look like the usual shop (a Christmas or birthday
+ * party order) and line quantities far above what's normally bought, so they
+ * can be tagged and left out of pattern maths
+ */
+
+import { getOrderSummaries, getOrderBaskets } from './database.js';
+import { formatCurrency } from './utils.js';
+
+// Modified z-score (median and MAD based) above which a value is an outlier
+const OUTLIER_Z = 3.5;
+
+// With no spread at all in the usual values, a value this many times the median is an outlier
+const FLAT_RATIO = 3;
+
+// Orders (or purchases of a product) needed before anything can look unusual
+const MIN_HISTORY = 5;
+
+// Products bought in at most this many other orders count as rarely bought
+const RARE_ORDERS = 1;
+
+// Share of an order's products that must be rarely bought for its composition to stand out
+const MIN_RARE_SHARE = 0.4;
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Whether a value is unusually high compared with others
+ * Uses the modified z-score, which one big order can't skew the way it skews a mean
+ * @returns {boolean}
+ */
+export function isHighOutlier(value, values) {
+  const middle = median(values);
+  const spread = median(values.map(v => Math.abs(v - middle)));
+
+  if (spread === 0) {
+    return value > middle && value >= middle * FLAT_RATIO;
+  }
+
+  return (0.6745 * (value - middle)) / spread > OUTLIER_Z;
+}
+
+/**
+ * Find orders unusual in size, spend or what was in them
+ * @returns {Array} [{ order_id, order_number, order_date, tag, reasons: [text] }] oldest first
+ */
+export function detectOrderAnomalies(db) {
+  const orders = getOrderSummaries(db);
+  if (orders.length < MIN_HISTORY) return [];
+
+  // How many orders each product was in, to judge how unusual an order's contents are
+  const baskets = getOrderBaskets(db, { includeEvents: true });
+  const orderCounts = new Map();
+  for (const basket of baskets) {
+    for (const item of basket.items) {
+      orderCounts.set(item.product_name, (orderCounts.get(item.product_name) ?? 0) + 1);
+    }
+  }
+  const rareShare = new Map(baskets.map(basket => [
+    basket.order_id,
+    basket.items.filter(item => orderCounts.get(item.product_name) - 1 <= RARE_ORDERS).length / basket.items.length
+  ]));
+
+  const lines = orders.map(o => o.line_count);
+  const units = orders.map(o => o.units);
+  const spends = orders.filter(o => o.spend !== null).map(o => o.spend);
+  const shares = orders.map(o => rareShare.get(o.id) ?? 0);
+
+  const anomalies = [];
+  for (const order of orders) {
+    const reasons = [];
+
+    if (isHighOutlier(order.line_count, lines)) {
+      reasons.push(`${order.line_count} lines (usually ${Math.round(median(lines))})`);
+    }
+    if (isHighOutlier(order.units, units)) {
+      reasons.push(`${order.units} items (usually ${Math.round(median(units))})`);
+    }
+    if (order.spend !== null && spends.length >= MIN_HISTORY && isHighOutlier(order.spend, spends)) {
+      reasons.push(`${formatCurrency(order.spend)} spent (usually ${formatCurrency(median(spends))})`);
+    }
+
+    const share = rareShare.get(order.id) ?? 0;
+    if (share >= MIN_RARE_SHARE && isHighOutlier(share, shares)) {
+      reasons.push(`${Math.round(share * 100)}% of products rarely bought otherwise`);
+    }
+
+    if (reasons.length > 0) {
+      anomalies.push({
+        order_id: order.id,
+        order_number: order.order_number,
+        order_date: order.order_date,
+        tag: order.tag,
+        reasons
+      });
+    }
+  }
+
+  return anomalies;
+}
+
+/**
+ * Find line quantities far above what's usually bought of that product
+ * @returns {Array} [{ order_id, order_number, order_date, tag, product_name, quantity, usual_quantity }] oldest first
+ */
+export function detectQuantityOutliers(db) {
+  const orders = new Map(getOrderSummaries(db).map(order => [order.id, order]));
+
+  const purchases = new Map();
+  for (const basket of getOrderBaskets(db, { includeEvents: true })) {
+    for (const item of basket.items) {
+      if (!purchases.has(item.product_name)) purchases.set(item.product_name, []);
+      purchases.get(item.product_name).push({ order_id: basket.order_id, quantity: item.quantity });
+    }
+  }
+
+  const outliers = [];
+  for (const [productName, bought] of purchases) {
+    if (bought.length < MIN_HISTORY) continue;
+
+    const quantities = bought.map(p => p.quantity);
+    for (const purchase of bought) {
+      if (isHighOutlier(purchase.quantity, quantities)) {
+        const order = orders.get(purchase.order_id);
+        outliers.push({
+          order_id: purchase.order_id,
+          order_number: order.order_number,
+          order_date: order.order_date,
+          tag: order.tag,
+          product_name: productName,
+          quantity: purchase.quantity,
+          usual_quantity: median(quantities)
+        });
+      }
+    }
+  }
+
+  return outliers.sort((a, b) => a.order_date.localeCompare(b.order_date) || a.product_name.localeCompare(b.product_name));
+}
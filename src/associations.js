@@ -0,0 +1,226 @@
+/**
+ * Association rules
+ * Market-basket analysis over past orders: finds items bought together
+ * (pasta → parmesan) so a list with one gets the other suggested too
+ */
+
+import { getOrderBaskets, findProduct, getItemFrequency } from './database.js';
+import { classifyItems, calculateDaysSinceLastPurchase, createAnalysisContext, analyzeItem } from './analyzer.js';
+
+export const ASSOCIATION_DEFAULTS = {
+  minOrders: 3,         // Orders a set of items must appear in together
+  minConfidence: 0.6,   // Share of orders with the first items that also had the suggested one
+  minLift: 1.2,         // How much likelier the suggested item is with the first items than without
+  maxItems: 3           // Largest set of items in a rule (first items plus the suggested one)
+};
+
+// Most items to add to a list from association rules
+const MAX_SUGGESTIONS = 5;
+
+// Analyzer decisions that keep an item off a list, however often it's bought with items on it
+const HELD_BACK_RULES = new Set(['rejected', 'out-of-season', 'not-due']);
+
+/**
+ * Find association rules in order baskets
+ * A rule says orders with every item in `antecedent` usually also had `consequent`.
+ * support: share of all orders with the whole set; confidence: share of orders with the
+ * antecedent that also had the consequent; lift: confidence over the consequent's own share
+ * @param {Array} baskets - From getOrderBaskets
+ * @param {Object} options - Overrides for ASSOCIATION_DEFAULTS
+ * @returns {Array} [{ antecedent: [names], consequent, orders, support, confidence, lift }]
+ *   strongest first
+ */
+export function mineAssociationRules(baskets, options = {}) {
+  const { minOrders, minConfidence, minLift, maxItems } = { ...ASSOCIATION_DEFAULTS, ...options };
+  const totalOrders = baskets.length;
+  if (totalOrders === 0) return [];
+
+  // For each item, a bitmap of the orders it was in; a set's orders are the AND of its items'
+  const words = Math.ceil(totalOrders / 32);
+  const orderBits = new Map();
+  baskets.forEach((basket, order) => {
+    for (const { product_name } of basket.items) {
+      if (!orderBits.has(product_name)) orderBits.set(product_name, new Uint32Array(words));
+      orderBits.get(product_name)[order >> 5] |= 1 << (order & 31);
+    }
+  });
+
+  const names = [...orderBits.keys()].filter(name => countBits(orderBits.get(name)) >= minOrders).sort();
+  const singles = names.map(name => orderBits.get(name));
+
+  // Common sets, grown one later item at a time (a set can only be common if its smaller sets are)
+  const counts = new Map(names.map((_, id) => [String(id), countBits(singles[id])]));
+  const sets = [];
+
+  const grow = (ids, bits) => {
+    for (let next = ids[ids.length - 1] + 1; next < names.length; next++) {
+      const together = new Uint32Array(words);
+      for (let w = 0; w < words; w++) together[w] = bits[w] & singles[next][w];
+
+      const count = countBits(together);
+      if (count < minOrders) continue;
+
+      const grown = [...ids, next];
+      counts.set(grown.join(','), count);
+      sets.push(grown);
+      if (grown.length < maxItems) grow(grown, together);
+    }
+  };
+  singles.forEach((bits, id) => grow([id], bits));
+
+  const rules = [];
+  for (const set of sets) {
+    const together = counts.get(set.join(','));
+    for (const consequent of set) {
+      const antecedent = set.filter(id => id !== consequent);
+      const confidence = together / counts.get(antecedent.join(','));
+      const lift = confidence / (counts.get(String(consequent)) / totalOrders);
+      if (confidence < minConfidence || lift < minLift) continue;
+
+      // Skip rules no more confident than with an item fewer first (Milk + Pasta → Parmesan
+      // says nothing Pasta → Parmesan doesn't)
+      const redundant = antecedent.length > 1 && antecedent.some(skip => {
+        const smaller = antecedent.filter(id => id !== skip);
+        const withConsequent = [...smaller, consequent].sort((a, b) => a - b);
+        return counts.get(withConsequent.join(',')) / counts.get(smaller.join(',')) >= confidence;
+      });
+
+      if (redundant) continue;
+
+      rules.push({
+        antecedent: antecedent.map(id => names[id]),
+        consequent: names[consequent],
+        orders: together,
+        support: together / totalOrders,
+        confidence,
+        lift
+      });
+    }
+  }
+
+  return rules.sort((a, b) =>
+    b.lift - a.lift ||
+    b.confidence - a.confidence ||
+    b.orders - a.orders ||
+    a.antecedent.length - b.antecedent.length ||
+    a.consequent.localeCompare(b.consequent)
+  );
+}
+
+/**
+ * Number of set bits in a bitmap
+ */
+function countBits(bits) {
+  let count = 0;
+  for (let value of bits) {
+    while (value) {
+      value &= value - 1;
+      count++;
+    }
+  }
+  return count;
+}
+
+/**
+ * Find items missing from a list that are usually bought with items on it
+ * @param {Array} rules - From mineAssociationRules
+ * @param {Array<string>} listNames - Product names on the list
+ * @returns {Array} [{ product_name, rule }] most confident first, one rule per item
+ */
+export function suggestAssociatedItems(rules, listNames) {
+  const onList = new Set(listNames.map(name => name.toLowerCase()));
+  const best = new Map();
+
+  for (const rule of rules) {
+    const key = rule.consequent.toLowerCase();
+    if (onList.has(key)) continue;
+    if (!rule.antecedent.every(name => onList.has(name.toLowerCase()))) continue;
+
+    const current = best.get(key);
+    if (!current || rule.confidence > current.confidence || (rule.confidence === current.confidence && rule.lift > current.lift)) {
+      best.set(key, rule);
+    }
+  }
+
+  return [...best.values()]
+    .sort((a, b) => b.confidence - a.confidence || a.consequent.localeCompare(b.consequent))
+    .map(rule => ({ product_name: rule.consequent, rule }));
+}
+
+/**
+ * Explain a suggestion: "Usually also bought with Pasta (bought together in 85% of orders)"
+ */
+export function formatAssociationReason(rule) {
+  const names = rule.antecedent.length === 1
+    ? rule.antecedent[0]
+    : `${rule.antecedent.slice(0, -1).join(', ')} and ${rule.antecedent[rule.antecedent.length - 1]}`;
+
+  return `Usually also bought with ${names} (bought together in ${Math.round(rule.confidence * 100)}% of orders)`;
+}
+
+/**
+ * Names of items the analyzer holds back: turned down too often, out of season or not yet due
+ * @param {Array<string>} names - Product names to check
+ * @param {Object} options - { daysCoverage, includeEvents, forecastFrom }
+ * @returns {Set<string>} Held-back names, lower-cased
+ */
+function findHeldBackItems(db, names, options) {
+  const { daysCoverage, includeEvents, forecastFrom } = options;
+  const wanted = new Set(names.map(name => name.toLowerCase()));
+  const frequency = getItemFrequency(db, { minOrders: 1, includeEvents })
+    .filter(item => wanted.has(item.product_name.toLowerCase()));
+
+  const classified = classifyItems(frequency, db, { includeEvents });
+  const context = createAnalysisContext(db, { includeEvents, forecastFrom });
+
+  return new Set(calculateDaysSinceLastPurchase(classified, context.today)
+    .filter(item => HELD_BACK_RULES.has(analyzeItem(item, db, daysCoverage, context).decision.rule))
+    .map(item => item.product_name.toLowerCase()));
+}
+
+/**
+ * Add items usually bought with ones already on a list
+ * List items are named as the engine wrote them; catalogue names are used where we can.
+ * Items the analyzer holds back (see findHeldBackItems) aren't suggested, and event and
+ * holiday orders aren't mined unless includeEvents is set
+ * @param {Array} recommendations - [{ item, quantity, classification, reason, confidence }]
+ * @param {Object} options - Overrides for ASSOCIATION_DEFAULTS, plus daysCoverage (default 7),
+ *   includeEvents and forecastFrom (default today), as for the list
+ * @returns {Array} The recommendations followed by any suggested items
+ */
+export function addAssociatedItems(db, recommendations, options = {}) {
+  const { daysCoverage = 7, includeEvents = false, forecastFrom = null, ...thresholds } = options;
+  const baskets = getOrderBaskets(db, { includeEvents });
+  const rules = mineAssociationRules(baskets, thresholds);
+  if (rules.length === 0) return recommendations;
+
+  const listNames = recommendations.map(rec => findProduct(db, rec.item)?.canonical_name ?? rec.item);
+  const candidates = suggestAssociatedItems(rules, listNames);
+  const heldBack = findHeldBackItems(db, candidates.map(s => s.product_name), { daysCoverage, includeEvents, forecastFrom });
+  const suggestions = candidates
+    .filter(s => !heldBack.has(s.product_name.toLowerCase()))
+    .slice(0, MAX_SUGGESTIONS);
+
+  // Usual quantity per order for each suggested item
+  const quantities = new Map();
+  for (const basket of baskets) {
+    for (const item of basket.items) {
+      const total = quantities.get(item.product_name) ?? { quantity: 0, orders: 0 };
+      quantities.set(item.product_name, { quantity: total.quantity + item.quantity, orders: total.orders + 1 });
+    }
+  }
+
+  return [
+    ...recommendations,
+    ...suggestions.map(({ product_name, rule }) => {
+      const usual = quantities.get(product_name);
+      return {
+        item: product_name,
+        quantity: Math.max(1, Math.round(usual.quantity / usual.orders)),
+        classification: 'infrequent',
+        reason: formatAssociationReason(rule),
+        confidence: Math.round(rule.confidence * 100) / 100
+      };
+    })
+  ];
+}
@@ -0,0 +1,86 @@
+/**
+ * Backtesting
+ * Replays order history: for each past order, predicts a list from the orders
+ * before it and compares the prediction with what was actually bought
+ */
+
+import { getItemFrequency, getOrdersChronological, getOrderItems } from './database.js';
+import { classifyItems, calculateDaysSinceLastPurchase, generatePatternSummary } from './analyzer.js';
+import { generateLocalRecommendations } from './local-engine.js';
+import { compareListToOrder, calculateAccuracy } from './feedback.js';
+
+/**
+ * Predict the list we'd have generated on a date, from earlier orders only
+ * Uses the local engine so results are deterministic and free
+ * @param {Object} thresholds - Analyzer overrides (see ANALYZER_DEFAULTS), plus tiers: tier definitions to classify with
+ * @returns {Array} Recommendations
+ */
+export function predictListAsOf(db, date, daysCoverage = 7, thresholds = {}) {
+  const { tiers, ...settings } = thresholds;
+  const frequency = getItemFrequency(db, { minOrders: 2, before: date });
+  const classified = classifyItems(frequency, db, { ...settings, tiers, before: date });
+  const withDays = calculateDaysSinceLastPurchase(classified, new Date(date));
+  const patternSummary = generatePatternSummary(withDays, db, daysCoverage, { ...settings, before: date, feedback: false });
+
+  return generateLocalRecommendations(patternSummary, { daysCoverage }).recommendations;
+}
+
+/**
+ * Compare one prediction with the order that followed
+ * @returns {Object} Outcome counts plus quantity error over items both predicted and bought
+ */
+function scoreOrder(predicted, orderItems) {
+  const outcomes = compareListToOrder(
+    predicted.map(item => ({ product_name: item.item, quantity: item.quantity })),
+    orderItems
+  );
+
+  const count = (outcome) => outcomes.filter(o => o.outcome === outcome).length;
+  const hits = outcomes.filter(o => o.outcome === 'bought' || o.outcome === 'quantity_changed');
+
+  return {
+    predicted: predicted.length,
+    purchased: orderItems.length,
+    bought: count('bought'),
+    quantity_changed: count('quantity_changed'),
+    not_bought: count('not_bought'),
+    unsuggested: count('unsuggested'),
+    quantityError: hits.reduce((sum, o) => sum + Math.abs(o.suggested_quantity - o.ordered_quantity), 0)
+  };
+}
+
+/**
+ * Replay history and measure prediction accuracy
+ * @param {Object} options - { daysCoverage, warmup: orders of history before the first prediction, thresholds }
+ * @returns {Object} { orders: per-order results, precision, recall, quantityMae, exactQuantityRate, ...totals }
+ */
+export function runBacktest(db, options = {}) {
+  const { daysCoverage = 7, warmup = 3, thresholds = {} } = options;
+
+  const history = getOrdersChronological(db);
+  const orders = [];
+
+  for (const order of history.slice(warmup)) {
+    const predicted = predictListAsOf(db, order.order_date, daysCoverage, thresholds);
+    const score = scoreOrder(predicted, getOrderItems(db, [order.id]));
+    orders.push({ order_number: order.order_number, order_date: order.order_date, ...score, ...calculateAccuracy(score) });
+  }
+
+  const totals = orders.reduce((sum, order) => ({
+    bought: sum.bought + order.bought,
+    quantity_changed: sum.quantity_changed + order.quantity_changed,
+    not_bought: sum.not_bought + order.not_bought,
+    unsuggested: sum.unsuggested + order.unsuggested,
+    quantityError: sum.quantityError + order.quantityError
+  }), { bought: 0, quantity_changed: 0, not_bought: 0, unsuggested: 0, quantityError: 0 });
+
+  const hits = totals.bought + totals.quantity_changed;
+
+  return {
+    orders,
+    ...totals,
+    ...calculateAccuracy(totals),
+    quantityMae: hits > 0 ? totals.quantityError / hits : null,
+    exactQuantityRate: hits > 0 ? totals.bought / hits : null
+  };
+}
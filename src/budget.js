@@ -0,0 +1,113 @@
+/**
+ * Budget-constrained list trimming
+ * Estimates list cost from historical unit prices and trims the
+ * least important items until the list fits a budget
+ */
+
+// Items below this confidence can be trimmed even if they're regular
+const LOW_CONFIDENCE_THRESHOLD = 0.6;
+
+/**
+ * Parse a budget string such as "£50", "50" or "49.99"
+ * @returns {number} Budget in pounds
+ */
+export function parseBudget(value) {
+  const amount = parseFloat(String(value).replace(/^£/, '').trim());
+
+  if (isNaN(amount) || amount <= 0 || amount > 10000) {
+    throw new Error('--budget must be an amount between £0 and £10,000');
+  }
+
+  return amount;
+}
+
+/**
+ * Estimate the cost of a list from unit prices
+ * @param {Array} items - Recommendations [{ item, quantity, ... }]
+ * @param {Map} prices - Product name → latest unit price
+ */
+export function estimateListCost(items, prices) {
+  return items.reduce((total, item) => {
+    const price = prices.get(item.item);
+    return price === undefined ? total : total + price * item.quantity;
+  }, 0);
+}
+
+/**
+ * Rank items from most to least important
+ * Regular items before infrequent, then by confidence
+ */
+function rankItems(items) {
+  return [...items].sort((a, b) => {
+    if (a.classification !== b.classification) {
+      return a.classification === 'regular' ? -1 : 1;
+    }
+    return b.confidence - a.confidence;
+  });
+}
+
+/**
+ * Trim a list to fit a budget
+ * Only infrequent or low-confidence items are touched: their quantities are
+ * shrunk first (least important first), then they're dropped. Confident
+ * regular items are never removed, so the result can still be over budget.
+ *
+ * @param {Array} recommendations - Recommendations [{ item, quantity, classification, confidence }]
+ * @param {Map} prices - Product name → latest unit price
+ * @param {number} budget - Budget in pounds
+ * @returns {Object} { items, dropped, reduced, estimatedTotal, unpriced, overBudget }
+ */
+export function fitToBudget(recommendations, prices, budget) {
+  const items = recommendations.map(item => ({ ...item }));
+  const reduced = new Map();
+  const dropped = [];
+
+  const unpriced = items.filter(item => !prices.has(item.item)).map(item => item.item);
+
+  const trimmable = rankItems(items)
+    .filter(item => prices.has(item.item))
+    .filter(item => item.classification !== 'regular' || item.confidence < LOW_CONFIDENCE_THRESHOLD)
+    .reverse(); // Least important first
+
+  let total = estimateListCost(items, prices);
+
+  // Pass 1: shrink quantities one unit at a time
+  for (const item of trimmable) {
+    while (total > budget && item.quantity > 1) {
+      if (!reduced.has(item.item)) {
+        reduced.set(item.item, { item: item.item, from: item.quantity, to: item.quantity });
+      }
+      item.quantity--;
+      total -= prices.get(item.item);
+      reduced.get(item.item).to = item.quantity;
+    }
+    if (total <= budget) break;
+  }
+
+  // Pass 2: drop whole items
+  for (const item of trimmable) {
+    if (total <= budget) break;
+
+    total -= prices.get(item.item) * item.quantity;
+
+    // Report the quantity originally suggested, not the shrunk one
+    const originalQuantity = reduced.get(item.item)?.from ?? item.quantity;
+    dropped.push({
+      ...item,
+      quantity: originalQuantity,
+      estimatedCost: prices.get(item.item) * originalQuantity
+    });
+    reduced.delete(item.item);
+  }
+
+  const droppedNames = new Set(dropped.map(item => item.item));
+
+  return {
+    items: items.filter(item => !droppedNames.has(item.item)),
+    dropped,
+    reduced: [...reduced.values()],
+    estimatedTotal: total,
+    unpriced,
+    overBudget: total > budget
+  };
+}
@@ -0,0 +1,42 @@
+/**
+ * Product categories
+ * Keyword-based grouping of product names for spend reporting
+ */
+
+const CATEGORY_KEYWORDS = [
+  ['Tea & Coffee', ['coffee', 'espresso', 'cafetiere', 'nespresso', 'tea bags', 'teabags', 'earl grey', 'green tea']],
+  ['Baby & Child', ['nappies', 'nappy', 'baby', 'wipes', 'infant', 'toddler']],
+  ['Pet', ['cat food', 'dog food', 'kitten', 'puppy', 'cat litter']],
+  ['Household', ['washing up', 'laundry', 'detergent', 'bin bags', 'kitchen roll', 'toilet roll', 'toilet tissue', 'foil', 'cling film', 'bleach', 'cleaner', 'dishwasher', 'sponge', 'charcoal']],
+  ['Toiletries & Health', ['shampoo', 'conditioner', 'toothpaste', 'toothbrush', 'deodorant', 'shower gel', 'soap', 'paracetamol', 'ibuprofen', 'plasters', 'vitamins']],
+  ['Drinks', ['wine', 'beer', 'lager', 'cider', 'prosecco', 'champagne', 'gin', 'whisky', 'vodka', 'juice', 'squash', 'sparkling water', 'mineral water', 'cola', 'lemonade', 'tonic']],
+  ['Frozen', ['frozen', 'ice cream', 'ice lolly', 'lollies', 'sorbet']],
+  ['Dairy & Eggs', ['milk', 'cheese', 'cheddar', 'parmesan', 'mozzarella', 'yogurt', 'yoghurt', 'butter', 'cream', 'eggs', 'creme fraiche', 'kefir']],
+  ['Meat & Fish', ['chicken', 'beef', 'pork', 'lamb', 'steak', 'mince', 'bacon', 'sausage', 'ham', 'turkey', 'salmon', 'cod', 'haddock', 'prawns', 'tuna', 'fish']],
+  ['Bakery', ['bread', 'loaf', 'sourdough', 'baguette', 'croissant', 'bagel', 'muffin', 'crumpet', 'wrap', 'pitta', 'rolls', 'mince pies', 'cake']],
+  ['Fruit & Veg', ['apple', 'banana', 'orange', 'lemon', 'lime', 'berries', 'blueberries', 'strawberries', 'raspberries', 'grapes', 'avocado', 'melon', 'pear', 'rocket', 'spinach', 'lettuce', 'salad', 'tomato', 'cucumber', 'pepper', 'onion', 'garlic', 'potato', 'carrot', 'broccoli', 'courgette', 'mushroom', 'leek', 'kale', 'herbs', 'basil', 'coriander']],
+  ['Food Cupboard', ['pasta', 'spaghetti', 'rice', 'noodles', 'flour', 'sugar', 'oil', 'vinegar', 'sauce', 'stock', 'beans', 'lentils', 'chickpeas', 'cereal', 'granola', 'oats', 'porridge', 'jam', 'honey', 'peanut butter', 'crisps', 'biscuits', 'chocolate', 'nuts', 'tinned', 'soup', 'spice', 'salt']]
+];
+
+export const UNCATEGORISED = 'Other';
+
+// Longest keywords first, so "peanut butter" beats "butter" and "mince pies" beats "mince"
+const KEYWORD_INDEX = CATEGORY_KEYWORDS
+  .flatMap(([category, keywords]) => keywords.map(keyword => [keyword, category]))
+  .sort((a, b) => b[0].length - a[0].length);
+
+/**
+ * Guess a product's category from its name
+ * Keywords match at the start of a word: "Waitrose Ground Coffee 227g" → "Tea & Coffee"
+ */
+export function categorizeProduct(productName) {
+  const name = ` ${productName.toLowerCase().replace(/[^a-z0-9]+/g, ' ')} `;
+
+  for (const [keyword, category] of KEYWORD_INDEX) {
+    if (name.includes(` ${keyword}`)) {
+      return category;
+    }
+  }
+
+  return UNCATEGORISED;
+}
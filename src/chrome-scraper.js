@@ -3,9 +3,12 @@
  * This integrates with the existing Chrome automation tools
  */
 
-import { insertOrder, insertOrderItems } from './database.js';
-import { parseOrdersFromText, parseDateString } from './order-parser.js';
+import { importOrders, filterExistingOrders } from './database.js';
+import { parseOrdersFromText, parseOrderDetailFromText, parseOrderTotalsFromText, parseDeliverySlotFromText } from './order-parser.js';
 import { sleep, waitForEnter } from './utils.js';
+import { matchListsToOrders } from './feedback.js';
+
+const ORDER_HISTORY_URL = 'https://www.waitrose.com/ecom/my-account/order-history';
 
 // These are the MCP tool functions (will be passed in from CLI)
 let chromeTools = null;
@@ -17,6 +20,21 @@ export function initializeScraper(tools) {
   chromeTools = tools;
 }
 
+/**
+ * Get the first open Chrome tab, creating one if none exist
+ */
+async function getActiveTabId(chromeTools) {
+  const context = await chromeTools.tabs_context_mcp({ createIfEmpty: true });
+  const tabs = context.tabs || [];
+
+  if (tabs.length === 0) {
+    const newTab = await chromeTools.tabs_create_mcp({});
+    return newTab.tabId;
+  }
+
+  return tabs[0].id;
+}
+
 /**
  * Smart wait for order history page to load
  * Polls for order content indicators instead of hardcoded sleep
@@ -42,34 +60,108 @@ async function waitForOrderHistoryLoad(chromeTools, tabId, maxWait = 5000) {
   return false;
 }
 
+/**
+ * Smart wait for an order detail page to load
+ * Polls for line item quantities or the order number before reading the page
+ */
+async function waitForOrderDetailLoad(chromeTools, tabId, orderNumber, maxWait = 5000) {
+  const startTime = Date.now();
+
+  while (Date.now() - startTime < maxWait) {
+    const snapshot = await chromeTools.read_page({ tabId });
+    const pageText = snapshot.text || '';
+
+    if (/\b(?:Qty|Quantity)\b/.test(pageText) || pageText.includes(`#${orderNumber}`)) {
+      return true;
+    }
+
+    await sleep(200);  // Poll every 200ms
+  }
+
+  console.warn(`⚠️  Order #${orderNumber} page load timeout reached (5s), continuing...`);
+  return false;
+}
+
+/**
+ * Scrape the line items, totals and delivery slot for a single order from its detail page
+ * Returns {
+ *   items: [{ product_name, size, quantity, unit_price, line_total, substitution }],
+ *   totals: { subtotal, savings, delivery_charge, order_total },
+ *   slot: { start, end } or null
+ * }
+ */
+export async function scrapeOrderDetail(chromeTools, tabId, orderNumber) {
+  await chromeTools.navigate({
+    tabId,
+    url: `${ORDER_HISTORY_URL}/${orderNumber}`
+  });
+
+  await waitForOrderDetailLoad(chromeTools, tabId, orderNumber);
+
+  const pageText = await chromeTools.get_page_text({ tabId });
+
+  return {
+    items: parseOrderDetailFromText(pageText),
+    totals: parseOrderTotalsFromText(pageText),
+    slot: parseDeliverySlotFromText(pageText)
+  };
+}
+
+/**
+ * Fetch line items for each order by visiting its detail page
+ * Failures are recorded per order (order.error) rather than aborting the batch
+ * @param {Object} chromeTools - Chrome MCP tools
+ * @param {Array} orders - Orders from the history page ({ order_number, order_date })
+ * @param {Object} options - { tabId, onProgress }
+ * @returns {Promise<Array>} Orders with `items`, `totals` and `slot` populated
+ */
+export async function fetchOrderDetails(chromeTools, orders, options = {}) {
+  const { onProgress = null } = options;
+  const tabId = options.tabId ?? await getActiveTabId(chromeTools);
+  const detailed = [];
+
+  for (let i = 0; i < orders.length; i++) {
+    const order = orders[i];
+
+    if (onProgress) {
+      onProgress({
+        step: 'details',
+        current: i + 1,
+        total: orders.length,
+        message: `Fetching order ${i + 1}/${orders.length} (#${order.order_number})`
+      });
+    }
+
+    try {
+      const { items, totals, slot } = await scrapeOrderDetail(chromeTools, tabId, order.order_number);
+      detailed.push({ ...order, items, totals, slot });
+    } catch (error) {
+      console.warn(`⚠️  Failed to fetch items for order ${order.order_number}:`, error.message);
+      detailed.push({ ...order, items: [], error: error.message });
+    }
+  }
+
+  return detailed;
+}
+
 /**
  * Extract order metadata without full scraping
  * Returns order numbers and dates only (no item details)
  * Used by detection workflow for fast new order discovery
  */
 export async function extractOrderMetadata(chromeTools, maxOrders = 50, onProgress = null) {
-  let tabId = null;
-
   try {
     // Step 1: Get or create Chrome tab context
     if (onProgress) onProgress({ step: 'init', message: 'Initializing Chrome...' });
 
-    const context = await chromeTools.tabs_context_mcp({ createIfEmpty: true });
-    const tabs = context.tabs || [];
-
-    if (tabs.length === 0) {
-      const newTab = await chromeTools.tabs_create_mcp({});
-      tabId = newTab.tabId;
-    } else {
-      tabId = tabs[0].id;
-    }
+    const tabId = await getActiveTabId(chromeTools);
 
     // Step 2: Navigate to Waitrose order history
     if (onProgress) onProgress({ step: 'navigate', message: 'Navigating to Waitrose...' });
 
     await chromeTools.navigate({
       tabId,
-      url: 'https://www.waitrose.com/ecom/my-account/order-history'
+      url: ORDER_HISTORY_URL
     });
 
     console.log('📍 Navigated to Waitrose order history page');
@@ -144,7 +236,7 @@ export async function scrapeWaitroseOrders(db, options = {}) {
 
     await chromeTools.navigate({
       tabId,
-      url: 'https://www.waitrose.com/ecom/my-account/order-history'
+      url: ORDER_HISTORY_URL
     });
 
     console.log('📍 Navigated to Waitrose order history page');
@@ -175,14 +267,25 @@ export async function scrapeWaitroseOrders(db, options = {}) {
 
     console.log('🔍 Analyzing order history page...\n');
 
-    const orders = await extractOrdersFromPage(tabId, maxOrders, onProgress);
+    const extractedOrders = await extractOrdersFromPage(tabId, maxOrders, onProgress);
+    const newOrders = filterExistingOrders(db, extractedOrders);
+
+    console.log(`\n✅ Found ${extractedOrders.length} orders (${newOrders.length} new)\n`);
+
+    // Step 5: Visit each new order's detail page for its line items
+    if (onProgress) onProgress({ step: 'details', message: 'Fetching order details...' });
 
-    console.log(`\n✅ Found ${orders.length} orders\n`);
+    const orders = await fetchOrderDetails(chromeTools, newOrders, { tabId, onProgress });
 
-    // Step 5: Save to database
+    // Step 6: Save to database
     if (onProgress) onProgress({ step: 'save', message: 'Saving to database...' });
 
-    const result = await saveOrdersToDatabase(db, orders, onProgress);
+    const result = saveOrdersToDatabase(db, orders, onProgress);
+
+    // Record how saved lists compared with the orders that followed them
+    if (result.savedCount > 0) {
+      matchListsToOrders(db);
+    }
 
     console.log(`\n📊 Results:`);
     console.log(`   Saved: ${result.savedCount} orders`);
@@ -228,42 +331,40 @@ async function extractOrdersFromPage(tabId, maxOrders, onProgress) {
 }
 
 /**
- * Save orders to database
+ * Save orders to database with importOrders, the same path order detection uses
+ * Failed and empty orders are left out so the next scrape picks them up again
  */
-async function saveOrdersToDatabase(db, orders, onProgress) {
-  let savedCount = 0;
-  let skippedCount = 0;
-  let totalItems = 0;
+function saveOrdersToDatabase(db, orders, onProgress) {
+  let results;
 
-  for (let i = 0; i < orders.length; i++) {
-    const order = orders[i];
-
-    try {
-      // Insert order
-      const orderId = insertOrder(db, {
-        order_number: order.order_number,
-        order_date: order.order_date
-      });
+  try {
+    results = importOrders(db, orders);
+  } catch (error) {
+    // Transaction rolled back - nothing from this batch was saved
+    console.warn(`⚠️  Failed to save orders: ${error.message}`);
+    results = orders.map(order => ({ order_number: order.order_number, status: 'failed', itemCount: 0, error: error.message }));
+  }
 
-      // Insert items
-      insertOrderItems(db, orderId, order.items);
+  for (const r of results) {
+    if (r.status !== 'imported') {
+      console.warn(`⚠️  Skipping order ${r.order_number}: ${r.error || 'no items found'}`);
+    }
+  }
 
-      totalItems += order.items.length;
-      savedCount++;
+  const saved = results.filter(r => r.status === 'imported');
 
-      if (onProgress) {
-        onProgress({
-          step: 'save',
-          current: i + 1,
-          total: orders.length,
-          message: `Saving order ${i + 1}/${orders.length}`
-        });
-      }
-    } catch (error) {
-      console.warn(`⚠️  Failed to save order ${order.order_number}:`, error.message);
-      skippedCount++;
-    }
+  if (onProgress) {
+    onProgress({
+      step: 'save',
+      current: saved.length,
+      total: orders.length,
+      message: `Saved ${saved.length}/${orders.length} orders`
+    });
   }
 
-  return { savedCount, skippedCount, totalItems };
+  return {
+    savedCount: saved.length,
+    skippedCount: results.length - saved.length,
+    totalItems: saved.reduce((sum, r) => sum + r.itemCount, 0)
+  };
 }
@@ -1,66 +1,188 @@
 /**
- * Claude API client for shopping list generation
+ * LLM client for shopping list generation
+ * Talks to whichever provider is configured (Claude by default)
  */
 
-import Anthropic from '@anthropic-ai/sdk';
-import dotenv from 'dotenv';
+import { createProvider } from './llm-providers.js';
 
-dotenv.config();
+const CLASSIFICATIONS = ['regular', 'infrequent'];
 
-// Initialize Anthropic client
-const client = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY,
-});
-
-const MODEL = 'claude-sonnet-4-5-20250929';
-const MAX_TOKENS = 2048;
+// The model returns its list by calling this tool, so the response is structured JSON
+export const RECOMMENDATIONS_TOOL = {
+  name: 'submit_shopping_list',
+  description: 'Submit the recommended shopping list',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      recommendations: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            item: { type: 'string', description: 'Item name exactly as it appears in the purchase patterns' },
+            quantity: { type: 'integer', minimum: 1 },
+            classification: { type: 'string', enum: CLASSIFICATIONS },
+            reason: { type: 'string', description: 'Brief explanation' },
+            confidence: { type: 'number', minimum: 0, maximum: 1 }
+          },
+          required: ['item', 'quantity', 'classification', 'reason', 'confidence']
+        }
+      }
+    },
+    required: ['recommendations']
+  }
+};
 
 /**
- * Generate shopping list from pattern data using Claude
+ * Generate shopping list from pattern data using the configured LLM
+ * If nothing usable comes back, the model is asked once more with the problems spelled out
+ * @param {Object} patternSummary - From generatePatternSummary
+ * @param {Object} options - { daysCoverage, provider (default: from config), signal, onRetry, onApiCall }
+ *   signal cancels the request (and any retry wait); onRetry reports each retry;
+ *   onApiCall receives { purpose, provider, model, usage, latencyMs, error } for every call
+ * @returns {Promise<Object>} { recommendations, warnings, usage, model }
  */
 export async function generateShoppingList(patternSummary, options = {}) {
-  const { daysCoverage = 7 } = options;
-
-  if (!process.env.ANTHROPIC_API_KEY) {
-    throw new Error('ANTHROPIC_API_KEY not set in environment');
-  }
+  const { daysCoverage = 7, signal, onRetry, onApiCall } = options;
 
   if (!patternSummary || (!patternSummary.regularItems && !patternSummary.infrequentItems)) {
     throw new Error('No pattern data provided for shopping list generation');
   }
 
-  const prompt = buildShoppingListPrompt(patternSummary, daysCoverage);
+  const provider = options.provider ?? createProvider();
+  const messages = [
+    {
+      role: 'user',
+      content: buildShoppingListPrompt(patternSummary, daysCoverage)
+    }
+  ];
+
+  return runRecommendationRequest(provider, messages, patternSummary, { purpose: 'generate', signal, onRetry, onApiCall });
+}
+
+/**
+ * Regenerate a list with a constraint in plain English
+ * ("no dairy this week", "guests for Saturday dinner, 6 people")
+ * The model sees the current list and earlier constraints, which still apply
+ * @param {Object} patternSummary - From generatePatternSummary
+ * @param {Array} currentList - Recommendations to refine
+ * @param {string} constraint - The new constraint
+ * @param {Object} options - As generateShoppingList, plus { refinements: earlier constraints [{ constraint }] }
+ * @returns {Promise<Object>} { recommendations, warnings, usage, model }
+ */
+export async function refineShoppingList(patternSummary, currentList, constraint, options = {}) {
+  const { daysCoverage = 7, refinements = [], signal, onRetry, onApiCall } = options;
+
+  if (!constraint || !constraint.trim()) {
+    throw new Error('Describe how the list should change, e.g. "no dairy this week"');
+  }
+
+  const provider = options.provider ?? createProvider();
+  const messages = [
+    {
+      role: 'user',
+      content: buildRefinementPrompt(patternSummary, daysCoverage, currentList, refinements, constraint.trim())
+    }
+  ];
+
+  return runRecommendationRequest(provider, messages, patternSummary, { purpose: 'refine', signal, onRetry, onApiCall });
+}
 
+/**
+ * Request recommendations, repair them, and re-prompt once if nothing usable came back
+ */
+async function runRecommendationRequest(provider, messages, patternSummary, { purpose, signal, onRetry, onApiCall }) {
   try {
-    const response = await client.messages.create({
-      model: MODEL,
-      max_tokens: MAX_TOKENS,
-      messages: [
-        {
-          role: 'user',
-          content: prompt
-        }
-      ]
-    });
+    const response = await requestRecommendations(provider, messages, { purpose, signal, onRetry, onApiCall });
+    let result = repairRecommendations(extractRecommendations(response), patternSummary);
+    let usage = response.usage;
+    let model = response.model;
+
+    if (result.recommendations.length === 0) {
+      const retry = await requestRecommendations(provider, [
+        ...messages,
+        { role: 'assistant', content: describeResponse(response) },
+        { role: 'user', content: buildCorrectionPrompt(result.warnings) }
+      ], { purpose: `${purpose}-correction`, signal, onRetry, onApiCall });
 
-    const content = response.content[0].text;
-    const recommendations = parseRecommendations(content);
+      result = repairRecommendations(extractRecommendations(retry), patternSummary);
+      usage = addUsage(usage, retry.usage);
+      model = retry.model;
+
+      if (result.recommendations.length === 0) {
+        throw new Error(`Failed to parse shopping list recommendations: ${result.warnings.join('; ')}`);
+      }
+    }
 
     return {
-      recommendations,
-      usage: response.usage
+      recommendations: result.recommendations,
+      warnings: result.warnings,
+      usage,
+      model
     };
   } catch (error) {
-    if (error.status === 429) {
-      throw new Error('Rate limit exceeded. Please wait a moment and try again.');
+    throw describeProviderError(error, provider);
+  }
+}
+
+/**
+ * Ask the model to call the recommendations tool
+ */
+function requestRecommendations(provider, messages, { purpose, signal, onRetry, onApiCall } = {}) {
+  return completeWithAccounting(provider, {
+    messages,
+    tools: [RECOMMENDATIONS_TOOL],
+    toolChoice: RECOMMENDATIONS_TOOL.name,
+    signal,
+    onRetry
+  }, purpose, onApiCall);
+}
+
+/**
+ * Call the provider, reporting the call's tokens and latency (or failure) to onApiCall
+ */
+async function completeWithAccounting(provider, request, purpose, onApiCall) {
+  const startedAt = Date.now();
+
+  try {
+    const response = await provider.complete(request);
+    if (onApiCall) {
+      onApiCall({ purpose, provider: provider.name, model: response.model, usage: response.usage, latencyMs: Date.now() - startedAt });
     }
-    if (error.status === 401) {
-      throw new Error('Invalid API key. Please check your ANTHROPIC_API_KEY.');
+    return response;
+  } catch (error) {
+    if (onApiCall && !error.cancelled) {
+      onApiCall({ purpose, provider: provider.name, model: provider.model ?? null, usage: null, latencyMs: Date.now() - startedAt, error });
     }
     throw error;
   }
 }
 
+function addUsage(a, b) {
+  return {
+    input_tokens: (a?.input_tokens ?? 0) + (b?.input_tokens ?? 0),
+    output_tokens: (a?.output_tokens ?? 0) + (b?.output_tokens ?? 0)
+  };
+}
+
+/**
+ * Turn HTTP errors from a provider into actionable messages
+ * Only reached once retries are used up (or for errors not worth retrying)
+ */
+function describeProviderError(error, provider) {
+  if (error.status === 429) {
+    return new Error('Rate limit exceeded after retrying. Please wait a moment and try again.');
+  }
+  if (error.status === 529 || error.status >= 500) {
+    return new Error(`The ${provider.name} API is overloaded or unavailable (${error.status}). Please try again shortly.`);
+  }
+  if (error.status === 401) {
+    const keyName = provider.name === 'openai' ? 'OPENAI_API_KEY' : 'ANTHROPIC_API_KEY';
+    return new Error(`Invalid API key. Please check your ${keyName}.`);
+  }
+  return error;
+}
+
 /**
  * Build the prompt for Claude to generate shopping list
  */
@@ -70,19 +192,6 @@ function buildShoppingListPrompt(patternSummary, daysCoverage) {
 Purchase Patterns:
 ${JSON.stringify(patternSummary, null, 2)}
 
-Return a JSON object with this exact structure:
-{
-  "recommendations": [
-    {
-      "item": "item name",
-      "quantity": number,
-      "classification": "regular" | "infrequent",
-      "reason": "brief explanation",
-      "confidence": 0.0-1.0
-    }
-  ]
-}
-
 Focus on:
 1. Items with regular purchase patterns that are due or overdue
 2. Infrequent items if enough time has passed since last purchase
@@ -90,84 +199,200 @@ Focus on:
 4. Exclude obvious one-off purchases (birthday cakes, special occasion items, etc.)
 5. Higher confidence for items with consistent purchase patterns
 
-Return ONLY the JSON object, no additional text.`;
+Submit the list by calling the ${RECOMMENDATIONS_TOOL.name} tool. Each recommendation needs an item name, a whole-number quantity of at least 1, a classification of "regular" or "infrequent", a brief reason, and a confidence between 0 and 1.`;
 }
 
 /**
- * Parse Claude's response to extract recommendations
+ * Build the prompt for refining an existing list
  */
-function parseRecommendations(content) {
-  try {
-    // Try to extract JSON from response
-    // Claude might return markdown code blocks
-    let jsonStr = content;
-
-    // Remove markdown code blocks if present
-    if (content.includes('```json')) {
-      const match = content.match(/```json\s*([\s\S]*?)\s*```/);
-      if (match) {
-        jsonStr = match[1];
-      }
-    } else if (content.includes('```')) {
-      const match = content.match(/```\s*([\s\S]*?)\s*```/);
-      if (match) {
-        jsonStr = match[1];
-      }
+function buildRefinementPrompt(patternSummary, daysCoverage, currentList, refinements, constraint) {
+  const earlier = refinements.length > 0
+    ? `\nConstraints already applied (these still hold):\n${refinements.map(r => `- ${r.constraint}`).join('\n')}\n`
+    : '';
+
+  const list = currentList.map(({ item, quantity, classification, reason, confidence }) =>
+    ({ item, quantity, classification, reason, confidence }));
+
+  return `You are a shopping pattern analyst. You suggested the shopping list below for the next ${daysCoverage} days, based on these purchase patterns.
+
+Purchase Patterns:
+${JSON.stringify(patternSummary, null, 2)}
+
+Current List:
+${JSON.stringify(list, null, 2)}
+${earlier}
+The household has a new constraint:
+"${constraint}"
+
+Revise the list to satisfy the constraint: remove, reduce, increase or add items as needed. Leave items the constraint doesn't affect unchanged. For each item you change or add, say why in its reason.
+
+Submit the complete revised list by calling the ${RECOMMENDATIONS_TOOL.name} tool. Each recommendation needs an item name, a whole-number quantity of at least 1, a classification of "regular" or "infrequent", a brief reason, and a confidence between 0 and 1.`;
+}
+
+/**
+ * Ask again after a response with no usable recommendations
+ */
+function buildCorrectionPrompt(problems) {
+  return `None of those recommendations could be used:
+${problems.map(problem => `- ${problem}`).join('\n')}
+
+Call the ${RECOMMENDATIONS_TOOL.name} tool again with a corrected list.`;
+}
+
+/**
+ * Show the model what it sent last time, for the corrective re-prompt
+ */
+function describeResponse(response) {
+  const call = response.toolCalls?.find(c => c.name === RECOMMENDATIONS_TOOL.name);
+  if (call) {
+    return JSON.stringify(call.input);
+  }
+  return response.text || '(empty response)';
+}
+
+/**
+ * Pull the raw recommendations out of a response
+ * Prefers the tool call; falls back to JSON in the text for models without tool support
+ * @returns {{ items: Array|null, problem: string|null }}
+ */
+function extractRecommendations(response) {
+  const call = response.toolCalls?.find(c => c.name === RECOMMENDATIONS_TOOL.name);
+  let payload = call?.input;
+
+  if (!call) {
+    const text = response.text || '';
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+
+    if (start === -1 || end < start) {
+      return { items: null, problem: 'The response contained no tool call or JSON' };
+    }
+
+    try {
+      payload = JSON.parse(text.slice(start, end + 1));
+    } catch (error) {
+      return { items: null, problem: `The response JSON could not be parsed (${error.message})` };
+    }
+  }
+
+  if (typeof payload === 'string') {
+    return { items: null, problem: 'The tool call arguments were not valid JSON' };
+  }
+
+  if (!Array.isArray(payload?.recommendations)) {
+    return { items: null, problem: 'The response is missing the recommendations array' };
+  }
+
+  return { items: payload.recommendations, problem: null };
+}
+
+/**
+ * Validate recommendations, fixing what can be fixed and dropping the rest
+ * A bad field only costs that item, never the whole list. Quantities, classifications
+ * and confidences the model got wrong are taken from the pattern summary where possible.
+ * @param {{ items, problem }} extracted - From extractRecommendations
+ * @param {Object} patternSummary - The summary the list was generated from
+ * @returns {{ recommendations: Array, warnings: Array<string> }}
+ */
+export function repairRecommendations(extracted, patternSummary = {}) {
+  if (!extracted.items) {
+    return { recommendations: [], warnings: [extracted.problem] };
+  }
+
+  const known = new Map();
+  for (const item of patternSummary.regularItems || []) known.set(item.name.toLowerCase(), { ...item, classification: 'regular' });
+  for (const item of patternSummary.infrequentItems || []) known.set(item.name.toLowerCase(), { ...item, classification: 'infrequent' });
+
+  const recommendations = [];
+  const warnings = [];
+  const seen = new Set();
+
+  extracted.items.forEach((raw, index) => {
+    if (!raw || typeof raw !== 'object') {
+      warnings.push(`Dropped recommendation ${index + 1}: not an object`);
+      return;
     }
 
-    const parsed = JSON.parse(jsonStr.trim());
+    const item = typeof raw.item === 'string' ? raw.item.trim() : '';
+    if (!item) {
+      warnings.push(`Dropped recommendation ${index + 1}: missing item name`);
+      return;
+    }
 
-    if (!parsed.recommendations || !Array.isArray(parsed.recommendations)) {
-      throw new Error('Invalid response format: missing recommendations array');
+    if (seen.has(item.toLowerCase())) {
+      warnings.push(`Dropped duplicate recommendation for ${item}`);
+      return;
     }
 
-    // Validate each recommendation
-    for (const rec of parsed.recommendations) {
-      if (!rec.item || typeof rec.item !== 'string') {
-        throw new Error('Invalid recommendation: missing or invalid item name');
-      }
-      if (typeof rec.quantity !== 'number' || rec.quantity < 1) {
-        throw new Error(`Invalid recommendation for ${rec.item}: invalid quantity`);
-      }
-      if (!['regular', 'infrequent'].includes(rec.classification)) {
-        throw new Error(`Invalid recommendation for ${rec.item}: invalid classification`);
-      }
-      if (typeof rec.confidence !== 'number' || rec.confidence < 0 || rec.confidence > 1) {
-        throw new Error(`Invalid recommendation for ${rec.item}: invalid confidence`);
+    const pattern = known.get(item.toLowerCase());
+
+    let quantity = Number(raw.quantity);
+    if (!Number.isFinite(quantity) || quantity < 1) {
+      quantity = pattern?.recommendedQuantity ?? (pattern ? Math.max(1, Math.round(pattern.avgQuantity)) : 1);
+      warnings.push(`${item}: invalid quantity "${raw.quantity}", using ${quantity}`);
+    } else if (!Number.isInteger(quantity)) {
+      quantity = Math.round(quantity);
+    }
+
+    let classification = typeof raw.classification === 'string' ? raw.classification.trim().toLowerCase() : raw.classification;
+    if (!CLASSIFICATIONS.includes(classification)) {
+      const fixed = pattern?.classification ?? 'infrequent';
+      warnings.push(`${item}: invalid classification "${raw.classification}", using ${fixed}`);
+      classification = fixed;
+    }
+
+    let confidence = typeof raw.confidence === 'string' ? parseFloat(raw.confidence) : raw.confidence;
+    if (typeof confidence === 'number' && confidence > 1 && confidence <= 100) {
+      confidence = confidence / 100;  // A percentage
+    }
+    if (typeof confidence !== 'number' || !(confidence >= 0 && confidence <= 1)) {
+      if (!pattern) {
+        warnings.push(`Dropped ${item}: invalid confidence "${raw.confidence}"`);
+        return;
       }
+      warnings.push(`${item}: invalid confidence "${raw.confidence}", using ${pattern.confidence.toFixed(2)}`);
+      confidence = pattern.confidence;
     }
 
-    return parsed.recommendations;
-  } catch (error) {
-    console.error('Failed to parse Claude response:', content);
-    throw new Error(`Failed to parse shopping list recommendations: ${error.message}`);
+    seen.add(item.toLowerCase());
+    recommendations.push({
+      item,
+      quantity,
+      classification,
+      reason: typeof raw.reason === 'string' ? raw.reason : '',
+      confidence
+    });
+  });
+
+  if (recommendations.length === 0 && warnings.length === 0) {
+    warnings.push('The recommendations array was empty');
   }
+
+  return { recommendations, warnings };
 }
 
 /**
- * Test the Claude API connection
+ * Test the LLM connection
+ * @param {Object} options - { provider (default: from config), onApiCall }
  */
-export async function testConnection() {
-  if (!process.env.ANTHROPIC_API_KEY) {
-    throw new Error('ANTHROPIC_API_KEY not set in environment');
-  }
+export async function testConnection(options = {}) {
+  const provider = options.provider ?? createProvider();
 
   try {
-    const response = await client.messages.create({
-      model: MODEL,
-      max_tokens: 100,
+    const response = await completeWithAccounting(provider, {
+      maxTokens: 100,
       messages: [
         {
           role: 'user',
           content: 'Say "OK" if you can read this.'
         }
       ]
-    });
+    }, 'test-connection', options.onApiCall);
 
     return {
       success: true,
-      model: MODEL,
-      response: response.content[0].text
+      model: response.model,
+      response: response.text
     };
   } catch (error) {
     return {
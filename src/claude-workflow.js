@@ -16,12 +16,16 @@ import { populateBasket } from './basket-automator.js';
  * @param {Object} options - Generation options
  * @param {number} options.daysCoverage - Days to cover (default: 7)
  * @param {boolean} options.addToBasket - Automatically add to basket (default: false, ask user)
+ * @param {string} options.profile - Household profile (default: WAITROSE_PROFILE or "default")
+ * @param {string} options.engine - claude, local or auto (default: claude)
  * @returns {Promise<Object>} Results
  */
 export async function generateAndOptionallyAutomate(chromeTools, options = {}) {
   const {
     daysCoverage = 7,
-    addToBasket = null  // null = ask user, true = auto-add, false = skip
+    addToBasket = null,  // null = ask user, true = auto-add, false = skip
+    profile,
+    engine = 'claude'
   } = options;
 
   console.log(chalk.bold.cyan('\n🛒 Waitrose Shopping List Generator\n'));
@@ -31,7 +35,11 @@ export async function generateAndOptionallyAutomate(chromeTools, options = {}) {
     // Step 1: Generate shopping list
     const result = await generateShoppingListWithOptions({
       daysCoverage,
-      save: true
+      save: true,
+      profile,
+      engine,
+      onRetry: ({ attempt, maxRetries, delayMs, error }) => console.log(chalk.yellow(`⚠️  ${error.message}; retry ${attempt}/${maxRetries} in ${Math.ceil(delayMs / 1000)}s`)),
+      onFallback: (error) => console.log(chalk.yellow(`⚠️  Claude unavailable (${error.message}), using local engine\n`))
     });
 
     const { recommendations, usage, listId, db, orderCount, totalNeeded } = result;
@@ -39,7 +47,13 @@ export async function generateAndOptionallyAutomate(chromeTools, options = {}) {
     // Log stats
     console.log(chalk.blue(`ℹ️  Found ${orderCount} orders in database`));
     console.log(chalk.blue(`ℹ️  Found ${totalNeeded} items likely needed`));
-    console.log(chalk.gray(`ℹ️  Used ${usage.input_tokens} input tokens, ${usage.output_tokens} output tokens\n`));
+    if (result.engine === 'local') {
+      console.log(chalk.gray('ℹ️  Generated offline by the local engine\n'));
+    } else {
+      console.log(chalk.gray(`ℹ️  Used ${usage.input_tokens} input tokens, ${usage.output_tokens} output tokens\n`));
+    }
+
+    (result.warnings || []).forEach(warning => console.log(chalk.yellow(`⚠️  ${warning}`)));
 
     // Display the shopping list
     console.log(formatShoppingList(recommendations));
@@ -1,16 +1,33 @@
 import Database from 'better-sqlite3';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { runMigrations } from './migrations.js';
+import { getActiveProfile, resolveDatabasePath } from './profiles.js';
+import { categorizeProduct } from './categories.js';
+import { listClassifications } from './tiers.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-const DB_PATH = join(__dirname, '..', 'data', 'shopping.db');
+// Order tags; anything but normal is left out of pattern maths by default
+export const ORDER_TAGS = ['normal', 'event', 'holiday'];
 
 /**
- * Initialize database connection and create schema
+ * Initialize database connection and bring the schema up to date
+ * @param {Object} options - Connection options
+ * @param {string} options.profile - Household profile (default: WAITROSE_PROFILE or "default")
+ * @param {string} options.dbPath - Database file, overrides the profile (':memory:' for tests)
+ * @param {boolean} options.migrate - Apply pending migrations (default: true)
  */
-export function initializeDatabase() {
-  const db = new Database(DB_PATH);
+export function initializeDatabase(options = {}) {
+  const {
+    profile = getActiveProfile(),
+    dbPath = resolveDatabasePath(profile),
+    migrate = true
+  } = options;
+
+  if (dbPath !== ':memory:') {
+    mkdirSync(dirname(dbPath), { recursive: true });
+  }
+
+  const db = new Database(dbPath);
 
   // CRITICAL: Enable foreign keys FIRST (before any operations)
   db.pragma('foreign_keys = ON');
@@ -24,76 +41,38 @@ export function initializeDatabase() {
   // Enable WAL mode for better concurrency
   db.pragma('journal_mode = WAL');
 
-  // Create schema
-  db.exec(`
-    -- Orders table
-    CREATE TABLE IF NOT EXISTS orders (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      order_number TEXT UNIQUE NOT NULL,
-      order_date TEXT NOT NULL,
-      scraped_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
-    );
-
-    -- Order items table
-    CREATE TABLE IF NOT EXISTS order_items (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      order_id INTEGER NOT NULL,
-      product_name TEXT NOT NULL,
-      quantity INTEGER NOT NULL,
-      FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE
-    );
-
-    -- Shopping lists table
-    CREATE TABLE IF NOT EXISTS shopping_lists (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      generated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
-      days_coverage INTEGER NOT NULL
-    );
-
-    -- Shopping list items table
-    CREATE TABLE IF NOT EXISTS shopping_list_items (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      list_id INTEGER NOT NULL,
-      product_name TEXT NOT NULL,
-      quantity INTEGER NOT NULL,
-      classification TEXT CHECK(classification IN ('regular', 'infrequent')) NOT NULL,
-      confidence REAL,
-      FOREIGN KEY (list_id) REFERENCES shopping_lists(id) ON DELETE CASCADE
-    );
-
-    -- Sync metadata table for tracking detection runs
-    CREATE TABLE IF NOT EXISTS sync_metadata (
-      key TEXT PRIMARY KEY,
-      last_sync_time TEXT,
-      last_sync_timestamp INTEGER,
-      order_count_at_sync INTEGER,
-      status TEXT CHECK(status IN ('success', 'partial', 'failed'))
-    );
-
-    -- Initialize sync metadata if not exists
-    INSERT OR IGNORE INTO sync_metadata
-    (key, last_sync_time, last_sync_timestamp, order_count_at_sync, status)
-    VALUES ('waitrose_orders', NULL, 0, 0, 'success');
-
-    -- Indexes for performance
-    CREATE INDEX IF NOT EXISTS idx_orders_date ON orders(order_date);
-    CREATE INDEX IF NOT EXISTS idx_order_items_name ON order_items(product_name);
-    CREATE INDEX IF NOT EXISTS idx_order_items_order_id ON order_items(order_id);
-  `);
+  // Apply schema migrations (see migrations.js)
+  if (migrate) {
+    runMigrations(db);
+  }
 
   return db;
 }
 
 /**
  * Insert or update an order
+ * Totals (subtotal, delivery_charge, savings, order_total) and the delivery
+ * slot ({ start, end } as "HH:MM") are optional
  */
 export function insertOrder(db, orderData) {
   const insertOrderStmt = db.prepare(`
-    INSERT OR IGNORE INTO orders (order_number, order_date, scraped_at)
-    VALUES (?, ?, datetime('now'))
+    INSERT OR IGNORE INTO orders
+    (order_number, order_date, scraped_at, subtotal, delivery_charge, savings, order_total, slot_start, slot_end)
+    VALUES (?, ?, datetime('now'), ?, ?, ?, ?, ?, ?)
   `);
 
-  const result = insertOrderStmt.run(orderData.order_number, orderData.order_date);
+  const totals = orderData.totals || {};
+  const slot = orderData.slot || {};
+  const result = insertOrderStmt.run(
+    orderData.order_number,
+    orderData.order_date,
+    totals.subtotal ?? null,
+    totals.delivery_charge ?? null,
+    totals.savings ?? null,
+    totals.order_total ?? null,
+    slot.start ?? null,
+    slot.end ?? null
+  );
 
   if (result.changes === 0) {
     // Order already exists, get its ID
@@ -106,22 +85,252 @@ export function insertOrder(db, orderData) {
 
 /**
  * Insert order items
+ * Each item is linked to its catalogue product (created if new).
+ * Prices (unit_price, line_total) and substitution notes are optional
  */
 export function insertOrderItems(db, orderId, items) {
   const insertItemStmt = db.prepare(`
-    INSERT INTO order_items (order_id, product_name, quantity)
-    VALUES (?, ?, ?)
+    INSERT INTO order_items
+    (order_id, product_id, product_name, quantity, unit_price, line_total, substitution_note)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
   `);
 
   const insertMany = db.transaction((items) => {
     for (const item of items) {
-      insertItemStmt.run(orderId, item.product_name, item.quantity);
+      insertItemStmt.run(
+        orderId,
+        resolveProductId(db, item),
+        item.product_name,
+        item.quantity,
+        item.unit_price ?? null,
+        item.line_total ?? null,
+        item.substitution ?? null
+      );
     }
   });
 
   insertMany(items);
 }
 
+/**
+ * Find the catalogue product for an item name, creating one if it's new
+ * A canonical name missing from the aliases is added as one
+ * @param {Object} item - { product_name, size }
+ * @returns {number} Product ID
+ */
+export function resolveProductId(db, item) {
+  const alias = db.prepare('SELECT product_id FROM product_aliases WHERE alias = ?').get(item.product_name);
+  if (alias) {
+    return alias.product_id;
+  }
+
+  const product = db.prepare('SELECT id FROM products WHERE canonical_name = ?').get(item.product_name);
+  if (product) {
+    db.prepare('INSERT INTO product_aliases (alias, product_id) VALUES (?, ?)').run(item.product_name, product.id);
+    return product.id;
+  }
+
+  const result = db.prepare(`
+    INSERT INTO products (canonical_name, size, category)
+    VALUES (?, ?, ?)
+  `).run(item.product_name, item.size ?? null, categorizeProduct(item.product_name));
+
+  db.prepare('INSERT INTO product_aliases (alias, product_id) VALUES (?, ?)')
+    .run(item.product_name, result.lastInsertRowid);
+
+  return result.lastInsertRowid;
+}
+
+/**
+ * Look up a product by ID, canonical name or alias
+ * @param {string|number} ref - Product ID or name
+ */
+export function findProduct(db, ref) {
+  if (/^\d+$/.test(String(ref))) {
+    const byId = db.prepare('SELECT * FROM products WHERE id = ?').get(Number(ref));
+    if (byId) return byId;
+  }
+
+  return db.prepare(`
+    SELECT p.*
+    FROM products p
+    LEFT JOIN product_aliases pa ON pa.product_id = p.id
+    WHERE p.canonical_name = ? OR pa.alias = ?
+    LIMIT 1
+  `).get(ref, ref) ?? null;
+}
+
+/**
+ * List catalogue products with their aliases and purchase counts
+ * @param {Object} options - { search: name filter }
+ */
+export function getProducts(db, options = {}) {
+  const { search = null } = options;
+
+  const products = db.prepare(`
+    SELECT
+      p.*,
+      (SELECT COUNT(DISTINCT oi.order_id) FROM order_items oi WHERE oi.product_id = p.id) as purchase_count
+    FROM products p
+    ${search ? `WHERE p.id IN (
+      SELECT product_id FROM product_aliases WHERE alias LIKE ?
+    )` : ''}
+    ORDER BY p.canonical_name
+  `).all(...(search ? [`%${search}%`] : []));
+
+  const aliasStmt = db.prepare('SELECT alias FROM product_aliases WHERE product_id = ? ORDER BY alias');
+
+  return products.map(product => ({
+    ...product,
+    category: product.category ?? categorizeProduct(product.canonical_name),
+    aliases: aliasStmt.all(product.id).map(row => row.alias)
+  }));
+}
+
+/**
+ * Merge one product into another
+ * The source's aliases and order items move to the target, and the
+ * source's details fill any gaps in the target's before it is deleted
+ */
+export function mergeProducts(db, sourceId, targetId) {
+  if (sourceId === targetId) {
+    throw new Error('Cannot merge a product into itself');
+  }
+
+  const merge = db.transaction(() => {
+    db.prepare('UPDATE order_items SET product_id = ? WHERE product_id = ?').run(targetId, sourceId);
+    db.prepare('UPDATE product_aliases SET product_id = ? WHERE product_id = ?').run(targetId, sourceId);
+
+    db.prepare(`
+      UPDATE products
+      SET
+        waitrose_product_id = COALESCE(waitrose_product_id, (SELECT waitrose_product_id FROM products WHERE id = @sourceId)),
+        url = COALESCE(url, (SELECT url FROM products WHERE id = @sourceId)),
+        size = COALESCE(size, (SELECT size FROM products WHERE id = @sourceId)),
+        category = COALESCE(category, (SELECT category FROM products WHERE id = @sourceId))
+      WHERE id = @targetId
+    `).run({ sourceId, targetId });
+
+    db.prepare('DELETE FROM products WHERE id = ?').run(sourceId);
+  });
+
+  merge();
+}
+
+/**
+ * Split an alias back out into its own product
+ * Order items recorded under that name move to the new product
+ * @returns {number} New product ID
+ */
+export function splitProductAlias(db, alias) {
+  const row = db.prepare(`
+    SELECT pa.product_id, p.canonical_name
+    FROM product_aliases pa
+    JOIN products p ON pa.product_id = p.id
+    WHERE pa.alias = ?
+  `).get(alias);
+
+  if (!row) {
+    throw new Error(`No product has the alias "${alias}"`);
+  }
+
+  if (row.canonical_name === alias) {
+    throw new Error(`"${alias}" is the product's canonical name. Split its other aliases instead.`);
+  }
+
+  const split = db.transaction(() => {
+    const result = db.prepare('INSERT INTO products (canonical_name, category) VALUES (?, ?)')
+      .run(alias, categorizeProduct(alias));
+    const newId = result.lastInsertRowid;
+
+    db.prepare('UPDATE product_aliases SET product_id = ? WHERE alias = ?').run(newId, alias);
+    db.prepare('UPDATE order_items SET product_id = ? WHERE product_name = ? AND product_id = ?')
+      .run(newId, alias, row.product_id);
+
+    return newId;
+  });
+
+  return split();
+}
+
+/**
+ * Update a product's details
+ * A new canonical name becomes an alias too, so orders under that name join the product
+ * @param {Object} fields - Any of { canonical_name, waitrose_product_id, url, size, category }
+ */
+export function updateProduct(db, productId, fields) {
+  const allowed = ['canonical_name', 'waitrose_product_id', 'url', 'size', 'category'];
+  const updates = Object.entries(fields).filter(([key, value]) => allowed.includes(key) && value !== undefined);
+
+  if (updates.length === 0) return;
+
+  const name = fields.canonical_name;
+  if (name !== undefined) {
+    const owner = db.prepare(`
+      SELECT p.id, p.canonical_name
+      FROM products p
+      LEFT JOIN product_aliases pa ON pa.product_id = p.id
+      WHERE (p.canonical_name = ? OR pa.alias = ?) AND p.id != ?
+      LIMIT 1
+    `).get(name, name, productId);
+
+    if (owner) {
+      throw new Error(`"${name}" is already used by product #${owner.id} (${owner.canonical_name}). Merge the products instead.`);
+    }
+  }
+
+  const update = db.transaction(() => {
+    const setClause = updates.map(([key]) => `${key} = ?`).join(', ');
+    db.prepare(`UPDATE products SET ${setClause} WHERE id = ?`)
+      .run(...updates.map(([, value]) => value), productId);
+
+    if (name !== undefined) {
+      db.prepare('INSERT OR IGNORE INTO product_aliases (alias, product_id) VALUES (?, ?)').run(name, productId);
+    }
+  });
+
+  update();
+}
+
+/**
+ * Import orders and their items in a single transaction
+ * Orders that failed to fetch or have no items are not saved,
+ * so a later sync will pick them up again
+ * @returns {Array} Per-order results [{ order_number, status, itemCount, error }]
+ *   where status is 'imported', 'empty' or 'failed'
+ */
+export function importOrders(db, orders) {
+  const importAll = db.transaction((orders) => {
+    const results = [];
+
+    for (const order of orders) {
+      if (order.error) {
+        results.push({ order_number: order.order_number, status: 'failed', itemCount: 0, error: order.error });
+        continue;
+      }
+
+      if (!order.items || order.items.length === 0) {
+        results.push({ order_number: order.order_number, status: 'empty', itemCount: 0 });
+        continue;
+      }
+
+      const orderId = insertOrder(db, {
+        order_number: order.order_number,
+        order_date: order.order_date,
+        totals: order.totals,
+        slot: order.slot
+      });
+      insertOrderItems(db, orderId, order.items);
+
+      results.push({ order_number: order.order_number, status: 'imported', itemCount: order.items.length });
+    }
+
+    return results;
+  });
+
+  return importAll(orders);
+}
+
 /**
  * Get recent orders (last N orders or within date range)
  */
@@ -160,13 +369,14 @@ export function getOrderItems(db, orderIds) {
   const query = `
     SELECT
       oi.order_id,
-      oi.product_name,
+      p.canonical_name as product_name,
       oi.quantity,
       o.order_date
     FROM order_items oi
     JOIN orders o ON oi.order_id = o.id
+    JOIN products p ON oi.product_id = p.id
     WHERE oi.order_id IN (${placeholders})
-    ORDER BY o.order_date DESC, oi.product_name
+    ORDER BY o.order_date DESC, p.canonical_name
   `;
 
   return db.prepare(query).all(...orderIds);
@@ -174,33 +384,335 @@ export function getOrderItems(db, orderIds) {
 
 /**
  * Get item frequency analysis
- * Returns stats for each unique item: total purchases, frequency, avg quantity
+ * Returns stats for each catalogue product (aliases combined):
+ * total purchases, frequency, avg quantity per order.
+ * Event and holiday orders are left out of the counts, quantities and last purchase
+ * date unless includeEvents is set
+ * @param {Object} options - { minOrders, before: only count orders before this date, includeEvents }
  */
 export function getItemFrequency(db, options = {}) {
-  const { minOrders = 3 } = options;
+  const { minOrders = 3, before = '9999-12-31', includeEvents = false } = options;
+
+  const counted = includeEvents ? '1' : "o.tag = 'normal'";
+  const orderCount = `(SELECT COUNT(*) FROM orders WHERE order_date < @before${includeEvents ? '' : " AND tag = 'normal'"})`;
+  const purchaseCount = `COUNT(DISTINCT CASE WHEN ${counted} THEN oi.order_id END)`;
 
   const query = `
     SELECT
-      oi.product_name,
-      COUNT(DISTINCT oi.order_id) as purchase_count,
-      (SELECT COUNT(*) FROM orders) as total_orders,
-      CAST(COUNT(DISTINCT oi.order_id) AS REAL) / (SELECT COUNT(*) FROM orders) as frequency,
-      AVG(oi.quantity) as avg_quantity,
-      MAX(o.order_date) as last_purchase_date
+      p.id as product_id,
+      p.canonical_name as product_name,
+      ${purchaseCount} as purchase_count,
+      ${orderCount} as total_orders,
+      CAST(${purchaseCount} AS REAL) / ${orderCount} as frequency,
+      CAST(SUM(CASE WHEN ${counted} THEN oi.quantity END) AS REAL) / ${purchaseCount} as avg_quantity,
+      MAX(CASE WHEN ${counted} THEN o.order_date END) as last_purchase_date
     FROM order_items oi
     JOIN orders o ON oi.order_id = o.id
-    GROUP BY oi.product_name
-    HAVING purchase_count >= ?
+    JOIN products p ON oi.product_id = p.id
+    WHERE o.order_date < @before
+    GROUP BY p.id
+    HAVING purchase_count >= @minOrders
     ORDER BY frequency DESC, purchase_count DESC
   `;
 
-  return db.prepare(query).all(minOrders);
+  return db.prepare(query).all({ minOrders, before });
+}
+
+/**
+ * Tag an order as normal, event or holiday
+ * @returns {boolean} Whether the order was found
+ */
+export function setOrderTag(db, orderNumber, tag) {
+  if (!ORDER_TAGS.includes(tag)) {
+    throw new Error(`Unknown tag "${tag}". Use one of: ${ORDER_TAGS.join(', ')}`);
+  }
+
+  const result = db.prepare('UPDATE orders SET tag = ? WHERE order_number = ?').run(tag, orderNumber);
+  return result.changes > 0;
+}
+
+/**
+ * Record the delivery slot of an order
+ * @param {Object|null} slot - { start, end } as "HH:MM", or null to clear it
+ * @returns {boolean} Whether the order was found
+ */
+export function setOrderSlot(db, orderNumber, slot) {
+  const result = db.prepare('UPDATE orders SET slot_start = ?, slot_end = ? WHERE order_number = ?')
+    .run(slot?.start ?? null, slot?.end ?? null, orderNumber);
+  return result.changes > 0;
+}
+
+/**
+ * Get size and spend of every order, for spotting unusual ones
+ * Spend is the order total where captured, otherwise the sum of its line totals
+ * @returns {Array} [{ id, order_number, order_date, tag, slot_start, slot_end, line_count, units, spend }] oldest first
+ */
+export function getOrderSummaries(db) {
+  return db.prepare(`
+    SELECT
+      o.id,
+      o.order_number,
+      o.order_date,
+      o.tag,
+      o.slot_start,
+      o.slot_end,
+      COUNT(oi.id) as line_count,
+      COALESCE(SUM(oi.quantity), 0) as units,
+      COALESCE(o.order_total, SUM(oi.line_total)) as spend
+    FROM orders o
+    LEFT JOIN order_items oi ON oi.order_id = o.id
+    GROUP BY o.id
+    ORDER BY o.order_date ASC, o.id ASC
+  `).all();
+}
+
+/**
+ * Get every order a product was bought in, oldest first, including event and holiday orders
+ * @returns {Array} [{ order_id, order_number, order_date, tag, quantity }]
+ */
+export function getPurchaseTimeline(db, productName) {
+  return db.prepare(`
+    SELECT o.id as order_id, o.order_number, o.order_date, o.tag, SUM(oi.quantity) as quantity
+    FROM order_items oi
+    JOIN orders o ON oi.order_id = o.id
+    JOIN products p ON oi.product_id = p.id
+    WHERE p.canonical_name = ?
+    GROUP BY o.id
+    ORDER BY o.order_date ASC, o.id ASC
+  `).all(productName);
+}
+
+/**
+ * Get every order with its tag and delivery slot, oldest first
+ */
+export function getOrdersChronological(db) {
+  return db.prepare(`
+    SELECT id, order_number, order_date, tag, slot_start, slot_end
+    FROM orders
+    ORDER BY order_date ASC, id ASC
+  `).all();
+}
+
+/**
+ * Get the products in each order, for finding items bought together
+ * @param {Object} options - { before: only use orders before this date,
+ *   includeEvents: include event and holiday orders }
+ * @returns {Array} [{ order_id, items: [{ product_name, quantity }] }] oldest first
+ */
+export function getOrderBaskets(db, options = {}) {
+  const { before = '9999-12-31', includeEvents = false } = options;
+
+  const rows = db.prepare(`
+    SELECT o.id as order_id, p.canonical_name as product_name, SUM(oi.quantity) as quantity
+    FROM order_items oi
+    JOIN orders o ON oi.order_id = o.id
+    JOIN products p ON oi.product_id = p.id
+    WHERE o.order_date < ?${includeEvents ? '' : " AND o.tag = 'normal'"}
+    GROUP BY o.id, p.id
+    ORDER BY o.order_date ASC, o.id ASC
+  `).all(before);
+
+  const baskets = new Map();
+  for (const row of rows) {
+    if (!baskets.has(row.order_id)) baskets.set(row.order_id, { order_id: row.order_id, items: [] });
+    baskets.get(row.order_id).items.push({ product_name: row.product_name, quantity: row.quantity });
+  }
+
+  return [...baskets.values()];
+}
+
+/**
+ * Get order counts by month of year, for seasonal purchase rates
+ * @param {Object} options - { before: only count orders before this date }
+ * @returns {Array} [{ month: 1-12, order_count, years }] for months with orders
+ */
+export function getMonthOfYearOrderCounts(db, options = {}) {
+  const before = options.before ?? '9999-12-31';
+
+  return db.prepare(`
+    SELECT
+      CAST(strftime('%m', order_date) AS INTEGER) as month,
+      COUNT(*) as order_count,
+      COUNT(DISTINCT strftime('%Y', order_date)) as years
+    FROM orders
+    WHERE order_date < ?
+    GROUP BY month
+    ORDER BY month
+  `).all(before);
+}
+
+/**
+ * Get how many orders included each product, by month of year
+ * @param {Object} options - { before: only count orders before this date }
+ * @returns {Array} [{ product_name, month: 1-12, purchase_count, years }]
+ */
+export function getMonthOfYearPurchases(db, options = {}) {
+  const before = options.before ?? '9999-12-31';
+
+  return db.prepare(`
+    SELECT
+      p.canonical_name as product_name,
+      CAST(strftime('%m', o.order_date) AS INTEGER) as month,
+      COUNT(DISTINCT o.id) as purchase_count,
+      COUNT(DISTINCT strftime('%Y', o.order_date)) as years
+    FROM order_items oi
+    JOIN orders o ON oi.order_id = o.id
+    JOIN products p ON oi.product_id = p.id
+    WHERE o.order_date < ?
+    GROUP BY p.id, month
+    ORDER BY p.canonical_name, month
+  `).all(before);
+}
+
+/**
+ * Get the first and last order dates
+ * @param {Object} options - { before: only consider orders before this date }
+ * @returns {Object} { first, last } (null when there are no orders)
+ */
+export function getOrderDateRange(db, options = {}) {
+  const before = options.before ?? '9999-12-31';
+
+  return db.prepare(`
+    SELECT MIN(order_date) as first, MAX(order_date) as last
+    FROM orders
+    WHERE order_date < ?
+  `).get(before);
+}
+
+/**
+ * Get spend per calendar month
+ * Uses each order's total where captured, otherwise the sum of its line totals.
+ * With `search`, only matching line items are counted (no delivery or savings).
+ * @param {Object} options - { since: 'YYYY-MM-DD', search: product name filter }
+ * @returns {Array} [{ month, order_count, total, delivery, savings }] newest first
+ */
+export function getMonthlySpend(db, options = {}) {
+  const { since = '0000-01-01', search = null } = options;
+
+  if (search) {
+    return db.prepare(`
+      SELECT
+        strftime('%Y-%m', o.order_date) as month,
+        COUNT(DISTINCT o.id) as order_count,
+        SUM(oi.line_total) as total,
+        0 as delivery,
+        0 as savings
+      FROM order_items oi
+      JOIN orders o ON oi.order_id = o.id
+      JOIN products p ON oi.product_id = p.id
+      WHERE o.order_date >= ? AND p.canonical_name LIKE ?
+      GROUP BY month
+      ORDER BY month DESC
+    `).all(since, `%${search}%`);
+  }
+
+  return db.prepare(`
+    SELECT
+      strftime('%Y-%m', o.order_date) as month,
+      COUNT(*) as order_count,
+      SUM(COALESCE(
+        o.order_total,
+        (SELECT SUM(oi.line_total) FROM order_items oi WHERE oi.order_id = o.id)
+      )) as total,
+      SUM(COALESCE(o.delivery_charge, 0)) as delivery,
+      SUM(COALESCE(o.savings, 0)) as savings
+    FROM orders o
+    WHERE o.order_date >= ?
+    GROUP BY month
+    ORDER BY month DESC
+  `).all(since);
+}
+
+/**
+ * Get spend per product, highest spend first
+ * Only line items with captured prices are included
+ * @param {Object} options - { since: 'YYYY-MM-DD', search: product name filter }
+ */
+export function getProductSpend(db, options = {}) {
+  const { since = '0000-01-01', search = null } = options;
+
+  const query = `
+    SELECT
+      p.id as product_id,
+      p.canonical_name as product_name,
+      p.category,
+      COUNT(DISTINCT oi.order_id) as purchase_count,
+      SUM(oi.quantity) as units,
+      SUM(oi.line_total) as total_spend,
+      AVG(oi.unit_price) as avg_unit_price
+    FROM order_items oi
+    JOIN orders o ON oi.order_id = o.id
+    JOIN products p ON oi.product_id = p.id
+    WHERE oi.line_total IS NOT NULL
+      AND o.order_date >= ?
+      ${search ? 'AND p.canonical_name LIKE ?' : ''}
+    GROUP BY p.id
+    ORDER BY total_spend DESC
+  `;
+
+  const params = search ? [since, `%${search}%`] : [since];
+  return db.prepare(query).all(...params);
+}
+
+/**
+ * Get the unit price paid for a product in each order, oldest first
+ */
+export function getPriceHistory(db, productName) {
+  return db.prepare(`
+    SELECT o.order_date, oi.unit_price
+    FROM order_items oi
+    JOIN orders o ON oi.order_id = o.id
+    JOIN products p ON oi.product_id = p.id
+    WHERE p.canonical_name = ? AND oi.unit_price IS NOT NULL
+    ORDER BY o.order_date ASC
+  `).all(productName);
+}
+
+/**
+ * Get the most recent unit price paid for each product
+ * @returns {Map} Product name → unit price (products never priced are omitted)
+ */
+export function getLatestUnitPrices(db, productNames) {
+  const prices = new Map();
+  if (productNames.length === 0) return prices;
+
+  const placeholders = productNames.map(() => '?').join(', ');
+  const rows = db.prepare(`
+    SELECT p.canonical_name as product_name, oi.unit_price
+    FROM order_items oi
+    JOIN orders o ON oi.order_id = o.id
+    JOIN products p ON oi.product_id = p.id
+    WHERE p.canonical_name IN (${placeholders}) AND oi.unit_price IS NOT NULL
+    ORDER BY o.order_date ASC
+  `).all(...productNames);
+
+  // Later orders overwrite earlier ones
+  for (const row of rows) {
+    prices.set(row.product_name, row.unit_price);
+  }
+
+  return prices;
 }
 
 /**
  * Save shopping list and its items
+ * Each item is saved with its tier as its classification, or regular/infrequent without one
+ * @param {Object} options - { apiCallIds: api_usage rows to link to the list, refinements: [{ constraint, created_at }] in order,
+ *   edits: hand edits from diffLists [{ product_name, action, old_value, new_value }],
+ *   tiers: tier definitions the classifications must come from (default: loadTiers()) }
  */
-export function saveShoppingList(db, daysCoverage, items) {
+export function saveShoppingList(db, daysCoverage, items, options = {}) {
+  const { apiCallIds = [], refinements = [], edits = [], tiers } = options;
+
+  const classifications = listClassifications(tiers);
+  const classificationOf = (item) => {
+    const classification = item.tier ?? item.classification;
+    if (!classifications.includes(classification)) {
+      throw new Error(`${item.item}: unknown classification "${classification}". Use one of: ${classifications.join(', ')}`);
+    }
+    return classification;
+  };
+
   const insertListStmt = db.prepare(`
     INSERT INTO shopping_lists (days_coverage)
     VALUES (?)
@@ -212,16 +724,41 @@ export function saveShoppingList(db, daysCoverage, items) {
     VALUES (?, ?, ?, ?, ?)
   `);
 
+  const linkUsageStmt = db.prepare('UPDATE api_usage SET list_id = ? WHERE id = ?');
+
+  const insertRefinementStmt = db.prepare(`
+    INSERT INTO shopping_list_refinements (list_id, position, constraint_text, created_at)
+    VALUES (?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))
+  `);
+
+  const insertEditStmt = db.prepare(`
+    INSERT INTO shopping_list_edits (list_id, product_name, action, old_value, new_value)
+    VALUES (?, ?, ?, ?, ?)
+  `);
+
   const saveTransaction = db.transaction((daysCoverage, items) => {
     const result = insertListStmt.run(daysCoverage);
     const listId = result.lastInsertRowid;
 
+    // Link the API calls that produced this list
+    for (const callId of apiCallIds) {
+      linkUsageStmt.run(listId, callId);
+    }
+
+    refinements.forEach((refinement, index) => {
+      insertRefinementStmt.run(listId, index + 1, refinement.constraint, refinement.created_at ?? null);
+    });
+
+    for (const edit of edits) {
+      insertEditStmt.run(listId, edit.product_name, edit.action, edit.old_value ?? null, edit.new_value ?? null);
+    }
+
     for (const item of items) {
       insertItemStmt.run(
         listId,
         item.item,
         item.quantity,
-        item.classification,
+        classificationOf(item),
         item.confidence
       );
     }
@@ -244,12 +781,42 @@ export function getShoppingList(db, listId) {
     SELECT * FROM shopping_list_items WHERE list_id = ? ORDER BY classification, product_name
   `).all(listId);
 
+  const refinements = db.prepare(`
+    SELECT constraint_text as "constraint", created_at
+    FROM shopping_list_refinements
+    WHERE list_id = ?
+    ORDER BY position
+  `).all(listId);
+
+  const edits = db.prepare(`
+    SELECT product_name, action, old_value, new_value, created_at
+    FROM shopping_list_edits
+    WHERE list_id = ?
+    ORDER BY id
+  `).all(listId);
+
   return {
     ...list,
-    items
+    items,
+    refinements,
+    edits
   };
 }
 
+/**
+ * Catalogue names of products in order history, most often bought first
+ * Used to autocomplete items added by hand
+ */
+export function getPurchasedProductNames(db) {
+  return db.prepare(`
+    SELECT p.canonical_name as product_name
+    FROM order_items oi
+    JOIN products p ON oi.product_id = p.id
+    GROUP BY p.id
+    ORDER BY COUNT(*) DESC, p.canonical_name
+  `).all().map(row => row.product_name);
+}
+
 /**
  * Get all shopping lists
  */
@@ -267,6 +834,194 @@ export function getAllShoppingLists(db) {
   return lists;
 }
 
+/**
+ * Record one LLM API call in the usage ledger
+ * @param {Object} call - { purpose, provider, model, input_tokens, output_tokens, estimated_cost, latency_ms, error }
+ * @returns {number} Ledger row ID
+ */
+export function recordApiCall(db, call) {
+  const result = db.prepare(`
+    INSERT INTO api_usage
+    (purpose, provider, model, input_tokens, output_tokens, estimated_cost, latency_ms, error)
+    VALUES (@purpose, @provider, @model, @input_tokens, @output_tokens, @estimated_cost, @latency_ms, @error)
+  `).run({
+    provider: null,
+    model: null,
+    input_tokens: 0,
+    output_tokens: 0,
+    estimated_cost: null,
+    latency_ms: null,
+    error: null,
+    ...call
+  });
+
+  return result.lastInsertRowid;
+}
+
+/**
+ * Get API usage totals per month, newest first
+ * @param {Object} options - { since: ISO date }
+ */
+export function getMonthlyApiUsage(db, options = {}) {
+  const { since = '0000-01-01' } = options;
+
+  return db.prepare(`
+    SELECT
+      strftime('%Y-%m', called_at) as month,
+      COUNT(*) as calls,
+      SUM(CASE WHEN error IS NOT NULL THEN 1 ELSE 0 END) as failed_calls,
+      SUM(input_tokens) as input_tokens,
+      SUM(output_tokens) as output_tokens,
+      SUM(estimated_cost) as estimated_cost,
+      AVG(latency_ms) as avg_latency_ms
+    FROM api_usage
+    WHERE called_at >= ?
+    GROUP BY month
+    ORDER BY month DESC
+  `).all(since);
+}
+
+/**
+ * Get estimated API spend for one month ('YYYY-MM', UTC)
+ */
+export function getApiSpendForMonth(db, month) {
+  const row = db.prepare(`
+    SELECT COALESCE(SUM(estimated_cost), 0) as total
+    FROM api_usage
+    WHERE strftime('%Y-%m', called_at) = ?
+  `).get(month);
+
+  return row.total;
+}
+
+/**
+ * Get the most recent API calls
+ */
+export function getRecentApiCalls(db, limit = 10) {
+  return db.prepare(`
+    SELECT * FROM api_usage ORDER BY called_at DESC, id DESC LIMIT ?
+  `).all(limit);
+}
+
+/**
+ * Get total API usage behind a saved shopping list
+ * @returns {Object|null} { calls, input_tokens, output_tokens, estimated_cost } or null if none recorded
+ */
+export function getListApiUsage(db, listId) {
+  const row = db.prepare(`
+    SELECT
+      COUNT(*) as calls,
+      SUM(input_tokens) as input_tokens,
+      SUM(output_tokens) as output_tokens,
+      SUM(estimated_cost) as estimated_cost
+    FROM api_usage
+    WHERE list_id = ?
+  `).get(listId);
+
+  return row.calls > 0 ? row : null;
+}
+
+/**
+ * Saved lists not yet matched to an order, each with the first order on or after
+ * the day it was generated (next_order_id is null until that order is imported)
+ * A list superseded by a newer one before that order never gets an order
+ */
+export function getListsAwaitingOrders(db) {
+  return db.prepare(`
+    SELECT
+      sl.id,
+      sl.generated_at,
+      (
+        SELECT o.id
+        FROM orders o
+        WHERE o.order_date >= date(sl.generated_at)
+          AND NOT EXISTS (
+            SELECT 1 FROM shopping_lists later
+            WHERE (later.generated_at > sl.generated_at OR (later.generated_at = sl.generated_at AND later.id > sl.id))
+              AND date(later.generated_at) <= o.order_date
+          )
+        ORDER BY o.order_date, o.id
+        LIMIT 1
+      ) as next_order_id
+    FROM shopping_lists sl
+    WHERE sl.matched_order_id IS NULL
+    ORDER BY sl.generated_at, sl.id
+  `).all();
+}
+
+/**
+ * Record per-item outcomes for a list and mark it matched to the order
+ * @param {Array} outcomes - [{ product_name, outcome, suggested_quantity, ordered_quantity }]
+ */
+export function saveListOutcomes(db, listId, orderId, outcomes) {
+  const insertStmt = db.prepare(`
+    INSERT INTO shopping_list_outcomes
+    (list_id, order_id, product_name, outcome, suggested_quantity, ordered_quantity)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+
+  const save = db.transaction(() => {
+    for (const outcome of outcomes) {
+      insertStmt.run(
+        listId,
+        orderId,
+        outcome.product_name,
+        outcome.outcome,
+        outcome.suggested_quantity ?? null,
+        outcome.ordered_quantity ?? null
+      );
+    }
+
+    db.prepare('UPDATE shopping_lists SET matched_order_id = ? WHERE id = ?').run(orderId, listId);
+  });
+
+  save();
+}
+
+/**
+ * Every recorded item outcome, oldest list first
+ * Items removed by hand before saving count as 'removed'
+ */
+export function getListOutcomeHistory(db) {
+  return db.prepare(`
+    SELECT sl.id as list_id, sl.generated_at, slo.product_name, slo.outcome
+    FROM shopping_list_outcomes slo
+    JOIN shopping_lists sl ON slo.list_id = sl.id
+
+    UNION ALL
+
+    SELECT sl.id as list_id, sl.generated_at, sle.product_name, 'removed' as outcome
+    FROM shopping_list_edits sle
+    JOIN shopping_lists sl ON sle.list_id = sl.id
+    WHERE sle.action = 'removed'
+
+    ORDER BY generated_at, list_id
+  `).all();
+}
+
+/**
+ * Outcome counts per month of list generation
+ * @param {Object} options - { since: 'YYYY-MM-DD' }
+ */
+export function getMonthlyListOutcomes(db, options = {}) {
+  const { since = '1970-01-01' } = options;
+
+  return db.prepare(`
+    SELECT
+      strftime('%Y-%m', sl.generated_at) as month,
+      COUNT(DISTINCT sl.id) as lists,
+      SUM(slo.outcome = 'bought') as bought,
+      SUM(slo.outcome = 'quantity_changed') as quantity_changed,
+      SUM(slo.outcome = 'not_bought') as not_bought,
+      SUM(slo.outcome = 'unsuggested') as unsuggested
+    FROM shopping_list_outcomes slo
+    JOIN shopping_lists sl ON slo.list_id = sl.id
+    WHERE sl.generated_at >= ?
+    GROUP BY month
+    ORDER BY month
+  `).all(since);
+}
+
 /**
  * Get order count
  */
@@ -280,10 +1035,15 @@ export function getOrderCount(db) {
  */
 export function clearAllData(db) {
   db.exec(`
+    DELETE FROM shopping_list_outcomes;
+    DELETE FROM shopping_list_edits;
+    DELETE FROM shopping_list_refinements;
     DELETE FROM shopping_list_items;
     DELETE FROM shopping_lists;
     DELETE FROM order_items;
     DELETE FROM orders;
+    DELETE FROM product_aliases;
+    DELETE FROM products;
   `);
 }
 
@@ -0,0 +1,144 @@
+/**
+ * Delivery planning
+ * Reads a delivery slot like "Sat 10:00" and works out when the next delivery
+ * usually follows it, so a list can cover the gap between the two
+ */
+
+import { getOrdersChronological } from './database.js';
+import { parseClockTime } from './order-parser.js';
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Deliveries can be booked up to three weeks ahead
+const BOOKING_WINDOW_DAYS = 21;
+
+// Recent orders used to find the usual gap between deliveries
+const RECENT_ORDERS = 12;
+
+// Gaps starting on the delivery's weekday needed before they're used instead of the overall usual gap
+const MIN_WEEKDAY_GAPS = 2;
+
+// Longest gap a list is planned for
+const MAX_GAP_DAYS = 28;
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+const SLOT_PATTERN = /^(today|tomorrow|[a-z]{3,9}|\d{4}-\d{2}-\d{2})(?:,?\s+(?:at\s+)?(.+))?$/i;
+
+function addDays(isoDate, days) {
+  return new Date(new Date(isoDate).getTime() + days * MS_PER_DAY).toISOString().split('T')[0];
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Parse a delivery slot: a day ("Sat", "Saturday", "tomorrow", "2026-10-24") and optional time ("10:00", "9am")
+ * A weekday means the next one, today included if its time hasn't passed
+ * @param {Date} now - Current time (local)
+ * @returns {Object} { date: 'YYYY-MM-DD', time: 'HH:MM' or null }
+ */
+export function parseDeliverySlot(text, now = new Date()) {
+  const usage = `Can't read delivery "${text}". Use a day and time, e.g. "Sat 10:00" or "2026-10-24 10:00"`;
+
+  const match = text.trim().match(SLOT_PATTERN);
+  if (!match) throw new Error(usage);
+
+  const [, day, timeText] = match;
+  const time = timeText ? parseClockTime(timeText) : null;
+  if (timeText && !time) throw new Error(usage);
+
+  // Dates are compared as UTC midnights of the local calendar day
+  const today = new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate())).toISOString().split('T')[0];
+  const currentTime = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+
+  let date;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(day)) {
+    const parsed = new Date(day);
+    if (isNaN(parsed) || parsed.toISOString().split('T')[0] !== day) throw new Error(usage);
+    date = day;
+  } else if (day.toLowerCase() === 'today') {
+    date = today;
+  } else if (day.toLowerCase() === 'tomorrow') {
+    date = addDays(today, 1);
+  } else {
+    const weekday = WEEKDAYS.findIndex(name => name.toLowerCase().startsWith(day.toLowerCase()));
+    if (weekday === -1) throw new Error(usage);
+
+    let offset = (weekday - new Date(today).getUTCDay() + 7) % 7;
+    if (offset === 0 && time && time <= currentTime) offset = 7;
+    date = addDays(today, offset);
+  }
+
+  if (date < today || (date === today && time && time <= currentTime)) {
+    throw new Error(`Delivery ${formatDeliveryDate(date, time)} is in the past`);
+  }
+  if (date > addDays(today, BOOKING_WINDOW_DAYS)) {
+    throw new Error(`Delivery ${formatDeliveryDate(date, time)} is more than ${BOOKING_WINDOW_DAYS} days ahead`);
+  }
+
+  return { date, time };
+}
+
+/**
+ * Work out when the next delivery usually follows one on the given date
+ * Uses gaps between recent normal orders, preferring gaps that start on the same weekday
+ * (Tuesday and Saturday deliveries give different gaps); without history, fallbackDays
+ * @param {string} date - Delivery date 'YYYY-MM-DD'
+ * @param {Object} options - { fallbackDays }
+ * @returns {Object} { date, days, basis: 'weekday' | 'usual' | 'default', slot: usual { start, end } on that weekday, or null }
+ */
+export function findNextDelivery(db, date, options = {}) {
+  const { fallbackDays = 7 } = options;
+  const orders = getOrdersChronological(db).filter(order => order.tag === 'normal').slice(-RECENT_ORDERS);
+
+  const gaps = [];
+  for (let i = 1; i < orders.length; i++) {
+    const days = Math.round((new Date(orders[i].order_date) - new Date(orders[i - 1].order_date)) / MS_PER_DAY);
+    if (days > 0) gaps.push({ weekday: new Date(orders[i - 1].order_date).getUTCDay(), days });
+  }
+
+  const weekday = new Date(date).getUTCDay();
+  const sameWeekday = gaps.filter(gap => gap.weekday === weekday).map(gap => gap.days);
+
+  let days;
+  let basis;
+  if (sameWeekday.length >= MIN_WEEKDAY_GAPS) {
+    days = median(sameWeekday);
+    basis = 'weekday';
+  } else if (gaps.length > 0) {
+    days = median(gaps.map(gap => gap.days));
+    basis = 'usual';
+  } else {
+    days = fallbackDays;
+    basis = 'default';
+  }
+
+  days = Math.min(MAX_GAP_DAYS, Math.max(1, Math.round(days)));
+  const next = addDays(date, days);
+
+  // The slot most recently booked on the next delivery's weekday
+  const booked = orders
+    .filter(order => order.slot_start && new Date(order.order_date).getUTCDay() === new Date(next).getUTCDay())
+    .pop();
+
+  return {
+    date: next,
+    days,
+    basis,
+    slot: booked ? { start: booked.slot_start, end: booked.slot_end } : null
+  };
+}
+
+/**
+ * Describe a delivery, e.g. "Sat 24 Oct 10:00"
+ */
+export function formatDeliveryDate(date, time = null) {
+  const day = new Date(date);
+  const text = `${WEEKDAYS[day.getUTCDay()].slice(0, 3)} ${day.getUTCDate()} ${MONTHS[day.getUTCMonth()]}`;
+  return time ? `${text} ${time}` : text;
+}
@@ -4,13 +4,15 @@
  */
 
 import chalk from 'chalk';
-import { extractOrderMetadata } from './chrome-scraper.js';
+import { extractOrderMetadata, fetchOrderDetails } from './chrome-scraper.js';
 import {
   getLastSyncTime,
   updateSyncMetadata,
   filterExistingOrders,
-  getOrderCount
+  getOrderCount,
+  importOrders
 } from './database.js';
+import { matchListsToOrders } from './feedback.js';
 
 /**
  * Detect new orders since last scrape
@@ -58,23 +60,33 @@ export async function detectNewOrders(db, chromeTools, options = {}) {
       newOrderNumbers: newOrders.map(o => o.order_number),
       duplicates: duplicates,
       imported: 0,
-      importSkipped: !autoImport
+      importSkipped: !autoImport,
+      importResults: []
     };
 
-    // Note: Auto-import would require full scraping (with item details)
-    // For now, detection only identifies new order numbers
+    // Fetch line items for the new orders only and save them together
     if (autoImport && newOrders.length > 0) {
-      console.log(chalk.yellow('⚠️  Auto-import requires full order scraping (not yet implemented)'));
-      console.log('   For now, detection only identifies new order numbers.');
-      console.log('   Use `node cli.js scrape` to import full order details.\n');
+      result.importResults = await importNewOrders(db, chromeTools, newOrders, onProgress);
+      result.imported = result.importResults.filter(r => r.status === 'imported').length;
+
+      // Record how the lists we generated compared with what was actually ordered
+      if (result.imported > 0) {
+        const matches = matchListsToOrders(db);
+        if (matches.length > 0) {
+          console.log(chalk.cyan(`🎯 Matched ${matches.length} saved list(s) to new orders (see: waitrose-generate accuracy)\n`));
+        }
+      }
     }
 
+    const importFailed = result.importResults.some(r => r.status !== 'imported');
+    const syncStatus = importFailed ? 'partial' : 'success';
+
     // Update sync metadata atomically
     // Wrapped in transaction to ensure consistency
     const updateMetadata = db.transaction(() => {
-      // Read actual current count from database (not stale value from line 31)
+      // Read actual current count from database (includes any orders just imported)
       const actualOrderCount = getOrderCount(db);
-      updateSyncMetadata(db, actualOrderCount, 'success');
+      updateSyncMetadata(db, actualOrderCount, syncStatus);
       return actualOrderCount;
     });
 
@@ -98,3 +110,42 @@ export async function detectNewOrders(db, chromeTools, options = {}) {
     throw error;
   }
 }
+
+/**
+ * Fetch items for newly detected orders and import them in one transaction
+ * @returns {Promise<Array>} Per-order results [{ order_number, status, itemCount, error }]
+ */
+async function importNewOrders(db, chromeTools, newOrders, onProgress) {
+  console.log(`📥 Importing ${newOrders.length} new orders...\n`);
+
+  const detailedOrders = await fetchOrderDetails(chromeTools, newOrders, { onProgress });
+
+  if (onProgress) onProgress({ step: 'save', message: 'Saving new orders...' });
+
+  let results;
+  try {
+    results = importOrders(db, detailedOrders);
+  } catch (error) {
+    // Transaction rolled back - nothing from this batch was saved
+    console.error(chalk.red(`❌ Import failed: ${error.message}`));
+    results = detailedOrders.map(order => ({
+      order_number: order.order_number,
+      status: 'failed',
+      itemCount: 0,
+      error: order.error || error.message
+    }));
+  }
+
+  for (const r of results) {
+    if (r.status === 'imported') {
+      console.log(chalk.green(`   ✓ #${r.order_number}: ${r.itemCount} items imported`));
+    } else if (r.status === 'empty') {
+      console.log(chalk.yellow(`   ○ #${r.order_number}: no items found, will retry next sync`));
+    } else {
+      console.log(chalk.red(`   ✗ #${r.order_number}: ${r.error}`));
+    }
+  }
+  console.log();
+
+  return results;
+}
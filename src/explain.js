@@ -0,0 +1,142 @@
+/**
+ * Prediction explanations
+ * Shows why an item would or wouldn't be on the next list: its purchase
+ * timeline, intervals, classification, confidence and the rule that decided it
+ */
+
+import { findProduct, getProducts, getItemFrequency, getPurchaseTimeline } from './database.js';
+import {
+  classifyItems,
+  calculateDaysSinceLastPurchase,
+  createAnalysisContext,
+  analyzeItem
+} from './analyzer.js';
+import { formatSeasonMonths } from './seasonality.js';
+import { loadTiers, describeTierRules } from './tiers.js';
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+function roundTo(value, places = 2) {
+  if (value === null || value === undefined) return null;
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Find a product by ID, name or alias, falling back to a unique partial name match
+ */
+function resolveProduct(db, ref) {
+  const product = findProduct(db, ref);
+  if (product) return product;
+
+  const matches = getProducts(db, { search: ref });
+  if (matches.length === 1) return matches[0];
+
+  if (matches.length > 1) {
+    const names = matches.slice(0, 5).map(match => match.canonical_name).join(', ');
+    throw new Error(`"${ref}" matches ${matches.length} products (${names}${matches.length > 5 ? ', ...' : ''}). Use the full name or product ID`);
+  }
+
+  throw new Error(`No product matches "${ref}". List products with: waitrose-generate products list`);
+}
+
+/**
+ * Explain the prediction for one product, using the same analysis as generatePatternSummary
+ * Read-only: feedback comes from list outcomes already recorded
+ * @param {string} ref - Product ID, name, alias or part of a name
+ * @param {Object} options - { targetDays, forecastFrom: Date (default today), includeEvents,
+ *   tiers (default: loadTiers()) }, plus threshold overrides (see ANALYZER_DEFAULTS)
+ * @returns {Object} { product, forecastFrom, targetDays, timeline, intervals, classification,
+ *   season, confidence, feedback, due, decision }
+ */
+export function explainItem(db, ref, options = {}) {
+  const { targetDays = 7, forecastFrom = new Date(), includeEvents = false, tiers = loadTiers(), ...thresholds } = options;
+
+  const product = resolveProduct(db, ref);
+  const name = product.canonical_name;
+
+  const timeline = getPurchaseTimeline(db, name);
+  if (timeline.length === 0) {
+    throw new Error(`${name} hasn't been bought in any order yet`);
+  }
+
+  const frequency = getItemFrequency(db, { minOrders: 1, includeEvents }).find(row => row.product_name === name);
+  if (!frequency) {
+    throw new Error(`${name} has only been bought in event or holiday orders, which predictions leave out (see --include-events)`);
+  }
+
+  const [item] = calculateDaysSinceLastPurchase(classifyItems([frequency], db, { ...thresholds, includeEvents, tiers }), forecastFrom);
+  const tierDefinition = tiers.find(definition => definition.name === item.tier);
+  const context = createAnalysisContext(db, { ...thresholds, includeEvents, forecastFrom });
+  const { intervals, feedback, profile, season, confidence, decision, tier } = analyzeItem(item, db, targetDays, context);
+
+  // From the last purchase the decision counts (normal orders only, unless includeEvents)
+  const dueDate = intervals.avg_interval
+    ? new Date(new Date(item.last_purchase_date).getTime() + intervals.avg_interval * MS_PER_DAY).toISOString().split('T')[0]
+    : null;
+
+  return {
+    product: name,
+    forecastFrom: forecastFrom.toISOString().split('T')[0],
+    targetDays,
+    timeline: timeline.map(purchase => ({
+      orderNumber: purchase.order_number,
+      date: purchase.order_date,
+      quantity: purchase.quantity,
+      tag: purchase.tag,
+      counted: includeEvents || purchase.tag === 'normal'
+    })),
+    intervals: {
+      days: intervals.intervals,
+      average: intervals.avg_interval,
+      rawAverage: intervals.raw_avg_interval,
+      stdDeviation: roundTo(intervals.std_deviation),
+      coefficientOfVariation: roundTo(confidence.coefficientOfVariation),
+      habitChange: intervals.change_point ? {
+        since: intervals.change_point.date,
+        fromDays: intervals.change_point.before_avg_interval,
+        toDays: intervals.change_point.after_avg_interval
+      } : null
+    },
+    classification: {
+      class: item.classification,
+      tier,
+      tierRules: tierDefinition ? describeTierRules(tierDefinition) : null,
+      frequency: roundTo(item.frequency),
+      purchases: item.purchase_count,
+      orders: frequency.total_orders
+    },
+    season: profile ? {
+      months: formatSeasonMonths(profile.seasonMonths),
+      inSeason: season?.inSeason ?? null,
+      seasonStart: season?.seasonStart ?? null
+    } : null,
+    confidence: {
+      score: roundTo(confidence.confidence),
+      frequency: roundTo(confidence.frequency),
+      countBoost: roundTo(confidence.countBoost),
+      coefficientOfVariation: roundTo(confidence.coefficientOfVariation),
+      consistencyFactor: roundTo(confidence.consistencyFactor),
+      acceptance: roundTo(confidence.acceptance),
+      feedbackFactor: roundTo(confidence.feedbackFactor)
+    },
+    feedback: feedback ? {
+      suggested: feedback.suggested,
+      bought: feedback.bought,
+      rejectionStreak: feedback.rejectionStreak,
+      missedStreak: feedback.missedStreak
+    } : null,
+    due: {
+      lastPurchased: item.last_purchase_date,
+      daysSinceLastPurchase: item.days_since_last_purchase,
+      dueDate,
+      daysTillDue: decision.daysTillDue,
+      planningWindow: decision.planningWindow
+    },
+    decision: {
+      included: decision.needed,
+      rule: decision.rule,
+      reason: decision.reason
+    }
+  };
+}
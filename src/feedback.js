@@ -0,0 +1,169 @@
+/**
+ * Recommendation feedback
+ * Matches saved lists to the order that followed them, records what happened
+ * to each item, and summarises that history per item for the analyzer
+ */
+
+import {
+  findProduct,
+  getShoppingList,
+  getOrderItems,
+  getListsAwaitingOrders,
+  saveListOutcomes,
+  getListOutcomeHistory
+} from './database.js';
+
+// Suggestions needed before acceptance affects confidence
+export const MIN_FEEDBACK_SUGGESTIONS = 2;
+
+// Stop predicting an item after this many suggestions in a row weren't bought
+export const REJECTION_LIMIT = 3;
+
+// Predict an item earlier after this many orders in a row bought it unsuggested
+export const MISSED_LIMIT = 2;
+
+/**
+ * Compare a list with the order that followed it
+ * @param {Array} listItems - [{ product_name, quantity }] (catalogue names)
+ * @param {Array} orderItems - [{ product_name, quantity }]
+ * @returns {Array} [{ product_name, outcome, suggested_quantity, ordered_quantity }]
+ *   outcome: bought, quantity_changed, not_bought or unsuggested
+ */
+export function compareListToOrder(listItems, orderItems) {
+  const ordered = new Map();
+  for (const item of orderItems) {
+    const key = item.product_name.toLowerCase();
+    const existing = ordered.get(key);
+    ordered.set(key, { product_name: item.product_name, quantity: (existing?.quantity ?? 0) + item.quantity });
+  }
+
+  const outcomes = [];
+  const suggested = new Set();
+
+  for (const item of listItems) {
+    const key = item.product_name.toLowerCase();
+    if (suggested.has(key)) continue;
+    suggested.add(key);
+
+    const match = ordered.get(key);
+    outcomes.push({
+      product_name: item.product_name,
+      outcome: !match ? 'not_bought' : match.quantity === item.quantity ? 'bought' : 'quantity_changed',
+      suggested_quantity: item.quantity,
+      ordered_quantity: match?.quantity ?? 0
+    });
+  }
+
+  for (const [key, item] of ordered) {
+    if (!suggested.has(key)) {
+      outcomes.push({
+        product_name: item.product_name,
+        outcome: 'unsuggested',
+        suggested_quantity: 0,
+        ordered_quantity: item.quantity
+      });
+    }
+  }
+
+  return outcomes;
+}
+
+/**
+ * Match every saved list whose next order has arrived, recording item outcomes
+ * Safe to run repeatedly: matched lists are skipped
+ * @returns {Array} Matches made [{ listId, orderId, outcomes }]
+ */
+export function matchListsToOrders(db) {
+  const matches = [];
+
+  for (const list of getListsAwaitingOrders(db)) {
+    if (!list.next_order_id) continue;
+
+    // List items are named as the model wrote them; use catalogue names where we can
+    const listItems = getShoppingList(db, list.id).items.map(item => ({
+      product_name: findProduct(db, item.product_name)?.canonical_name ?? item.product_name,
+      quantity: item.quantity
+    }));
+
+    const outcomes = compareListToOrder(listItems, getOrderItems(db, [list.next_order_id]));
+    saveListOutcomes(db, list.id, list.next_order_id, outcomes);
+    matches.push({ listId: list.id, orderId: list.next_order_id, outcomes });
+  }
+
+  return matches;
+}
+
+/**
+ * Fold outcome history into per-item feedback
+ * @param {Array} history - From getListOutcomeHistory, oldest first
+ * @returns {Map} Lower-cased product name → { product_name, suggested, bought, rejected, missed, rejectionStreak, missedStreak }
+ */
+export function summarizeFeedback(history) {
+  const feedback = new Map();
+
+  for (const row of history) {
+    const key = row.product_name.toLowerCase();
+    if (!feedback.has(key)) {
+      feedback.set(key, {
+        product_name: row.product_name,
+        suggested: 0,
+        bought: 0,
+        rejected: 0,
+        missed: 0,
+        rejectionStreak: 0,
+        missedStreak: 0
+      });
+    }
+    const item = feedback.get(key);
+
+    switch (row.outcome) {
+      case 'bought':
+      case 'quantity_changed':
+        item.suggested++;
+        item.bought++;
+        item.rejectionStreak = 0;
+        item.missedStreak = 0;
+        break;
+      case 'not_bought':
+      case 'removed':
+        item.suggested++;
+        item.rejected++;
+        item.rejectionStreak++;
+        item.missedStreak = 0;
+        break;
+      case 'unsuggested':
+        item.missed++;
+        item.missedStreak++;
+        item.rejectionStreak = 0;
+        break;
+    }
+  }
+
+  return feedback;
+}
+
+/**
+ * Summarise the list outcomes recorded so far, without matching new ones
+ * Run matchListsToOrders after importing orders for the latest feedback
+ * @returns {Map} As summarizeFeedback
+ */
+export function loadFeedback(db) {
+  return summarizeFeedback(getListOutcomeHistory(db));
+}
+
+/**
+ * Precision and recall from outcome counts
+ * Precision: share of suggested items that were bought
+ * Recall: share of bought items that were suggested
+ * @returns {Object} { precision, recall } (null when there's nothing to measure)
+ */
+export function calculateAccuracy({ bought = 0, quantity_changed = 0, not_bought = 0, unsuggested = 0 }) {
+  const hits = bought + quantity_changed;
+  const suggested = hits + not_bought;
+  const purchased = hits + unsuggested;
+
+  return {
+    precision: suggested > 0 ? hits / suggested : null,
+    recall: purchased > 0 ? hits / purchased : null
+  };
+}
@@ -0,0 +1,258 @@
+/**
+ * Interactive list editor
+ * Toggle items off, change quantities, add items from purchase history and
+ * reclassify before a list is saved or sent to the basket
+ */
+
+import chalk from 'chalk';
+import readline from 'readline';
+import { loadTiers, listClassifications } from './tiers.js';
+
+const HELP = `
+  ${chalk.bold('t <n>')}              Toggle item n on/off
+  ${chalk.bold('q <n> <qty>')}        Set item n's quantity
+  ${chalk.bold('a <name> [xN]')}      Add an item (Tab completes from your purchase history)
+  ${chalk.bold('c <n> [class]')}      Reclassify item n (a tier, or regular/infrequent; toggles if omitted)
+  ${chalk.bold('d')}                  Done
+`;
+
+/**
+ * Parse an editor command
+ * @param {Array} tiers - Tier definitions reclassified items can move to (default: loadTiers())
+ * @returns {Object} { type, index, quantity, name, classification }; index is 0-based,
+ *   classification is a tier name or schedule
+ */
+export function parseEditCommand(input, tiers = loadTiers()) {
+  const line = input.trim();
+  const [command, ...rest] = line.split(/\s+/);
+
+  const itemIndex = (value) => {
+    const n = parseInt(value);
+    if (isNaN(n) || n < 1) throw new Error('Give the item number from the list, e.g. "t 3"');
+    return n - 1;
+  };
+
+  if (!command) return { type: 'none' };
+
+  switch (command.toLowerCase()) {
+    case 'd':
+    case 'done':
+      return { type: 'done' };
+    case '?':
+    case 'h':
+    case 'help':
+      return { type: 'help' };
+    case 't':
+      return { type: 'toggle', index: itemIndex(rest[0]) };
+    case 'q': {
+      const quantity = parseInt(rest[1]);
+      if (isNaN(quantity) || quantity < 1 || quantity > 99) {
+        throw new Error('Quantity must be between 1 and 99, e.g. "q 3 2"');
+      }
+      return { type: 'quantity', index: itemIndex(rest[0]), quantity };
+    }
+    case 'a': {
+      const match = line.slice(1).trim().match(/^(.*?)(?:\s+x(\d+))?$/i);
+      const name = match[1].trim();
+      if (!name) throw new Error('Give the item name, e.g. "a Bananas x2"');
+
+      const quantity = match[2] ? parseInt(match[2]) : 1;
+      if (quantity < 1 || quantity > 99) throw new Error('Quantity must be between 1 and 99');
+      return { type: 'add', name, quantity };
+    }
+    case 'c': {
+      const classification = rest[1]?.toLowerCase() ?? null;
+      const classifications = listClassifications(tiers);
+      if (classification && !classifications.includes(classification)) {
+        throw new Error(`Classification must be one of: ${classifications.join(', ')}`);
+      }
+      return { type: 'reclassify', index: itemIndex(rest[0]), classification };
+    }
+    default:
+      throw new Error(`Unknown command "${command}". Type ? for help`);
+  }
+}
+
+/**
+ * Apply a parsed command to the editor items ({ ...recommendation, included })
+ * @param {Array} tiers - Tier definitions, as for parseEditCommand
+ * @returns {Array} New items (the input is not modified)
+ */
+export function applyEdit(items, command, productNames = [], tiers = loadTiers()) {
+  if (command.index !== undefined && !items[command.index]) {
+    throw new Error(`No item ${command.index + 1}; the list has ${items.length} items`);
+  }
+
+  const update = (changes) => items.map((item, index) => (index === command.index ? { ...item, ...changes } : item));
+
+  switch (command.type) {
+    case 'toggle':
+      return update({ included: !items[command.index].included });
+    case 'quantity':
+      return update({ quantity: command.quantity, included: true });
+    case 'reclassify': {
+      // A tier brings its schedule; a schedule keeps the item's tier only if the tier has that schedule
+      const { classification: current, tier: currentTier = null } = items[command.index];
+      const tier = tiers.find(t => t.name === command.classification);
+      if (tier) return update({ classification: tier.schedule, tier: tier.name });
+
+      const classification = command.classification ?? (current === 'regular' ? 'infrequent' : 'regular');
+      const kept = tiers.find(t => t.name === currentTier && t.schedule === classification);
+      return update({ classification, tier: kept?.name ?? null });
+    }
+    case 'add': {
+      // Use the name as bought, so it matches history and prices; a unique partial match counts
+      const matches = matchProductNames(command.name, productNames);
+      const name = productNames.find(p => p.toLowerCase() === command.name.toLowerCase())
+        ?? (matches.length === 1 ? matches[0] : command.name);
+      const existing = items.findIndex(item => item.item.toLowerCase() === name.toLowerCase());
+
+      if (existing !== -1) {
+        return items.map((item, index) => (index === existing ? { ...item, quantity: command.quantity, included: true } : item));
+      }
+
+      return [...items, {
+        item: name,
+        quantity: command.quantity,
+        classification: 'infrequent',
+        reason: 'Added by you',
+        confidence: 1,
+        included: true
+      }];
+    }
+    default:
+      return items;
+  }
+}
+
+/**
+ * Product names starting with (or else containing) the typed text
+ */
+export function matchProductNames(text, productNames) {
+  const query = text.trim().toLowerCase();
+  if (!query) return [];
+
+  const starts = productNames.filter(name => name.toLowerCase().startsWith(query));
+  if (starts.length > 0) return starts;
+
+  return productNames.filter(name => name.toLowerCase().includes(query));
+}
+
+/**
+ * Work out what changed between two lists
+ * Classes are compared as saved: the tier, or the schedule for items without one
+ * @returns {Array} [{ product_name, action: removed|added|quantity|reclassified, old_value, new_value }]
+ */
+export function diffLists(before, after) {
+  const key = (item) => item.item.toLowerCase();
+  const classOf = (item) => item.tier ?? item.classification;
+  const afterByName = new Map(after.map(item => [key(item), item]));
+  const beforeNames = new Set(before.map(key));
+  const edits = [];
+
+  for (const item of before) {
+    const edited = afterByName.get(key(item));
+
+    if (!edited) {
+      edits.push({ product_name: item.item, action: 'removed', old_value: String(item.quantity), new_value: null });
+      continue;
+    }
+    if (edited.quantity !== item.quantity) {
+      edits.push({ product_name: item.item, action: 'quantity', old_value: String(item.quantity), new_value: String(edited.quantity) });
+    }
+    if (classOf(edited) !== classOf(item)) {
+      edits.push({ product_name: item.item, action: 'reclassified', old_value: classOf(item), new_value: classOf(edited) });
+    }
+  }
+
+  for (const item of after) {
+    if (!beforeNames.has(key(item))) {
+      edits.push({ product_name: item.item, action: 'added', old_value: null, new_value: String(item.quantity) });
+    }
+  }
+
+  return edits;
+}
+
+/**
+ * Format the editor's numbered list, with each item's tier (or schedule without one)
+ */
+function formatEditorList(items) {
+  let output = '\n' + chalk.bold.cyan('✏️  Edit Shopping List\n');
+  output += chalk.gray('═'.repeat(60)) + '\n';
+
+  items.forEach((item, index) => {
+    const number = chalk.gray(`${String(index + 1).padStart(3)}.`);
+    const line = `${item.included ? '[x]' : '[ ]'} ${item.item} (${item.quantity}x) - ${item.tier ?? item.classification}`;
+    output += `${number} ${item.included ? line : chalk.strikethrough.gray(line)}\n`;
+  });
+
+  output += chalk.gray('═'.repeat(60)) + '\n';
+  output += chalk.gray(`${items.filter(i => i.included).length} of ${items.length} items included. Type ? for help, d when done.\n`);
+  return output;
+}
+
+/**
+ * Edit a list in the terminal
+ * @param {Array} recommendations - List to edit
+ * Ending input (Ctrl-D, or the end of piped input) finishes like "d"
+ * @param {Object} options - { productNames: names for autocomplete when adding,
+ *   tiers: tier definitions to reclassify into (default: loadTiers()) }
+ * @returns {Promise<Object>} { recommendations, edits } - the edited list and what changed
+ */
+export function editShoppingList(recommendations, options = {}) {
+  const { productNames = [], tiers = loadTiers() } = options;
+  let items = recommendations.map(item => ({ ...item, included: true }));
+
+  // Tab completes product names after "a "
+  const completer = (line) => {
+    const match = line.match(/^a\s+(.*)$/i);
+    if (!match) return [[], line];
+
+    const hits = matchProductNames(match[1], productNames).map(name => `a ${name}`);
+    return [hits, line];
+  };
+
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+      completer
+    });
+
+    let finished = false;
+
+    const finish = () => {
+      if (finished) return;
+      finished = true;
+      rl.close();
+      const edited = items.filter(item => item.included).map(({ included, ...item }) => item);
+      resolve({ recommendations: edited, edits: diffLists(recommendations, edited) });
+    };
+
+    rl.on('close', finish);
+
+    const ask = () => {
+      rl.question(chalk.bold('edit> '), (answer) => {
+        try {
+          const command = parseEditCommand(answer, tiers);
+
+          if (command.type === 'done') return finish();
+          if (command.type === 'help') {
+            console.log(HELP);
+          } else if (command.type !== 'none') {
+            items = applyEdit(items, command, productNames, tiers);
+            console.log(formatEditorList(items));
+          }
+        } catch (error) {
+          console.log(chalk.red(`❌ ${error.message}`));
+        }
+        ask();
+      });
+    };
+
+    console.log(formatEditorList(items));
+    console.log(HELP);
+    ask();
+  });
+}
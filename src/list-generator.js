@@ -7,26 +7,42 @@ import {
   initializeDatabase,
   getItemFrequency,
   saveShoppingList,
-  getOrderCount
+  getOrderCount,
+  getLatestUnitPrices
 } from './database.js';
 import {
   classifyItems,
   calculateDaysSinceLastPurchase,
   generatePatternSummary
 } from './analyzer.js';
-import { generateShoppingList } from './claude-client.js';
+import { generateRecommendations } from './recommender.js';
+import { getActiveProfile, assertProfileExists } from './profiles.js';
+import { fitToBudget } from './budget.js';
+import { matchListsToOrders } from './feedback.js';
 
 /**
  * Generate a shopping list with AI recommendations
  * @param {Object} options - Generation options
  * @param {number} options.daysCoverage - Days to cover (5-8, default: 7)
  * @param {boolean} options.save - Save to database (default: true)
- * @returns {Promise<Object>} { recommendations, usage, listId, db }
+ * @param {string} options.profile - Household profile (default: WAITROSE_PROFILE or "default")
+ * @param {number} options.budget - Budget in pounds; low-priority items are trimmed to fit
+ * @param {string} options.engine - claude, local or auto (default: claude)
+ * @param {Function} options.onFallback - Called with the error when auto falls back to local
+ * @param {Function} options.onRetry - Called before each retry of a failed API call
+ * @param {AbortSignal} options.signal - Cancels the API call
+ * @returns {Promise<Object>} { recommendations, usage, warnings, engine, listId, db, budget }
  */
 export async function generateShoppingListWithOptions(options = {}) {
   const {
     daysCoverage = 7,
-    save = true
+    save = true,
+    profile = getActiveProfile(),
+    budget = null,
+    engine = 'claude',
+    onFallback = null,
+    onRetry = null,
+    signal = null
   } = options;
 
   // Validate days coverage
@@ -35,7 +51,8 @@ export async function generateShoppingListWithOptions(options = {}) {
   }
 
   // Initialize database
-  const db = initializeDatabase();
+  assertProfileExists(profile);
+  const db = initializeDatabase({ profile });
 
   // Check if we have enough orders
   const orderCount = getOrderCount(db);
@@ -44,9 +61,12 @@ export async function generateShoppingListWithOptions(options = {}) {
     throw new Error(`Only ${orderCount} orders found. Need at least 3 for pattern analysis.`);
   }
 
+  // Catch up on list feedback from orders imported since the last list
+  matchListsToOrders(db);
+
   // Analyze patterns
   const frequency = getItemFrequency(db, { minOrders: 2 });
-  const classified = classifyItems(frequency);
+  const classified = classifyItems(frequency, db);
   const withDays = calculateDaysSinceLastPurchase(classified);
   const patternSummary = generatePatternSummary(withDays, db, daysCoverage);
 
@@ -57,18 +77,30 @@ export async function generateShoppingListWithOptions(options = {}) {
     throw new Error(`No items predicted as needed for the next ${daysCoverage} days`);
   }
 
-  // Generate recommendations with Claude
-  const result = await generateShoppingList(patternSummary, { daysCoverage });
+  // Generate recommendations
+  const result = await generateRecommendations(patternSummary, { daysCoverage, engine, onFallback, onRetry, signal, db });
+
+  // Trim to budget using historical prices
+  let recommendations = result.recommendations;
+  let budgetResult = null;
+  if (budget) {
+    const prices = getLatestUnitPrices(db, recommendations.map(r => r.item));
+    budgetResult = fitToBudget(recommendations, prices, budget);
+    recommendations = budgetResult.items;
+  }
 
   // Save to database if requested
   let listId = null;
   if (save) {
-    listId = saveShoppingList(db, daysCoverage, result.recommendations);
+    listId = saveShoppingList(db, daysCoverage, recommendations, { apiCallIds: result.apiCallIds });
   }
 
   return {
-    recommendations: result.recommendations,
+    recommendations,
+    budget: budgetResult,
     usage: result.usage,
+    warnings: result.warnings || [],
+    engine: result.engine,
     listId,
     db,  // Return db for caller to close
     orderCount,
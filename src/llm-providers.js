@@ -0,0 +1,314 @@
+/**
+ * LLM providers
+ * One interface over Anthropic, OpenAI-compatible endpoints and recorded fixtures
+ *
+ * Every provider exposes:
+ *   complete({ system, messages, maxTokens, tools, toolChoice })
+ *     → { text, toolCalls: [{ name, input }], usage: { input_tokens, output_tokens }, model }
+ *
+ * tools are [{ name, description, inputSchema }] (JSON Schema); toolChoice names
+ * a tool the model must call. Live providers also accept signal (AbortSignal) and
+ * onRetry, and retry transient failures per the config.
+ */
+
+import Anthropic from '@anthropic-ai/sdk';
+import dotenv from 'dotenv';
+import { createHash } from 'crypto';
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { withRetries } from './retry.js';
+
+dotenv.config();
+
+export const PROVIDERS = ['anthropic', 'openai'];
+
+const DEFAULTS = {
+  anthropic: { model: 'claude-sonnet-4-5-20250929', baseUrl: null },
+  openai: { model: null, baseUrl: 'https://api.openai.com/v1' }
+};
+
+const DEFAULT_MAX_TOKENS = 2048;
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_TIMEOUT_MS = 60000;
+
+/**
+ * Parse a whole-number setting, throwing a helpful error if it's invalid
+ */
+function parseIntSetting(env, name, defaultValue, min) {
+  if (!env[name]) return defaultValue;
+
+  const value = parseInt(env[name]);
+  if (isNaN(value) || value < min) {
+    throw new Error(`${name} must be a number of at least ${min}`);
+  }
+  return value;
+}
+
+/**
+ * Read LLM settings from the environment (or .env)
+ * @param {Object} env - Environment variables (default: process.env)
+ * @returns {Object} { provider, model, baseUrl, maxTokens, maxRetries, timeoutMs, apiKey, fixturePath, fixtureMode }
+ */
+export function loadLlmConfig(env = process.env) {
+  const provider = env.WAITROSE_LLM_PROVIDER || 'anthropic';
+
+  if (!PROVIDERS.includes(provider)) {
+    throw new Error(`Unknown LLM provider "${provider}". Use one of: ${PROVIDERS.join(', ')}`);
+  }
+
+  const maxTokens = parseIntSetting(env, 'WAITROSE_LLM_MAX_TOKENS', DEFAULT_MAX_TOKENS, 1);
+  const maxRetries = parseIntSetting(env, 'WAITROSE_LLM_MAX_RETRIES', DEFAULT_MAX_RETRIES, 0);
+  const timeoutMs = parseIntSetting(env, 'WAITROSE_LLM_TIMEOUT_MS', DEFAULT_TIMEOUT_MS, 1000);
+
+  const fixtureMode = env.WAITROSE_LLM_FIXTURE_MODE || 'replay';
+
+  if (!['replay', 'record'].includes(fixtureMode)) {
+    throw new Error('WAITROSE_LLM_FIXTURE_MODE must be "replay" or "record"');
+  }
+
+  return {
+    provider,
+    model: env.WAITROSE_LLM_MODEL || DEFAULTS[provider].model,
+    baseUrl: env.WAITROSE_LLM_BASE_URL || DEFAULTS[provider].baseUrl,
+    maxTokens,
+    maxRetries,
+    timeoutMs,
+    apiKey: provider === 'anthropic' ? env.ANTHROPIC_API_KEY : (env.OPENAI_API_KEY || env.WAITROSE_LLM_API_KEY),
+    fixturePath: env.WAITROSE_LLM_FIXTURE || null,
+    fixtureMode
+  };
+}
+
+/**
+ * Anthropic Messages API
+ */
+class AnthropicProvider {
+  constructor(config) {
+    if (!config.apiKey) {
+      throw new Error('ANTHROPIC_API_KEY not set in environment');
+    }
+
+    this.name = 'anthropic';
+    this.model = config.model;
+    this.maxTokens = config.maxTokens;
+    this.client = new Anthropic({
+      apiKey: config.apiKey,
+      maxRetries: 0,  // Retries are handled by RetryingProvider
+      ...(config.baseUrl ? { baseURL: config.baseUrl } : {})
+    });
+  }
+
+  async complete({ system, messages, maxTokens = this.maxTokens, tools, toolChoice, signal }) {
+    const response = await this.client.messages.create({
+      model: this.model,
+      max_tokens: maxTokens,
+      ...(system ? { system } : {}),
+      ...(tools ? {
+        tools: tools.map(tool => ({ name: tool.name, description: tool.description, input_schema: tool.inputSchema }))
+      } : {}),
+      ...(toolChoice ? { tool_choice: { type: 'tool', name: toolChoice } } : {}),
+      messages
+    }, { signal });
+
+    return {
+      text: response.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+      toolCalls: response.content
+        .filter(block => block.type === 'tool_use')
+        .map(block => ({ name: block.name, input: block.input })),
+      usage: {
+        input_tokens: response.usage.input_tokens,
+        output_tokens: response.usage.output_tokens
+      },
+      model: response.model
+    };
+  }
+}
+
+/**
+ * Any endpoint implementing the OpenAI Chat Completions API
+ * (OpenAI, OpenRouter, Ollama, LM Studio, vLLM...)
+ */
+class OpenAICompatibleProvider {
+  constructor(config) {
+    if (!config.model) {
+      throw new Error('WAITROSE_LLM_MODEL must be set for the openai provider');
+    }
+
+    this.name = 'openai';
+    this.model = config.model;
+    this.maxTokens = config.maxTokens;
+    this.baseUrl = config.baseUrl.replace(/\/+$/, '');
+    this.apiKey = config.apiKey;
+  }
+
+  async complete({ system, messages, maxTokens = this.maxTokens, tools, toolChoice, signal }) {
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      signal,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+      },
+      body: JSON.stringify({
+        model: this.model,
+        max_tokens: maxTokens,
+        messages: [
+          ...(system ? [{ role: 'system', content: system }] : []),
+          ...messages
+        ],
+        ...(tools ? {
+          tools: tools.map(tool => ({
+            type: 'function',
+            function: { name: tool.name, description: tool.description, parameters: tool.inputSchema }
+          }))
+        } : {}),
+        ...(toolChoice ? { tool_choice: { type: 'function', function: { name: toolChoice } } } : {})
+      })
+    });
+
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      const error = new Error(body.error?.message || `Request failed with status ${response.status}`);
+      error.status = response.status;
+      error.headers = response.headers;
+      throw error;
+    }
+
+    const message = body.choices?.[0]?.message ?? {};
+
+    return {
+      text: message.content ?? '',
+      toolCalls: (message.tool_calls ?? []).map(call => ({
+        name: call.function.name,
+        input: parseToolArguments(call.function.arguments)
+      })),
+      usage: {
+        input_tokens: body.usage?.prompt_tokens ?? 0,
+        output_tokens: body.usage?.completion_tokens ?? 0
+      },
+      model: body.model ?? this.model
+    };
+  }
+}
+
+/**
+ * Retries a live provider's transient failures with backoff, under a per-request timeout
+ */
+class RetryingProvider {
+  constructor(provider, config) {
+    this.name = provider.name;
+    this.model = provider.model;
+    this.provider = provider;
+    this.maxRetries = config.maxRetries ?? DEFAULT_MAX_RETRIES;
+    this.timeoutMs = config.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+  }
+
+  complete({ signal, onRetry, ...request }) {
+    return withRetries(
+      (attemptSignal) => this.provider.complete({ ...request, signal: attemptSignal }),
+      { maxRetries: this.maxRetries, timeoutMs: this.timeoutMs, signal, onRetry }
+    );
+  }
+}
+
+/**
+ * Parse OpenAI tool call arguments (a JSON string)
+ * Unparseable arguments are passed through as the raw string for the caller to reject
+ */
+function parseToolArguments(args) {
+  try {
+    return JSON.parse(args);
+  } catch {
+    return args;
+  }
+}
+
+/**
+ * The parts of a request that determine the response
+ */
+function recordableRequest({ system = null, messages, tools = null, toolChoice = null }) {
+  return { system, messages, tools, toolChoice };
+}
+
+/**
+ * Key a request by its content, so a recording matches the same prompt on replay
+ */
+export function requestKey(request) {
+  return createHash('sha256')
+    .update(JSON.stringify(recordableRequest(request)))
+    .digest('hex');
+}
+
+function readFixture(fixturePath) {
+  if (!existsSync(fixturePath)) {
+    return { recordings: {} };
+  }
+  return JSON.parse(readFileSync(fixturePath, 'utf-8'));
+}
+
+/**
+ * Replays responses recorded in a fixture file; makes no network calls
+ */
+class FixtureProvider {
+  constructor(config) {
+    this.name = 'fixture';
+    this.fixturePath = config.fixturePath;
+    this.recordings = readFixture(config.fixturePath).recordings;
+  }
+
+  async complete(request) {
+    const recording = this.recordings[requestKey(request)];
+
+    if (!recording) {
+      throw new Error(`No recorded response for this request in ${this.fixturePath}. Re-record it with WAITROSE_LLM_FIXTURE_MODE=record`);
+    }
+
+    return { toolCalls: [], ...recording.response };
+  }
+}
+
+/**
+ * Passes requests to a live provider and saves each response to the fixture file
+ */
+class RecordingProvider {
+  constructor(provider, config) {
+    this.name = provider.name;
+    this.model = provider.model;
+    this.provider = provider;
+    this.fixturePath = config.fixturePath;
+  }
+
+  async complete(request) {
+    const response = await this.provider.complete(request);
+
+    const fixture = readFixture(this.fixturePath);
+    fixture.recordings[requestKey(request)] = {
+      request: recordableRequest(request),
+      response
+    };
+    writeFileSync(this.fixturePath, JSON.stringify(fixture, null, 2) + '\n');
+
+    return response;
+  }
+}
+
+/**
+ * Create the provider described by the config
+ * With a fixture path, replays recordings (or records live responses in record mode)
+ * @param {Object} config - From loadLlmConfig (default: read from environment)
+ */
+export function createProvider(config = loadLlmConfig()) {
+  if (config.fixturePath && config.fixtureMode === 'replay') {
+    return new FixtureProvider(config);
+  }
+
+  const provider = new RetryingProvider(config.provider === 'openai'
+    ? new OpenAICompatibleProvider(config)
+    : new AnthropicProvider(config), config);
+
+  if (config.fixturePath) {
+    return new RecordingProvider(provider, config);
+  }
+
+  return provider;
+}
@@ -0,0 +1,98 @@
+/**
+ * Local recommendation engine
+ * Builds a shopping list straight from the pattern summary, with no API call
+ */
+
+import { calculateRecommendedQuantity, estimateStockOnHand } from './analyzer.js';
+
+/**
+ * Explain a recommendation from its purchase pattern
+ * "Usually bought every 7 days; last bought 9 days ago (2 days overdue)"
+ * After a habit change: "Usually bought every 14 days (every 7 until 2026-03-01); ..."
+ * In season: "...; in season (Nov–Dec)", or "Seasonal (Nov–Dec), not bought yet this season; ..."
+ */
+function buildReason(item) {
+  const { avgFrequencyDays, daysSinceLastPurchase, habitChange, season } = item;
+
+  if (season && !season.boughtThisSeason) {
+    return `Seasonal (${season.months}), not bought yet this season; last bought ${daysSinceLastPurchase} days ago`;
+  }
+
+  if (!avgFrequencyDays) {
+    return `Last bought ${daysSinceLastPurchase} days ago`;
+  }
+
+  const daysTillDue = avgFrequencyDays - daysSinceLastPurchase;
+  let due;
+  if (daysTillDue < 0) {
+    due = `${-daysTillDue} days overdue`;
+  } else if (daysTillDue === 0) {
+    due = 'due today';
+  } else {
+    due = `due in ${daysTillDue} days`;
+  }
+
+  const change = habitChange ? ` (every ${habitChange.fromDays} until ${habitChange.since})` : '';
+  const inSeason = season ? `; in season (${season.months})` : '';
+
+  return `Usually bought every ${avgFrequencyDays} days${change}; last bought ${daysSinceLastPurchase} days ago (${due})${inSeason}`;
+}
+
+/**
+ * Consumption rate and stock for an item
+ * Summaries that don't carry them are estimated from the average quantity and interval
+ */
+function estimateUsage(item) {
+  if (item.consumptionPerDay !== undefined) {
+    return { consumptionRate: item.consumptionPerDay, stockOnHand: item.estimatedStock, avgQuantity: item.avgQuantity };
+  }
+
+  const consumptionRate = item.avgFrequencyDays ? item.avgQuantity / item.avgFrequencyDays : null;
+  return {
+    consumptionRate,
+    stockOnHand: estimateStockOnHand(item.avgQuantity, consumptionRate, item.daysSinceLastPurchase),
+    avgQuantity: item.avgQuantity
+  };
+}
+
+/**
+ * Turn one pattern summary item into a recommendation
+ */
+function toRecommendation(item, classification, daysCoverage) {
+  return {
+    item: item.name,
+    quantity: item.recommendedQuantity ?? calculateRecommendedQuantity(estimateUsage(item), daysCoverage),
+    classification,
+    reason: buildReason(item),
+    confidence: Math.round(item.confidence * 100) / 100
+  };
+}
+
+/**
+ * Generate recommendations deterministically from a pattern summary
+ * Returns the same shape as the Claude client so callers can use either
+ * @param {Object} patternSummary - From generatePatternSummary
+ * @param {Object} options - { daysCoverage }
+ * @returns {{ recommendations: Array, usage: Object }}
+ */
+export function generateLocalRecommendations(patternSummary, options = {}) {
+  const { daysCoverage = 7 } = options;
+
+  if (!patternSummary || (!patternSummary.regularItems && !patternSummary.infrequentItems)) {
+    throw new Error('No pattern data provided for shopping list generation');
+  }
+
+  const byConfidence = (a, b) => b.confidence - a.confidence || a.item.localeCompare(b.item);
+
+  const regular = (patternSummary.regularItems || [])
+    .map(item => toRecommendation(item, 'regular', daysCoverage))
+    .sort(byConfidence);
+  const infrequent = (patternSummary.infrequentItems || [])
+    .map(item => toRecommendation(item, 'infrequent', daysCoverage))
+    .sort(byConfidence);
+
+  return {
+    recommendations: [...regular, ...infrequent],
+    usage: { input_tokens: 0, output_tokens: 0 }
+  };
+}
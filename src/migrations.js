@@ -0,0 +1,359 @@
+/**
+ * Schema migrations
+ * Versioned, append-only schema changes applied on startup.
+ * Applied versions are tracked in the schema_migrations table.
+ *
+ * To change the schema, add a new entry to MIGRATIONS with the next version
+ * number. Never edit a migration that has already shipped.
+ */
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial-schema',
+    up(db) {
+      // IF NOT EXISTS lets databases created before migrations adopt this baseline
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS orders (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          order_number TEXT UNIQUE NOT NULL,
+          order_date TEXT NOT NULL,
+          scraped_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS order_items (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          order_id INTEGER NOT NULL,
+          product_name TEXT NOT NULL,
+          quantity INTEGER NOT NULL,
+          FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE
+        );
+
+        CREATE TABLE IF NOT EXISTS shopping_lists (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          generated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          days_coverage INTEGER NOT NULL
+        );
+
+        CREATE TABLE IF NOT EXISTS shopping_list_items (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          list_id INTEGER NOT NULL,
+          product_name TEXT NOT NULL,
+          quantity INTEGER NOT NULL,
+          classification TEXT CHECK(classification IN ('regular', 'infrequent')) NOT NULL,
+          confidence REAL,
+          FOREIGN KEY (list_id) REFERENCES shopping_lists(id) ON DELETE CASCADE
+        );
+
+        CREATE TABLE IF NOT EXISTS sync_metadata (
+          key TEXT PRIMARY KEY,
+          last_sync_time TEXT,
+          last_sync_timestamp INTEGER,
+          order_count_at_sync INTEGER,
+          status TEXT CHECK(status IN ('success', 'partial', 'failed'))
+        );
+
+        INSERT OR IGNORE INTO sync_metadata
+        (key, last_sync_time, last_sync_timestamp, order_count_at_sync, status)
+        VALUES ('waitrose_orders', NULL, 0, 0, 'success');
+
+        CREATE INDEX IF NOT EXISTS idx_orders_date ON orders(order_date);
+        CREATE INDEX IF NOT EXISTS idx_order_items_name ON order_items(product_name);
+        CREATE INDEX IF NOT EXISTS idx_order_items_order_id ON order_items(order_id);
+      `);
+    }
+  },
+  {
+    version: 2,
+    name: 'repair-future-order-dates',
+    up(db) {
+      // Older scrapes appended the current year to "11 December", so December
+      // orders scraped in January landed eleven months after they were scraped.
+      // Upcoming deliveries are at most three weeks ahead of the scrape.
+      db.exec(`
+        UPDATE orders
+        SET order_date = date(order_date, '-1 year')
+        WHERE order_date > date(scraped_at, '+21 days');
+      `);
+    }
+  },
+  {
+    version: 3,
+    name: 'add-prices',
+    up(db) {
+      // Prices are in pounds; NULL for orders scraped before prices were captured
+      db.exec(`
+        ALTER TABLE orders ADD COLUMN subtotal REAL;
+        ALTER TABLE orders ADD COLUMN delivery_charge REAL;
+        ALTER TABLE orders ADD COLUMN savings REAL;
+        ALTER TABLE orders ADD COLUMN order_total REAL;
+
+        ALTER TABLE order_items ADD COLUMN unit_price REAL;
+        ALTER TABLE order_items ADD COLUMN line_total REAL;
+        ALTER TABLE order_items ADD COLUMN substitution_note TEXT;
+      `);
+    }
+  },
+  {
+    version: 4,
+    name: 'add-products',
+    up(db) {
+      // Every distinct product_name becomes an alias of exactly one product.
+      // Merging products re-points aliases; order_items keeps the raw name.
+      db.exec(`
+        CREATE TABLE products (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          canonical_name TEXT UNIQUE NOT NULL,
+          waitrose_product_id TEXT,
+          url TEXT,
+          size TEXT,
+          category TEXT,
+          created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE product_aliases (
+          alias TEXT PRIMARY KEY,
+          product_id INTEGER NOT NULL,
+          FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
+        );
+
+        ALTER TABLE order_items ADD COLUMN product_id INTEGER REFERENCES products(id);
+
+        INSERT INTO products (canonical_name)
+        SELECT DISTINCT product_name FROM order_items;
+
+        INSERT INTO product_aliases (alias, product_id)
+        SELECT canonical_name, id FROM products;
+
+        UPDATE order_items
+        SET product_id = (SELECT product_id FROM product_aliases WHERE alias = order_items.product_name);
+
+        CREATE INDEX idx_order_items_product_id ON order_items(product_id);
+        CREATE INDEX idx_product_aliases_product_id ON product_aliases(product_id);
+      `);
+    }
+  },
+  {
+    version: 5,
+    name: 'add-api-usage',
+    up(db) {
+      // One row per LLM API call; list_id is filled in when the list is saved
+      db.exec(`
+        CREATE TABLE api_usage (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          called_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          purpose TEXT NOT NULL,
+          provider TEXT,
+          model TEXT,
+          input_tokens INTEGER NOT NULL DEFAULT 0,
+          output_tokens INTEGER NOT NULL DEFAULT 0,
+          estimated_cost REAL,
+          latency_ms INTEGER,
+          error TEXT,
+          list_id INTEGER,
+          FOREIGN KEY (list_id) REFERENCES shopping_lists(id) ON DELETE SET NULL
+        );
+
+        CREATE INDEX idx_api_usage_called_at ON api_usage(called_at);
+        CREATE INDEX idx_api_usage_list_id ON api_usage(list_id);
+      `);
+    }
+  },
+  {
+    version: 6,
+    name: 'add-list-refinements',
+    up(db) {
+      // Constraints applied to a generated list, in the order they were given
+      db.exec(`
+        CREATE TABLE shopping_list_refinements (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          list_id INTEGER NOT NULL,
+          position INTEGER NOT NULL,
+          constraint_text TEXT NOT NULL,
+          created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (list_id) REFERENCES shopping_lists(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX idx_shopping_list_refinements_list_id ON shopping_list_refinements(list_id);
+      `);
+    }
+  },
+  {
+    version: 7,
+    name: 'add-list-edits',
+    up(db) {
+      // Changes made by hand to a generated list before it was saved
+      db.exec(`
+        CREATE TABLE shopping_list_edits (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          list_id INTEGER NOT NULL,
+          product_name TEXT NOT NULL,
+          action TEXT NOT NULL CHECK(action IN ('removed', 'added', 'quantity', 'reclassified')),
+          old_value TEXT,
+          new_value TEXT,
+          created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (list_id) REFERENCES shopping_lists(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX idx_shopping_list_edits_list_id ON shopping_list_edits(list_id);
+        CREATE INDEX idx_shopping_list_edits_product ON shopping_list_edits(product_name);
+      `);
+    }
+  },
+  {
+    version: 8,
+    name: 'add-list-outcomes',
+    up(db) {
+      // What happened to each item once a list's next order arrived
+      db.exec(`
+        ALTER TABLE shopping_lists ADD COLUMN matched_order_id INTEGER REFERENCES orders(id) ON DELETE SET NULL;
+
+        CREATE TABLE shopping_list_outcomes (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          list_id INTEGER NOT NULL,
+          order_id INTEGER NOT NULL,
+          product_name TEXT NOT NULL,
+          outcome TEXT NOT NULL CHECK(outcome IN ('bought', 'quantity_changed', 'not_bought', 'unsuggested')),
+          suggested_quantity INTEGER,
+          ordered_quantity INTEGER,
+          FOREIGN KEY (list_id) REFERENCES shopping_lists(id) ON DELETE CASCADE,
+          FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX idx_shopping_list_outcomes_list_id ON shopping_list_outcomes(list_id);
+        CREATE INDEX idx_shopping_list_outcomes_product ON shopping_list_outcomes(product_name);
+      `);
+    }
+  },
+  {
+    version: 9,
+    name: 'add-order-tags',
+    up(db) {
+      // Event and holiday orders are left out of pattern maths
+      db.exec(`
+        ALTER TABLE orders ADD COLUMN tag TEXT NOT NULL DEFAULT 'normal' CHECK(tag IN ('normal', 'event', 'holiday'));
+      `);
+    }
+  },
+  {
+    version: 10,
+    name: 'add-list-item-tiers',
+    up(db) {
+      // Tiers (staple, weekly, ...) sit alongside regular/infrequent; they come
+      // from config, so any name is allowed
+      db.exec(`
+        ALTER TABLE shopping_list_items ADD COLUMN tier TEXT CHECK(tier IS NULL OR tier <> '');
+      `);
+    }
+  },
+  {
+    version: 11,
+    name: 'add-delivery-slots',
+    up(db) {
+      // Delivery window on the order date, as "HH:MM"
+      db.exec(`
+        ALTER TABLE orders ADD COLUMN slot_start TEXT;
+        ALTER TABLE orders ADD COLUMN slot_end TEXT;
+      `);
+    }
+  },
+  {
+    version: 12,
+    name: 'tier-list-item-classification',
+    up(db) {
+      // An item's classification is now its tier from config (or regular/infrequent
+      // without one), so the fixed CHECK goes and the separate tier column folds in.
+      // SQLite can't alter a CHECK, so the table is rebuilt
+      db.exec(`
+        CREATE TABLE shopping_list_items_new (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          list_id INTEGER NOT NULL,
+          product_name TEXT NOT NULL,
+          quantity INTEGER NOT NULL,
+          classification TEXT NOT NULL CHECK(classification <> ''),
+          confidence REAL,
+          FOREIGN KEY (list_id) REFERENCES shopping_lists(id) ON DELETE CASCADE
+        );
+
+        INSERT INTO shopping_list_items_new (id, list_id, product_name, quantity, classification, confidence)
+        SELECT id, list_id, product_name, quantity, COALESCE(tier, classification), confidence
+        FROM shopping_list_items;
+
+        DROP TABLE shopping_list_items;
+        ALTER TABLE shopping_list_items_new RENAME TO shopping_list_items;
+
+        CREATE INDEX idx_shopping_list_items_list_id ON shopping_list_items(list_id);
+      `);
+    }
+  }
+];
+
+/**
+ * Create the migration tracking table if needed
+ */
+function ensureMigrationsTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+}
+
+/**
+ * Get the highest applied migration version (0 for a new database)
+ */
+export function getSchemaVersion(db) {
+  ensureMigrationsTable(db);
+  const result = db.prepare('SELECT MAX(version) as version FROM schema_migrations').get();
+  return result.version ?? 0;
+}
+
+/**
+ * List every known migration with its applied status
+ * @returns {Array} [{ version, name, applied, applied_at }]
+ */
+export function getMigrationStatus(db) {
+  ensureMigrationsTable(db);
+
+  const applied = new Map(
+    db.prepare('SELECT version, applied_at FROM schema_migrations').all()
+      .map(row => [row.version, row.applied_at])
+  );
+
+  return MIGRATIONS.map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    applied: applied.has(migration.version),
+    applied_at: applied.get(migration.version) ?? null
+  }));
+}
+
+/**
+ * Apply all pending migrations in version order
+ * Each migration runs in its own transaction together with its tracking row,
+ * so a failure leaves the database at the last good version
+ * @returns {Array} Migrations applied in this run [{ version, name }]
+ */
+export function runMigrations(db) {
+  const currentVersion = getSchemaVersion(db);
+  const pending = MIGRATIONS.filter(m => m.version > currentVersion);
+
+  const recordStmt = db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)');
+
+  for (const migration of pending) {
+    const apply = db.transaction(() => {
+      migration.up(db);
+      recordStmt.run(migration.version, migration.name);
+    });
+
+    try {
+      apply();
+    } catch (error) {
+      throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${error.message}`);
+    }
+  }
+
+  return pending.map(({ version, name }) => ({ version, name }));
+}
@@ -1,17 +1,34 @@
 /**
  * Order parsing utilities
- * Extracts order numbers and dates from Waitrose page content
+ * Extracts order numbers, dates and line items from Waitrose page content
  */
 
 // Maximum page size to prevent ReDoS attacks (500KB)
 const MAX_PAGE_SIZE = 500000;
 
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MONTHS = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+// Upcoming deliveries can be booked up to three weeks ahead
+const FUTURE_SLACK_DAYS = 21;
+
+// How many years before the latest possible one a weekday may move a date;
+// a weekday that only fits further back is more likely misread than that old
+const MAX_YEARS_BACK = 1;
+
+// How far back to look for the latest year a date exists in (29 February)
+const LEAP_SEARCH_YEARS = 8;
+
 /**
  * Parse orders from page text
  * Extracts order numbers and dates from Waitrose order history
  * Protected against ReDoS attacks with input size limits
  */
-export function parseOrdersFromText(pageText) {
+export function parseOrdersFromText(pageText, options = {}) {
+  const { referenceDate = new Date() } = options;
   const orders = [];
 
   try {
@@ -36,11 +53,15 @@ export function parseOrdersFromText(pageText) {
     const datePattern = /\b(Monday|Tuesday|Wednesday|Thursday|Friday|Saturday|Sunday)\s+(\d{1,2})\s+(January|February|March|April|May|June|July|August|September|October|November|December)\b/g;
     const dates = [];
 
+    // History is listed newest first, so each date can be no later than the one before it
+    let notAfter = null;
+
     while ((match = datePattern.exec(pageText)) !== null) {
-      const dateStr = `${match[2]} ${match[3]}`; // "3 January"
-      const parsedDate = parseDateString(dateStr);
+      const dateStr = `${match[1]} ${match[2]} ${match[3]}`; // "Saturday 3 January"
+      const parsedDate = parseDateString(dateStr, { notAfter, referenceDate });
       if (parsedDate) {
         dates.push(parsedDate);
+        notAfter = parsedDate;
       }
     }
 
@@ -66,20 +87,296 @@ export function parseOrdersFromText(pageText) {
 
 /**
  * Parse date string to ISO format
- * Converts "3 January" to "2025-01-03" (assuming current year)
+ * Converts "Saturday 3 January" (or "3 January") to "2026-01-03"
+ *
+ * Waitrose omits the year, so it is inferred: the latest year that keeps the
+ * date on or before `notAfter` (default: today plus the booking window),
+ * or the year before if only that puts the date on the given weekday.
+ * If neither does, warns and uses the latest year
+ *
+ * @param {string} dateStr - "[Weekday] D Month [YYYY]"
+ * @param {Object} options - { notAfter: 'YYYY-MM-DD' | Date, referenceDate: Date }
  */
-export function parseDateString(dateStr) {
+export function parseDateString(dateStr, options = {}) {
   try {
-    const currentYear = new Date().getFullYear();
-    const fullDateStr = `${dateStr} ${currentYear}`;
-    const date = new Date(fullDateStr);
+    const { notAfter = null, referenceDate = new Date() } = options;
+
+    const match = dateStr.trim().match(/^(?:([A-Za-z]+)\s+)?(\d{1,2})\s+([A-Za-z]+)(?:\s+(\d{4}))?$/);
+    if (!match) {
+      return null;
+    }
+
+    const weekday = match[1] ? WEEKDAYS.indexOf(capitalize(match[1])) : -1;
+    const day = parseInt(match[2]);
+    const month = MONTHS.indexOf(capitalize(match[3]));
 
-    if (isNaN(date.getTime())) {
+    if (month === -1) {
       return null;
     }
 
-    return date.toISOString().split('T')[0];
+    if (match[4]) {
+      return toIsoDate(parseInt(match[4]), month, day);
+    }
+
+    const upperBound = notAfter
+      ? new Date(notAfter)
+      : new Date(referenceDate.getTime() + FUTURE_SLACK_DAYS * 24 * 60 * 60 * 1000);
+    const upperIso = upperBound.toISOString().split('T')[0];
+
+    // The latest year that doesn't place the date after the bound
+    let latest = null;
+    for (let year = upperBound.getUTCFullYear(); !latest && year >= upperBound.getUTCFullYear() - LEAP_SEARCH_YEARS; year--) {
+      const iso = toIsoDate(year, month, day);
+      if (iso && iso <= upperIso) {
+        latest = iso;
+      }
+    }
+
+    if (!latest || weekday === -1 || new Date(latest).getUTCDay() === weekday) {
+      return latest;
+    }
+
+    const latestYear = new Date(latest).getUTCFullYear();
+    for (let year = latestYear - 1; year >= latestYear - MAX_YEARS_BACK; year--) {
+      const iso = toIsoDate(year, month, day);
+      if (iso && new Date(iso).getUTCDay() === weekday) {
+        return iso;
+      }
+    }
+
+    console.warn(`Weekday doesn't match "${dateStr}" within ${MAX_YEARS_BACK} year of ${latest}, using ${latest}`);
+    return latest;
   } catch (error) {
     return null;
   }
 }
+
+/**
+ * Build a YYYY-MM-DD string, or null if the day doesn't exist in that month
+ */
+function toIsoDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month, day));
+
+  if (date.getUTCMonth() !== month || date.getUTCDate() !== day) {
+    return null;
+  }
+
+  return date.toISOString().split('T')[0];
+}
+
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
+}
+
+// Line patterns for order detail pages (anchored, no nested quantifiers)
+const UNIT_PRICE_LINE = /^£(\d{1,5}\.\d{2})\s+each$/i;
+const QUANTITY_LINE = /^(?:Qty|Quantity):?\s*(\d{1,3})$/i;
+const LINE_TOTAL_LINE = /^£(\d{1,5}\.\d{2})$/;
+const SIZE_LINE = /^\d[\d.]{0,6}\s?(?:g|kg|ml|cl|l|s|pack|pk|x\s?\d{1,3})$/i;
+const NOTE_LINE = /^(?:Substitut|Replaced|Unavailable|Out of stock)/i;
+const UNDELIVERED_NOTE = /(?:^|; )(?:Unavailable|Out of stock)/i;
+const SUMMARY_LINE = /^Order summary$/i;
+
+// Order summary lines, e.g. "Subtotal £13.00", "Savings -£1.20", "Delivery charge Free"
+const TOTAL_LINES = {
+  subtotal: /^Subtotal:?\s+£(\d{1,5}\.\d{2})$/i,
+  savings: /^(?:Savings|Offer savings|Total savings):?\s+-?£(\d{1,5}\.\d{2})$/i,
+  delivery_charge: /^Delivery(?: charge)?:?\s+(?:£(\d{1,5}\.\d{2})|Free)$/i,
+  order_total: /^(?:Order )?Total:?\s+£(\d{1,5}\.\d{2})$/i
+};
+
+// Delivery slot line, e.g. "Delivery Saturday 3 January, 10:00am - 11:00am"
+const DELIVERY_LINE = /^Delivery\b/i;
+const SLOT_WINDOW = /\b(\d{1,2})(?:[:.](\d{2}))?\s?(am|pm)?\s?[-–]\s?(\d{1,2})(?:[:.](\d{2}))?\s?(am|pm)?$/i;
+const CLOCK_TIME = /^(\d{1,2})(?:[:.](\d{2}))?\s?(am|pm)?$/i;
+
+/**
+ * Parse line items from an order detail page
+ * Each item renders as: name, optional size, "£1.50 each", "Qty 2", "£3.00",
+ * followed by optional substitution/unavailable notes
+ * Items noted as unavailable or out of stock weren't delivered, so are skipped
+ * Protected against ReDoS attacks with input size limits
+ */
+export function parseOrderDetailFromText(pageText) {
+  const items = [];
+
+  try {
+    if (pageText.length > MAX_PAGE_SIZE) {
+      console.warn(`Page truncated: ${pageText.length} > ${MAX_PAGE_SIZE}`);
+      pageText = pageText.substring(0, MAX_PAGE_SIZE);
+    }
+
+    const lines = pageText
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => line.length > 0);
+
+    let pending = [];   // Lines seen since the previous item ended
+    let current = null; // Item currently being assembled
+
+    for (const line of lines) {
+      if (SUMMARY_LINE.test(line)) break;
+
+      const unitPrice = line.match(UNIT_PRICE_LINE);
+      if (unitPrice) {
+        current = {
+          ...extractNameAndSize(pending),
+          unit_price: parseFloat(unitPrice[1]),
+          quantity: null,
+          line_total: null,
+          substitution: null
+        };
+        pending = [];
+        continue;
+      }
+
+      if (current && current.quantity === null) {
+        const quantity = line.match(QUANTITY_LINE);
+        if (quantity) {
+          current.quantity = parseInt(quantity[1]);
+          continue;
+        }
+      }
+
+      if (current && current.quantity !== null && current.line_total === null) {
+        const lineTotal = line.match(LINE_TOTAL_LINE);
+        if (lineTotal) {
+          current.line_total = parseFloat(lineTotal[1]);
+          items.push(current);
+          continue;
+        }
+      }
+
+      // Notes belong to the most recently completed item
+      if (NOTE_LINE.test(line) && items.length > 0 && pending.length === 0) {
+        const last = items[items.length - 1];
+        last.substitution = last.substitution ? `${last.substitution}; ${line}` : line;
+        continue;
+      }
+
+      pending.push(line);
+    }
+
+    const parsed = items.filter(item =>
+      item.product_name && item.quantity > 0 && !UNDELIVERED_NOTE.test(item.substitution ?? '')
+    );
+
+    console.log(`🧾 Parsed ${parsed.length} items from order page`);
+
+    return parsed;
+  } catch (error) {
+    console.error('Error parsing order detail:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Pick the product name (and size, if shown on its own line)
+ * from the lines preceding an item's unit price
+ */
+function extractNameAndSize(lines) {
+  if (lines.length === 0) {
+    return { product_name: null, size: null };
+  }
+
+  const last = lines[lines.length - 1];
+
+  if (lines.length >= 2 && SIZE_LINE.test(last)) {
+    return { product_name: lines[lines.length - 2], size: last };
+  }
+
+  return { product_name: last, size: null };
+}
+
+/**
+ * Parse the order summary from an order detail page
+ * Returns { subtotal, savings, delivery_charge, order_total } in pounds,
+ * with null for any figure not shown
+ */
+export function parseOrderTotalsFromText(pageText) {
+  const totals = { subtotal: null, savings: null, delivery_charge: null, order_total: null };
+
+  if (pageText.length > MAX_PAGE_SIZE) {
+    pageText = pageText.substring(0, MAX_PAGE_SIZE);
+  }
+
+  const lines = pageText.split('\n').map(line => line.trim());
+  const summaryStart = lines.findIndex(line => SUMMARY_LINE.test(line));
+
+  for (const line of lines.slice(Math.max(summaryStart, 0))) {
+    for (const [field, pattern] of Object.entries(TOTAL_LINES)) {
+      const match = line.match(pattern);
+      if (match && totals[field] === null) {
+        // "Delivery charge Free" matches without a captured amount
+        totals[field] = match[1] !== undefined ? parseFloat(match[1]) : 0;
+      }
+    }
+  }
+
+  return totals;
+}
+
+/**
+ * Parse the delivery slot from an order detail page
+ * Returns { start, end } as 24-hour "HH:MM" times, or null if no slot is shown.
+ * The slot's date is the order date
+ */
+export function parseDeliverySlotFromText(pageText) {
+  if (pageText.length > MAX_PAGE_SIZE) {
+    pageText = pageText.substring(0, MAX_PAGE_SIZE);
+  }
+
+  for (const line of pageText.split('\n').map(line => line.trim())) {
+    if (!DELIVERY_LINE.test(line)) continue;
+
+    const slot = parseSlotWindow(line);
+    if (slot) return slot;
+  }
+
+  return null;
+}
+
+/**
+ * Parse a time window ending a line, e.g. "10:00am - 11:00am" or "10-11am"
+ * @returns {Object|null} { start, end } as "HH:MM"
+ */
+export function parseSlotWindow(text) {
+  const match = text.trim().match(SLOT_WINDOW);
+  if (!match) return null;
+
+  // "10 - 11am": the start takes the end's am/pm, unless that puts it after the end ("11 - 12pm")
+  const [, startHour, startMinute, startMeridiem, endHour, endMinute, endMeridiem] = match;
+  const end = toClockTime(endHour, endMinute, endMeridiem);
+  let start = toClockTime(startHour, startMinute, startMeridiem ?? endMeridiem);
+  if (!startMeridiem && endMeridiem && start && end && start > end) {
+    start = toClockTime(startHour, startMinute, endMeridiem.toLowerCase() === 'pm' ? 'am' : 'pm');
+  }
+
+  return start && end ? { start, end } : null;
+}
+
+/**
+ * Parse a time of day, e.g. "10:00", "9.30" or "2pm"
+ * @returns {string|null} "HH:MM"
+ */
+export function parseClockTime(text) {
+  const match = text.trim().match(CLOCK_TIME);
+  return match ? toClockTime(match[1], match[2], match[3]) : null;
+}
+
+/**
+ * Convert an hour, minutes and optional am/pm to "HH:MM", or null if it isn't a time
+ */
+function toClockTime(hour, minute = '00', meridiem) {
+  let hours = parseInt(hour);
+  const minutes = parseInt(minute);
+
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (meridiem.toLowerCase() === 'pm' ? 12 : 0);
+  }
+
+  if (hours > 23 || minutes > 59) return null;
+
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
@@ -0,0 +1,71 @@
+/**
+ * Product catalogue helpers
+ * Spots products that are probably the same item sold under different names
+ */
+
+// Words that don't help tell two products apart
+const STOPWORDS = new Set(['waitrose', 'essential', 'duchy', 'british', 'the', 'and', 'with', 'fresh', 'of']);
+
+// Pack sizes and weights: "227g", "2.272L", "6 pack", "x4", "12s"
+const SIZE_PATTERN = /\b(?:\d+(?:\.\d+)?\s*(?:ml|cl|l|g|kg|pack|pk|s)|x\s*\d+|\d+\s*x)\b/g;
+
+/**
+ * Reduce a product name to the words that identify it
+ * "Waitrose Essential Semi-Skimmed Milk 2.272L" → ["milk", "semi", "skimmed"]
+ */
+export function productTokens(productName) {
+  const normalized = productName
+    .toLowerCase()
+    .replace(SIZE_PATTERN, ' ')
+    .replace(/[^a-z0-9]+/g, ' ');
+
+  const tokens = normalized
+    .split(' ')
+    .filter(token => token && !STOPWORDS.has(token));
+
+  return [...new Set(tokens)].sort();
+}
+
+/**
+ * Jaccard similarity of two names' identifying words (0-1)
+ */
+export function nameSimilarity(a, b) {
+  const tokensA = productTokens(a);
+  const tokensB = new Set(productTokens(b));
+
+  if (tokensA.length === 0 || tokensB.size === 0) return 0;
+
+  const shared = tokensA.filter(token => tokensB.has(token)).length;
+  const union = tokensA.length + tokensB.size - shared;
+
+  return shared / union;
+}
+
+/**
+ * Suggest pairs of products that look like the same item
+ * The more-purchased product of each pair is suggested as the merge target
+ * @param {Array} products - Rows from getProducts
+ * @param {Object} options - { minScore: similarity threshold (default 0.7) }
+ * @returns {Array} [{ source, target, score }] best matches first
+ */
+export function suggestMerges(products, options = {}) {
+  const { minScore = 0.7 } = options;
+  const suggestions = [];
+
+  for (let i = 0; i < products.length; i++) {
+    for (let j = i + 1; j < products.length; j++) {
+      const a = products[i];
+      const b = products[j];
+      const score = Math.max(...a.aliases.flatMap(aliasA =>
+        b.aliases.map(aliasB => nameSimilarity(aliasA, aliasB))
+      ), nameSimilarity(a.canonical_name, b.canonical_name));
+
+      if (score >= minScore) {
+        const [target, source] = (b.purchase_count > a.purchase_count) ? [b, a] : [a, b];
+        suggestions.push({ source, target, score });
+      }
+    }
+  }
+
+  return suggestions.sort((a, b) => b.score - a.score);
+}
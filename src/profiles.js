@@ -0,0 +1,157 @@
+/**
+ * Household profiles
+ * Each profile keeps its own order history in a separate database
+ * under the XDG data directory
+ */
+
+import { existsSync, mkdirSync, readdirSync, rmSync } from 'fs';
+import { homedir } from 'os';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const APP_DIR_NAME = 'waitrose-order-generator';
+const DB_FILE_NAME = 'shopping.db';
+
+// Database location used before profiles existed
+const LEGACY_DB_PATH = join(__dirname, '..', 'data', DB_FILE_NAME);
+
+export const DEFAULT_PROFILE = 'default';
+
+// Profile names become directory names, so keep them simple
+const PROFILE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/i;
+
+/**
+ * Get the base data directory
+ * WAITROSE_DATA_DIR > $XDG_DATA_HOME/waitrose-order-generator > ~/.local/share/waitrose-order-generator
+ */
+export function getDataDir() {
+  if (process.env.WAITROSE_DATA_DIR) {
+    return process.env.WAITROSE_DATA_DIR;
+  }
+
+  const xdgDataHome = process.env.XDG_DATA_HOME || join(homedir(), '.local', 'share');
+  return join(xdgDataHome, APP_DIR_NAME);
+}
+
+/**
+ * Get the active profile name (WAITROSE_PROFILE or "default")
+ */
+export function getActiveProfile() {
+  return process.env.WAITROSE_PROFILE || DEFAULT_PROFILE;
+}
+
+/**
+ * Validate a profile name, throwing if it can't be used as a directory name
+ */
+export function validateProfileName(name) {
+  if (!PROFILE_NAME_PATTERN.test(name)) {
+    throw new Error(
+      `Invalid profile name "${name}". Use up to 32 letters, numbers, dashes or underscores.`
+    );
+  }
+
+  return name;
+}
+
+function getProfileDir(name) {
+  return join(getDataDir(), 'profiles', name);
+}
+
+/**
+ * Resolve the database file for a profile
+ * The default profile keeps using data/shopping.db inside the package
+ * if that file exists and no profile database has been created yet
+ */
+export function resolveDatabasePath(profile = getActiveProfile()) {
+  validateProfileName(profile);
+
+  const dbPath = join(getProfileDir(profile), DB_FILE_NAME);
+
+  if (profile === DEFAULT_PROFILE && !existsSync(dbPath) && existsSync(LEGACY_DB_PATH)) {
+    return LEGACY_DB_PATH;
+  }
+
+  return dbPath;
+}
+
+/**
+ * Check whether a profile has been created
+ * The default profile always exists
+ */
+export function profileExists(name) {
+  return name === DEFAULT_PROFILE || existsSync(getProfileDir(name));
+}
+
+/**
+ * Throw a helpful error if a profile hasn't been created
+ */
+export function assertProfileExists(name) {
+  validateProfileName(name);
+
+  if (!profileExists(name)) {
+    throw new Error(
+      `Profile "${name}" does not exist. Create it with: waitrose-generate profile create ${name}`
+    );
+  }
+}
+
+/**
+ * List all profiles with their database locations
+ * @returns {Array} [{ name, dbPath, exists }]
+ */
+export function listProfiles() {
+  const profilesDir = join(getDataDir(), 'profiles');
+  const names = new Set([DEFAULT_PROFILE]);
+
+  if (existsSync(profilesDir)) {
+    readdirSync(profilesDir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && PROFILE_NAME_PATTERN.test(entry.name))
+      .forEach(entry => names.add(entry.name));
+  }
+
+  return [...names].sort().map(name => {
+    const dbPath = resolveDatabasePath(name);
+    return { name, dbPath, exists: existsSync(dbPath) };
+  });
+}
+
+/**
+ * Create a profile directory
+ * The database itself is created on first use by initializeDatabase
+ * @returns {string} Database path for the new profile
+ */
+export function createProfile(name) {
+  validateProfileName(name);
+
+  if (profileExists(name)) {
+    throw new Error(`Profile "${name}" already exists`);
+  }
+
+  mkdirSync(getProfileDir(name), { recursive: true });
+  return resolveDatabasePath(name);
+}
+
+/**
+ * Delete a profile and all of its data
+ * The default and active profiles cannot be deleted
+ */
+export function deleteProfile(name) {
+  validateProfileName(name);
+
+  if (name === DEFAULT_PROFILE) {
+    throw new Error('The default profile cannot be deleted');
+  }
+
+  if (name === getActiveProfile()) {
+    throw new Error(`Profile "${name}" is in use. Switch to another profile before deleting it.`);
+  }
+
+  if (!profileExists(name)) {
+    throw new Error(`Profile "${name}" does not exist`);
+  }
+
+  rmSync(getProfileDir(name), { recursive: true, force: true });
+}
@@ -0,0 +1,132 @@
+/**
+ * Recommendation engine selection
+ * Chooses between Claude and the local engine, falling back when asked to
+ */
+
+import { generateShoppingList, refineShoppingList } from './claude-client.js';
+import { generateLocalRecommendations } from './local-engine.js';
+import { createProvider } from './llm-providers.js';
+import { assertWithinSpendCap, createUsageRecorder } from './usage.js';
+import { addAssociatedItems } from './associations.js';
+
+// claude: API only. local: offline only. auto: Claude, falling back to local on failure
+export const ENGINES = ['claude', 'local', 'auto'];
+
+/**
+ * Check an engine name, throwing a helpful error if it's unknown
+ */
+export function validateEngine(engine) {
+  if (!ENGINES.includes(engine)) {
+    throw new Error(`Unknown engine "${engine}". Use one of: ${ENGINES.join(', ')}`);
+  }
+  return engine;
+}
+
+/**
+ * Tag each recommendation with its item's tier from the pattern summary
+ * Items the summary doesn't know (added by the engine or by association) have no tier
+ */
+function withTiers(result, patternSummary) {
+  const tiers = new Map(
+    [...(patternSummary.regularItems || []), ...(patternSummary.infrequentItems || [])]
+      .filter(item => item.tier)
+      .map(item => [item.name.toLowerCase(), item.tier])
+  );
+
+  return {
+    ...result,
+    recommendations: result.recommendations.map(rec => {
+      const tier = tiers.get(rec.item.toLowerCase());
+      return tier ? { ...rec, tier } : rec;
+    })
+  };
+}
+
+/**
+ * Add items usually bought with ones on the list (needs order history)
+ * @param {Object} options - { daysCoverage, includeEvents, forecastFrom } for addAssociatedItems
+ */
+function withAssociations(result, db, options) {
+  if (!db) return result;
+  return { ...result, recommendations: addAssociatedItems(db, result.recommendations, options) };
+}
+
+/**
+ * Generate recommendations with the chosen engine
+ * @param {Object} patternSummary - From generatePatternSummary
+ * @param {Object} options - { daysCoverage, engine, onFallback(error), provider, signal, onRetry, db,
+ *   includeEvents, forecastFrom }
+ *   With db, API calls are recorded in the usage ledger, the monthly spend cap is enforced
+ *   and items usually bought with those on the list are added (includeEvents and forecastFrom
+ *   should match the pattern summary's)
+ * @returns {Promise<Object>} { recommendations, usage, engine, fallbackReason, apiCallIds }
+ *   engine is the engine that actually produced the list; apiCallIds are ledger rows to link when saving
+ */
+export async function generateRecommendations(patternSummary, options = {}) {
+  const { daysCoverage = 7, engine = 'claude', onFallback = null, provider, signal, onRetry, db = null, includeEvents = false, forecastFrom = null } = options;
+  const associationOptions = { daysCoverage, includeEvents, forecastFrom };
+
+  validateEngine(engine);
+
+  if (engine === 'local') {
+    const result = { ...generateLocalRecommendations(patternSummary, { daysCoverage }), engine: 'local', apiCallIds: [] };
+    return withAssociations(withTiers(result, patternSummary), db, associationOptions);
+  }
+
+  const recorder = db ? createUsageRecorder(db) : null;
+
+  try {
+    const llm = provider ?? createProvider();
+    if (db) assertWithinSpendCap(db, { model: llm.model });
+
+    const result = await generateShoppingList(patternSummary, {
+      daysCoverage,
+      provider: llm,
+      signal,
+      onRetry,
+      onApiCall: recorder?.onApiCall
+    });
+    return withAssociations(withTiers({ ...result, engine: 'claude', apiCallIds: recorder?.ids ?? [] }, patternSummary), db, associationOptions);
+  } catch (error) {
+    // A cancelled request means the user wants to stop, not a different list
+    if (engine !== 'auto' || error.cancelled) {
+      throw error;
+    }
+
+    if (onFallback) onFallback(error);
+
+    return withAssociations(withTiers({
+      ...generateLocalRecommendations(patternSummary, { daysCoverage }),
+      engine: 'local',
+      fallbackReason: error.message,
+      apiCallIds: recorder?.ids ?? []
+    }, patternSummary), db, associationOptions);
+  }
+}
+
+/**
+ * Refine a list with a constraint in plain English
+ * Always uses the LLM: the local engine has no way to interpret constraints
+ * @param {Object} patternSummary - From generatePatternSummary
+ * @param {Array} currentList - Recommendations to refine
+ * @param {string} constraint - e.g. "no dairy this week"
+ * @param {Object} options - { daysCoverage, refinements, provider, signal, onRetry, db }
+ * @returns {Promise<Object>} { recommendations, warnings, usage, engine, apiCallIds }
+ */
+export async function refineRecommendations(patternSummary, currentList, constraint, options = {}) {
+  const { daysCoverage = 7, refinements = [], provider, signal, onRetry, db = null } = options;
+
+  const recorder = db ? createUsageRecorder(db) : null;
+  const llm = provider ?? createProvider();
+  if (db) assertWithinSpendCap(db, { model: llm.model });
+
+  const result = await refineShoppingList(patternSummary, currentList, constraint, {
+    daysCoverage,
+    refinements,
+    provider: llm,
+    signal,
+    onRetry,
+    onApiCall: recorder?.onApiCall
+  });
+  return withTiers({ ...result, engine: 'claude', apiCallIds: recorder?.ids ?? [] }, patternSummary);
+}
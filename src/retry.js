@@ -0,0 +1,166 @@
+/**
+ * Retries for LLM API calls
+ * Exponential backoff with jitter, retry-after support, per-request timeouts and cancellation
+ */
+
+// Rate limited, overloaded, server errors and request timeouts are worth another try
+const RETRYABLE_STATUSES = new Set([408, 409, 429, 500, 502, 503, 504, 529]);
+
+// Don't wait longer than this for a retry-after; give up instead
+const MAX_RETRY_AFTER_MS = 60000;
+
+/**
+ * Thrown when the caller's signal aborts (e.g. Ctrl-C)
+ */
+export class CancelledError extends Error {
+  constructor(message = 'Cancelled') {
+    super(message);
+    this.name = 'CancelledError';
+    this.cancelled = true;
+  }
+}
+
+/**
+ * Thrown when a single attempt takes longer than the timeout
+ */
+export class TimeoutError extends Error {
+  constructor(timeoutMs) {
+    super(`Request timed out after ${Math.round(timeoutMs / 1000)}s`);
+    this.name = 'TimeoutError';
+    this.timeout = true;
+  }
+}
+
+// Socket and DNS failures, on the error itself or as the cause of fetch's TypeError
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN'];
+
+/**
+ * Whether an error is worth retrying
+ * Network failures have no status; HTTP errors are retried only for transient statuses.
+ * A TypeError is only retried when fetch raised it for a network failure, not for a bug
+ */
+export function isRetryable(error) {
+  if (error.cancelled) return false;
+  if (error.timeout) return true;
+  if (error.status) return RETRYABLE_STATUSES.has(error.status);
+  if (error.name === 'TypeError') {
+    return error.message === 'fetch failed' || NETWORK_ERROR_CODES.includes(error.cause?.code);
+  }
+  return error.name === 'APIConnectionError' || NETWORK_ERROR_CODES.includes(error.code ?? error.cause?.code);
+}
+
+/**
+ * Read how long the server asked us to wait, in milliseconds
+ * Supports retry-after-ms, retry-after in seconds, and retry-after as an HTTP date
+ * @returns {number|null}
+ */
+export function getRetryAfterMs(error, now = Date.now()) {
+  const headers = error.headers;
+  if (!headers) return null;
+
+  const get = (name) => (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+
+  const ms = parseFloat(get('retry-after-ms'));
+  if (!isNaN(ms)) return Math.max(0, ms);
+
+  const value = get('retry-after');
+  if (!value) return null;
+
+  const seconds = parseFloat(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Backoff before retry number `attempt` (1-based): base × 2^(attempt-1), capped,
+ * then jittered to between half and all of that so clients don't retry in step
+ */
+export function backoffDelay(attempt, options = {}) {
+  const { baseDelayMs = 1000, maxDelayMs = 30000, random = Math.random } = options;
+  const delay = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt - 1));
+  return Math.round(delay / 2 + random() * (delay / 2));
+}
+
+/**
+ * Sleep that ends early (with CancelledError) if the signal aborts
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new CancelledError());
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new CancelledError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Run one attempt with its own timeout, also aborting if the caller's signal does
+ */
+async function attemptWithTimeout(fn, timeoutMs, signal) {
+  const controller = new AbortController();
+  let timedOut = false;
+
+  const onAbort = () => controller.abort();
+  signal?.addEventListener('abort', onAbort, { once: true });
+  const timer = timeoutMs ? setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs) : null;
+
+  try {
+    return await fn(controller.signal);
+  } catch (error) {
+    if (signal?.aborted) throw new CancelledError();
+    if (timedOut) throw new TimeoutError(timeoutMs);
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * Call fn, retrying transient failures
+ * @param {Function} fn - Receives an AbortSignal for the attempt; must honour it
+ * @param {Object} options - { maxRetries, baseDelayMs, maxDelayMs, timeoutMs, signal, onRetry }
+ *   onRetry({ attempt, maxRetries, delayMs, error }) is called before each wait
+ */
+export async function withRetries(fn, options = {}) {
+  const { maxRetries = 3, timeoutMs = 60000, signal = null, onRetry = null } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    if (signal?.aborted) throw new CancelledError();
+
+    try {
+      return await attemptWithTimeout(fn, timeoutMs, signal);
+    } catch (error) {
+      if (attempt >= maxRetries || !isRetryable(error)) {
+        throw error;
+      }
+
+      const retryAfterMs = getRetryAfterMs(error);
+      if (retryAfterMs !== null && retryAfterMs > MAX_RETRY_AFTER_MS) {
+        throw error;
+      }
+
+      const delayMs = retryAfterMs ?? backoffDelay(attempt + 1, options);
+
+      if (onRetry) onRetry({ attempt: attempt + 1, maxRetries, delayMs, error });
+
+      await sleep(delayMs, signal);
+    }
+  }
+}
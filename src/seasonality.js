@@ -0,0 +1,151 @@
+/**
+ * Seasonality
+ * Builds month-of-year purchase profiles per product from several years of
+ * history, so seasonal items are suggested in season and held back out of it
+ */
+
+import { getMonthOfYearOrderCounts, getMonthOfYearPurchases, getOrderDateRange } from './database.js';
+
+// Orders must span at least a year before a season can be told apart from a trend
+export const MIN_HISTORY_DAYS = 365;
+
+// Seasonal items must have been bought in season in at least this many different years
+export const MIN_SEASON_YEARS = 2;
+
+// A month is in season when an item's purchase rate is this many times its overall rate
+const PEAK_INDEX = 1.5;
+
+// Share of an item's purchases that must fall in season for a strong seasonal signal
+const MIN_CONCENTRATION = 0.75;
+
+// An item in season for more of the year than this isn't seasonal
+const MAX_SEASON_MONTHS = 6;
+
+const MIN_PURCHASES = 3;
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+/**
+ * Build seasonal profiles for products with a strong seasonal signal
+ * @param {Object} options - { before: only use orders before this date }
+ * @returns {Map} Lower-cased product name → {
+ *   product_name, seasonMonths: [1-12], concentration, years, purchases,
+ *   months: [{ month, purchase_count, order_count, rate, index }] (rate and index null without orders)
+ * }
+ */
+export function buildSeasonalProfiles(db, options = {}) {
+  const { before } = options;
+  const profiles = new Map();
+
+  const range = getOrderDateRange(db, { before });
+  if (!range.first || (new Date(range.last) - new Date(range.first)) / MS_PER_DAY < MIN_HISTORY_DAYS) {
+    return profiles;
+  }
+
+  const orderCounts = new Map(getMonthOfYearOrderCounts(db, { before }).map(row => [row.month, row.order_count]));
+  const totalOrders = [...orderCounts.values()].reduce((sum, count) => sum + count, 0);
+
+  const byProduct = new Map();
+  for (const row of getMonthOfYearPurchases(db, { before })) {
+    if (!byProduct.has(row.product_name)) byProduct.set(row.product_name, []);
+    byProduct.get(row.product_name).push(row);
+  }
+
+  for (const [productName, rows] of byProduct) {
+    const purchases = rows.reduce((sum, row) => sum + row.purchase_count, 0);
+    if (purchases < MIN_PURCHASES) continue;
+
+    const overallRate = purchases / totalOrders;
+    const months = MONTH_NAMES.map((name, i) => {
+      const month = i + 1;
+      const row = rows.find(r => r.month === month);
+      const orderCount = orderCounts.get(month) ?? 0;
+      const rate = orderCount > 0 ? (row?.purchase_count ?? 0) / orderCount : null;
+
+      return {
+        month,
+        purchase_count: row?.purchase_count ?? 0,
+        order_count: orderCount,
+        rate,
+        index: rate === null ? null : rate / overallRate
+      };
+    });
+
+    const seasonMonths = months.filter(m => m.index !== null && m.index >= PEAK_INDEX).map(m => m.month);
+    if (seasonMonths.length === 0 || seasonMonths.length > MAX_SEASON_MONTHS) continue;
+
+    const inSeason = rows.filter(row => seasonMonths.includes(row.month));
+    const concentration = inSeason.reduce((sum, row) => sum + row.purchase_count, 0) / purchases;
+    const years = Math.max(...inSeason.map(row => row.years));
+    if (concentration < MIN_CONCENTRATION || years < MIN_SEASON_YEARS) continue;
+
+    profiles.set(productName.toLowerCase(), { product_name: productName, seasonMonths, concentration, years, purchases, months });
+  }
+
+  return profiles;
+}
+
+/**
+ * Where a date window falls in a product's season
+ * @param {Object} profile - From buildSeasonalProfiles
+ * @param {Date} date - Start of the window
+ * @returns {Object|null} { inSeason, seasonStart: 'YYYY-MM-DD' of the season the window touches,
+ *   daysIntoSeason (negative when the season starts within the window) }, or null when
+ *   no orders were ever placed in the window's months, so there's nothing to go on
+ */
+export function getSeasonStatus(profile, date, targetDays = 7) {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const monthOf = (day) => day.getUTCMonth() + 1;
+
+  let firstInSeason = null;
+  let known = false;
+  for (let offset = 0; offset <= targetDays; offset++) {
+    const day = new Date(start.getTime() + offset * MS_PER_DAY);
+    if (profile.months[monthOf(day) - 1].rate !== null) known = true;
+    if (profile.seasonMonths.includes(monthOf(day))) {
+      firstInSeason = day;
+      break;
+    }
+  }
+
+  if (!firstInSeason) {
+    return known ? { inSeason: false, seasonStart: null, daysIntoSeason: null } : null;
+  }
+
+  // Walk back to the first month of this run of in-season months
+  let seasonStart = new Date(Date.UTC(firstInSeason.getUTCFullYear(), firstInSeason.getUTCMonth(), 1));
+  for (let i = 0; i < 11; i++) {
+    const previous = new Date(Date.UTC(seasonStart.getUTCFullYear(), seasonStart.getUTCMonth() - 1, 1));
+    if (!profile.seasonMonths.includes(monthOf(previous))) break;
+    seasonStart = previous;
+  }
+
+  return {
+    inSeason: true,
+    seasonStart: seasonStart.toISOString().split('T')[0],
+    daysIntoSeason: Math.round((start - seasonStart) / MS_PER_DAY)
+  };
+}
+
+/**
+ * Describe season months as ranges, e.g. [11, 12] → "Nov–Dec", [12, 1, 2] → "Dec–Feb"
+ */
+export function formatSeasonMonths(months) {
+  const inSeason = new Set(months);
+  if (inSeason.size === 12) return 'all year';
+
+  // Start each run at a month whose previous month is out of season
+  const ranges = [];
+  for (let month = 1; month <= 12; month++) {
+    const previous = month === 1 ? 12 : month - 1;
+    if (!inSeason.has(month) || inSeason.has(previous)) continue;
+
+    let end = month;
+    while (inSeason.has(end === 12 ? 1 : end + 1)) end = end === 12 ? 1 : end + 1;
+    ranges.push(end === month ? MONTH_NAMES[month - 1] : `${MONTH_NAMES[month - 1]}–${MONTH_NAMES[end - 1]}`);
+  }
+
+  return ranges.join(', ');
+}
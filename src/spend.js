@@ -0,0 +1,81 @@
+/**
+ * Spend analytics
+ * Summarises captured prices by category and flags price rises on regular items
+ */
+
+import { getItemFrequency, getPriceHistory } from './database.js';
+import { classifyItems } from './analyzer.js';
+import { categorizeProduct } from './categories.js';
+
+// Flag regular items whose latest price is at least 5% above their usual price
+const PRICE_RISE_THRESHOLD = 0.05;
+
+/**
+ * Group product spend into categories
+ * @param {Array} productSpend - Rows from getProductSpend
+ * @returns {Array} [{ category, total, products }] highest spend first
+ */
+export function summarizeCategorySpend(productSpend) {
+  const categories = new Map();
+
+  for (const product of productSpend) {
+    const category = product.category ?? categorizeProduct(product.product_name);
+    const entry = categories.get(category) || { category, total: 0, products: 0 };
+
+    entry.total += product.total_spend;
+    entry.products++;
+    categories.set(category, entry);
+  }
+
+  return [...categories.values()].sort((a, b) => b.total - a.total);
+}
+
+/**
+ * Compare each regular item's latest unit price against its usual (median) price
+ * @param {Object} options - { minIncrease: fraction, e.g. 0.05 for 5%,
+ *   productIds: only check these products, e.g. those getProductSpend matched }
+ * @returns {Array} [{ product_id, product_name, usual_price, latest_price, increase, latest_date }]
+ */
+export function detectPriceRises(db, options = {}) {
+  const { minIncrease = PRICE_RISE_THRESHOLD, productIds = null } = options;
+  const only = productIds ? new Set(productIds) : null;
+
+  const regularItems = classifyItems(getItemFrequency(db, { minOrders: 2 }), db)
+    .filter(item => item.classification === 'regular' && (!only || only.has(item.product_id)));
+
+  const rises = [];
+
+  for (const item of regularItems) {
+    const history = getPriceHistory(db, item.product_name);
+    if (history.length < 2) continue;
+
+    const latest = history[history.length - 1];
+    const usualPrice = median(history.slice(0, -1).map(h => h.unit_price));
+
+    if (usualPrice <= 0) continue;
+
+    const increase = (latest.unit_price - usualPrice) / usualPrice;
+
+    if (increase >= minIncrease) {
+      rises.push({
+        product_id: item.product_id,
+        product_name: item.product_name,
+        usual_price: usualPrice,
+        latest_price: latest.unit_price,
+        increase,
+        latest_date: latest.order_date
+      });
+    }
+  }
+
+  return rises.sort((a, b) => b.increase - a.increase);
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+
+  return sorted.length % 2 === 0
+    ? (sorted[middle - 1] + sorted[middle]) / 2
+    : sorted[middle];
+}
@@ -0,0 +1,164 @@
+/**
+ * Classification tiers
+ * Items are classified into tiers (staple, weekly, monthly, ...), each defined
+ * by frequency and interval rules. A tier's schedule says how its items are
+ * predicted: regular or infrequent. Defaults can be replaced with a tiers.json
+ * file in the data directory or the file named by WAITROSE_TIERS_FILE
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { getDataDir } from './profiles.js';
+
+const TIERS_FILE_NAME = 'tiers.json';
+
+// How a tier's items are predicted: regular items more than a couple of days
+// overdue are assumed bought elsewhere; infrequent items stay due until bought
+export const SCHEDULES = ['regular', 'infrequent'];
+
+// Checked in order: an item gets the first tier whose rules all match
+export const DEFAULT_TIERS = [
+  { name: 'seasonal', label: 'Seasonal', description: 'Bought mostly at one time of year', schedule: 'infrequent', rules: { seasonal: true } },
+  { name: 'staple', label: 'Staples', description: 'In almost every order', schedule: 'regular', rules: { minFrequency: 0.75 } },
+  { name: 'weekly', label: 'Weekly', description: 'Bought about once a week', schedule: 'regular', rules: { maxIntervalDays: 10 } },
+  { name: 'monthly', label: 'Monthly', description: 'Bought every few weeks', schedule: 'infrequent', rules: { maxIntervalDays: 40 } },
+  { name: 'occasional', label: 'Occasional', description: 'Bought now and then', schedule: 'infrequent', rules: {} }
+];
+
+const FREQUENCY_RULES = ['minFrequency', 'maxFrequency'];
+const INTERVAL_RULES = ['minIntervalDays', 'maxIntervalDays'];
+
+// Tier names are stored with list items, so keep them simple
+const TIER_NAME_PATTERN = /^[a-z][a-z0-9-]{0,31}$/;
+
+/**
+ * Check a tier definition list, throwing on the first problem
+ * Labels default to the capitalised name, descriptions to empty and schedules to infrequent
+ * @returns {Array} Tiers with defaults filled in
+ */
+export function validateTiers(tiers) {
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    throw new Error('Tier config must be a non-empty array of tiers');
+  }
+
+  const names = new Set();
+  return tiers.map((tier, index) => {
+    const { name, label, description = '', schedule = 'infrequent', rules = {} } = tier ?? {};
+
+    if (typeof name !== 'string' || !TIER_NAME_PATTERN.test(name)) {
+      throw new Error(`Tier ${index + 1}: name must be lower-case letters, numbers or dashes`);
+    }
+    if (names.has(name) || SCHEDULES.includes(name)) {
+      throw new Error(SCHEDULES.includes(name)
+        ? `Tier "${name}": ${SCHEDULES.join(' and ')} are schedules, not tier names`
+        : `Tier "${name}" is defined twice`);
+    }
+    names.add(name);
+
+    if (!SCHEDULES.includes(schedule)) {
+      throw new Error(`Tier "${name}": schedule must be ${SCHEDULES.join(' or ')}`);
+    }
+
+    if (typeof rules !== 'object' || rules === null || Array.isArray(rules)) {
+      throw new Error(`Tier "${name}": rules must be an object`);
+    }
+
+    for (const [key, value] of Object.entries(rules)) {
+      if (FREQUENCY_RULES.includes(key)) {
+        if (typeof value !== 'number' || value < 0 || value > 1) {
+          throw new Error(`Tier "${name}": ${key} must be a share of orders between 0 and 1`);
+        }
+      } else if (INTERVAL_RULES.includes(key)) {
+        if (typeof value !== 'number' || value < 0) {
+          throw new Error(`Tier "${name}": ${key} must be a number of days`);
+        }
+      } else if (key === 'seasonal') {
+        if (typeof value !== 'boolean') {
+          throw new Error(`Tier "${name}": seasonal must be true or false`);
+        }
+      } else {
+        throw new Error(`Tier "${name}": unknown rule "${key}". Use ${[...FREQUENCY_RULES, ...INTERVAL_RULES, 'seasonal'].join(', ')}`);
+      }
+    }
+
+    return {
+      name,
+      label: label ?? name.charAt(0).toUpperCase() + name.slice(1),
+      description,
+      schedule,
+      rules
+    };
+  });
+}
+
+/**
+ * Load tier definitions: WAITROSE_TIERS_FILE, else tiers.json in the data directory, else the defaults
+ * @returns {Array} [{ name, label, description, rules }]
+ */
+export function loadTiers(env = process.env) {
+  const path = env.WAITROSE_TIERS_FILE || join(getDataDir(), TIERS_FILE_NAME);
+
+  if (!env.WAITROSE_TIERS_FILE && !existsSync(path)) {
+    return DEFAULT_TIERS;
+  }
+
+  let tiers;
+  try {
+    tiers = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    throw new Error(`Can't read tier config ${path}: ${error.message}`);
+  }
+
+  return validateTiers(tiers);
+}
+
+/**
+ * Find the first tier whose rules all match an item
+ * @param {Object} item - { frequency: share of orders, avgIntervalDays, seasonal }
+ * @returns {Object|null} Tier definition, or null when no tier matches
+ */
+export function matchTier(item, tiers = DEFAULT_TIERS) {
+  const { frequency, avgIntervalDays = null, seasonal = false } = item;
+
+  const matches = ({ rules }) =>
+    (rules.seasonal === undefined || rules.seasonal === seasonal) &&
+    (rules.minFrequency === undefined || frequency >= rules.minFrequency) &&
+    (rules.maxFrequency === undefined || frequency <= rules.maxFrequency) &&
+    (rules.minIntervalDays === undefined || (avgIntervalDays !== null && avgIntervalDays >= rules.minIntervalDays)) &&
+    (rules.maxIntervalDays === undefined || (avgIntervalDays !== null && avgIntervalDays <= rules.maxIntervalDays));
+
+  return tiers.find(matches) ?? null;
+}
+
+/**
+ * Pick the first tier whose rules all match an item
+ * @returns {string|null} Tier name, or null when no tier matches
+ */
+export function assignTier(item, tiers = DEFAULT_TIERS) {
+  return matchTier(item, tiers)?.name ?? null;
+}
+
+/**
+ * Classifications a saved list item may have: a tier name, or a schedule for
+ * items without a tier (added by hand or by the model)
+ */
+export function listClassifications(tiers = loadTiers()) {
+  return [...tiers.map(tier => tier.name), ...SCHEDULES];
+}
+
+/**
+ * Describe a tier's rules, e.g. "in ≥75% of orders, every ≤10 days"
+ */
+export function describeTierRules(tier) {
+  const { rules } = tier;
+  const parts = [];
+
+  if (rules.seasonal === true) parts.push('seasonal');
+  if (rules.seasonal === false) parts.push('not seasonal');
+  if (rules.minFrequency !== undefined) parts.push(`in ≥${Math.round(rules.minFrequency * 100)}% of orders`);
+  if (rules.maxFrequency !== undefined) parts.push(`in ≤${Math.round(rules.maxFrequency * 100)}% of orders`);
+  if (rules.minIntervalDays !== undefined) parts.push(`every ≥${rules.minIntervalDays} days`);
+  if (rules.maxIntervalDays !== undefined) parts.push(`every ≤${rules.maxIntervalDays} days`);
+
+  return parts.length > 0 ? parts.join(', ') : 'everything else';
+}
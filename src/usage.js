@@ -0,0 +1,140 @@
+/**
+ * API usage accounting
+ * Estimates the cost of each LLM call, records it, and enforces a monthly spend cap
+ */
+
+import { recordApiCall, getApiSpendForMonth } from './database.js';
+
+// Published list prices in US dollars per million tokens [input, output].
+// Matched by model name prefix, longest first; set WAITROSE_LLM_INPUT_PRICE /
+// WAITROSE_LLM_OUTPUT_PRICE for models not listed here.
+const MODEL_PRICES = [
+  ['claude-opus-4', [15, 75]],
+  ['claude-sonnet-4', [3, 15]],
+  ['claude-haiku-4', [1, 5]],
+  ['claude-3-7-sonnet', [3, 15]],
+  ['claude-3-5-sonnet', [3, 15]],
+  ['claude-3-5-haiku', [0.8, 4]],
+  ['gpt-4o-mini', [0.15, 0.6]],
+  ['gpt-4o', [2.5, 10]],
+  ['gpt-4.1-mini', [0.4, 1.6]],
+  ['gpt-4.1', [2, 8]]
+].sort((a, b) => b[0].length - a[0].length);
+
+/**
+ * Thrown when this month's estimated API spend has reached the cap
+ */
+export class SpendCapError extends Error {
+  constructor(spent, cap) {
+    super(`Monthly API spend cap of ${formatUsd(cap)} reached (${formatUsd(spent)} spent this month). Raise WAITROSE_API_SPEND_CAP or use --engine local.`);
+    this.name = 'SpendCapError';
+    this.spendCap = true;
+  }
+}
+
+/**
+ * Thrown when a spend cap is set but a model's calls can't be priced, so they'd count as free
+ */
+export class UnpricedModelError extends Error {
+  constructor(model) {
+    super(`Can't estimate the cost of ${model}, so the monthly API spend cap can't be enforced. Set WAITROSE_LLM_INPUT_PRICE and WAITROSE_LLM_OUTPUT_PRICE, unset WAITROSE_API_SPEND_CAP or use --engine local.`);
+    this.name = 'UnpricedModelError';
+    this.spendCap = true;
+  }
+}
+
+/**
+ * Format an amount in US dollars, with more precision for small amounts
+ */
+export function formatUsd(amount) {
+  if (amount === null || amount === undefined) return 'n/a';
+  return amount < 1 ? `$${amount.toFixed(4)}` : `$${amount.toFixed(2)}`;
+}
+
+/**
+ * Price per million tokens for a model
+ * @returns {[number, number]|null} [input, output] or null if unknown
+ */
+export function getModelPrice(model, env = process.env) {
+  if (env.WAITROSE_LLM_INPUT_PRICE && env.WAITROSE_LLM_OUTPUT_PRICE) {
+    return [parseFloat(env.WAITROSE_LLM_INPUT_PRICE), parseFloat(env.WAITROSE_LLM_OUTPUT_PRICE)];
+  }
+
+  const match = MODEL_PRICES.find(([prefix]) => model?.startsWith(prefix));
+  return match ? match[1] : null;
+}
+
+/**
+ * Estimate the cost of a call in US dollars
+ * @returns {number|null} null when the model's price is unknown
+ */
+export function estimateCost(model, usage, env = process.env) {
+  const price = getModelPrice(model, env);
+  if (!price) return null;
+
+  const [inputPrice, outputPrice] = price;
+  return ((usage.input_tokens || 0) * inputPrice + (usage.output_tokens || 0) * outputPrice) / 1_000_000;
+}
+
+/**
+ * Read the monthly spend cap (US dollars) from the environment
+ * @returns {number|null} null when no cap is set
+ */
+export function loadSpendCap(env = process.env) {
+  if (!env.WAITROSE_API_SPEND_CAP) return null;
+
+  const cap = parseFloat(env.WAITROSE_API_SPEND_CAP.replace(/^\$/, ''));
+  if (isNaN(cap) || cap < 0) {
+    throw new Error('WAITROSE_API_SPEND_CAP must be an amount in dollars, e.g. 5');
+  }
+  return cap;
+}
+
+/**
+ * Current month as 'YYYY-MM' (UTC, matching the ledger timestamps)
+ */
+export function currentMonth(now = new Date()) {
+  return now.toISOString().slice(0, 7);
+}
+
+/**
+ * Throw SpendCapError if this month's spend has reached the cap, or UnpricedModelError
+ * if there's a cap and the model about to be called has no known price
+ * @param {Object} options - { cap (default: from environment), now, model, env }
+ */
+export function assertWithinSpendCap(db, options = {}) {
+  const { cap = loadSpendCap(), now = new Date(), model = null, env = process.env } = options;
+  if (cap === null) return;
+
+  if (model && !getModelPrice(model, env)) {
+    throw new UnpricedModelError(model);
+  }
+
+  const spent = getApiSpendForMonth(db, currentMonth(now));
+  if (spent >= cap) {
+    throw new SpendCapError(spent, cap);
+  }
+}
+
+/**
+ * Create an onApiCall callback that writes each call to the ledger
+ * The IDs of recorded rows are collected in recorder.ids for linking to a saved list
+ */
+export function createUsageRecorder(db) {
+  const ids = [];
+
+  const onApiCall = ({ purpose, provider, model, usage, latencyMs, error }) => {
+    ids.push(recordApiCall(db, {
+      purpose,
+      provider,
+      model,
+      input_tokens: usage?.input_tokens ?? 0,
+      output_tokens: usage?.output_tokens ?? 0,
+      estimated_cost: usage ? estimateCost(model, usage) : 0,
+      latency_ms: latencyMs,
+      error: error?.message ?? null
+    }));
+  };
+
+  return { ids, onApiCall };
+}
@@ -4,6 +4,7 @@
 
 import chalk from 'chalk';
 import readline from 'readline';
+import { loadTiers } from './tiers.js';
 
 /**
  * Log with color based on level
@@ -29,58 +30,104 @@ export function log(message, level = 'info') {
   }
 }
 
+/**
+ * Format one list item with its quantity, confidence bar and reason
+ */
+function formatListItem(item) {
+  const confidence = Math.round(item.confidence * 100);
+  const confidenceBar = '█'.repeat(Math.floor(confidence / 10));
+  const confidenceColor = confidence >= 70 ? chalk.green : confidence >= 50 ? chalk.yellow : chalk.red;
+
+  let output = chalk.bold(`  • ${item.item}`);
+  output += chalk.gray(` (${item.quantity}x)\n`);
+  output += `    ${chalk.gray('Confidence:')} ${confidenceColor(confidenceBar)} ${confidence}%\n`;
+  output += `    ${chalk.gray(item.reason)}\n\n`;
+  return output;
+}
+
 /**
  * Format shopping list for terminal display
+ * Items are grouped by tier in the order the tiers are defined; items without
+ * a known tier fall back to regular/infrequent groups
+ * @param {Array} tiers - Tier definitions (default: loadTiers())
  */
-export function formatShoppingList(recommendations) {
+export function formatShoppingList(recommendations, tiers = loadTiers()) {
   if (!recommendations || recommendations.length === 0) {
     return chalk.yellow('No items recommended for this period.');
   }
 
-  // Group by classification
-  const regular = recommendations.filter(r => r.classification === 'regular');
-  const infrequent = recommendations.filter(r => r.classification === 'infrequent');
+  // Group by tier, then by classification for anything left
+  const tierNames = new Set(tiers.map(tier => tier.name));
+  const groups = tiers.map(tier => ({
+    heading: `🏷️  ${tier.label.toUpperCase()}`,
+    description: tier.description,
+    items: recommendations.filter(r => r.tier === tier.name)
+  }));
+  const untiered = recommendations.filter(r => !tierNames.has(r.tier));
+  groups.push(
+    { heading: '🔄 REGULAR ITEMS', description: 'Items you buy frequently', items: untiered.filter(r => r.classification === 'regular') },
+    { heading: '⏱️  INFREQUENT ITEMS', description: 'Items you buy occasionally', items: untiered.filter(r => r.classification === 'infrequent') }
+  );
 
   let output = '\n';
   output += chalk.bold.cyan('📋 Shopping List Generated\n');
   output += chalk.gray('═'.repeat(60)) + '\n\n';
 
-  // Regular items
-  if (regular.length > 0) {
-    output += chalk.bold.green('🔄 REGULAR ITEMS\n');
-    output += chalk.gray('Items you buy frequently\n\n');
+  for (const group of groups) {
+    if (group.items.length === 0) continue;
 
-    regular.forEach(item => {
-      const confidence = Math.round(item.confidence * 100);
-      const confidenceBar = '█'.repeat(Math.floor(confidence / 10));
-      const confidenceColor = confidence >= 70 ? chalk.green : confidence >= 50 ? chalk.yellow : chalk.red;
+    // Green when everything in the group is bought regularly
+    const color = group.items.every(item => item.classification === 'regular') ? chalk.bold.green : chalk.bold.yellow;
+    output += color(`${group.heading}\n`);
+    if (group.description) output += chalk.gray(`${group.description}\n`);
+    output += '\n';
 
-      output += chalk.bold(`  • ${item.item}`);
-      output += chalk.gray(` (${item.quantity}x)\n`);
-      output += `    ${chalk.gray('Confidence:')} ${confidenceColor(confidenceBar)} ${confidence}%\n`;
-      output += `    ${chalk.gray(item.reason)}\n\n`;
+    group.items.forEach(item => {
+      output += formatListItem(item);
     });
   }
 
-  // Infrequent items
-  if (infrequent.length > 0) {
-    output += chalk.bold.yellow('⏱️  INFREQUENT ITEMS\n');
-    output += chalk.gray('Items you buy occasionally\n\n');
+  output += chalk.gray('═'.repeat(60)) + '\n';
+  output += chalk.gray(`Total items: ${recommendations.length}\n`);
 
-    infrequent.forEach(item => {
-      const confidence = Math.round(item.confidence * 100);
-      const confidenceBar = '█'.repeat(Math.floor(confidence / 10));
-      const confidenceColor = confidence >= 70 ? chalk.green : confidence >= 50 ? chalk.yellow : chalk.red;
+  return output;
+}
 
-      output += chalk.bold(`  • ${item.item}`);
-      output += chalk.gray(` (${item.quantity}x)\n`);
-      output += `    ${chalk.gray('Confidence:')} ${confidenceColor(confidenceBar)} ${confidence}%\n`;
-      output += `    ${chalk.gray(item.reason)}\n\n`;
+/**
+ * Format the outcome of fitting a list to a budget
+ * @param {Object} budgetResult - Result from fitToBudget()
+ * @param {number} budget - Budget in pounds
+ */
+export function formatBudgetSummary(budgetResult, budget) {
+  const { estimatedTotal, dropped, reduced, unpriced, overBudget } = budgetResult;
+
+  let output = '\n' + chalk.bold.cyan('💷 Budget\n');
+  output += `  ${chalk.gray('Budget:')}          ${formatCurrency(budget)}\n`;
+
+  const totalColor = overBudget ? chalk.red : chalk.green;
+  output += `  ${chalk.gray('Estimated total:')} ${totalColor(formatCurrency(estimatedTotal))}\n`;
+
+  if (unpriced.length > 0) {
+    output += chalk.gray(`  (${unpriced.length} item${unpriced.length === 1 ? '' : 's'} without price history not included)\n`);
+  }
+
+  if (reduced.length > 0) {
+    output += chalk.yellow('\n  Quantities reduced to fit budget:\n');
+    reduced.forEach(r => {
+      output += chalk.gray(`    • ${r.item}: ${r.from}x → ${r.to}x\n`);
     });
   }
 
-  output += chalk.gray('═'.repeat(60)) + '\n';
-  output += chalk.gray(`Total items: ${recommendations.length}\n`);
+  if (dropped.length > 0) {
+    output += chalk.yellow('\n  Dropped to fit budget:\n');
+    dropped.forEach(item => {
+      output += chalk.gray(`    • ${item.item} (${item.quantity}x, ${formatCurrency(item.estimatedCost)})\n`);
+    });
+  }
+
+  if (overBudget) {
+    output += chalk.red('\n  Still over budget: remaining items are regular, high-confidence purchases\n');
+  }
 
   return output;
 }
@@ -98,6 +145,17 @@ export function formatSimpleList(recommendations) {
     .join('\n');
 }
 
+/**
+ * Format an amount in pounds, e.g. 3.5 → "£3.50" (null → "—")
+ */
+export function formatCurrency(amount) {
+  if (amount === null || amount === undefined) {
+    return '—';
+  }
+
+  return `£${amount.toFixed(2)}`;
+}
+
 /**
  * Display error message with helpful context
  */
@@ -119,7 +177,7 @@ export function displayError(error, context = '') {
   }
 
   if (error.message.includes('database') || error.message.includes('SQLITE')) {
-    console.log(chalk.yellow('\n💡 Tip: Database error. Try deleting data/shopping.db and running again.'));
+    console.log(chalk.yellow('\n💡 Tip: Database error. Run `waitrose-generate profile list` to find the database file.'));
   }
 
   console.log();
@@ -194,3 +252,22 @@ export function promptAction(actions) {
     });
   });
 }
+
+/**
+ * Prompt user for a line of text
+ * @param {string} question - Prompt to show
+ * @returns {Promise<string>} Trimmed answer (empty if the user just pressed Enter)
+ */
+export function promptText(question) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout
+    });
+
+    rl.question(chalk.bold(question), (answer) => {
+      rl.close();
+      resolve(answer.trim());
+    });
+  });
+}
@@ -0,0 +1,25 @@
+/**
+ * Fake LLM providers shared by the tests
+ */
+
+import { RECOMMENDATIONS_TOOL } from '../../src/claude-client.js';
+
+/**
+ * Provider that returns scripted responses in order and records each request
+ */
+export function scriptedProvider(responses) {
+  const requests = [];
+  return {
+    name: 'scripted',
+    requests,
+    async complete(request) {
+      requests.push(request);
+      return { text: '', toolCalls: [], usage: { input_tokens: 100, output_tokens: 50 }, model: 'scripted', ...responses.shift() };
+    }
+  };
+}
+
+/**
+ * A response that returns recommendations through the recommendations tool
+ */
+export const toolCall = (recommendations) => ({ toolCalls: [{ name: RECOMMENDATIONS_TOOL.name, input: { recommendations } }] });
@@ -4,7 +4,8 @@
  * Test script to verify pattern analysis
  */
 
-import { initializeDatabase, getItemFrequency } from './src/database.js';
+import assert from 'node:assert/strict';
+import { initializeDatabase, importOrders, getItemFrequency } from '../src/database.js';
 import {
   classifyItems,
   calculateDaysSinceLastPurchase,
@@ -12,120 +13,108 @@ import {
   calculateConfidence,
   predictItemNeed,
   calculateRecommendedQuantity,
+  estimateStockOnHand,
   generatePatternSummary
-} from './src/analyzer.js';
+} from '../src/analyzer.js';
 
 console.log('🧪 Testing pattern analysis...\n');
 
+// Ten weekly orders: two pints of milk every week, a box of six eggs every
+// other week and candles once
+const orders = Array.from({ length: 10 }, (_, index) => ({
+  order_number: String(7000000001 + index),
+  order_date: new Date(Date.UTC(2025, 11, 1 + index * 7)).toISOString().split('T')[0],
+  items: [
+    { product_name: 'Milk', quantity: 2 },
+    ...(index % 2 === 0 ? [{ product_name: 'Eggs', quantity: 6 }] : []),
+    ...(index === 3 ? [{ product_name: 'Candles', quantity: 1 }] : [])
+  ]
+}));
+
+const mockToday = new Date('2026-02-06');
+
 try {
-  // Initialize database (should have test data from previous test)
-  console.log('1. Loading database...');
-  const db = initializeDatabase();
-  console.log('✅ Database loaded\n');
+  const db = initializeDatabase({ dbPath: ':memory:' });
+  importOrders(db, orders);
 
-  // Get item frequency data
-  console.log('2. Analyzing item frequency...');
+  // Test 1: Item frequency
+  console.log('1. Analyzing item frequency...');
   const frequency = getItemFrequency(db, { minOrders: 1 });
+  assert.deepEqual(
+    frequency.map(item => [item.product_name, item.purchase_count, item.frequency]).sort(),
+    [['Candles', 1, 0.1], ['Eggs', 5, 0.5], ['Milk', 10, 1]]
+  );
   console.log(`✅ Found ${frequency.length} unique items\n`);
 
-  // Classify items
-  console.log('3. Classifying items...');
-  const classified = classifyItems(frequency);
-  console.log('✅ Item classifications:');
-  console.log('   Product Name          | Frequency | Classification');
-  console.log('   ' + '-'.repeat(55));
-  classified.forEach(item => {
-    const name = item.product_name.padEnd(23);
-    const freq = (item.frequency * 100).toFixed(0) + '%';
-    console.log(`   ${name} | ${freq.padEnd(9)} | ${item.classification}`);
-  });
-  console.log();
-
-  // Calculate days since last purchase
-  console.log('4. Calculating days since last purchase...');
-  // Use a mock current date for consistent testing
-  const mockToday = new Date('2026-01-05');
+  // Test 2: Classification by tier
+  console.log('2. Classifying items...');
+  const classified = classifyItems(frequency, db);
+  const byName = Object.fromEntries(classified.map(item => [item.product_name, item]));
+  assert.deepEqual([byName.Milk.tier, byName.Milk.classification], ['staple', 'regular']);
+  assert.deepEqual([byName.Eggs.tier, byName.Eggs.classification], ['monthly', 'infrequent']);
+  assert.deepEqual([byName.Candles.tier, byName.Candles.classification], [null, 'one-off']);
+  classified.forEach(item => console.log(`   - ${item.product_name}: ${item.classification} (${item.tier ?? 'no tier'})`));
+  console.log('✅ Milk a regular staple, eggs monthly, candles a one-off\n');
+
+  // Test 3: Days since last purchase
+  console.log('3. Calculating days since last purchase...');
   const withDays = calculateDaysSinceLastPurchase(classified, mockToday);
-  console.log('✅ Days since last purchase:');
-  withDays.forEach(item => {
-    console.log(`   ${item.product_name}: ${item.days_since_last_purchase} days`);
-  });
-  console.log();
-
-  // Calculate purchase intervals
-  console.log('5. Calculating purchase intervals...');
-  console.log('✅ Purchase intervals:');
-  console.log('   Product Name          | Avg Interval | Std Dev');
-  console.log('   ' + '-'.repeat(55));
-  withDays.forEach(item => {
-    if (item.classification === 'one-off') return;
-
-    const intervals = calculatePurchaseIntervals(db, item.product_name);
-    if (intervals.avg_interval) {
-      const name = item.product_name.padEnd(23);
-      const avgInt = intervals.avg_interval.toString().padEnd(12);
-      const stdDev = intervals.std_deviation ? intervals.std_deviation.toFixed(1) : 'N/A';
-      console.log(`   ${name} | ${avgInt} | ${stdDev} days`);
-    }
-  });
-  console.log();
-
-  // Calculate confidence and predictions
-  console.log('6. Predicting needed items (7-day window)...');
-  console.log('✅ Predictions:');
-  console.log('   Product Name          | Needed? | Confidence | Recommended Qty');
-  console.log('   ' + '-'.repeat(70));
-
-  const predictions = [];
-  withDays.forEach(item => {
-    if (item.classification === 'one-off') return;
-
-    const intervals = calculatePurchaseIntervals(db, item.product_name);
-    const confidence = calculateConfidence(item, intervals);
-    const isNeeded = predictItemNeed(item, intervals, 7);
-    const recQty = calculateRecommendedQuantity(item.avg_quantity, intervals, 7);
-
-    predictions.push({
-      item,
-      intervals,
-      confidence,
-      isNeeded,
-      recQty
-    });
-
-    const name = item.product_name.padEnd(23);
-    const needed = (isNeeded ? 'Yes' : 'No').padEnd(7);
-    const conf = (confidence * 100).toFixed(0) + '%';
-    console.log(`   ${name} | ${needed} | ${conf.padEnd(10)} | ${recQty}x`);
-  });
-  console.log();
-
-  // Generate pattern summary for Claude
-  console.log('7. Generating pattern summary for Claude...');
-  const summary = generatePatternSummary(withDays, db, 7);
-  console.log('✅ Pattern summary generated:');
+  const days = Object.fromEntries(withDays.map(item => [item.product_name, item.days_since_last_purchase]));
+  assert.deepEqual(days, { Milk: 4, Eggs: 11, Candles: 46 });
+  console.log('✅ Milk bought 4 days ago, eggs 11\n');
+
+  // Test 4: Purchase intervals
+  console.log('4. Calculating purchase intervals...');
+  const milkIntervals = calculatePurchaseIntervals(db, 'Milk');
+  const eggIntervals = calculatePurchaseIntervals(db, 'Eggs');
+  assert.deepEqual([milkIntervals.avg_interval, milkIntervals.std_deviation, milkIntervals.last_quantity], [7, 0, 2]);
+  assert.deepEqual([eggIntervals.avg_interval, eggIntervals.std_deviation, eggIntervals.last_quantity], [14, 0, 6]);
+  assert.equal(milkIntervals.consumption_rate, 2 / 7);
+  assert.equal(eggIntervals.consumption_rate, 6 / 14);
+  assert.equal(calculatePurchaseIntervals(db, 'Candles').avg_interval, null);
+  console.log('✅ Milk every 7 days, eggs every 14\n');
+
+  // Test 5: Predictions and quantities for a 7-day list
+  console.log('5. Predicting needed items...');
+  const milk = withDays.find(item => item.product_name === 'Milk');
+  const eggs = withDays.find(item => item.product_name === 'Eggs');
+  assert.ok(calculateConfidence(milk, milkIntervals) > calculateConfidence(eggs, eggIntervals));
+  assert.equal(predictItemNeed(milk, milkIntervals, 7), true);
+  assert.equal(predictItemNeed(eggs, eggIntervals, 7), true);
+  assert.equal(predictItemNeed({ ...eggs, days_since_last_purchase: 2 }, eggIntervals, 7), false);
+
+  // 2 pints last a week: 4 days in, 6/7 of a pint is left; 8 days' worth less that is 1.43
+  const milkStock = estimateStockOnHand(milkIntervals.last_quantity, milkIntervals.consumption_rate, milk.days_since_last_purchase);
+  assert.ok(Math.abs(milkStock - 6 / 7) < 1e-9);
+  assert.equal(calculateRecommendedQuantity({ consumptionRate: milkIntervals.consumption_rate, stockOnHand: milkStock }, 7), 1);
+
+  const eggStock = estimateStockOnHand(eggIntervals.last_quantity, eggIntervals.consumption_rate, eggs.days_since_last_purchase);
+  assert.ok(Math.abs(eggStock - 9 / 7) < 1e-9);
+  assert.equal(calculateRecommendedQuantity({ consumptionRate: eggIntervals.consumption_rate, stockOnHand: eggStock }, 7), 2);
+  console.log('✅ Both due this week: 1 milk and 2 eggs on top of what\'s left\n');
+
+  // Test 6: Pattern summary for Claude
+  console.log('6. Generating pattern summary...');
+  const summary = generatePatternSummary(withDays, db, 7, { feedback: false, forecastFrom: mockToday });
+  assert.deepEqual(summary.regularItems.map(item => item.name), ['Milk']);
+  assert.deepEqual(summary.infrequentItems.map(item => item.name), ['Eggs']);
+  assert.equal(summary.totalOrders, 10);
+  assert.equal(summary.timeframe, '7 days');
+
+  const milkSummary = summary.regularItems[0];
+  assert.deepEqual(
+    [milkSummary.tier, milkSummary.avgFrequencyDays, milkSummary.avgQuantity, milkSummary.estimatedStock, milkSummary.recommendedQuantity],
+    ['staple', 7, 2, 0.9, 1]
+  );
+  assert.equal(summary.infrequentItems[0].recommendedQuantity, 2);
+  assert.ok(milkSummary.isNeeded);
   console.log(JSON.stringify(summary, null, 2));
-  console.log();
-
-  // Summary statistics
-  console.log('8. Summary statistics:');
-  const regular = classified.filter(i => i.classification === 'regular').length;
-  const infrequent = classified.filter(i => i.classification === 'infrequent').length;
-  const oneOff = classified.filter(i => i.classification === 'one-off').length;
-  const needed = predictions.filter(p => p.isNeeded).length;
-
-  console.log(`   Regular items: ${regular}`);
-  console.log(`   Infrequent items: ${infrequent}`);
-  console.log(`   One-off items: ${oneOff}`);
-  console.log(`   Items predicted as needed: ${needed}`);
-  console.log();
-
-  console.log('✅ All pattern analysis tests passed!\n');
-  console.log('🎉 Phase 4 complete and verified!\n');
+  console.log('✅ Summary lists milk as regular and eggs as infrequent, with quantities\n');
 
   db.close();
+  console.log('✅ All pattern analysis tests passed!\n');
 } catch (error) {
   console.error('❌ Test failed:', error.message);
   console.error(error.stack);
-  process.exit(1);
+  process.exitCode = 1;
 }
@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify unusual order detection and event order tagging
+ */
+
+import assert from 'node:assert/strict';
+import { initializeDatabase, importOrders, getItemFrequency, setOrderTag, getOrderSummaries } from '../src/database.js';
+import { calculatePurchaseIntervals } from '../src/analyzer.js';
+import { isHighOutlier, detectOrderAnomalies, detectQuantityOutliers } from '../src/anomalies.js';
+
+console.log('🧪 Testing anomaly detection...\n');
+
+// Ten weekly shops of milk, bread and eggs, plus a party shop on day 31
+const weekly = Array.from({ length: 10 }, (_, index) => ({
+  order_number: String(7000000001 + index),
+  order_date: new Date(Date.UTC(2026, 0, 1 + index * 7)).toISOString().split('T')[0],
+  totals: { order_total: 20 + (index % 3) },
+  items: [
+    { product_name: 'Milk', quantity: 2 },
+    { product_name: 'Bread', quantity: 1 },
+    { product_name: 'Eggs', quantity: 1 }
+  ]
+}));
+
+const party = {
+  order_number: '7000000099',
+  order_date: '2026-02-01',
+  totals: { order_total: 150 },
+  items: [
+    { product_name: 'Milk', quantity: 12 },
+    { product_name: 'Bread', quantity: 1 },
+    ...['Crisps', 'Prosecco', 'Sausage Rolls', 'Cake', 'Napkins', 'Dips', 'Olives', 'Cheese Board', 'Lemonade', 'Ice'].map(product_name => ({
+      product_name,
+      quantity: 1
+    }))
+  ]
+};
+
+try {
+  const db = initializeDatabase({ dbPath: ':memory:' });
+  importOrders(db, [...weekly, party]);
+
+  // Test 1: Outlier test
+  console.log('1. Spotting outlying values...');
+  assert.equal(isHighOutlier(40, [20, 21, 22, 20, 21, 40]), true);
+  assert.equal(isHighOutlier(23, [20, 21, 22, 20, 21, 23]), false);
+  assert.equal(isHighOutlier(3, [1, 1, 1, 1, 3]), true);
+  assert.equal(isHighOutlier(2, [1, 1, 1, 1, 2]), false);
+  assert.equal(isHighOutlier(1, [1, 1, 1, 1, 1]), false);
+  console.log('✅ Outliers found from median and spread\n');
+
+  // Test 2: Unusual orders
+  console.log('2. Detecting unusual orders...');
+  const anomalies = detectOrderAnomalies(db);
+  assert.equal(anomalies.length, 1);
+  assert.equal(anomalies[0].order_number, '7000000099');
+  assert.equal(anomalies[0].tag, 'normal');
+  assert.deepEqual(anomalies[0].reasons, [
+    '12 lines (usually 3)',
+    '23 items (usually 4)',
+    '£150.00 spent (usually £21.00)',
+    '83% of products rarely bought otherwise'
+  ]);
+  console.log(`✅ Party order flagged: ${anomalies[0].reasons.join('; ')}\n`);
+
+  // Test 3: Unusual line quantities
+  console.log('3. Detecting unusual quantities...');
+  const outliers = detectQuantityOutliers(db);
+  assert.deepEqual(
+    outliers.map(o => ({ order_number: o.order_number, product_name: o.product_name, quantity: o.quantity, usual_quantity: o.usual_quantity })),
+    [{ order_number: '7000000099', product_name: 'Milk', quantity: 12, usual_quantity: 2 }]
+  );
+  console.log('✅ Milk x12 flagged (usually 2)\n');
+
+  // Test 4: Tagging orders
+  console.log('4. Tagging orders...');
+  assert.equal(setOrderTag(db, '7000000099', 'event'), true);
+  assert.equal(setOrderTag(db, '7999999999', 'event'), false);
+  assert.throws(() => setOrderTag(db, '7000000099', 'party'), /Unknown tag "party"/);
+  assert.equal(getOrderSummaries(db).find(o => o.order_number === '7000000099').tag, 'event');
+  assert.equal(detectOrderAnomalies(db)[0].tag, 'event');
+  console.log('✅ Order tagged event; unknown tags rejected\n');
+
+  // Test 5: Event orders left out of pattern maths
+  console.log('5. Excluding event orders from patterns...');
+  const milk = getItemFrequency(db, { minOrders: 1 }).find(item => item.product_name === 'Milk');
+  assert.deepEqual(
+    { purchase_count: milk.purchase_count, total_orders: milk.total_orders, avg_quantity: milk.avg_quantity },
+    { purchase_count: 10, total_orders: 10, avg_quantity: 2 }
+  );
+  assert.equal(getItemFrequency(db, { minOrders: 1 }).some(item => item.product_name === 'Prosecco'), false);
+
+  const withEvents = getItemFrequency(db, { minOrders: 1, includeEvents: true }).find(item => item.product_name === 'Milk');
+  assert.deepEqual({ purchase_count: withEvents.purchase_count, total_orders: withEvents.total_orders }, { purchase_count: 11, total_orders: 11 });
+
+  const intervals = calculatePurchaseIntervals(db, 'Milk');
+  assert.equal(intervals.raw_avg_interval, 7);
+  assert.equal(intervals.raw_avg_quantity, 2);
+  const intervalsWithEvents = calculatePurchaseIntervals(db, 'Milk', { includeEvents: true });
+  assert.equal(intervalsWithEvents.intervals.length, 10);
+  assert.ok(intervalsWithEvents.raw_avg_quantity > 2);
+
+  setOrderTag(db, '7000000099', 'normal');
+  assert.equal(getItemFrequency(db, { minOrders: 1 }).find(item => item.product_name === 'Milk').purchase_count, 11);
+  console.log('✅ Milk every 7 days at 2 per order once the party is tagged\n');
+
+  db.close();
+  console.log('✅ All anomaly tests passed!\n');
+} catch (error) {
+  console.error('❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exitCode = 1;
+}
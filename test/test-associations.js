@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify association rules and "usually also bought" suggestions
+ */
+
+import assert from 'node:assert/strict';
+import { initializeDatabase, importOrders, getOrderBaskets, setOrderTag, saveShoppingList, saveListOutcomes } from '../src/database.js';
+import {
+  mineAssociationRules,
+  suggestAssociatedItems,
+  formatAssociationReason,
+  addAssociatedItems
+} from '../src/associations.js';
+import { generateRecommendations } from '../src/recommender.js';
+
+console.log('🧪 Testing association rules...\n');
+
+// Ten orders: milk every time, pasta in the first six, parmesan with pasta in five
+// of them, pesto with both in three; guacamole only when there are both chips and salsa
+const orders = Array.from({ length: 10 }, (_, index) => ({
+  order_number: String(9000000001 + index),
+  order_date: new Date(Date.UTC(2026, 0, 1 + index * 7)).toISOString().split('T')[0],
+  items: [
+    { product_name: 'Milk', quantity: 2 },
+    ...(index < 6 ? [{ product_name: 'Pasta', quantity: 1 }] : []),
+    ...(index < 5 ? [{ product_name: 'Parmesan', quantity: 1 }] : []),
+    ...(index < 3 ? [{ product_name: 'Pesto', quantity: 2 }] : []),
+    ...(index >= 4 ? [{ product_name: 'Tortilla Chips', quantity: 1 }] : []),
+    ...(index < 3 || index >= 7 ? [{ product_name: 'Salsa', quantity: 1 }] : []),
+    ...(index >= 7 ? [{ product_name: 'Guacamole', quantity: 1 }] : [])
+  ]
+}));
+
+const describe = (rule) => `${rule.antecedent.join(' + ')} → ${rule.consequent}`;
+
+try {
+  const db = initializeDatabase({ dbPath: ':memory:' });
+  importOrders(db, orders);
+
+  // Test 1: Support, confidence and lift
+  console.log('1. Mining rules...');
+  const baskets = getOrderBaskets(db);
+  assert.equal(baskets.length, 10);
+  assert.deepEqual(baskets[0].items.map(item => item.product_name).sort(), ['Milk', 'Parmesan', 'Pasta', 'Pesto', 'Salsa']);
+
+  const rules = mineAssociationRules(baskets);
+  const pastaParmesan = rules.find(rule => describe(rule) === 'Pasta → Parmesan');
+  assert.equal(pastaParmesan.orders, 5);
+  assert.equal(pastaParmesan.support, 0.5);
+  assert.equal(pastaParmesan.confidence, 5 / 6);
+  assert.ok(Math.abs(pastaParmesan.lift - 5 / 3) < 1e-9);
+
+  // Chips or salsa alone only lead to guacamole half the time; together, always
+  const guacamole = rules.filter(rule => rule.consequent === 'Guacamole');
+  assert.deepEqual(guacamole.map(describe), ['Salsa + Tortilla Chips → Guacamole']);
+  assert.deepEqual({ confidence: guacamole[0].confidence, lift: guacamole[0].lift }, { confidence: 1, lift: 10 / 3 });
+
+  // Adding pasta to pesto → parmesan, or milk to anything, doesn't make it more likely
+  assert.ok(rules.some(rule => describe(rule) === 'Pesto → Parmesan'));
+  assert.ok(!rules.some(rule => describe(rule) === 'Pasta + Pesto → Parmesan'));
+  assert.ok(!rules.some(rule => rule.consequent === 'Milk' || rule.antecedent.includes('Milk')));
+
+  assert.ok(!mineAssociationRules(baskets, { maxItems: 2 }).some(rule => rule.consequent === 'Guacamole'));
+  assert.ok(!mineAssociationRules(baskets, { minOrders: 4 }).some(rule => [...rule.antecedent, rule.consequent].includes('Pesto')));
+  assert.deepEqual(mineAssociationRules([]), []);
+  console.log(`✅ ${rules.length} rules, including one for a pair of items\n`);
+
+  // Test 2: Suggesting missing items
+  console.log('2. Suggesting items for a list...');
+  const forPasta = suggestAssociatedItems(rules, ['pasta', 'Milk']);
+  assert.deepEqual(forPasta.map(s => s.product_name), ['Parmesan']);
+  assert.equal(forPasta[0].rule, pastaParmesan);
+  assert.equal(suggestAssociatedItems(rules, ['Pasta', 'Pesto']).find(s => s.product_name === 'Parmesan').rule.confidence, 1);
+  assert.ok(suggestAssociatedItems(rules, ['Salsa', 'Tortilla Chips']).some(s => s.product_name === 'Guacamole'));
+  assert.ok(!suggestAssociatedItems(rules, ['Salsa']).some(s => s.product_name === 'Guacamole'));
+  assert.ok(!suggestAssociatedItems(rules, ['Pasta', 'Parmesan']).some(s => s.product_name === 'Parmesan'));
+  assert.deepEqual(suggestAssociatedItems(rules, ['Milk']), []);
+  console.log('✅ Parmesan suggested when the list has pasta\n');
+
+  // Test 3: Reasons
+  console.log('3. Explaining suggestions...');
+  assert.equal(formatAssociationReason(pastaParmesan), 'Usually also bought with Pasta (bought together in 83% of orders)');
+  assert.equal(
+    formatAssociationReason({ antecedent: ['Pasta', 'Pesto', 'Basil'], confidence: 0.9 }),
+    'Usually also bought with Pasta, Pesto and Basil (bought together in 90% of orders)'
+  );
+  console.log('✅ Reason names the items and how often\n');
+
+  // Test 4: Added to generated lists
+  console.log('4. Adding suggestions to a list...');
+  const list = [{ item: 'pasta', quantity: 1, classification: 'regular', reason: 'Test', confidence: 0.8 }];
+  const withSuggestions = addAssociatedItems(db, list);
+  assert.equal(withSuggestions.length, 2);
+  assert.deepEqual(withSuggestions[1], {
+    item: 'Parmesan',
+    quantity: 1,
+    classification: 'infrequent',
+    reason: 'Usually also bought with Pasta (bought together in 83% of orders)',
+    confidence: 0.83
+  });
+
+  const patternSummary = {
+    regularItems: [{ name: 'Pasta', avgFrequencyDays: 7, avgQuantity: 1, daysSinceLastPurchase: 7, confidence: 0.8, isNeeded: true }],
+    infrequentItems: []
+  };
+  const local = await generateRecommendations(patternSummary, { engine: 'local', db });
+  assert.deepEqual(local.recommendations.map(r => r.item), ['Pasta', 'Parmesan']);
+  const withoutDb = await generateRecommendations(patternSummary, { engine: 'local' });
+  assert.deepEqual(withoutDb.recommendations.map(r => r.item), ['Pasta']);
+  console.log(`✅ ${withSuggestions[1].item}: ${withSuggestions[1].reason}\n`);
+
+  // Test 5: Items the analyzer holds back, and event orders
+  console.log('5. Leaving out held-back items and event orders...');
+  const forecastFrom = new Date('2026-03-20');
+  assert.equal(addAssociatedItems(db, list, { forecastFrom })[1].item, 'Parmesan');
+
+  // Three party orders with crisps and dip, tagged as events
+  importOrders(db, ['2026-03-07', '2026-03-08', '2026-03-09'].map((date, index) => ({
+    order_number: String(9000000011 + index),
+    order_date: date,
+    items: [{ product_name: 'Crisps', quantity: 2 }, { product_name: 'Dip', quantity: 1 }]
+  })));
+  ['9000000011', '9000000012', '9000000013'].forEach(number => setOrderTag(db, number, 'event'));
+  assert.equal(getOrderBaskets(db).length, 10);
+  assert.equal(getOrderBaskets(db, { includeEvents: true }).length, 13);
+
+  const crisps = [{ item: 'Crisps', quantity: 2, classification: 'infrequent', reason: 'Test', confidence: 0.5 }];
+  assert.deepEqual(addAssociatedItems(db, crisps, { forecastFrom }), crisps);
+  assert.equal(addAssociatedItems(db, crisps, { forecastFrom, includeEvents: true })[1].item, 'Dip');
+
+  // Parmesan left off the last few lists it was suggested on
+  const orderIds = db.prepare('SELECT id FROM orders ORDER BY order_date DESC LIMIT 3').all();
+  for (const { id } of orderIds) {
+    const listId = saveShoppingList(db, 7, [{ item: 'Parmesan', quantity: 1, classification: 'infrequent', reason: 'Test', confidence: 0.5 }]);
+    saveListOutcomes(db, listId, id, [{ product_name: 'Parmesan', outcome: 'not_bought', suggested_quantity: 1 }]);
+  }
+  assert.deepEqual(addAssociatedItems(db, list, { forecastFrom }), list);
+  console.log('✅ Rejected parmesan and event-only dip not suggested\n');
+
+  db.close();
+  console.log('✅ All association rule tests passed!\n');
+} catch (error) {
+  console.error('❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exitCode = 1;
+}
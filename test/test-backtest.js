@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify the backtesting harness
+ */
+
+import assert from 'node:assert/strict';
+import { initializeDatabase, importOrders, getItemFrequency } from '../src/database.js';
+import { predictListAsOf, runBacktest } from '../src/backtest.js';
+import { validateTiers } from '../src/tiers.js';
+
+console.log('🧪 Testing backtest...\n');
+
+// Eight weekly orders: milk every week, bread fortnightly, steak twice, coffee once
+const dates = ['2026-01-01', '2026-01-08', '2026-01-15', '2026-01-22', '2026-01-29', '2026-02-05', '2026-02-12', '2026-02-19'];
+const orders = dates.map((order_date, index) => ({
+  order_number: String(5000000001 + index),
+  order_date,
+  items: [
+    { product_name: 'Milk', quantity: 2 },
+    ...(index % 2 === 0 ? [{ product_name: 'Bread', quantity: 1 }] : []),
+    ...(index === 1 || index === 5 ? [{ product_name: 'Steak', quantity: 1 }] : []),
+    ...(index === 6 ? [{ product_name: 'Coffee', quantity: 1 }] : [])
+  ]
+}));
+
+try {
+  const db = initializeDatabase({ dbPath: ':memory:' });
+  importOrders(db, orders);
+
+  // Test 1: Only earlier orders are used
+  console.log('1. Predicting from earlier orders only...');
+  const frequency = getItemFrequency(db, { minOrders: 1, before: '2026-01-15' });
+  assert.equal(frequency.length, 3);
+  assert.equal(frequency[0].total_orders, 2);
+  assert.equal(frequency.find(item => item.product_name === 'Milk').frequency, 1);
+
+  const early = predictListAsOf(db, '2026-01-15');
+  assert.deepEqual(early.map(item => item.item), ['Milk']);
+  assert.equal(early[0].quantity, 2);
+  console.log('✅ Later purchases ignored\n');
+
+  // Test 2: Replaying history
+  console.log('2. Replaying history...');
+  const result = runBacktest(db, { warmup: 3 });
+  assert.equal(result.orders.length, 5);
+  assert.deepEqual(result.orders.map(o => o.order_date), dates.slice(3));
+  assert.equal(result.precision, 0.7);
+  assert.equal(result.recall, 7 / 9);
+  assert.equal(result.orders[0].purchased, 1);
+
+  // Milk is predicted and bought every week at the usual quantity
+  assert.ok(result.orders.every(order => order.bought >= 1));
+  assert.deepEqual({ quantityMae: result.quantityMae, exactQuantityRate: result.exactQuantityRate }, { quantityMae: 0, exactQuantityRate: 1 });
+  console.log(`✅ Precision ${(result.precision * 100).toFixed(1)}%, recall ${(result.recall * 100).toFixed(1)}%\n`);
+
+  // Test 3: Thresholds change the predictions
+  console.log('3. Adjusting thresholds...');
+  const noBuffer = runBacktest(db, { warmup: 3, thresholds: { bufferDays: 0 } });
+  const wideBuffer = runBacktest(db, { warmup: 3, thresholds: { bufferDays: 14 } });
+  const predicted = (run) => run.orders.reduce((sum, order) => sum + order.predicted, 0);
+  assert.ok(predicted(wideBuffer) > predicted(noBuffer));
+  assert.ok(wideBuffer.recall >= noBuffer.recall);
+
+  // Tier config decides which items are predicted as regular
+  const tiersFrom = (minFrequency) => validateTiers([
+    { name: 'often', schedule: 'regular', rules: { minFrequency } },
+    { name: 'other', rules: {} }
+  ]);
+  const strict = predictListAsOf(db, '2026-02-19', 7, { tiers: tiersFrom(0.9) });
+  const lenient = predictListAsOf(db, '2026-02-19', 7, { tiers: tiersFrom(0.3) });
+  assert.equal(strict.find(item => item.item === 'Bread').classification, 'infrequent');
+  assert.equal(lenient.find(item => item.item === 'Bread').classification, 'regular');
+  console.log(`✅ Buffer 0: ${predicted(noBuffer)} predictions, buffer 14: ${predicted(wideBuffer)}\n`);
+
+  db.close();
+  console.log('✅ All backtest tests passed!\n');
+} catch (error) {
+  console.error('❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exitCode = 1;
+}
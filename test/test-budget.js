@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify budget-constrained list trimming
+ */
+
+import assert from 'node:assert/strict';
+import { parseBudget, estimateListCost, fitToBudget } from '../src/budget.js';
+
+console.log('🧪 Testing budget trimming...\n');
+
+const recommendations = [
+  { item: 'Organic Milk', quantity: 2, classification: 'regular', confidence: 0.95 },
+  { item: 'Whole Wheat Bread', quantity: 1, classification: 'regular', confidence: 0.55 },
+  { item: 'Steak', quantity: 2, classification: 'infrequent', confidence: 0.5 },
+  { item: 'Red Wine', quantity: 3, classification: 'infrequent', confidence: 0.4 },
+  { item: 'Avocados', quantity: 4, classification: 'regular', confidence: 0.9 }
+];
+
+const prices = new Map([
+  ['Organic Milk', 1.65],
+  ['Whole Wheat Bread', 1.40],
+  ['Steak', 8.00],
+  ['Red Wine', 9.00]
+]);
+
+try {
+  // Test 1: Budget parsing
+  console.log('1. Parsing budget amounts...');
+  assert.equal(parseBudget('£80'), 80);
+  assert.equal(parseBudget('49.99'), 49.99);
+  assert.throws(() => parseBudget('lots'));
+  assert.throws(() => parseBudget('0'));
+  console.log('✅ "£80" and "49.99" accepted, invalid amounts rejected\n');
+
+  // Test 2: Cost estimate skips unpriced items
+  console.log('2. Estimating list cost...');
+  const cost = estimateListCost(recommendations, prices);
+  assert.equal(cost.toFixed(2), '47.70');
+  console.log(`✅ Estimated £${cost.toFixed(2)} (Avocados have no price history)\n`);
+
+  // Test 3: Within budget - nothing changes
+  console.log('3. Fitting a list already within budget...');
+  const roomy = fitToBudget(recommendations, prices, 60);
+  assert.equal(roomy.items.length, 5);
+  assert.deepEqual(roomy.dropped, []);
+  assert.deepEqual(roomy.reduced, []);
+  assert.deepEqual(roomy.unpriced, ['Avocados']);
+  console.log('✅ List unchanged\n');
+
+  // Test 4: Shrink before dropping
+  console.log('4. Fitting to £30...');
+  const shrunk = fitToBudget(recommendations, prices, 30);
+  assert.deepEqual(shrunk.reduced, [{ item: 'Red Wine', from: 3, to: 1 }]);
+  assert.deepEqual(shrunk.dropped, []);
+  assert.ok(shrunk.estimatedTotal <= 30);
+  console.log(`✅ Least confident item shrunk, total £${shrunk.estimatedTotal.toFixed(2)}\n`);
+
+  // Test 5: Drop low-priority items, never confident regulars
+  console.log('5. Fitting to £10...');
+  const tight = fitToBudget(recommendations, prices, 10);
+  assert.deepEqual(tight.dropped.map(i => i.item), ['Red Wine', 'Steak']);
+  assert.equal(tight.dropped[0].quantity, 3);
+  assert.ok(tight.items.some(i => i.item === 'Organic Milk'));
+  assert.equal(tight.overBudget, false);
+  console.log(`✅ Dropped ${tight.dropped.map(i => i.item).join(', ')}\n`);
+
+  // Test 6: Impossible budget is reported
+  console.log('6. Fitting to £2...');
+  const impossible = fitToBudget(recommendations, prices, 2);
+  assert.equal(impossible.overBudget, true);
+  assert.ok(impossible.items.some(i => i.item === 'Organic Milk'));
+  console.log('✅ Confident regular items kept and over-budget flagged\n');
+
+  console.log('✅ All budget tests passed!\n');
+} catch (error) {
+  console.error('❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exit(1);
+}
@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify consumption rates, stock estimates and recommended quantities
+ */
+
+import assert from 'node:assert/strict';
+import { initializeDatabase, importOrders, getItemFrequency } from '../src/database.js';
+import {
+  calculatePurchaseIntervals,
+  estimateStockOnHand,
+  calculateRecommendedQuantity,
+  classifyItems,
+  calculateDaysSinceLastPurchase,
+  generatePatternSummary
+} from '../src/analyzer.js';
+import { generateLocalRecommendations } from '../src/local-engine.js';
+
+console.log('🧪 Testing consumption model...\n');
+
+// Weekly orders: one kitchen roll a week, or a 4-pack of washing-up liquid every four weeks
+const orders = Array.from({ length: 13 }, (_, index) => ({
+  order_number: String(8000000001 + index),
+  order_date: new Date(Date.UTC(2026, 0, 1 + index * 7)).toISOString().split('T')[0],
+  items: [
+    { product_name: 'Kitchen Roll', quantity: 1 },
+    ...(index % 4 === 0 ? [{ product_name: 'Washing Up Liquid', quantity: 4 }] : [])
+  ]
+}));
+
+try {
+  const db = initializeDatabase({ dbPath: ':memory:' });
+  importOrders(db, orders);
+
+  // Test 1: Units per day from quantities over intervals
+  console.log('1. Calculating consumption rates...');
+  const roll = calculatePurchaseIntervals(db, 'Kitchen Roll', { halfLifeDays: 0 });
+  const liquid = calculatePurchaseIntervals(db, 'Washing Up Liquid', { halfLifeDays: 0 });
+  assert.equal(roll.consumption_rate, 1 / 7);
+  assert.equal(liquid.consumption_rate, 1 / 7);
+  assert.equal(liquid.avg_interval, 28);
+  assert.equal(liquid.last_quantity, 4);
+
+  // 4 units lasting 28 days, then 1 unit lasting 7: 5 units over 35 days
+  importOrders(db, [
+    { order_number: '8000000101', order_date: '2026-01-01', items: [{ product_name: 'Bin Bags', quantity: 4 }] },
+    { order_number: '8000000102', order_date: '2026-01-29', items: [{ product_name: 'Bin Bags', quantity: 1 }] },
+    { order_number: '8000000103', order_date: '2026-02-05', items: [{ product_name: 'Bin Bags', quantity: 2 }] }
+  ]);
+  const bags = calculatePurchaseIntervals(db, 'Bin Bags', { halfLifeDays: 0, minChangeIntervals: 5 });
+  assert.ok(Math.abs(bags.consumption_rate - 5 / 35) < 1e-9);
+  assert.equal(calculatePurchaseIntervals(db, 'Nothing').consumption_rate, null);
+  console.log('✅ Buying 4 every 4 weeks uses as much as 1 every week\n');
+
+  // Test 2: Stock left at home
+  console.log('2. Estimating stock on hand...');
+  assert.equal(estimateStockOnHand(4, 1 / 7, 14), 2);
+  assert.equal(estimateStockOnHand(1, 1 / 7, 14), 0);
+  assert.equal(estimateStockOnHand(4, null, 14), null);
+  console.log('✅ Half the 4-pack left after two weeks\n');
+
+  // Test 3: Enough until the next delivery plus a buffer
+  console.log('3. Recommending quantities...');
+  assert.equal(calculateRecommendedQuantity({ consumptionRate: 0.5, stockOnHand: 0 }, 7), 4);
+  assert.equal(calculateRecommendedQuantity({ consumptionRate: 0.5, stockOnHand: 0 }, 7, { safetyDays: 3 }), 5);
+  assert.equal(calculateRecommendedQuantity({ consumptionRate: 0.5, stockOnHand: 2.5 }, 7), 2);
+  assert.equal(calculateRecommendedQuantity({ consumptionRate: 1 / 7, stockOnHand: 2 }, 7), 1);
+  assert.equal(calculateRecommendedQuantity({ consumptionRate: null, avgQuantity: 2.6 }, 7), 3);
+  assert.equal(calculateRecommendedQuantity({ consumptionRate: 2 / 7, stockOnHand: 0 }, 14), 4);
+  console.log('✅ Rate × (days + buffer) − stock, at least 1\n');
+
+  // Test 4: Summary and local recommendations
+  console.log('4. Generating a list...');
+  const asOf = '2026-04-02';
+  const frequency = getItemFrequency(db, { minOrders: 2 });
+  const withDays = calculateDaysSinceLastPurchase(classifyItems(frequency, db), new Date(asOf));
+  const summary = generatePatternSummary(withDays, db, 21, { feedback: false });
+  const items = [...summary.regularItems, ...summary.infrequentItems];
+
+  const rollItem = items.find(item => item.name === 'Kitchen Roll');
+  assert.deepEqual({ consumptionPerDay: rollItem.consumptionPerDay, estimatedStock: rollItem.estimatedStock }, { consumptionPerDay: 0.143, estimatedStock: 0 });
+
+  assert.equal(rollItem.recommendedQuantity, 3);
+
+  const liquidItem = items.find(item => item.name === 'Washing Up Liquid');
+  assert.equal(liquidItem.estimatedStock, 3);
+  assert.equal(liquidItem.recommendedQuantity, 1);
+
+  const recommendations = generateLocalRecommendations(summary, { daysCoverage: 21 }).recommendations;
+  assert.equal(recommendations.find(r => r.item === 'Kitchen Roll').quantity, 3);
+  assert.equal(recommendations.find(r => r.item === 'Washing Up Liquid').quantity, 1);
+  recommendations.forEach(r => console.log(`   - ${r.item} x${r.quantity}`));
+  console.log('✅ Quantities cover three weeks less what\'s left\n');
+
+  db.close();
+  console.log('✅ All consumption model tests passed!\n');
+} catch (error) {
+  console.error('❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exitCode = 1;
+}
@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify delivery slot planning
+ */
+
+import assert from 'node:assert/strict';
+import { initializeDatabase, importOrders, getItemFrequency, getOrderSummaries, setOrderSlot, setOrderTag } from '../src/database.js';
+import { classifyItems, calculateDaysSinceLastPurchase, generatePatternSummary } from '../src/analyzer.js';
+import { parseDeliverySlot, findNextDelivery, formatDeliveryDate } from '../src/delivery.js';
+
+console.log('🧪 Testing delivery planning...\n');
+
+// Six weeks of Tuesday evening and Saturday morning deliveries; bread every other Saturday
+const orders = Array.from({ length: 12 }, (_, index) => {
+  const saturday = index % 2 === 1;
+  return {
+    order_number: String(9000000001 + index),
+    order_date: new Date(Date.UTC(2026, 8, 1 + Math.floor(index / 2) * 7 + (saturday ? 4 : 0))).toISOString().split('T')[0],
+    slot: saturday ? { start: '10:00', end: '11:00' } : { start: '19:00', end: '20:00' },
+    items: [
+      { product_name: 'Milk', quantity: 1 },
+      ...(index % 4 === 3 ? [{ product_name: 'Bread', quantity: 1 }] : [])
+    ]
+  };
+});
+
+try {
+  // Test 1: Reading delivery slots (Wednesday 14 October 2026, noon)
+  console.log('1. Reading delivery slots...');
+  const now = new Date(2026, 9, 14, 12, 0);
+  assert.deepEqual(parseDeliverySlot('Sat 10:00', now), { date: '2026-10-17', time: '10:00' });
+  assert.deepEqual(parseDeliverySlot('saturday', now), { date: '2026-10-17', time: null });
+  assert.deepEqual(parseDeliverySlot('Wed 11:00', now), { date: '2026-10-21', time: '11:00' });
+  assert.deepEqual(parseDeliverySlot('Wed 7pm', now), { date: '2026-10-14', time: '19:00' });
+  assert.deepEqual(parseDeliverySlot('tomorrow 9.30am', now), { date: '2026-10-15', time: '09:30' });
+  assert.deepEqual(parseDeliverySlot('2026-10-20 at 18:00', now), { date: '2026-10-20', time: '18:00' });
+  assert.throws(() => parseDeliverySlot('2026-10-01', now), /Thu 1 Oct is in the past/);
+  assert.throws(() => parseDeliverySlot('2026-12-01', now), /more than 21 days ahead/);
+  assert.throws(() => parseDeliverySlot('Someday 10:00', now), /Can't read delivery/);
+  assert.throws(() => parseDeliverySlot('Sat noon', now), /Can't read delivery/);
+  assert.equal(formatDeliveryDate('2026-10-17', '10:00'), 'Sat 17 Oct 10:00');
+  console.log('✅ "Sat 10:00" is Sat 17 Oct 10:00\n');
+
+  // Test 2: Recording slots
+  console.log('2. Recording delivery slots...');
+  const db = initializeDatabase({ dbPath: ':memory:' });
+  importOrders(db, orders);
+  const summaries = getOrderSummaries(db);
+  assert.deepEqual([summaries[0].slot_start, summaries[0].slot_end], ['19:00', '20:00']);
+  assert.equal(setOrderSlot(db, '9000000002', { start: '09:00', end: '10:00' }), true);
+  assert.equal(setOrderSlot(db, '9999999999', { start: '09:00', end: '10:00' }), false);
+  assert.equal(getOrderSummaries(db)[1].slot_start, '09:00');
+  console.log('✅ Slots saved with orders\n');
+
+  // Test 3: The next usual delivery
+  console.log('3. Finding the next usual delivery...');
+  assert.deepEqual(findNextDelivery(db, '2026-10-17'), {
+    date: '2026-10-20',
+    days: 3,
+    basis: 'weekday',
+    slot: { start: '19:00', end: '20:00' }
+  });
+  assert.deepEqual(findNextDelivery(db, '2026-10-20'), { date: '2026-10-24', days: 4, basis: 'weekday', slot: { start: '10:00', end: '11:00' } });
+  assert.deepEqual(findNextDelivery(db, '2026-10-15'), { date: '2026-10-19', days: 4, basis: 'usual', slot: null });
+
+  // Event orders aren't part of the usual routine
+  importOrders(db, [{ order_number: '9000000099', order_date: '2026-10-11', items: [{ product_name: 'Prosecco', quantity: 6 }] }]);
+  setOrderTag(db, '9000000099', 'event');
+  assert.equal(findNextDelivery(db, '2026-10-17').days, 3);
+
+  const empty = initializeDatabase({ dbPath: ':memory:' });
+  assert.deepEqual(findNextDelivery(empty, '2026-10-17', { fallbackDays: 6 }), { date: '2026-10-23', days: 6, basis: 'default', slot: null });
+  empty.close();
+  console.log('✅ Saturday delivery lasts until Tuesday evening (3 days)\n');
+
+  // Test 4: Forecasts start from the delivery date
+  console.log('4. Forecasting from the delivery date...');
+  const classified = classifyItems(getItemFrequency(db, { minOrders: 2 }), db);
+  const neededFrom = (date) => {
+    const withDays = calculateDaysSinceLastPurchase(classified, new Date(date));
+    const summary = generatePatternSummary(withDays, db, 7, { feedback: false, forecastFrom: new Date(date) });
+    return [...summary.regularItems, ...summary.infrequentItems].map(item => item.name);
+  };
+  assert.ok(!neededFrom('2026-10-11').includes('Bread'));
+  assert.ok(neededFrom('2026-10-17').includes('Bread'));
+  console.log('✅ Fortnightly bread due by the Saturday delivery but not today\n');
+
+  db.close();
+  console.log('✅ All delivery planning tests passed!\n');
+} catch (error) {
+  console.error('❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exitCode = 1;
+}
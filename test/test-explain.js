@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify prediction explanations
+ */
+
+import assert from 'node:assert/strict';
+import { initializeDatabase, importOrders, setOrderTag, getItemFrequency, getPurchaseTimeline, saveShoppingList } from '../src/database.js';
+import {
+  classifyItems,
+  calculateDaysSinceLastPurchase,
+  calculatePurchaseIntervals,
+  calculateConfidence,
+  scoreConfidence,
+  predictItemNeed,
+  decideItemNeed,
+  generatePatternSummary
+} from '../src/analyzer.js';
+import { matchListsToOrders } from '../src/feedback.js';
+import { explainItem } from '../src/explain.js';
+import { validateTiers } from '../src/tiers.js';
+
+console.log('🧪 Testing prediction explanations...\n');
+
+// Fifteen orders four days apart: milk in every one, bread in every other
+// and candles in the first and last; a party order adds prosecco and extra bread
+const orders = Array.from({ length: 15 }, (_, index) => ({
+  order_number: String(8000000001 + index),
+  order_date: new Date(Date.UTC(2026, 0, 1 + index * 4)).toISOString().split('T')[0],
+  items: [
+    { product_name: 'Milk', quantity: 2 },
+    ...(index % 2 === 0 ? [{ product_name: 'Bread', quantity: 1 }] : []),
+    ...(index === 0 || index === 14 ? [{ product_name: 'Candles', quantity: 1 }] : [])
+  ]
+}));
+
+const forecastFrom = new Date('2026-02-27');
+
+try {
+  const db = initializeDatabase({ dbPath: ':memory:' });
+  importOrders(db, orders);
+  importOrders(db, [{
+    order_number: '8000000099',
+    order_date: '2026-02-14',
+    items: [{ product_name: 'Prosecco', quantity: 6 }, { product_name: 'Bread', quantity: 2 }]
+  }]);
+  setOrderTag(db, '8000000099', 'event');
+
+  // Test 1: Purchase timeline
+  console.log('1. Reading purchase timelines...');
+  const timeline = getPurchaseTimeline(db, 'Bread');
+  assert.equal(timeline.length, 9);
+  const party = timeline.find(purchase => purchase.order_number === '8000000099');
+  assert.deepEqual([party.order_date, party.tag, party.quantity], ['2026-02-14', 'event', 2]);
+
+  const bread = explainItem(db, 'bread', { targetDays: 1, forecastFrom });
+  assert.equal(bread.product, 'Bread');
+  assert.equal(bread.timeline.filter(purchase => purchase.counted).length, 8);
+  assert.equal(bread.timeline.find(purchase => purchase.tag === 'event').counted, false);
+  assert.equal(explainItem(db, 'Bread', { forecastFrom, includeEvents: true }).timeline.every(purchase => purchase.counted), true);
+  console.log('✅ 9 bread purchases, the party order not counted\n');
+
+  // Test 2: Intervals, classification and confidence
+  console.log('2. Explaining intervals and confidence...');
+  assert.deepEqual(bread.intervals.days, [8, 8, 8, 8, 8, 8, 8]);
+  assert.equal(bread.intervals.average, 8);
+  assert.equal(bread.intervals.coefficientOfVariation, 0);
+  assert.deepEqual(bread.classification, { class: 'regular', tier: 'weekly', tierRules: 'every ≤10 days', frequency: 0.53, purchases: 8, orders: 15 });
+  assert.deepEqual(bread.confidence, {
+    score: 0.69,
+    frequency: 0.53,
+    countBoost: 0.16,
+    coefficientOfVariation: 0,
+    consistencyFactor: 1,
+    acceptance: null,
+    feedbackFactor: 1
+  });
+  const strict = validateTiers([{ name: 'staple', schedule: 'regular', rules: { minFrequency: 0.6 } }]);
+  assert.deepEqual(explainItem(db, 'Bread', { forecastFrom, tiers: strict }).classification, {
+    class: 'infrequent', tier: null, tierRules: null, frequency: 0.53, purchases: 8, orders: 15
+  });
+  console.log('✅ Bread every 8 days, 69% confidence\n');
+
+  // Test 3: Due dates and the deciding rule
+  console.log('3. Explaining the decision...');
+  assert.deepEqual(bread.due, { lastPurchased: '2026-02-26', daysSinceLastPurchase: 1, dueDate: '2026-03-06', daysTillDue: 7, planningWindow: 4 });
+  assert.deepEqual(bread.decision, {
+    included: false,
+    rule: 'not-due',
+    reason: 'Regular and due in 7 days, beyond the 4-day planning window (1 day + 3 buffer)'
+  });
+
+  const milk = explainItem(db, 'Milk', { targetDays: 1, forecastFrom });
+  assert.equal(milk.due.dueDate, '2026-03-02');
+  assert.deepEqual([milk.decision.included, milk.decision.rule], [true, 'regular-due']);
+
+  const lateMilk = explainItem(db, 'Milk', { forecastFrom: new Date('2026-03-06') });
+  assert.deepEqual([lateMilk.decision.included, lateMilk.decision.rule], [false, 'regular-overdue']);
+  assert.match(lateMilk.decision.reason, /^Regular and 4 days overdue/);
+
+  const candles = explainItem(db, 'Candles', { forecastFrom: new Date('2026-04-20') });
+  assert.deepEqual([candles.classification.class, candles.decision.rule], ['infrequent', 'infrequent-due']);
+  assert.match(candles.decision.reason, /due in 3 days/);
+
+  // A party order after the last normal one doesn't move the due date
+  importOrders(db, [{ order_number: '8000000100', order_date: '2026-02-27', items: [{ product_name: 'Bread', quantity: 3 }] }]);
+  setOrderTag(db, '8000000100', 'event');
+  const afterParty = explainItem(db, 'Bread', { targetDays: 1, forecastFrom: new Date('2026-02-28') });
+  assert.deepEqual([afterParty.due.lastPurchased, afterParty.due.dueDate, afterParty.due.daysTillDue], ['2026-02-26', '2026-03-06', 6]);
+  const withParty = explainItem(db, 'Bread', { targetDays: 1, forecastFrom: new Date('2026-02-28'), includeEvents: true });
+  assert.equal(withParty.due.lastPurchased, '2026-02-27');
+  console.log('✅ Bread not due for a one-day list, even after a party; milk due; milk overdue by March 6th\n');
+
+  // Test 4: Agreement with the shopping list
+  console.log('4. Matching the pattern summary...');
+  const withDays = calculateDaysSinceLastPurchase(classifyItems(getItemFrequency(db, { minOrders: 1 }), db), forecastFrom);
+  const summary = generatePatternSummary(withDays, db, 1, { feedback: false, forecastFrom });
+  const listed = [...summary.regularItems, ...summary.infrequentItems];
+  for (const name of ['Milk', 'Bread', 'Candles']) {
+    const explained = explainItem(db, name, { targetDays: 1, forecastFrom });
+    assert.equal(listed.some(item => item.name === name), explained.decision.included, name);
+  }
+  assert.equal(listed.find(item => item.name === 'Milk').confidence, milk.confidence.score);
+
+  for (const item of withDays) {
+    const intervals = calculatePurchaseIntervals(db, item.product_name);
+    assert.equal(scoreConfidence(item, intervals).confidence, calculateConfidence(item, intervals));
+    assert.equal(decideItemNeed(item, intervals, 1).needed, predictItemNeed(item, intervals, 1));
+  }
+  console.log('✅ Explanations agree with the generated list\n');
+
+  // Test 5: Finding the product
+  console.log('5. Resolving products...');
+  assert.equal(explainItem(db, 'cand', { forecastFrom }).product, 'Candles');
+  assert.throws(() => explainItem(db, 'l'), /matches 2 products \(Candles, Milk\)/);
+  assert.throws(() => explainItem(db, 'Bananas'), /No product matches "Bananas"/);
+  assert.throws(() => explainItem(db, 'Prosecco'), /only been bought in event or holiday orders/);
+  assert.equal(explainItem(db, 'Prosecco', { forecastFrom, includeEvents: true }).decision.rule, 'one-off');
+  console.log('✅ Partial names resolved; ambiguous and unknown names rejected\n');
+
+  // Test 6: Explaining changes nothing
+  console.log('6. Leaving list feedback alone...');
+  const listId = saveShoppingList(db, 7, [{ item: 'Milk', quantity: 2, classification: 'regular', reason: 'Test', confidence: 0.9 }]);
+  db.prepare('UPDATE shopping_lists SET generated_at = ? WHERE id = ?').run('2026-02-20 09:00:00', listId);
+
+  const countRows = () => ({
+    outcomes: db.prepare('SELECT COUNT(*) AS count FROM shopping_list_outcomes').get().count,
+    matched: db.prepare('SELECT COUNT(*) AS count FROM shopping_lists WHERE matched_order_id IS NOT NULL').get().count
+  });
+  const before = countRows();
+  explainItem(db, 'Milk', { forecastFrom });
+  assert.deepEqual(countRows(), before);
+  assert.equal(matchListsToOrders(db).length, 1);
+  console.log('✅ A list awaiting its order is left unmatched\n');
+
+  db.close();
+  console.log('✅ All explanation tests passed!\n');
+} catch (error) {
+  console.error('❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exitCode = 1;
+}
@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify matching saved lists to orders and the feedback it gives the analyzer
+ */
+
+import assert from 'node:assert/strict';
+import {
+  initializeDatabase,
+  importOrders,
+  getItemFrequency,
+  saveShoppingList,
+  getListOutcomeHistory,
+  getMonthlyListOutcomes
+} from '../src/database.js';
+import {
+  compareListToOrder,
+  matchListsToOrders,
+  summarizeFeedback,
+  loadFeedback,
+  calculateAccuracy,
+  REJECTION_LIMIT
+} from '../src/feedback.js';
+import { calculateConfidence, predictItemNeed, classifyItems, calculateDaysSinceLastPurchase, generatePatternSummary } from '../src/analyzer.js';
+
+console.log('🧪 Testing recommendation feedback...\n');
+
+const item = (name, quantity) => ({ item: name, quantity, classification: 'regular', reason: 'Test', confidence: 0.8 });
+
+/**
+ * Save a list as if generated at a given time
+ */
+function saveListAt(db, generatedAt, items, options) {
+  const listId = saveShoppingList(db, 7, items, options);
+  db.prepare('UPDATE shopping_lists SET generated_at = ? WHERE id = ?').run(generatedAt, listId);
+  return listId;
+}
+
+try {
+  // Test 1: Comparing a list with an order
+  console.log('1. Comparing a list with an order...');
+  const outcomes = compareListToOrder(
+    [{ product_name: 'Milk', quantity: 2 }, { product_name: 'Bananas', quantity: 1 }, { product_name: 'Steak', quantity: 1 }],
+    [{ product_name: 'milk', quantity: 2 }, { product_name: 'Bananas', quantity: 1 }, { product_name: 'Bananas', quantity: 1 }, { product_name: 'Coffee', quantity: 1 }]
+  );
+  assert.deepEqual(outcomes.map(o => `${o.product_name}:${o.outcome}`), [
+    'Milk:bought', 'Bananas:quantity_changed', 'Steak:not_bought', 'Coffee:unsuggested'
+  ]);
+  assert.equal(outcomes[1].ordered_quantity, 2);
+  console.log('✅ Bought, quantity changed, not bought and unsuggested\n');
+
+  // Test 2: Matching saved lists to the next order
+  console.log('2. Matching lists to orders...');
+  const db = initializeDatabase({ dbPath: ':memory:' });
+  importOrders(db, [
+    { order_number: '4000000001', order_date: '2026-02-01', items: [
+      { product_name: 'Milk', quantity: 2 },
+      { product_name: 'Steak', quantity: 1 }
+    ] }
+  ]);
+
+  const superseded = saveListAt(db, '2026-02-02 09:00:00', [item('Milk', 2)]);
+  const first = saveListAt(db, '2026-02-02 18:00:00', [item('Milk', 2), item('Steak', 1)]);
+  assert.deepEqual(matchListsToOrders(db), []);
+
+  importOrders(db, [
+    { order_number: '4000000002', order_date: '2026-02-05', items: [
+      { product_name: 'Milk', quantity: 3 },
+      { product_name: 'Coffee', quantity: 1 }
+    ] }
+  ]);
+  const matches = matchListsToOrders(db);
+  assert.deepEqual(matches.map(m => m.listId), [first]);
+  assert.deepEqual(matches[0].outcomes.map(o => o.outcome), ['quantity_changed', 'not_bought', 'unsuggested']);
+  assert.deepEqual(matchListsToOrders(db), []);
+  assert.equal(db.prepare('SELECT matched_order_id FROM shopping_lists WHERE id = ?').get(superseded).matched_order_id, null);
+  console.log('✅ Only the latest list before the order is matched, once\n');
+
+  // Test 3: Rejections accumulate into feedback
+  console.log('3. Summarising feedback...');
+  importOrders(db, [
+    { order_number: '4000000003', order_date: '2026-02-12', items: [{ product_name: 'Milk', quantity: 2 }] },
+    { order_number: '4000000004', order_date: '2026-02-19', items: [{ product_name: 'Milk', quantity: 2 }, { product_name: 'Coffee', quantity: 1 }] }
+  ]);
+  saveListAt(db, '2026-02-10 09:00:00', [item('Milk', 2), item('Steak', 1)]);
+  saveListAt(db, '2026-02-17 09:00:00', [item('Milk', 2), item('Bananas', 1)], {
+    edits: [{ product_name: 'Steak', action: 'removed', old_value: '1', new_value: null }]
+  });
+
+  // Analysis only reads recorded outcomes; matching is a separate step
+  const countOutcomes = () => db.prepare('SELECT COUNT(*) AS count FROM shopping_list_outcomes').get().count;
+  const recorded = countOutcomes();
+  const feedbackBefore = loadFeedback(db);
+  const withDays = calculateDaysSinceLastPurchase(classifyItems(getItemFrequency(db, { minOrders: 1 }), db), new Date('2026-02-20'));
+  generatePatternSummary(withDays, db, 7);
+  assert.equal(countOutcomes(), recorded);
+  assert.deepEqual(loadFeedback(db), feedbackBefore);
+
+  assert.equal(matchListsToOrders(db).length, 2);
+
+  const feedback = summarizeFeedback(getListOutcomeHistory(db));
+  const steak = feedback.get('steak');
+  assert.deepEqual(
+    { suggested: steak.suggested, rejected: steak.rejected, rejectionStreak: steak.rejectionStreak },
+    { suggested: 3, rejected: 3, rejectionStreak: REJECTION_LIMIT }
+  );
+  assert.deepEqual({ bought: feedback.get('milk').bought, rejected: feedback.get('milk').rejected }, { bought: 3, rejected: 0 });
+  assert.equal(feedback.get('coffee').missedStreak, 2);
+  console.log('✅ Steak rejected 3 times in a row, coffee missed twice\n');
+
+  // Test 4: Feedback tunes confidence and prediction
+  console.log('4. Applying feedback to predictions...');
+  const pattern = { purchase_count: 8, frequency: 0.6, days_since_last_purchase: 6, classification: 'regular' };
+  const intervals = { avg_interval: 7, std_deviation: 0 };
+  assert.ok(Math.abs(calculateConfidence(pattern, intervals) - 0.76) < 1e-9);
+  assert.ok(Math.abs(calculateConfidence(pattern, intervals, steak) - 0.38) < 1e-9);
+  assert.equal(calculateConfidence(pattern, intervals, { ...steak, suggested: 1, bought: 0 }), calculateConfidence(pattern, intervals));
+  assert.equal(predictItemNeed(pattern, intervals, 7), true);
+  assert.equal(predictItemNeed(pattern, intervals, 7, steak), false);
+
+  // Due in 12 days: outside the normal window, inside the widened one
+  const notDue = { ...pattern, days_since_last_purchase: 8, classification: 'infrequent' };
+  const longInterval = { avg_interval: 20, std_deviation: 0 };
+  assert.equal(predictItemNeed(notDue, longInterval, 7), false);
+  assert.equal(predictItemNeed(notDue, longInterval, 7, feedback.get('coffee')), true);
+  console.log('✅ Rejected items down-weighted and paused, missed items predicted earlier\n');
+
+  // Test 5: Precision and recall
+  console.log('5. Calculating accuracy...');
+  const [february] = getMonthlyListOutcomes(db);
+  assert.deepEqual(february, { month: '2026-02', lists: 3, bought: 2, quantity_changed: 1, not_bought: 3, unsuggested: 2 });
+  const { precision, recall } = calculateAccuracy(february);
+  assert.equal(precision, 0.5);
+  assert.equal(recall, 0.6);
+  assert.deepEqual(calculateAccuracy({}), { precision: null, recall: null });
+  console.log(`✅ Precision ${precision * 100}%, recall ${recall * 100}%\n`);
+
+  db.close();
+  console.log('✅ All feedback tests passed!\n');
+} catch (error) {
+  console.error('❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exitCode = 1;
+}
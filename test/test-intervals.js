@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify recency-weighted intervals and habit change detection
+ */
+
+import assert from 'node:assert/strict';
+import { initializeDatabase, importOrders, getItemFrequency } from '../src/database.js';
+import {
+  calculatePurchaseIntervals,
+  detectChangePoint,
+  classifyItems,
+  calculateDaysSinceLastPurchase,
+  generatePatternSummary
+} from '../src/analyzer.js';
+import { generateLocalRecommendations } from '../src/local-engine.js';
+
+console.log('🧪 Testing interval model...\n');
+
+/**
+ * Orders on the given days after 2026-01-01, each buying the given items
+ */
+function ordersOn(days, items, startNumber) {
+  return days.map((day, index) => {
+    const date = new Date(Date.UTC(2026, 0, 1 + day));
+    return {
+      order_number: String(startNumber + index),
+      order_date: date.toISOString().split('T')[0],
+      items: items(index)
+    };
+  });
+}
+
+try {
+  // Test 1: Change-point detection
+  console.log('1. Detecting habit changes...');
+  assert.equal(detectChangePoint([7, 7, 7, 7, 14, 14]), 4);
+  assert.equal(detectChangePoint([14, 14, 14, 7, 7]), 3);
+  assert.equal(detectChangePoint([7, 7, 7, 7, 14]), null);
+  assert.equal(detectChangePoint([7, 8, 6, 7, 9, 7]), null);
+  assert.equal(detectChangePoint([7, 7, 7, 7, 14], { minChangeIntervals: 1 }), 4);
+  assert.equal(detectChangePoint([7, 7, 10, 10]), null);
+  assert.equal(detectChangePoint([7, 7, 10, 10], { changeRatio: 1.4 }), 2);
+  console.log('✅ Weekly → fortnightly found after two long gaps\n');
+
+  // Eggs weekly for 8 weeks, then fortnightly; milk weekly throughout
+  const db = initializeDatabase({ dbPath: ':memory:' });
+  const weekly = [0, 7, 14, 21, 28, 35, 42, 49];
+  const fortnightly = [63, 77, 91];
+  importOrders(db, ordersOn([...weekly, 56, 70, 84], () => [{ product_name: 'Milk', quantity: 2 }], 6000000001));
+  importOrders(db, ordersOn([...weekly, ...fortnightly], (index) => [
+    { product_name: 'Eggs', quantity: index < 8 ? 1 : 2 }
+  ], 6000000101));
+
+  // Test 2: Baseline resets after the change
+  console.log('2. Estimating intervals after a change...');
+  const eggs = calculatePurchaseIntervals(db, 'Eggs');
+  assert.deepEqual(eggs.change_point, { date: '2026-02-19', before_avg_interval: 7, after_avg_interval: 14 });
+  assert.equal(eggs.avg_interval, 14);
+  assert.equal(eggs.raw_avg_interval, 9);
+  assert.equal(eggs.std_deviation, 0);
+  assert.equal(eggs.raw_avg_quantity, 14 / 11);
+  assert.equal(eggs.avg_quantity, 2);
+  console.log(`✅ Eggs every ${eggs.avg_interval} days (raw average ${eggs.raw_avg_interval})\n`);
+
+  // Test 3: Recency weighting without a change point
+  console.log('3. Weighting recent purchases...');
+  importOrders(db, ordersOn([0, 10, 20, 30, 38, 46, 53], (index) => [{ product_name: 'Coffee', quantity: index < 4 ? 1 : 3 }], 6000000201));
+  const coffee = calculatePurchaseIntervals(db, 'Coffee');
+  assert.equal(coffee.change_point, null);
+  assert.equal(coffee.raw_avg_interval, 9);
+  const flat = calculatePurchaseIntervals(db, 'Coffee', { halfLifeDays: 0 });
+  const steep = calculatePurchaseIntervals(db, 'Coffee', { halfLifeDays: 7 });
+  assert.equal(flat.avg_interval, 9);
+  assert.equal(steep.avg_interval, 8);
+  assert.ok(steep.avg_quantity > coffee.avg_quantity && coffee.avg_quantity > flat.avg_quantity);
+  assert.equal(flat.avg_quantity, flat.raw_avg_quantity);
+  console.log(`✅ Half-life 7 days: every ${steep.avg_interval} days, ${steep.avg_quantity.toFixed(2)} per order\n`);
+
+  // Test 4: Weighted and raw figures side by side in the summary
+  console.log('4. Building the pattern summary...');
+  const frequency = getItemFrequency(db, { minOrders: 2 });
+  const withDays = calculateDaysSinceLastPurchase(classifyItems(frequency, db), new Date('2026-04-14'));
+  const summary = generatePatternSummary(withDays, db, 7);
+  const eggsSummary = [...summary.regularItems, ...summary.infrequentItems].find(item => item.name === 'Eggs');
+  assert.deepEqual(
+    { avgFrequencyDays: eggsSummary.avgFrequencyDays, rawAvgFrequencyDays: eggsSummary.rawAvgFrequencyDays, habitChange: eggsSummary.habitChange },
+    { avgFrequencyDays: 14, rawAvgFrequencyDays: 9, habitChange: { since: '2026-02-19', fromDays: 7, toDays: 14 } }
+  );
+  assert.equal(eggsSummary.rawAvgQuantity, 1.27);
+  assert.ok(!('habitChange' in (summary.regularItems.find(item => item.name === 'Milk') ?? {})));
+
+  const [eggsRecommendation] = generateLocalRecommendations({ regularItems: [eggsSummary], infrequentItems: [] }).recommendations;
+  assert.match(eggsRecommendation.reason, /^Usually bought every 14 days \(every 7 until 2026-02-19\)/);
+  console.log(`✅ ${eggsRecommendation.reason}\n`);
+
+  db.close();
+  console.log('✅ All interval model tests passed!\n');
+} catch (error) {
+  console.error('❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exitCode = 1;
+}
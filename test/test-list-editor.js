@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify the interactive list editor's commands and edit recording
+ */
+
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import {
+  initializeDatabase,
+  importOrders,
+  saveShoppingList,
+  getShoppingList,
+  getPurchasedProductNames,
+  findProduct,
+  mergeProducts
+} from '../src/database.js';
+import { parseEditCommand, applyEdit, matchProductNames, diffLists } from '../src/list-editor.js';
+
+console.log('🧪 Testing list editor...\n');
+
+const list = [
+  { item: 'Organic Milk', quantity: 2, classification: 'regular', reason: 'Weekly', confidence: 0.95 },
+  { item: 'Bananas', quantity: 1, classification: 'regular', reason: 'Overdue', confidence: 0.85 },
+  { item: 'Steak', quantity: 1, classification: 'infrequent', reason: 'Due', confidence: 0.5 }
+];
+
+try {
+  // Test 1: Parsing commands
+  console.log('1. Parsing commands...');
+  assert.deepEqual(parseEditCommand('t 2'), { type: 'toggle', index: 1 });
+  assert.deepEqual(parseEditCommand(' q 1 3 '), { type: 'quantity', index: 0, quantity: 3 });
+  assert.deepEqual(parseEditCommand('a Wild Rocket 75g x2'), { type: 'add', name: 'Wild Rocket 75g', quantity: 2 });
+  assert.deepEqual(parseEditCommand('a Wild Rocket 75g'), { type: 'add', name: 'Wild Rocket 75g', quantity: 1 });
+  assert.deepEqual(parseEditCommand('c 3 Regular'), { type: 'reclassify', index: 2, classification: 'regular' });
+  assert.deepEqual(parseEditCommand('c 3'), { type: 'reclassify', index: 2, classification: null });
+  assert.deepEqual(parseEditCommand('c 1 Weekly'), { type: 'reclassify', index: 0, classification: 'weekly' });
+  assert.deepEqual(parseEditCommand('d'), { type: 'done' });
+  assert.deepEqual(parseEditCommand(''), { type: 'none' });
+  assert.throws(() => parseEditCommand('q 1 0'), /between 1 and 99/);
+  assert.throws(() => parseEditCommand('t'), /item number/);
+  assert.throws(() => parseEditCommand('c 1 daily'), /Classification must be one of: seasonal, staple, weekly, monthly, occasional, regular, infrequent/);
+  assert.deepEqual(parseEditCommand('c 1 daily', [{ name: 'daily', schedule: 'regular' }]), { type: 'reclassify', index: 0, classification: 'daily' });
+  assert.throws(() => parseEditCommand('x'), /Unknown command/);
+  console.log('✅ Commands parsed\n');
+
+  // Test 2: Applying edits
+  console.log('2. Applying edits...');
+  const productNames = ['Organic Milk', 'Bananas', 'Wild Rocket 75g', 'Wholemeal Bread'];
+  let items = list.map(item => ({ ...item, included: true }));
+  items = applyEdit(items, parseEditCommand('t 1'), productNames);
+  items = applyEdit(items, parseEditCommand('q 2 4'), productNames);
+  items = applyEdit(items, parseEditCommand('c 3'), productNames);
+  items = applyEdit(items, parseEditCommand('a wild rocket 75g x2'), productNames);
+  assert.equal(items[0].included, false);
+  assert.equal(items[1].quantity, 4);
+  assert.equal(items[2].classification, 'regular');
+  assert.equal(items[2].tier, null);
+  const staple = [{ ...list[0], tier: 'staple', included: true }];
+  assert.equal(applyEdit(staple, parseEditCommand('c 1 infrequent'), productNames)[0].tier, null);
+  assert.equal(applyEdit(staple, parseEditCommand('c 1 regular'), productNames)[0].tier, 'staple');
+  assert.deepEqual(
+    (({ classification, tier }) => ({ classification, tier }))(applyEdit(staple, parseEditCommand('c 1 monthly'), productNames)[0]),
+    { classification: 'infrequent', tier: 'monthly' }
+  );
+  assert.deepEqual(items[3], {
+    item: 'Wild Rocket 75g', quantity: 2, classification: 'infrequent', reason: 'Added by you', confidence: 1, included: true
+  });
+  assert.equal(list[1].quantity, 1);
+  assert.throws(() => applyEdit(items, parseEditCommand('t 9'), productNames), /No item 9/);
+  assert.equal(applyEdit([], parseEditCommand('a wholemeal'), productNames)[0].item, 'Wholemeal Bread');
+  assert.equal(applyEdit([], parseEditCommand('a W'), productNames)[0].item, 'W');
+
+  // Adding an item already on the list updates it instead of duplicating
+  items = applyEdit(items, parseEditCommand('a Organic Milk x1'), productNames);
+  assert.equal(items.length, 4);
+  assert.deepEqual({ included: items[0].included, quantity: items[0].quantity }, { included: true, quantity: 1 });
+  items = applyEdit(items, parseEditCommand('t 1'), productNames);
+  console.log('✅ Toggle, quantity, reclassify and add applied\n');
+
+  // Test 3: Autocomplete
+  console.log('3. Autocompleting product names...');
+  assert.deepEqual(matchProductNames('w', productNames), ['Wild Rocket 75g', 'Wholemeal Bread']);
+  assert.deepEqual(matchProductNames('bread', productNames), ['Wholemeal Bread']);
+  assert.deepEqual(matchProductNames('  ', productNames), []);
+  console.log('✅ Prefix matches first, then substrings\n');
+
+  // Test 4: Working out what changed
+  console.log('4. Diffing the edited list...');
+  const edited = items.filter(item => item.included).map(({ included, ...item }) => item);
+  const edits = diffLists(list, edited);
+  assert.deepEqual(edits, [
+    { product_name: 'Organic Milk', action: 'removed', old_value: '2', new_value: null },
+    { product_name: 'Bananas', action: 'quantity', old_value: '1', new_value: '4' },
+    { product_name: 'Steak', action: 'reclassified', old_value: 'infrequent', new_value: 'regular' },
+    { product_name: 'Wild Rocket 75g', action: 'added', old_value: null, new_value: '2' }
+  ]);
+  assert.deepEqual(diffLists(list, list), []);
+  assert.deepEqual(diffLists([{ ...list[0], tier: 'staple' }], [{ ...list[0], tier: 'weekly' }]), [
+    { product_name: 'Organic Milk', action: 'reclassified', old_value: 'staple', new_value: 'weekly' }
+  ]);
+  console.log(`✅ ${edits.length} edits found\n`);
+
+  // Test 5: Edits saved with the list, autocomplete names from history
+  console.log('5. Saving edits...');
+  const db = initializeDatabase({ dbPath: ':memory:' });
+  importOrders(db, [
+    { order_number: '3000000001', order_date: '2026-01-03', items: [
+      { product_name: 'Bananas', quantity: 1 },
+      { product_name: 'Wild Rocket 75g', quantity: 1 }
+    ] },
+    { order_number: '3000000002', order_date: '2026-01-10', items: [
+      { product_name: 'Wild Rocket 75g', quantity: 1 }
+    ] },
+    { order_number: '3000000003', order_date: '2026-01-17', items: [
+      { product_name: 'Bananas', quantity: 1 },
+      { product_name: 'Rocket', quantity: 1 }
+    ] }
+  ]);
+
+  // Names bought under another product's alias complete to its catalogue name
+  mergeProducts(db, findProduct(db, 'Rocket').id, findProduct(db, 'Wild Rocket 75g').id);
+  assert.deepEqual(getPurchasedProductNames(db), ['Wild Rocket 75g', 'Bananas']);
+
+  const listId = saveShoppingList(db, 7, edited, { edits });
+  const saved = getShoppingList(db, listId);
+  assert.equal(saved.items.length, 3);
+  assert.deepEqual(saved.edits.map(e => `${e.action}:${e.product_name}`), [
+    'removed:Organic Milk', 'quantity:Bananas', 'reclassified:Steak', 'added:Wild Rocket 75g'
+  ]);
+  db.close();
+  console.log('✅ Edits stored with the list\n');
+
+  // Test 6: Input ending without "d"
+  console.log('6. Finishing when input ends...');
+  const editorUrl = new URL('../src/list-editor.js', import.meta.url).href;
+  const script = `
+    import { editShoppingList } from '${editorUrl}';
+    const result = await editShoppingList(${JSON.stringify([{ ...list[0], tier: 'staple' }, ...list.slice(1)])});
+    console.log('RESULT ' + JSON.stringify(result.edits.map(e => e.action + ':' + e.product_name)));
+  `;
+  const child = spawnSync(process.execPath, ['--input-type=module', '-e', script], {
+    input: 't 1\nq 2 3\n',
+    encoding: 'utf8',
+    timeout: 10000
+  });
+  assert.equal(child.status, 0, child.stderr || 'editor did not exit when input ended');
+  const result = child.stdout.match(/RESULT (.*)/);
+  assert.deepEqual(JSON.parse(result[1]), ['removed:Organic Milk', 'quantity:Bananas']);
+  assert.ok(child.stdout.includes('Organic Milk (2x) - staple'), 'editor should show the tier');
+  console.log('✅ Edits kept when input ends\n');
+
+  console.log('✅ All list editor tests passed!\n');
+} catch (error) {
+  console.error('❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exitCode = 1;
+}
@@ -0,0 +1,226 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify LLM provider configuration, the OpenAI-compatible
+ * provider and fixture record/replay
+ */
+
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { loadLlmConfig, createProvider } from '../src/llm-providers.js';
+
+console.log('🧪 Testing LLM providers...\n');
+
+const tempDir = mkdtempSync(join(tmpdir(), 'waitrose-llm-'));
+
+// Minimal OpenAI-compatible endpoint that echoes the last message back,
+// or answers with a tool call when one is required
+const requests = [];
+const attempts = (model) => requests.filter(r => r.body.model === model).length;
+const server = createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const parsed = JSON.parse(body);
+    requests.push({ url: req.url, auth: req.headers.authorization, body: parsed });
+    res.setHeader('Content-Type', 'application/json');
+
+    if (parsed.model === 'flaky-model' && attempts('flaky-model') === 1) {
+      res.statusCode = 503;
+      res.setHeader('retry-after-ms', '10');
+      res.end(JSON.stringify({ error: { message: 'overloaded' } }));
+      return;
+    }
+
+    if (parsed.model === 'rate-limited-model' && attempts('rate-limited-model') <= 2) {
+      res.statusCode = 429;
+      res.setHeader('retry-after', '0.02');
+      res.end(JSON.stringify({ error: { message: 'Rate limit reached' } }));
+      return;
+    }
+
+    if (parsed.model === 'missing-model') {
+      res.statusCode = 404;
+      res.end(JSON.stringify({ error: { message: 'model not found' } }));
+      return;
+    }
+
+    if (parsed.model === 'malformed-model') {
+      res.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content: null, tool_calls: [{ id: 'call_1', type: 'function' }] } }] }));
+      return;
+    }
+
+    if (parsed.model === 'picky-model') {
+      res.statusCode = 400;
+      res.end(JSON.stringify({ error: { message: 'max_tokens is too large' } }));
+      return;
+    }
+
+    // Tool calls come back as chat completions do: no content, JSON-string arguments
+    const message = parsed.tools
+      ? {
+          role: 'assistant',
+          content: null,
+          tool_calls: [{
+            id: 'call_1',
+            type: 'function',
+            function: { name: parsed.tool_choice.function.name, arguments: '{"answer":42,"items":["Milk"]}' }
+          }]
+        }
+      : { role: 'assistant', content: `echo: ${parsed.messages.at(-1).content}` };
+
+    res.end(JSON.stringify({
+      id: 'chatcmpl-1',
+      object: 'chat.completion',
+      model: parsed.model,
+      choices: [{ index: 0, message, finish_reason: parsed.tools ? 'tool_calls' : 'stop' }],
+      usage: { prompt_tokens: 12, completion_tokens: 3, total_tokens: 15 }
+    }));
+  });
+});
+
+try {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+
+  // Test 1: Config defaults and validation
+  console.log('1. Loading config...');
+  const defaults = loadLlmConfig({ ANTHROPIC_API_KEY: 'key' });
+  assert.equal(defaults.provider, 'anthropic');
+  assert.equal(defaults.maxTokens, 2048);
+  assert.ok(defaults.model);
+  assert.throws(() => loadLlmConfig({ WAITROSE_LLM_PROVIDER: 'bard' }), /Unknown LLM provider/);
+  assert.throws(() => loadLlmConfig({ WAITROSE_LLM_MAX_TOKENS: 'lots' }), /must be a number of at least 1/);
+  assert.throws(() => createProvider(loadLlmConfig({})), /ANTHROPIC_API_KEY/);
+  console.log('✅ Defaults applied and bad settings rejected\n');
+
+  // Test 2: OpenAI-compatible endpoint
+  console.log('2. Calling an OpenAI-compatible endpoint...');
+  const openai = createProvider(loadLlmConfig({
+    WAITROSE_LLM_PROVIDER: 'openai',
+    WAITROSE_LLM_MODEL: 'local-model',
+    WAITROSE_LLM_BASE_URL: baseUrl,
+    WAITROSE_LLM_MAX_TOKENS: '500',
+    OPENAI_API_KEY: 'sk-test'
+  }));
+  const response = await openai.complete({ system: 'Be brief', messages: [{ role: 'user', content: 'hello' }] });
+  assert.deepEqual(response, { text: 'echo: hello', toolCalls: [], usage: { input_tokens: 12, output_tokens: 3 }, model: 'local-model' });
+  assert.equal(requests[0].url, '/v1/chat/completions');
+  assert.equal(requests[0].auth, 'Bearer sk-test');
+  assert.deepEqual(requests[0].body, {
+    model: 'local-model',
+    max_tokens: 500,
+    messages: [{ role: 'system', content: 'Be brief' }, { role: 'user', content: 'hello' }]
+  });
+
+  const schema = { type: 'object', properties: { answer: { type: 'number' }, items: { type: 'array' } } };
+  const tool = { name: 'answer', description: 'Give the answer', inputSchema: schema };
+  const toolResponse = await openai.complete({ messages: [{ role: 'user', content: 'question' }], tools: [tool], toolChoice: 'answer' });
+  assert.equal(toolResponse.text, '');
+  assert.deepEqual(toolResponse.toolCalls, [{ name: 'answer', input: { answer: 42, items: ['Milk'] } }]);
+  assert.deepEqual(requests[1].body.tools, [{ type: 'function', function: { name: 'answer', description: 'Give the answer', parameters: schema } }]);
+  assert.deepEqual(requests[1].body.tool_choice, { type: 'function', function: { name: 'answer' } });
+  console.log('✅ Request, response and tool calls translated\n');
+
+  // Test 3: HTTP errors keep their status
+  console.log('3. Handling endpoint errors...');
+  const broken = createProvider(loadLlmConfig({
+    WAITROSE_LLM_PROVIDER: 'openai',
+    WAITROSE_LLM_MODEL: 'missing-model',
+    WAITROSE_LLM_BASE_URL: baseUrl
+  }));
+  await assert.rejects(broken.complete({ messages: [{ role: 'user', content: 'hi' }] }), error => {
+    assert.equal(error.status, 404);
+    assert.equal(error.message, 'model not found');
+    return true;
+  });
+  assert.equal(attempts('missing-model'), 1);
+
+  const picky = createProvider(loadLlmConfig({
+    WAITROSE_LLM_PROVIDER: 'openai',
+    WAITROSE_LLM_MODEL: 'picky-model',
+    WAITROSE_LLM_BASE_URL: baseUrl
+  }));
+  const pickyRetries = [];
+  await assert.rejects(picky.complete({ messages: [{ role: 'user', content: 'hi' }], onRetry: (info) => pickyRetries.push(info) }), { status: 400 });
+  assert.equal(attempts('picky-model'), 1);
+  assert.equal(pickyRetries.length, 0);
+
+  const malformed = createProvider(loadLlmConfig({
+    WAITROSE_LLM_PROVIDER: 'openai',
+    WAITROSE_LLM_MODEL: 'malformed-model',
+    WAITROSE_LLM_BASE_URL: baseUrl
+  }));
+  await assert.rejects(malformed.complete({ messages: [{ role: 'user', content: 'hi' }] }), TypeError);
+  assert.equal(attempts('malformed-model'), 1);
+  console.log('✅ Error status and message preserved; 404, 400 and malformed responses not retried\n');
+
+  // Test 4: Transient errors retried, with progress reported
+  console.log('4. Retrying overloaded and rate-limited endpoints...');
+  const retries = [];
+  const flaky = createProvider(loadLlmConfig({
+    WAITROSE_LLM_PROVIDER: 'openai',
+    WAITROSE_LLM_MODEL: 'flaky-model',
+    WAITROSE_LLM_BASE_URL: baseUrl
+  }));
+  const flakyResponse = await flaky.complete({ messages: [{ role: 'user', content: 'again' }], onRetry: (info) => retries.push(info) });
+  assert.equal(flakyResponse.text, 'echo: again');
+  assert.equal(retries.length, 1);
+  assert.equal(retries[0].delayMs, 10);
+
+  const rateRetries = [];
+  const rateLimited = createProvider(loadLlmConfig({
+    WAITROSE_LLM_PROVIDER: 'openai',
+    WAITROSE_LLM_MODEL: 'rate-limited-model',
+    WAITROSE_LLM_BASE_URL: baseUrl
+  }));
+  const rateResponse = await rateLimited.complete({ messages: [{ role: 'user', content: 'later' }], onRetry: (info) => rateRetries.push(info) });
+  assert.equal(rateResponse.text, 'echo: later');
+  assert.equal(attempts('rate-limited-model'), 3);
+  assert.deepEqual(rateRetries.map(info => [info.error.status, info.delayMs]), [[429, 20], [429, 20]]);
+
+  const impatient = createProvider(loadLlmConfig({
+    WAITROSE_LLM_PROVIDER: 'openai',
+    WAITROSE_LLM_MODEL: 'rate-limited-model',
+    WAITROSE_LLM_BASE_URL: baseUrl,
+    WAITROSE_LLM_MAX_RETRIES: '0'
+  }));
+  requests.length = 0;
+  await assert.rejects(impatient.complete({ messages: [{ role: 'user', content: 'now' }] }), { status: 429, message: 'Rate limit reached' });
+  assert.equal(attempts('rate-limited-model'), 1);
+  console.log('✅ Succeeded after honouring retry-after on 503 and 429\n');
+
+  // Test 5: Record then replay
+  console.log('5. Recording and replaying responses...');
+  const fixturePath = join(tempDir, 'recordings.json');
+  const recordEnv = {
+    WAITROSE_LLM_PROVIDER: 'openai',
+    WAITROSE_LLM_MODEL: 'local-model',
+    WAITROSE_LLM_BASE_URL: baseUrl,
+    WAITROSE_LLM_FIXTURE: fixturePath,
+    WAITROSE_LLM_FIXTURE_MODE: 'record'
+  };
+  const request = { messages: [{ role: 'user', content: 'remember me' }] };
+  const recorder = createProvider(loadLlmConfig(recordEnv));
+  assert.equal(recorder.model, 'local-model');
+  const recorded = await recorder.complete(request);
+
+  const callsBeforeReplay = requests.length;
+  const replay = createProvider(loadLlmConfig({ ...recordEnv, WAITROSE_LLM_FIXTURE_MODE: 'replay' }));
+  assert.deepEqual(await replay.complete(request), recorded);
+  assert.equal(requests.length, callsBeforeReplay);
+  await assert.rejects(replay.complete({ messages: [{ role: 'user', content: 'new prompt' }] }), /No recorded response/);
+  console.log('✅ Replay served from the fixture without network calls\n');
+
+  console.log('✅ All LLM provider tests passed!\n');
+} catch (error) {
+  console.error('❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exitCode = 1;
+} finally {
+  server.close();
+  rmSync(tempDir, { recursive: true, force: true });
+}
@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify the offline recommendation engine and automatic fallback
+ */
+
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { generateLocalRecommendations } from '../src/local-engine.js';
+import { generateRecommendations, validateEngine } from '../src/recommender.js';
+
+console.log('🧪 Testing local recommendation engine...\n');
+
+const patternSummary = JSON.parse(readFileSync(new URL('./fixtures/pattern-summary.json', import.meta.url), 'utf-8'));
+
+try {
+  // Test 1: Same shape as Claude recommendations
+  console.log('1. Generating recommendations locally...');
+  const { recommendations, usage } = generateLocalRecommendations(patternSummary, { daysCoverage: 7 });
+  assert.equal(recommendations.length, 4);
+  for (const rec of recommendations) {
+    assert.equal(typeof rec.item, 'string');
+    assert.ok(rec.quantity >= 1);
+    assert.ok(['regular', 'infrequent'].includes(rec.classification));
+    assert.ok(rec.confidence >= 0 && rec.confidence <= 1);
+    assert.ok(rec.reason.length > 0);
+  }
+  assert.deepEqual(usage, { input_tokens: 0, output_tokens: 0 });
+  console.log(`✅ ${recommendations.length} recommendations, no tokens used\n`);
+
+  // Test 2: Ordering, quantities and reasons come from the data
+  console.log('2. Checking quantities and reasons...');
+  assert.deepEqual(recommendations.map(r => r.item), ['Organic Milk', 'Bananas', 'Whole Wheat Bread', 'Steak']);
+  assert.equal(recommendations[0].quantity, 2);
+  assert.equal(recommendations[3].confidence, 0.46);
+  assert.equal(recommendations[1].reason, 'Usually bought every 7 days; last bought 10 days ago (3 days overdue)');
+  recommendations.forEach(r => console.log(`   - ${r.item} x${r.quantity}: ${r.reason}`));
+  console.log('✅ Deterministic output\n');
+
+  // Test 3: Engine selection
+  console.log('3. Choosing engines...');
+  const local = await generateRecommendations(patternSummary, { engine: 'local' });
+  assert.equal(local.engine, 'local');
+  assert.throws(() => validateEngine('gpt'), /Unknown engine/);
+  console.log('✅ Local engine selected explicitly\n');
+
+  // Test 4: Fallback when Claude is unavailable
+  console.log('4. Falling back when the API fails...');
+  delete process.env.ANTHROPIC_API_KEY;
+  let fallbackError = null;
+  const fallback = await generateRecommendations(patternSummary, {
+    engine: 'auto',
+    onFallback: (error) => { fallbackError = error; }
+  });
+  assert.equal(fallback.engine, 'local');
+  assert.match(fallback.fallbackReason, /ANTHROPIC_API_KEY/);
+  assert.ok(fallbackError);
+  await assert.rejects(generateRecommendations(patternSummary, { engine: 'claude' }), /ANTHROPIC_API_KEY/);
+  console.log(`✅ Fell back to local engine (${fallback.fallbackReason})\n`);
+
+  console.log('✅ All local engine tests passed!\n');
+} catch (error) {
+  console.error('❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exitCode = 1;
+}
@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify schema migrations on new and pre-migration databases
+ */
+
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { initializeDatabase } from '../src/database.js';
+import { MIGRATIONS, getMigrationStatus, getSchemaVersion, runMigrations } from '../src/migrations.js';
+
+console.log('🧪 Testing schema migrations...\n');
+
+const tempDir = mkdtempSync(join(tmpdir(), 'waitrose-migrations-'));
+const latestVersion = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+try {
+  // Test 1: Fresh database
+  console.log('1. Migrating a fresh database...');
+  const fresh = initializeDatabase({ dbPath: ':memory:' });
+  assert.equal(getSchemaVersion(fresh), latestVersion);
+  assert.ok(getMigrationStatus(fresh).every(m => m.applied));
+  console.log(`✅ Fresh database at version ${latestVersion}\n`);
+
+  // Test 2: Re-running is a no-op
+  console.log('2. Re-running migrations...');
+  assert.deepEqual(runMigrations(fresh), []);
+  fresh.close();
+  console.log('✅ No migrations re-applied\n');
+
+  // Test 3: Database created before migrations existed
+  console.log('3. Migrating a pre-migration database...');
+  const legacyPath = join(tempDir, 'legacy.db');
+  const legacy = new Database(legacyPath);
+  legacy.exec(`
+    CREATE TABLE orders (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      order_number TEXT UNIQUE NOT NULL,
+      order_date TEXT NOT NULL,
+      scraped_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE TABLE order_items (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      order_id INTEGER NOT NULL,
+      product_name TEXT NOT NULL,
+      quantity INTEGER NOT NULL,
+      FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE
+    );
+    INSERT INTO orders (order_number, order_date, scraped_at) VALUES
+      ('1000000001', '2026-12-11', '2026-01-05 09:00:00'),
+      ('1000000002', '2026-01-03', '2026-01-05 09:00:00');
+    INSERT INTO order_items (order_id, product_name, quantity) VALUES (1, 'Organic Milk', 2);
+  `);
+  legacy.close();
+
+  const migrated = initializeDatabase({ dbPath: legacyPath });
+  assert.equal(getSchemaVersion(migrated), latestVersion);
+  assert.equal(migrated.prepare('SELECT COUNT(*) as count FROM order_items').get().count, 1);
+  const product = migrated.prepare(`
+    SELECT p.canonical_name FROM order_items oi JOIN products p ON oi.product_id = p.id
+  `).get();
+  assert.equal(product.canonical_name, 'Organic Milk');
+  console.log('✅ Existing data preserved and linked to products\n');
+
+  // Test 4: Future-dated orders repaired
+  console.log('4. Checking future-dated order repair...');
+  const dates = migrated.prepare('SELECT order_number, order_date FROM orders ORDER BY order_number').all();
+  assert.deepEqual(dates.map(o => o.order_date), ['2025-12-11', '2026-01-03']);
+  dates.forEach(o => console.log(`   - ${o.order_number}: ${o.order_date}`));
+  migrated.close();
+  console.log('✅ December order moved back to the year it was placed\n');
+
+  // Test 5: Status without applying
+  console.log('5. Checking status of an unmigrated database...');
+  const unmigrated = initializeDatabase({ dbPath: join(tempDir, 'status.db'), migrate: false });
+  assert.ok(getMigrationStatus(unmigrated).every(m => !m.applied));
+  unmigrated.close();
+  console.log('✅ All migrations reported as pending\n');
+
+  // Test 6: List item tiers folded into classifications
+  console.log('6. Migrating list item classifications to tiers...');
+  const tiered = initializeDatabase({ dbPath: ':memory:', migrate: false });
+  getSchemaVersion(tiered);
+  for (const migration of MIGRATIONS.filter(m => m.version <= 11)) {
+    migration.up(tiered);
+    tiered.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)').run(migration.version, migration.name);
+  }
+  tiered.exec(`
+    INSERT INTO shopping_lists (days_coverage) VALUES (7);
+    INSERT INTO shopping_list_items (list_id, product_name, quantity, classification, tier, confidence) VALUES
+      (1, 'Milk', 2, 'regular', 'staple', 0.9),
+      (1, 'Matches', 1, 'infrequent', NULL, 0.5);
+  `);
+
+  assert.deepEqual(runMigrations(tiered).map(m => m.version), [12]);
+  const items = tiered.prepare('SELECT product_name, classification FROM shopping_list_items ORDER BY id').all();
+  assert.deepEqual(items, [{ product_name: 'Milk', classification: 'staple' }, { product_name: 'Matches', classification: 'infrequent' }]);
+  assert.ok(!tiered.prepare('PRAGMA table_info(shopping_list_items)').all().some(column => column.name === 'tier'));
+  assert.throws(() => tiered.prepare("INSERT INTO shopping_list_items (list_id, product_name, quantity, classification) VALUES (1, 'Eggs', 1, '')").run(), /CHECK constraint failed/);
+  tiered.close();
+  console.log('✅ Milk saved as staple, Matches as infrequent\n');
+
+  console.log('✅ All migration tests passed!\n');
+} catch (error) {
+  console.error('❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exitCode = 1;
+} finally {
+  rmSync(tempDir, { recursive: true, force: true });
+}
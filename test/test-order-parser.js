@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify order page parsing against saved page fixtures
+ */
+
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import {
+  parseOrderDetailFromText,
+  parseOrderTotalsFromText,
+  parseOrdersFromText,
+  parseDateString,
+  parseDeliverySlotFromText,
+  parseSlotWindow,
+  parseClockTime
+} from '../src/order-parser.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixture = (name) => readFileSync(join(__dirname, 'fixtures', name), 'utf8');
+
+console.log('🧪 Testing order parsing...\n');
+
+try {
+  // Test 1: Order detail page line items
+  console.log('1. Parsing order detail page...');
+  const items = parseOrderDetailFromText(fixture('order-detail.txt'));
+
+  assert.equal(items.length, 5);
+  console.log(`✅ Parsed ${items.length} items:`);
+  items.forEach(item => {
+    console.log(`   - ${item.product_name} (${item.quantity}x @ £${item.unit_price.toFixed(2)}) = £${item.line_total.toFixed(2)}`);
+  });
+  console.log();
+
+  // Test 2: Field extraction
+  console.log('2. Checking item fields...');
+  assert.deepEqual(items[0], {
+    product_name: 'Waitrose Wild Rocket',
+    size: '75g',
+    unit_price: 1.5,
+    quantity: 2,
+    line_total: 3,
+    substitution: null
+  });
+  assert.equal(items[3].product_name, 'Essential Semi Skimmed Milk 2.272L');
+  assert.equal(items[3].size, null);
+  assert.equal(items[4].product_name, 'Waitrose Fairtrade Bananas');
+  assert.equal(items[4].quantity, 1);
+  console.log('✅ Names, sizes, quantities and prices extracted\n');
+
+  // Test 3: Substitution and unavailable notes
+  console.log('3. Checking substitution notes...');
+  assert.equal(items[2].substitution, 'Substituted with Waitrose Ripe & Ready Avocados 2s');
+  assert.equal(items[4].substitution, null);
+  assert.ok(!items.some(item => item.product_name === 'Waitrose Free Range Eggs Large'));
+  const outOfStock = parseOrderDetailFromText('Lemons\n£0.30 each\nQty 3\n£0.00\nOut of stock\nLimes\n£0.25 each\nQty 2\n£0.50');
+  assert.deepEqual(outOfStock.map(item => item.product_name), ['Limes']);
+  console.log('✅ Notes attached to the right items; undelivered eggs and lemons skipped\n');
+
+  // Test 4: Pages without items
+  console.log('4. Parsing page without items...');
+  assert.deepEqual(parseOrderDetailFromText('Sign in to your account'), []);
+  console.log('✅ Empty result for non-order pages\n');
+
+  // Test 5: Order summary totals
+  console.log('5. Parsing order totals...');
+  const totals = parseOrderTotalsFromText(fixture('order-detail.txt'));
+  assert.deepEqual(totals, { subtotal: 13, savings: 1.2, delivery_charge: 4.5, order_total: 16.3 });
+  assert.equal(parseOrderTotalsFromText('Order summary\nDelivery charge Free\nTotal £40.00').delivery_charge, 0);
+  console.log(`✅ Subtotal £${totals.subtotal.toFixed(2)}, total £${totals.order_total.toFixed(2)}\n`);
+
+  // Test 6: Year inference across New Year
+  console.log('6. Inferring years for history page dates...');
+  const januaryScrape = new Date('2026-01-05');
+  const history = parseOrdersFromText(
+    'Order #1000000003 Saturday 3 January\n' +
+    'Order #1000000002 Saturday 27 December\n' +
+    'Order #1000000001 Thursday 11 December\n' +
+    'Order #1000000000 Friday 13 December',
+    { referenceDate: januaryScrape }
+  );
+  assert.deepEqual(history.map(o => o.order_date), ['2026-01-03', '2025-12-27', '2025-12-11', '2024-12-13']);
+  history.forEach(order => console.log(`   - #${order.order_number}: ${order.order_date}`));
+  console.log('✅ Dates stay in the past and go backwards down the page\n');
+
+  // Test 7: Weekday disambiguation and explicit years
+  console.log('7. Parsing single dates...');
+  assert.equal(parseDateString('Thursday 11 December', { referenceDate: januaryScrape }), '2025-12-11');
+  assert.equal(parseDateString('Wednesday 11 December', { referenceDate: januaryScrape }), '2024-12-11');
+  assert.equal(parseDateString('11 December 2023'), '2023-12-11');
+  assert.equal(parseDateString('Saturday 31 February'), null);
+  assert.equal(parseDateString('Thursday 29 February', { referenceDate: januaryScrape }), '2024-02-29');
+  console.log('✅ Weekday picks the right year\n');
+
+  // Test 8: Weekdays that would need more than a year of backtracking
+  console.log('8. Limiting how far a weekday moves the year...');
+  const warnings = [];
+  const warn = console.warn;
+  console.warn = (message) => warnings.push(message);
+  try {
+    // 11 December 2023 was a Monday, but that's two years before the latest possible year
+    assert.equal(parseDateString('Monday 11 December', { referenceDate: januaryScrape }), '2025-12-11');
+    assert.equal(parseDateString('Wednesday 11 December', { referenceDate: januaryScrape }), '2024-12-11');
+  } finally {
+    console.warn = warn;
+  }
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0], /"Monday 11 December" within 1 year of 2025-12-11/);
+  console.log(`✅ ${warnings[0]}\n`);
+
+  // Test 9: Delivery slots
+  console.log('9. Parsing delivery slots...');
+  assert.deepEqual(parseDeliverySlotFromText(fixture('order-detail.txt')), { start: '10:00', end: '11:00' });
+  assert.equal(parseDeliverySlotFromText('Delivery charge £4.50'), null);
+  assert.deepEqual(parseSlotWindow('7-8pm'), { start: '19:00', end: '20:00' });
+  assert.deepEqual(parseSlotWindow('11 - 12pm'), { start: '11:00', end: '12:00' });
+  assert.deepEqual(parseSlotWindow('19:00–20:00'), { start: '19:00', end: '20:00' });
+  assert.equal(parseClockTime('9.30am'), '09:30');
+  assert.equal(parseClockTime('13pm'), null);
+  console.log('✅ Slot 10:00–11:00 read from the order page\n');
+
+  console.log('✅ All order parsing tests passed!\n');
+} catch (error) {
+  console.error('❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exit(1);
+}
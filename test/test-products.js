@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify the product catalogue: aliases, merging, splitting and suggestions
+ */
+
+import assert from 'node:assert/strict';
+import {
+  initializeDatabase,
+  importOrders,
+  getItemFrequency,
+  getProducts,
+  findProduct,
+  mergeProducts,
+  splitProductAlias,
+  updateProduct
+} from '../src/database.js';
+import { productTokens, nameSimilarity, suggestMerges } from '../src/products.js';
+
+console.log('🧪 Testing product catalogue...\n');
+
+const orders = [
+  { order_number: '2000000001', order_date: '2026-01-03', items: [
+    { product_name: 'Waitrose Semi Skimmed Milk 2.272L', quantity: 1 },
+    { product_name: 'Wild Rocket 75g', quantity: 1 }
+  ] },
+  { order_number: '2000000002', order_date: '2026-01-10', items: [
+    { product_name: 'Essential Semi-Skimmed Milk 2.272L', quantity: 2 },
+    { product_name: 'Wild Rocket 75g', quantity: 1 }
+  ] },
+  { order_number: '2000000003', order_date: '2026-01-17', items: [
+    { product_name: 'Essential Semi-Skimmed Milk 2.272L', quantity: 2 }
+  ] }
+];
+
+try {
+  const db = initializeDatabase({ dbPath: ':memory:' });
+  importOrders(db, orders);
+
+  // Test 1: Each new name becomes a product
+  console.log('1. Importing orders creates products...');
+  const products = getProducts(db);
+  assert.equal(products.length, 3);
+  assert.equal(findProduct(db, 'Wild Rocket 75g').category, 'Fruit & Veg');
+  console.log(`✅ ${products.length} products created\n`);
+
+  // Test 2: Name normalisation
+  console.log('2. Normalising product names...');
+  assert.deepEqual(productTokens('Waitrose Essential Semi-Skimmed Milk 2.272L'), ['milk', 'semi', 'skimmed']);
+  assert.equal(nameSimilarity('Waitrose Semi Skimmed Milk 2.272L', 'Essential Semi-Skimmed Milk 2.272L'), 1);
+  assert.ok(nameSimilarity('Wild Rocket 75g', 'Essential Semi-Skimmed Milk 2.272L') < 0.2);
+  console.log('✅ Brand words and sizes ignored\n');
+
+  // Test 3: Merge suggestions
+  console.log('3. Suggesting merges...');
+  const suggestions = suggestMerges(products);
+  assert.equal(suggestions.length, 1);
+  assert.equal(suggestions[0].target.canonical_name, 'Essential Semi-Skimmed Milk 2.272L');
+  console.log(`✅ Suggested merging "${suggestions[0].source.canonical_name}" into "${suggestions[0].target.canonical_name}"\n`);
+
+  // Test 4: Merging combines history
+  console.log('4. Merging products...');
+  mergeProducts(db, suggestions[0].source.id, suggestions[0].target.id);
+  const milk = getItemFrequency(db, { minOrders: 1 })
+    .find(item => item.product_name === 'Essential Semi-Skimmed Milk 2.272L');
+  assert.equal(milk.purchase_count, 3);
+  assert.equal(findProduct(db, 'Waitrose Semi Skimmed Milk 2.272L').id, suggestions[0].target.id);
+  console.log(`✅ Milk now has ${milk.purchase_count} purchases across both names\n`);
+
+  // Test 5: New orders under an old name join the merged product
+  console.log('5. Importing under a merged alias...');
+  importOrders(db, [{ order_number: '2000000004', order_date: '2026-01-24', items: [
+    { product_name: 'Waitrose Semi Skimmed Milk 2.272L', quantity: 1 }
+  ] }]);
+  assert.equal(getProducts(db).length, 2);
+  console.log('✅ No duplicate product created\n');
+
+  // Test 6: Splitting an alias back out
+  console.log('6. Splitting an alias...');
+  const splitId = splitProductAlias(db, 'Waitrose Semi Skimmed Milk 2.272L');
+  const frequency = getItemFrequency(db, { minOrders: 1 });
+  assert.equal(frequency.find(item => item.product_name === 'Waitrose Semi Skimmed Milk 2.272L').purchase_count, 2);
+  assert.equal(frequency.find(item => item.product_name === 'Essential Semi-Skimmed Milk 2.272L').purchase_count, 2);
+  assert.equal(findProduct(db, splitId).canonical_name, 'Waitrose Semi Skimmed Milk 2.272L');
+  assert.throws(() => splitProductAlias(db, 'Wild Rocket 75g'), /canonical name/);
+  console.log('✅ Alias and its order items moved to a new product\n');
+
+  // Test 7: Renaming a product
+  console.log('7. Renaming a product...');
+  importOrders(db, [{ order_number: '2000000005', order_date: '2026-01-31', items: [{ product_name: 'Milk 2L', quantity: 1 }] }]);
+  const renamed = findProduct(db, 'Milk 2L');
+  updateProduct(db, renamed.id, { canonical_name: 'Semi Skimmed Milk' });
+  importOrders(db, [{ order_number: '2000000006', order_date: '2026-02-07', items: [
+    { product_name: 'Semi Skimmed Milk', quantity: 2 },
+    { product_name: 'Milk 2L', quantity: 1 }
+  ] }]);
+  const renamedMilk = getItemFrequency(db, { minOrders: 1 }).find(item => item.product_name === 'Semi Skimmed Milk');
+  assert.equal(renamedMilk.purchase_count, 2);
+  assert.deepEqual(getProducts(db, { search: 'Semi Skimmed Milk' }).find(p => p.id === renamed.id).aliases, ['Milk 2L', 'Semi Skimmed Milk']);
+  assert.throws(() => updateProduct(db, renamed.id, { canonical_name: 'Wild Rocket 75g' }), /already used by product/);
+  assert.throws(() => updateProduct(db, renamed.id, { canonical_name: 'Waitrose Semi Skimmed Milk 2.272L' }), /already used by product/);
+  updateProduct(db, renamed.id, { canonical_name: 'Semi Skimmed Milk', category: 'Dairy' });
+  assert.equal(findProduct(db, renamed.id).category, 'Dairy');
+
+  // Catalogues renamed before aliases were added still resolve by canonical name
+  db.prepare('UPDATE products SET canonical_name = ? WHERE id = ?').run('Whole Milk', renamed.id);
+  importOrders(db, [{ order_number: '2000000007', order_date: '2026-02-14', items: [{ product_name: 'Whole Milk', quantity: 1 }] }]);
+  assert.equal(findProduct(db, 'Whole Milk').id, renamed.id);
+  assert.equal(getItemFrequency(db, { minOrders: 1 }).find(item => item.product_name === 'Whole Milk').purchase_count, 3);
+  console.log('✅ Orders under the new name join the renamed product\n');
+
+  db.close();
+  console.log('✅ All product catalogue tests passed!\n');
+} catch (error) {
+  console.error('❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exitCode = 1;
+}
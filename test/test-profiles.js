@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify household profiles and database locations
+ */
+
+import assert from 'node:assert/strict';
+import { existsSync, mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import {
+  DEFAULT_PROFILE,
+  getDataDir,
+  validateProfileName,
+  resolveDatabasePath,
+  profileExists,
+  assertProfileExists,
+  listProfiles,
+  createProfile,
+  deleteProfile
+} from '../src/profiles.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const legacyDir = join(__dirname, '..', 'data');
+const legacyPath = join(legacyDir, 'shopping.db');
+
+console.log('🧪 Testing profiles...\n');
+
+const tempDir = mkdtempSync(join(tmpdir(), 'waitrose-profiles-'));
+delete process.env.WAITROSE_PROFILE;
+let createdLegacy = null;
+
+try {
+  // Test 1: Data directory
+  console.log('1. Finding the data directory...');
+  delete process.env.WAITROSE_DATA_DIR;
+  process.env.XDG_DATA_HOME = join(tempDir, 'xdg');
+  assert.equal(getDataDir(), join(tempDir, 'xdg', 'waitrose-order-generator'));
+  process.env.WAITROSE_DATA_DIR = join(tempDir, 'data');
+  assert.equal(getDataDir(), join(tempDir, 'data'));
+  console.log('✅ WAITROSE_DATA_DIR overrides XDG_DATA_HOME\n');
+
+  // Test 2: Profile names
+  console.log('2. Validating profile names...');
+  assert.equal(validateProfileName('parents'), 'parents');
+  assert.equal(validateProfileName('Flat_2-b'), 'Flat_2-b');
+  for (const name of ['../default', '..', 'a/b', 'a\\b', '.hidden', '', 'x'.repeat(33)]) {
+    assert.throws(() => validateProfileName(name), /Invalid profile name/, name);
+  }
+  assert.throws(() => resolveDatabasePath('../../etc'), /Invalid profile name/);
+  console.log('✅ Path traversal and over-long names rejected\n');
+
+  // Test 3: Legacy database fallback
+  console.log('3. Falling back to the pre-profile database...');
+  if (!existsSync(legacyPath)) {
+    createdLegacy = existsSync(legacyDir) ? legacyPath : legacyDir;
+    mkdirSync(legacyDir, { recursive: true });
+    writeFileSync(legacyPath, '');
+  }
+  const profileDbPath = join(tempDir, 'data', 'profiles', DEFAULT_PROFILE, 'shopping.db');
+  assert.equal(resolveDatabasePath(), legacyPath);
+  mkdirSync(dirname(profileDbPath), { recursive: true });
+  writeFileSync(profileDbPath, '');
+  assert.equal(resolveDatabasePath(), profileDbPath);
+  console.log('✅ data/shopping.db used until the default profile has its own database\n');
+
+  // Test 4: Creating profiles
+  console.log('4. Creating a profile...');
+  assert.equal(profileExists('parents'), false);
+  assert.throws(() => assertProfileExists('parents'), /Profile "parents" does not exist/);
+  assert.equal(createProfile('parents'), join(tempDir, 'data', 'profiles', 'parents', 'shopping.db'));
+  assert.equal(profileExists('parents'), true);
+  assert.throws(() => createProfile('parents'), /already exists/);
+  assert.throws(() => createProfile(DEFAULT_PROFILE), /already exists/);
+  assert.deepEqual(listProfiles().map(profile => [profile.name, profile.exists]), [['default', true], ['parents', false]]);
+  console.log('✅ parents created next to default\n');
+
+  // Test 5: Deleting profiles
+  console.log('5. Deleting profiles...');
+  assert.throws(() => deleteProfile(DEFAULT_PROFILE), /default profile cannot be deleted/);
+  process.env.WAITROSE_PROFILE = 'parents';
+  assert.throws(() => deleteProfile('parents'), /Profile "parents" is in use/);
+  assert.equal(profileExists('parents'), true);
+  delete process.env.WAITROSE_PROFILE;
+  deleteProfile('parents');
+  assert.equal(profileExists('parents'), false);
+  assert.throws(() => deleteProfile('parents'), /does not exist/);
+  assert.throws(() => deleteProfile('../data'), /Invalid profile name/);
+  assert.ok(existsSync(profileDbPath));
+  console.log('✅ Default and active profiles kept; parents deleted\n');
+
+  console.log('✅ All profile tests passed!\n');
+} catch (error) {
+  console.error('❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exitCode = 1;
+} finally {
+  if (createdLegacy) {
+    rmSync(createdLegacy, { recursive: true, force: true });
+  }
+  rmSync(tempDir, { recursive: true, force: true });
+}
@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify refining a list with constraints and storing the history
+ */
+
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { RECOMMENDATIONS_TOOL } from '../src/claude-client.js';
+import { refineRecommendations } from '../src/recommender.js';
+import { initializeDatabase, saveShoppingList, getShoppingList, getListApiUsage } from '../src/database.js';
+import { scriptedProvider, toolCall } from './helpers/providers.js';
+
+console.log('🧪 Testing list refinement...\n');
+
+const patternSummary = JSON.parse(readFileSync(new URL('./fixtures/pattern-summary.json', import.meta.url), 'utf-8'));
+
+const originalList = [
+  { item: 'Organic Milk', quantity: 2, classification: 'regular', reason: 'Weekly', confidence: 0.95 },
+  { item: 'Bananas', quantity: 1, classification: 'regular', reason: 'Overdue', confidence: 0.85 },
+  { item: 'Steak', quantity: 1, classification: 'infrequent', reason: 'Due', confidence: 0.5 }
+];
+
+try {
+  const db = initializeDatabase({ dbPath: ':memory:' });
+
+  // Test 1: The prompt carries the current list and the constraint
+  console.log('1. Refining with a constraint...');
+  const provider = scriptedProvider([
+    toolCall([
+      { item: 'Bananas', quantity: 1, classification: 'regular', reason: 'Overdue', confidence: 0.85 },
+      { item: 'Steak', quantity: 1, classification: 'infrequent', reason: 'Due', confidence: 0.5 }
+    ]),
+    toolCall([
+      { item: 'Bananas', quantity: 2, classification: 'regular', reason: 'Overdue; extra for guests', confidence: 0.85 },
+      { item: 'Steak', quantity: 3, classification: 'infrequent', reason: 'Saturday dinner for 6', confidence: 0.7 }
+    ])
+  ]);
+
+  const first = await refineRecommendations(patternSummary, originalList, '  no dairy this week ', { provider, db });
+  const prompt = provider.requests[0].messages[0].content;
+  assert.match(prompt, /"no dairy this week"/);
+  assert.match(prompt, /"item": "Organic Milk"/);
+  assert.doesNotMatch(prompt, /already applied/);
+  assert.equal(provider.requests[0].toolChoice, RECOMMENDATIONS_TOOL.name);
+  assert.deepEqual(first.recommendations.map(r => r.item), ['Bananas', 'Steak']);
+  assert.equal(first.apiCallIds.length, 1);
+  console.log('✅ Milk removed\n');
+
+  // Test 2: Earlier constraints are passed along with the new one
+  console.log('2. Refining again...');
+  const refinements = [{ constraint: 'no dairy this week' }];
+  const second = await refineRecommendations(patternSummary, first.recommendations, 'guests for Saturday dinner, 6 people', { provider, db, refinements });
+  const secondPrompt = provider.requests[1].messages[0].content;
+  assert.match(secondPrompt, /already applied[^]*- no dairy this week/);
+  assert.match(secondPrompt, /"guests for Saturday dinner, 6 people"/);
+  assert.doesNotMatch(secondPrompt.split('Current List:')[1], /Organic Milk/);
+  assert.equal(second.recommendations[1].quantity, 3);
+  console.log('✅ Earlier constraint kept in context\n');
+
+  // Test 3: Empty constraints are rejected before calling the model
+  console.log('3. Rejecting an empty constraint...');
+  await assert.rejects(refineRecommendations(patternSummary, originalList, '   ', { provider, db }), /Describe how the list should change/);
+  assert.equal(provider.requests.length, 2);
+  console.log('✅ Rejected\n');
+
+  // Test 4: Refinement history and API calls are saved with the list
+  console.log('4. Saving refinement history...');
+  refinements.push({ constraint: 'guests for Saturday dinner, 6 people' });
+  const listId = saveShoppingList(db, 7, second.recommendations, {
+    apiCallIds: [...first.apiCallIds, ...second.apiCallIds],
+    refinements
+  });
+
+  const saved = getShoppingList(db, listId);
+  assert.deepEqual(saved.refinements.map(r => r.constraint), ['no dairy this week', 'guests for Saturday dinner, 6 people']);
+  assert.ok(saved.refinements.every(r => r.created_at));
+  assert.equal(getListApiUsage(db, listId).calls, 2);
+
+  const plainId = saveShoppingList(db, 7, originalList);
+  assert.deepEqual(getShoppingList(db, plainId).refinements, []);
+  console.log('✅ History stored in order\n');
+
+  db.close();
+  console.log('✅ All refinement tests passed!\n');
+} catch (error) {
+  console.error('❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exitCode = 1;
+}
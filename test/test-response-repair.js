@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify recommendation validation, repair and the corrective re-prompt
+ */
+
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { generateShoppingList, repairRecommendations, RECOMMENDATIONS_TOOL } from '../src/claude-client.js';
+import { scriptedProvider, toolCall } from './helpers/providers.js';
+
+console.log('🧪 Testing response repair...\n');
+
+const patternSummary = JSON.parse(readFileSync(new URL('./fixtures/pattern-summary.json', import.meta.url), 'utf-8'));
+
+try {
+  // Test 1: One bad field no longer loses the whole list
+  console.log('1. Repairing invalid fields...');
+  const { recommendations, warnings } = repairRecommendations({ items: [
+    { item: 'Organic Milk', quantity: 2, classification: 'Regular', reason: 'Weekly', confidence: 0.9 },
+    { item: 'Bananas', quantity: '1', classification: 'weekly', reason: 'Overdue', confidence: 85 },
+    { item: 'Steak', quantity: 0, classification: 'infrequent', reason: 'Due', confidence: 'high' },
+    { item: 'Caviar', quantity: 1, classification: 'infrequent', reason: 'Treat', confidence: -1 },
+    { item: '', quantity: 1, classification: 'regular', reason: '', confidence: 0.5 },
+    { item: 'organic milk', quantity: 1, classification: 'regular', reason: 'Again', confidence: 0.9 }
+  ], problem: null }, patternSummary);
+
+  assert.deepEqual(recommendations.map(r => r.item), ['Organic Milk', 'Bananas', 'Steak']);
+  assert.equal(recommendations[0].classification, 'regular');
+  assert.deepEqual(
+    { classification: recommendations[1].classification, confidence: recommendations[1].confidence, quantity: recommendations[1].quantity },
+    { classification: 'regular', confidence: 0.85, quantity: 1 }
+  );
+  assert.deepEqual({ quantity: recommendations[2].quantity, confidence: recommendations[2].confidence }, { quantity: 2, confidence: 0.456 });
+  assert.equal(warnings.length, 6);
+  warnings.forEach(w => console.log(`   ⚠️  ${w}`));
+
+  // Summaries from the analyzer carry a recommended quantity, preferred over the average
+  const withQuantities = {
+    ...patternSummary,
+    infrequentItems: patternSummary.infrequentItems.map(item => item.name === 'Steak' ? { ...item, recommendedQuantity: 3 } : item)
+  };
+  const steak = repairRecommendations({ items: [
+    { item: 'Steak', quantity: -2, classification: 'infrequent', reason: 'Due', confidence: 0.5 }
+  ], problem: null }, withQuantities);
+  assert.equal(steak.recommendations[0].quantity, 3);
+  assert.deepEqual(steak.warnings, ['Steak: invalid quantity "-2", using 3']);
+  console.log(`✅ Kept ${recommendations.length} items, ${warnings.length} warnings\n`);
+
+  // Test 2: Tool call used directly
+  console.log('2. Reading the tool call...');
+  const provider = scriptedProvider([toolCall([
+    { item: 'Organic Milk', quantity: 2, classification: 'regular', reason: 'Weekly', confidence: 0.95 },
+    { item: 'Steak', quantity: 1, classification: 'sometimes', reason: 'Due', confidence: 0.4 }
+  ])]);
+  const result = await generateShoppingList(patternSummary, { provider });
+  assert.equal(provider.requests.length, 1);
+  assert.equal(provider.requests[0].toolChoice, RECOMMENDATIONS_TOOL.name);
+  assert.equal(result.recommendations.length, 2);
+  assert.equal(result.recommendations[1].classification, 'infrequent');
+  assert.equal(result.warnings.length, 1);
+  console.log('✅ Single call, one field fixed\n');
+
+  // Test 3: Models without tool support can still answer in text
+  console.log('3. Falling back to JSON in text...');
+  const textProvider = scriptedProvider([{
+    text: 'Here is the list:\n```json\n{"recommendations":[{"item":"Bananas","quantity":1,"classification":"regular","reason":"Overdue","confidence":0.8}]}\n```'
+  }]);
+  const textResult = await generateShoppingList(patternSummary, { provider: textProvider });
+  assert.deepEqual(textResult.recommendations.map(r => r.item), ['Bananas']);
+  console.log('✅ Parsed recommendations from text\n');
+
+  // Test 4: Nothing usable triggers one corrective re-prompt
+  console.log('4. Re-prompting after an unusable response...');
+  const retryProvider = scriptedProvider([
+    { text: 'Sorry, I cannot help with that.' },
+    toolCall([{ item: 'Organic Milk', quantity: 2, classification: 'regular', reason: 'Weekly', confidence: 0.95 }])
+  ]);
+  const retried = await generateShoppingList(patternSummary, { provider: retryProvider });
+  assert.equal(retryProvider.requests.length, 2);
+  assert.equal(retryProvider.requests[1].messages.length, 3);
+  assert.match(retryProvider.requests[1].messages[2].content, /no tool call or JSON/);
+  assert.deepEqual(retried.usage, { input_tokens: 200, output_tokens: 100 });
+  assert.equal(retried.recommendations.length, 1);
+  console.log('✅ Second attempt used, token usage combined\n');
+
+  // Test 5: Gives up after the re-prompt fails too
+  console.log('5. Failing after two unusable responses...');
+  const hopeless = scriptedProvider([toolCall([{ item: 'Caviar', confidence: 'lots' }]), { text: '{}' }]);
+  await assert.rejects(generateShoppingList(patternSummary, { provider: hopeless }), /missing the recommendations array/);
+  assert.equal(hopeless.requests.length, 2);
+  console.log('✅ Error explains what was wrong\n');
+
+  console.log('✅ All response repair tests passed!\n');
+} catch (error) {
+  console.error('❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exitCode = 1;
+}
@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify API retries: backoff, retry-after, timeouts and cancellation
+ */
+
+import assert from 'node:assert/strict';
+import { withRetries, backoffDelay, getRetryAfterMs, isRetryable, CancelledError } from '../src/retry.js';
+
+console.log('🧪 Testing API retries...\n');
+
+// Keep the test fast: tiny delays throughout
+const FAST = { baseDelayMs: 5, maxDelayMs: 20 };
+
+function httpError(status, headers = {}) {
+  const error = new Error(`${status} error`);
+  error.status = status;
+  error.headers = headers;
+  return error;
+}
+
+try {
+  // Test 1: Backoff grows exponentially, capped, with jitter
+  console.log('1. Calculating backoff...');
+  assert.equal(backoffDelay(1, { baseDelayMs: 1000, random: () => 1 }), 1000);
+  assert.equal(backoffDelay(3, { baseDelayMs: 1000, random: () => 1 }), 4000);
+  assert.equal(backoffDelay(3, { baseDelayMs: 1000, random: () => 0 }), 2000);
+  assert.equal(backoffDelay(10, { baseDelayMs: 1000, maxDelayMs: 30000, random: () => 1 }), 30000);
+  console.log('✅ 1s, 2s, 4s... capped at 30s, jittered down to half\n');
+
+  // Test 2: retry-after headers
+  console.log('2. Reading retry-after...');
+  assert.equal(getRetryAfterMs(httpError(429, { 'retry-after': '3' })), 3000);
+  assert.equal(getRetryAfterMs(httpError(429, { 'retry-after-ms': '250' })), 250);
+  assert.equal(getRetryAfterMs(httpError(429, new Headers({ 'retry-after': '2' }))), 2000);
+  const now = Date.parse('2026-01-05T10:00:00Z');
+  assert.equal(getRetryAfterMs(httpError(503, { 'retry-after': 'Mon, 05 Jan 2026 10:00:05 GMT' }), now), 5000);
+  assert.equal(getRetryAfterMs(httpError(500)), null);
+  console.log('✅ Seconds, milliseconds and HTTP dates understood\n');
+
+  // Test 3: What gets retried
+  console.log('3. Classifying errors...');
+  assert.ok(isRetryable(httpError(429)));
+  assert.ok(isRetryable(httpError(529)));
+  assert.ok(isRetryable(new TypeError('fetch failed')));
+  assert.ok(isRetryable(new TypeError('terminated', { cause: Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }) })));
+  assert.ok(!isRetryable(new TypeError("Cannot read properties of undefined (reading 'name')")));
+  assert.ok(!isRetryable(httpError(400)));
+  assert.ok(!isRetryable(httpError(401)));
+  assert.ok(!isRetryable(new CancelledError()));
+  console.log('✅ Rate limits, overload and network errors retried; client errors not\n');
+
+  // Test 4: Transient failures retried until success
+  console.log('4. Retrying transient failures...');
+  let calls = 0;
+  const retries = [];
+  const result = await withRetries(async () => {
+    calls++;
+    if (calls === 1) throw httpError(529);
+    if (calls === 2) throw httpError(429, { 'retry-after-ms': '15' });
+    return 'ok';
+  }, { ...FAST, onRetry: (info) => retries.push(info) });
+  assert.equal(result, 'ok');
+  assert.equal(calls, 3);
+  assert.equal(retries[1].delayMs, 15);
+  console.log(`✅ Succeeded on attempt ${calls}\n`);
+
+  // Test 5: Gives up after maxRetries, and at once on permanent errors
+  console.log('5. Giving up...');
+  calls = 0;
+  await assert.rejects(withRetries(async () => { calls++; throw httpError(503); }, { ...FAST, maxRetries: 2 }), /503/);
+  assert.equal(calls, 3);
+  calls = 0;
+  await assert.rejects(withRetries(async () => { calls++; throw httpError(400); }, FAST), /400/);
+  assert.equal(calls, 1);
+  calls = 0;
+  await assert.rejects(withRetries(async () => { calls++; return undefined.function.name; }, FAST), TypeError);
+  assert.equal(calls, 1);
+  console.log('✅ Stopped after 2 retries; 400 and a bug\'s TypeError not retried\n');
+
+  // Test 6: Per-request timeout aborts the attempt
+  console.log('6. Timing out slow requests...');
+  calls = 0;
+  const hang = (signal) => {
+    calls++;
+    return new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(new Error('aborted'))));
+  };
+  await assert.rejects(withRetries(hang, { ...FAST, maxRetries: 1, timeoutMs: 20 }), /timed out/);
+  assert.equal(calls, 2);
+  console.log('✅ Each attempt aborted after its timeout\n');
+
+  // Test 7: Cancelling stops immediately, even mid-wait
+  console.log('7. Cancelling...');
+  const controller = new AbortController();
+  const started = Date.now();
+  const cancelled = withRetries(async () => { throw httpError(503, { 'retry-after': '30' }); }, {
+    signal: controller.signal,
+    onRetry: () => setTimeout(() => controller.abort(), 10)
+  });
+  await assert.rejects(cancelled, error => error.cancelled === true);
+  assert.ok(Date.now() - started < 1000);
+  await assert.rejects(withRetries(hang, { signal: AbortSignal.abort() }), CancelledError);
+  console.log('✅ Cancelled without waiting out the retry\n');
+
+  console.log('✅ All retry tests passed!\n');
+} catch (error) {
+  console.error('❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exitCode = 1;
+}
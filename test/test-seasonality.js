@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify seasonal profiles and their effect on predictions
+ */
+
+import assert from 'node:assert/strict';
+import { initializeDatabase, importOrders, getItemFrequency } from '../src/database.js';
+import { buildSeasonalProfiles, getSeasonStatus, formatSeasonMonths } from '../src/seasonality.js';
+import { classifyItems, calculateDaysSinceLastPurchase, generatePatternSummary, predictItemNeed } from '../src/analyzer.js';
+import { generateLocalRecommendations } from '../src/local-engine.js';
+
+console.log('🧪 Testing seasonality...\n');
+
+// Fortnightly orders for almost four years: milk every time, ice lollies in summer,
+// mince pies in the first December order, charcoal in the first July and August orders since 2024
+const orders = [];
+const seen = new Set();
+for (let date = new Date('2023-01-05'); date < new Date('2026-12-01'); date.setUTCDate(date.getUTCDate() + 14)) {
+  const orderDate = date.toISOString().split('T')[0];
+  const month = date.getUTCMonth() + 1;
+  const firstOfMonth = !seen.has(orderDate.substring(0, 7));
+  seen.add(orderDate.substring(0, 7));
+
+  orders.push({
+    order_number: String(7000000001 + orders.length),
+    order_date: orderDate,
+    items: [
+      { product_name: 'Milk', quantity: 2 },
+      ...(month >= 6 && month <= 8 ? [{ product_name: 'Ice Lollies', quantity: 1 }] : []),
+      ...(month === 12 && firstOfMonth ? [{ product_name: 'Mince Pies', quantity: 2 }] : []),
+      ...((month === 7 || month === 8) && firstOfMonth && date.getUTCFullYear() >= 2024 ? [{ product_name: 'Charcoal', quantity: 1 }] : [])
+    ]
+  });
+}
+
+/**
+ * Pattern summary as it would be generated on a date
+ */
+function summaryOn(db, date, options = {}) {
+  const frequency = getItemFrequency(db, { minOrders: 2, before: date });
+  const withDays = calculateDaysSinceLastPurchase(classifyItems(frequency, db), new Date(date));
+  return generatePatternSummary(withDays, db, 7, { before: date, feedback: false, ...options });
+}
+
+const names = (summary) => [...summary.regularItems, ...summary.infrequentItems].map(item => item.name).sort();
+
+try {
+  const db = initializeDatabase({ dbPath: ':memory:' });
+  importOrders(db, orders);
+
+  // Test 1: Describing seasons
+  console.log('1. Formatting season months...');
+  assert.equal(formatSeasonMonths([6, 7, 8]), 'Jun–Aug');
+  assert.equal(formatSeasonMonths([12, 1, 2]), 'Dec–Feb');
+  assert.equal(formatSeasonMonths([3, 4, 12]), 'Mar–Apr, Dec');
+  assert.equal(formatSeasonMonths([10]), 'Oct');
+  assert.equal(formatSeasonMonths([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12]), 'all year');
+  console.log('✅ Month ranges, including across the new year\n');
+
+  // Test 2: Profiles from several years of history
+  console.log('2. Building seasonal profiles...');
+  const profiles = buildSeasonalProfiles(db);
+  assert.deepEqual([...profiles.values()].map(p => p.product_name).sort(), ['Charcoal', 'Ice Lollies', 'Mince Pies']);
+  assert.deepEqual(profiles.get('ice lollies').seasonMonths, [6, 7, 8]);
+  assert.deepEqual(profiles.get('mince pies').seasonMonths, [12]);
+  assert.deepEqual(profiles.get('charcoal').seasonMonths, [7, 8]);
+  assert.equal(profiles.get('mince pies').concentration, 1);
+  assert.equal(profiles.get('mince pies').years, 3);
+  assert.equal(buildSeasonalProfiles(db, { before: '2023-12-01' }).size, 0);
+  console.log('✅ Summer and Christmas items found, milk is not seasonal\n');
+
+  // Test 3: Where a date falls in the season
+  console.log('3. Checking season status...');
+  const lollies = profiles.get('ice lollies');
+  assert.deepEqual(getSeasonStatus(lollies, new Date('2026-06-10')), { inSeason: true, seasonStart: '2026-06-01', daysIntoSeason: 9 });
+  assert.deepEqual(getSeasonStatus(lollies, new Date('2026-05-28')), { inSeason: true, seasonStart: '2026-06-01', daysIntoSeason: -4 });
+  assert.deepEqual(getSeasonStatus(lollies, new Date('2026-11-10')), { inSeason: false, seasonStart: null, daysIntoSeason: null });
+  const winter = { seasonMonths: [12, 1], months: lollies.months };
+  assert.equal(getSeasonStatus(winter, new Date('2027-01-20')).seasonStart, '2026-12-01');
+  const noOrders = { seasonMonths: [6], months: lollies.months.map(m => ({ ...m, rate: null })) };
+  assert.equal(getSeasonStatus(noOrders, new Date('2026-11-10')), null);
+  console.log('✅ In season, season starting within the window, out of season\n');
+
+  // Test 4: Seasons override the interval prediction
+  console.log('4. Predicting seasonal items...');
+  const overdue = { classification: 'infrequent', days_since_last_purchase: 90 };
+  const intervals = { avg_interval: 14, std_deviation: 0 };
+  assert.equal(predictItemNeed(overdue, intervals, 7), true);
+  assert.equal(predictItemNeed(overdue, intervals, 7, null, { season: { inSeason: false } }), false);
+  const annual = { classification: 'infrequent', days_since_last_purchase: 340 };
+  assert.equal(predictItemNeed(annual, { avg_interval: 365, std_deviation: 0 }, 7), false);
+  assert.equal(predictItemNeed(annual, { avg_interval: 365, std_deviation: 0 }, 7, null, { season: { inSeason: true, daysIntoSeason: 2 } }), true);
+  console.log('✅ Held back out of season, suggested at the start of the season\n');
+
+  // Test 5: Seasonal summary and reasons
+  console.log('5. Generating a December list...');
+  const december = summaryOn(db, '2026-12-03');
+  const ignoringSeasons = summaryOn(db, '2026-12-03', { seasonality: false });
+  assert.ok(names(ignoringSeasons).includes('Ice Lollies'));
+  assert.deepEqual(names(december), ['Milk', 'Mince Pies']);
+
+  const minced = december.infrequentItems.find(item => item.name === 'Mince Pies');
+  assert.deepEqual(minced.season, { months: 'Dec', boughtThisSeason: false });
+  assert.ok(!('season' in december.regularItems.find(item => item.name === 'Milk')));
+
+  const recommendation = generateLocalRecommendations(december).recommendations.find(r => r.item === 'Mince Pies');
+  assert.match(recommendation.reason, /^Seasonal \(Dec\), not bought yet this season; last bought \d+ days ago$/);
+  console.log(`✅ ${recommendation.reason}\n`);
+
+  db.close();
+  console.log('✅ All seasonality tests passed!\n');
+} catch (error) {
+  console.error('❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exitCode = 1;
+}
@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify spend analytics and price rise detection
+ */
+
+import assert from 'node:assert/strict';
+import { initializeDatabase, importOrders, getProductSpend, getMonthlySpend } from '../src/database.js';
+import { summarizeCategorySpend, detectPriceRises } from '../src/spend.js';
+
+console.log('🧪 Testing spend analytics...\n');
+
+// Monthly orders: milk every month, up from £1.20 to £1.50 in June; butter every month at £2
+const orders = Array.from({ length: 6 }, (_, index) => ({
+  order_number: String(9000000001 + index),
+  order_date: `2026-0${index + 1}-10`,
+  items: [
+    { product_name: 'Organic Milk', quantity: 2, unit_price: index === 5 ? 1.5 : 1.2, line_total: index === 5 ? 3 : 2.4 },
+    { product_name: 'Salted Butter', quantity: 1, unit_price: 2, line_total: 2 }
+  ]
+}));
+
+try {
+  const db = initializeDatabase({ dbPath: ':memory:' });
+  importOrders(db, orders);
+
+  // Test 1: Spend per product and month
+  console.log('1. Totalling spend...');
+  const products = getProductSpend(db);
+  assert.deepEqual(products.map(p => [p.product_name, p.units, p.total_spend]), [['Organic Milk', 12, 15], ['Salted Butter', 6, 12]]);
+  assert.deepEqual(getMonthlySpend(db, { search: 'milk' }).map(m => [m.month, m.total]).at(0), ['2026-06', 3]);
+  assert.equal(summarizeCategorySpend(products).reduce((sum, c) => sum + c.total, 0), 27);
+  console.log('✅ £27 over six months\n');
+
+  // Test 2: Price rises on regular items
+  console.log('2. Detecting price rises...');
+  const rises = detectPriceRises(db);
+  assert.equal(rises.length, 1);
+  assert.deepEqual([rises[0].product_name, rises[0].usual_price, rises[0].latest_price], ['Organic Milk', 1.2, 1.5]);
+  console.log('✅ Milk up 25%, butter unchanged\n');
+
+  // Test 3: A product filter picks the same products for spend and price rises
+  console.log('3. Filtering by product...');
+  for (const search of ['milk', 'MILK', 'Organic']) {
+    const matched = getProductSpend(db, { search });
+    assert.deepEqual(matched.map(p => p.product_name), ['Organic Milk'], search);
+    assert.deepEqual(detectPriceRises(db, { productIds: matched.map(p => p.product_id) }).map(r => r.product_name), ['Organic Milk'], search);
+  }
+  const butter = getProductSpend(db, { search: 'BUTTER' });
+  assert.deepEqual(detectPriceRises(db, { productIds: butter.map(p => p.product_id) }), []);
+  console.log('✅ Matches ignore case and agree by product\n');
+
+  db.close();
+  console.log('✅ All spend tests passed!\n');
+} catch (error) {
+  console.error('❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exitCode = 1;
+}
@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify classification tiers
+ */
+
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { initializeDatabase, importOrders, getItemFrequency, saveShoppingList, getShoppingList } from '../src/database.js';
+import { classifyItems, calculateDaysSinceLastPurchase, generatePatternSummary } from '../src/analyzer.js';
+import { DEFAULT_TIERS, validateTiers, loadTiers, assignTier, describeTierRules, listClassifications } from '../src/tiers.js';
+import { generateRecommendations } from '../src/recommender.js';
+import { formatShoppingList } from '../src/utils.js';
+
+console.log('🧪 Testing classification tiers...\n');
+
+// Fifteen orders four days apart: milk in every one, bread in every other,
+// coffee in every fifth and candles in the first and last
+const orders = Array.from({ length: 15 }, (_, index) => ({
+  order_number: String(8000000001 + index),
+  order_date: new Date(Date.UTC(2026, 0, 1 + index * 4)).toISOString().split('T')[0],
+  items: [
+    { product_name: 'Milk', quantity: 2 },
+    ...(index % 2 === 0 ? [{ product_name: 'Bread', quantity: 1 }] : []),
+    ...(index % 5 === 0 ? [{ product_name: 'Coffee', quantity: 1 }] : []),
+    ...(index === 0 || index === 14 ? [{ product_name: 'Candles', quantity: 1 }] : [])
+  ]
+}));
+
+const dataDir = mkdtempSync(join(tmpdir(), 'waitrose-tiers-'));
+
+try {
+  // Test 1: Default rules
+  console.log('1. Assigning default tiers...');
+  assert.equal(assignTier({ frequency: 0.9, avgIntervalDays: 7, seasonal: false }), 'staple');
+  assert.equal(assignTier({ frequency: 0.5, avgIntervalDays: 7, seasonal: false }), 'weekly');
+  assert.equal(assignTier({ frequency: 0.2, avgIntervalDays: 28, seasonal: false }), 'monthly');
+  assert.equal(assignTier({ frequency: 0.1, avgIntervalDays: 90, seasonal: false }), 'occasional');
+  assert.equal(assignTier({ frequency: 0.1, avgIntervalDays: null, seasonal: false }), 'occasional');
+  assert.equal(assignTier({ frequency: 0.9, avgIntervalDays: 7, seasonal: true }), 'seasonal');
+  assert.equal(describeTierRules(DEFAULT_TIERS[1]), 'in ≥75% of orders');
+  assert.equal(describeTierRules(DEFAULT_TIERS[4]), 'everything else');
+  console.log('✅ First matching tier wins\n');
+
+  // Test 2: Tier config
+  console.log('2. Loading tier config...');
+  process.env.WAITROSE_DATA_DIR = dataDir;
+  assert.equal(loadTiers({}), DEFAULT_TIERS);
+
+  writeFileSync(join(dataDir, 'tiers.json'), JSON.stringify([
+    { name: 'everyday', rules: { minFrequency: 0.9 } },
+    { name: 'rare', label: 'Rarely', description: 'Hardly ever', rules: { minIntervalDays: 30 } }
+  ]));
+  const custom = loadTiers({});
+  assert.deepEqual(custom.map(tier => tier.label), ['Everyday', 'Rarely']);
+  assert.deepEqual(custom.map(tier => tier.schedule), ['infrequent', 'infrequent']);
+  assert.deepEqual(listClassifications(custom), ['everyday', 'rare', 'regular', 'infrequent']);
+  assert.equal(assignTier({ frequency: 0.5, avgIntervalDays: 10, seasonal: false }, custom), null);
+
+  assert.throws(() => loadTiers({ WAITROSE_TIERS_FILE: join(dataDir, 'missing.json') }), /Can't read tier config/);
+  assert.throws(() => validateTiers([]), /non-empty array/);
+  assert.throws(() => validateTiers([{ name: 'Big Shop' }]), /Tier 1: name/);
+  assert.throws(() => validateTiers([{ name: 'a' }, { name: 'a' }]), /defined twice/);
+  assert.throws(() => validateTiers([{ name: 'a', rules: { minFrequency: 40 } }]), /between 0 and 1/);
+  assert.throws(() => validateTiers([{ name: 'a', rules: { often: true } }]), /unknown rule "often"/);
+  assert.throws(() => validateTiers([{ name: 'a', schedule: 'weekly' }]), /schedule must be regular or infrequent/);
+  assert.throws(() => validateTiers([{ name: 'regular' }]), /are schedules, not tier names/);
+  console.log('✅ tiers.json replaces the defaults; bad configs rejected\n');
+
+  // Test 3: Classifying order history by tier
+  console.log('3. Classifying items by tier...');
+  const db = initializeDatabase({ dbPath: ':memory:' });
+  importOrders(db, orders);
+
+  const frequency = getItemFrequency(db, { minOrders: 1 });
+  const classified = classifyItems(frequency, db, { tiers: DEFAULT_TIERS });
+  const classOf = (items) => Object.fromEntries(items.map(item => [item.product_name, `${item.tier}/${item.classification}`]));
+  assert.deepEqual(classOf(classified), {
+    Milk: 'staple/regular',
+    Bread: 'weekly/regular',
+    Coffee: 'monthly/infrequent',
+    Candles: 'occasional/infrequent'
+  });
+
+  // Items matching no custom tier are predicted as infrequent
+  assert.deepEqual(classOf(classifyItems(frequency, db, { tiers: custom })), {
+    Milk: 'everyday/infrequent',
+    Bread: 'null/infrequent',
+    Coffee: 'null/infrequent',
+    Candles: 'rare/infrequent'
+  });
+  console.log(`✅ ${classified.map(item => `${item.product_name}: ${item.tier}`).join(', ')}\n`);
+
+  // Test 4: Tiers carried through to the list
+  console.log('4. Carrying tiers through to saved lists...');
+  const withDays = calculateDaysSinceLastPurchase(classified, new Date('2026-02-27'));
+  const summary = generatePatternSummary(withDays, db, 7, { feedback: false });
+  assert.equal(summary.regularItems.find(item => item.name === 'Milk').tier, 'staple');
+
+  const { recommendations } = await generateRecommendations(summary, { engine: 'local' });
+  const milk = recommendations.find(rec => rec.item === 'Milk');
+  assert.deepEqual({ classification: milk.classification, tier: milk.tier }, { classification: 'regular', tier: 'staple' });
+
+  // Saved with the tier as the classification, or regular/infrequent without one
+  const listId = saveShoppingList(db, 7, [...recommendations, { item: 'Matches', quantity: 1, classification: 'infrequent', confidence: 0.5 }], { tiers: DEFAULT_TIERS });
+  const saved = getShoppingList(db, listId).items;
+  assert.equal(saved.find(item => item.product_name === 'Milk').classification, 'staple');
+  assert.equal(saved.find(item => item.product_name === 'Matches').classification, 'infrequent');
+  assert.throws(() => saveShoppingList(db, 7, [{ item: 'Milk', quantity: 1, classification: 'regular', tier: 'staple', confidence: 1 }], { tiers: custom }), /Milk: unknown classification "staple"/);
+  assert.throws(() => saveShoppingList(db, 7, [{ item: 'Milk', quantity: 1, classification: 'weekly-ish', confidence: 1 }], { tiers: DEFAULT_TIERS }), /unknown classification/);
+
+  const output = formatShoppingList([...recommendations, { item: 'Matches', quantity: 1, classification: 'infrequent', reason: 'Added', confidence: 0.5 }], DEFAULT_TIERS);
+  assert.ok(output.indexOf('STAPLES') < output.indexOf('Milk'));
+  assert.ok(output.includes('In almost every order'));
+  assert.ok(output.indexOf('INFREQUENT ITEMS') < output.indexOf('Matches'));
+  console.log('✅ Milk listed under Staples; untiered items under Infrequent\n');
+
+  db.close();
+  console.log('✅ All tier tests passed!\n');
+} catch (error) {
+  console.error('❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exitCode = 1;
+} finally {
+  rmSync(dataDir, { recursive: true, force: true });
+}
@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+
+/**
+ * Test script to verify the API usage ledger, cost estimates and monthly spend cap
+ */
+
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import {
+  initializeDatabase,
+  saveShoppingList,
+  getMonthlyApiUsage,
+  getListApiUsage,
+  recordApiCall
+} from '../src/database.js';
+import { estimateCost, loadSpendCap, currentMonth } from '../src/usage.js';
+import { generateRecommendations } from '../src/recommender.js';
+import { RECOMMENDATIONS_TOOL } from '../src/claude-client.js';
+
+console.log('🧪 Testing API usage ledger...\n');
+
+const patternSummary = JSON.parse(readFileSync(new URL('./fixtures/pattern-summary.json', import.meta.url), 'utf-8'));
+
+// Provider that always returns the same one-item list
+const provider = {
+  name: 'anthropic',
+  model: 'claude-sonnet-4-5-20250929',
+  async complete() {
+    return {
+      text: '',
+      toolCalls: [{ name: RECOMMENDATIONS_TOOL.name, input: { recommendations: [
+        { item: 'Organic Milk', quantity: 2, classification: 'regular', reason: 'Weekly', confidence: 0.95 }
+      ] } }],
+      usage: { input_tokens: 1000, output_tokens: 200 },
+      model: 'claude-sonnet-4-5-20250929'
+    };
+  }
+};
+
+try {
+  delete process.env.WAITROSE_API_SPEND_CAP;
+  const db = initializeDatabase({ dbPath: ':memory:' });
+
+  // Test 1: Cost estimates
+  console.log('1. Estimating cost...');
+  assert.equal(estimateCost('claude-sonnet-4-5-20250929', { input_tokens: 1_000_000, output_tokens: 0 }), 3);
+  assert.equal(estimateCost('claude-sonnet-4-5-20250929', { input_tokens: 1000, output_tokens: 200 }), 0.006);
+  assert.equal(estimateCost('mystery-model', { input_tokens: 1000, output_tokens: 200 }), null);
+  assert.equal(estimateCost('mystery-model', { input_tokens: 1_000_000, output_tokens: 0 }, {
+    WAITROSE_LLM_INPUT_PRICE: '0.5', WAITROSE_LLM_OUTPUT_PRICE: '1'
+  }), 0.5);
+  console.log('✅ Priced from the model name, with overrides\n');
+
+  // Test 2: Every call recorded and linked to the saved list
+  console.log('2. Recording calls...');
+  const result = await generateRecommendations(patternSummary, { provider, db });
+  assert.equal(result.apiCallIds.length, 1);
+  const listId = saveShoppingList(db, 7, result.recommendations, { apiCallIds: result.apiCallIds });
+  const listUsage = getListApiUsage(db, listId);
+  assert.deepEqual(
+    { calls: listUsage.calls, input_tokens: listUsage.input_tokens, output_tokens: listUsage.output_tokens },
+    { calls: 1, input_tokens: 1000, output_tokens: 200 }
+  );
+  const row = db.prepare('SELECT * FROM api_usage WHERE id = ?').get(result.apiCallIds[0]);
+  assert.equal(row.purpose, 'generate');
+  assert.equal(row.provider, 'anthropic');
+  assert.ok(row.latency_ms >= 0);
+  console.log(`✅ Call recorded against list #${listId}\n`);
+
+  // Test 3: Failed calls recorded too
+  console.log('3. Recording a failed call...');
+  const failing = { name: 'anthropic', model: 'claude-sonnet-4-5', async complete() { throw Object.assign(new Error('bad request'), { status: 400 }); } };
+  await assert.rejects(generateRecommendations(patternSummary, { provider: failing, db }), /bad request/);
+  const monthly = getMonthlyApiUsage(db);
+  assert.equal(monthly[0].calls, 2);
+  assert.equal(monthly[0].failed_calls, 1);
+  assert.equal(monthly[0].month, currentMonth());
+  console.log('✅ Failure logged with its error\n');
+
+  // Test 4: Spend cap
+  console.log('4. Enforcing the monthly spend cap...');
+  assert.equal(loadSpendCap({}), null);
+  assert.equal(loadSpendCap({ WAITROSE_API_SPEND_CAP: '$5' }), 5);
+  assert.throws(() => loadSpendCap({ WAITROSE_API_SPEND_CAP: 'lots' }), /amount in dollars/);
+
+  recordApiCall(db, { purpose: 'generate', model: 'claude-opus-4-1', input_tokens: 100000, output_tokens: 50000, estimated_cost: 5.25 });
+  process.env.WAITROSE_API_SPEND_CAP = '5';
+  await assert.rejects(generateRecommendations(patternSummary, { provider, db }), error => error.spendCap === true);
+  const fallback = await generateRecommendations(patternSummary, { provider, db, engine: 'auto' });
+  assert.equal(fallback.engine, 'local');
+  assert.match(fallback.fallbackReason, /spend cap/);
+  assert.equal(getMonthlyApiUsage(db)[0].calls, 3);
+  console.log('✅ Blocked once the cap is reached; auto falls back to local\n');
+
+  // Test 5: Unpriced models under a cap
+  console.log('5. Refusing models the cap can\'t price...');
+  process.env.WAITROSE_API_SPEND_CAP = '100';
+  const mystery = { ...provider, model: 'mystery-model' };
+  await assert.rejects(generateRecommendations(patternSummary, { provider: mystery, db }), /Can't estimate the cost of mystery-model/);
+  assert.equal(getMonthlyApiUsage(db)[0].calls, 3);
+
+  process.env.WAITROSE_LLM_INPUT_PRICE = '1';
+  process.env.WAITROSE_LLM_OUTPUT_PRICE = '2';
+  assert.equal((await generateRecommendations(patternSummary, { provider: mystery, db })).engine, 'claude');
+  delete process.env.WAITROSE_LLM_INPUT_PRICE;
+  delete process.env.WAITROSE_LLM_OUTPUT_PRICE;
+
+  delete process.env.WAITROSE_API_SPEND_CAP;
+  assert.equal((await generateRecommendations(patternSummary, { provider: mystery, db })).engine, 'claude');
+  console.log('✅ Unpriced model refused under a cap, allowed with prices set or no cap\n');
+
+  delete process.env.WAITROSE_API_SPEND_CAP;
+  db.close();
+  console.log('✅ All usage ledger tests passed!\n');
+} catch (error) {
+  console.error('❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exitCode = 1;
+}